@@ -28,39 +28,195 @@ import AlertSystemService from './services/alertSystem.js';
 import SocialSentimentService from './services/socialSentimentService.js';
 import BitcoinCorrelationService from './services/bitcoinCorrelationService.js';
 import MarketRegimeService from './services/marketRegimeService.js';
-
-import { CRYPTO_SYMBOLS, TIMEFRAMES, TRADING_CONFIG, SCHEDULE_CONFIG, RATE_LIMITING } from './config/constants.js';
+import StorageService from './services/storageService.js';
+import CostModelService from './services/costModel.js';
+import MarketDataRouter from './services/marketDataRouter.js';
+import ReplayProvider from './services/replayProvider.js';
+import ReplayClock from './services/replayClock.js';
+import PaperTradingService from './services/paperTrading.js';
+import OrderExecutionService from './services/orderExecution.js';
+import TelegramCommandService from './services/telegramCommands.js';
+import NotifierService from './services/notifier.js';
+import EventBus from './services/eventBus.js';
+import DashboardFeedService from './services/dashboardFeed.js';
+import AuthService, { requireRole } from './services/authService.js';
+import ConfigService from './services/configService.js';
+import SymbolUniverseService from './services/symbolUniverse.js';
+import AnalysisScheduler from './services/analysisScheduler.js';
+import ComputePool from './services/computePool.js';
+import SignalSelector from './services/signalSelector.js';
+import TimeframeConfluenceService from './services/timeframeConfluence.js';
+import { TelegramSink, createSinksFromEnv } from './services/notificationSinks.js';
+
+import { TIMEFRAMES, TRADING_CONFIG, SCHEDULE_CONFIG } from './config/constants.js';
 
 import binanceRoutes from './routes/binance.js';
 import signalRoutes from './routes/signals.js';
 import systemRoutes from './routes/system.js';
 import notificationRoutes from './routes/notifications.js';
+import paperRoutes from './routes/paper.js';
+import executionRoutes from './routes/execution.js';
+import authRoutes from './routes/auth.js';
+import configRoutes from './routes/config.js';
+import universeRoutes from './routes/universe.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 📼 Modo replay (offline): dados gravados + relógio simulado no lugar das exchanges
+const REPLAY_ENABLED = String(process.env.REPLAY_ENABLED || 'false').toLowerCase() === 'true';
+const replayClock = REPLAY_ENABLED ? new ReplayClock() : null;
+const replayProvider = REPLAY_ENABLED ? new ReplayProvider({ clock: replayClock }) : null;
+
+// Configuração runtime: env das guardas/limiares aplicado antes dos serviços lerem constants.js
+const config = new ConfigService();
+
 // Inicialização dos serviços
-const binanceService = new BinanceService();
+const binanceService = new BinanceService(
+  replayProvider
+    ? {
+        marketData: new MarketDataRouter({ providers: { replay: replayProvider }, venues: ['replay'] }),
+        clock: replayClock
+      }
+    : {}
+);
+// Universo de símbolos: contratos da venue filtrados por liquidez (replay: lista fixa com dados gravados)
+const universe = new SymbolUniverseService({
+  binanceService,
+  ...(REPLAY_ENABLED ? { enabled: false, now: () => replayClock.now() } : {})
+});
 const patternDetection = new PatternDetectionService();
 const signalScoring = new SignalScoringService();
 const machineLearning = new MachineLearningService();
-const telegramBot = new TelegramBotService();
+// Replay: dry-run no Telegram (mensagens só no console), salvo REPLAY_TELEGRAM=true
+const telegramBot = new TelegramBotService({
+  dryRun: REPLAY_ENABLED && String(process.env.REPLAY_TELEGRAM || 'false').toLowerCase() !== 'true'
+});
+const costModel = new CostModelService({ binanceService });
+const paperTrading = new PaperTradingService({ tradeRules: telegramBot, costModel });
+// Execução real na Binance Futures (EXECUTION_MODE); nunca envia ordens durante o replay
+const orderExecution = new OrderExecutionService({
+  tradeRules: telegramBot,
+  monitors: telegramBot,
+  ...(REPLAY_ENABLED ? { mode: 'off', now: () => replayClock.now() } : {})
+});
 const marketAnalysis = new MarketAnalysisService(binanceService, technicalAnalysis);
-const backtesting = new BacktestingService();
+marketAnalysis.attachUniverse(universe);
+const backtesting = new BacktestingService({
+  technicalAnalysis,
+  patternDetection,
+  signalScoring,
+  machineLearning,
+  tradeRules: telegramBot,
+  costModel
+});
 const chartGenerator = new ChartGeneratorService();
 const riskManagement = new RiskManagementService();
 
 // ⚠️ Desativa o timer interno do PerformanceTracker para evitar relatório semanal duplicado
 const performanceTracker = new PerformanceTrackerService(telegramBot, { autoStart: false });
 
-const adaptiveScoring = new AdaptiveScoringService();
+const adaptiveScoring = new AdaptiveScoringService(replayClock ? { clock: () => replayClock.now() } : {});
 const alertSystem = new AlertSystemService(telegramBot);
+
+// Barramento de eventos: o emissor publica (signal.*, monitor.*, alert.raised) e os consumidores assinam
+const events = new EventBus(replayClock ? { now: () => replayClock.now() } : {});
+telegramBot.attachEventBus(events);
+alertSystem.attachEventBus(events);
+performanceTracker.attachEventBus(events);
+riskManagement.attachEventBus(events);
+paperTrading.attachEventBus(events);
+orderExecution.attachEventBus(events);
+adaptiveScoring.attachEventBus(events);
+config.attachEventBus(events);
+universe.attachEventBus(events);
+
+// Autenticação da API: chaves (API_KEYS), usuários do dashboard (AUTH_USERS) e papéis viewer/operator/admin
+const auth = new AuthService();
+
+// Feed em tempo real do dashboard (WebSocket /api/feed): eventos do bus, P&L dos monitores e preços
+const dashboardFeed = new DashboardFeedService({
+  telegramBot,
+  binanceService,
+  authorize: (req) => {
+    const principal = auth.authenticate(req, { allowQueryToken: true });
+    return !!principal && auth.roleAllows(principal.role, 'viewer');
+  }
+});
+dashboardFeed.attachEventBus(events);
+
+// Hub de notificações: Telegram + Discord/webhooks do env (DISCORD_WEBHOOK_URLS, WEBHOOK_URLS)
+const notifier = new NotifierService();
+notifier.register(new TelegramSink(telegramBot));
+for (const sink of createSinksFromEnv()) notifier.register(sink);
+telegramBot.attachNotifier(notifier);
+notifier.attachEventBus(events);
+alertSystem.attachNotifier(notifier);
 const socialSentiment = new SocialSentimentService();
 const bitcoinCorrelation = new BitcoinCorrelationService(binanceService);
 const marketRegimeService = new MarketRegimeService(binanceService);
+// Confluência com os timeframes maiores (15m/1h/4h): bônus, penalidade ou bloqueio de cada sinal válido
+const timeframeConfluence = new TimeframeConfluenceService({
+  binanceService,
+  technicalAnalysis,
+  ...(replayClock ? { now: () => replayClock.now() } : {})
+});
+
+// Ciclo de análise: pool com concorrência limitada, disparado no fechamento do candle (ou cron)
+// (replay: relógio simulado e sem espaçamento entre inícios — os dados são locais)
+const analysisScheduler = new AnalysisScheduler({
+  timeframes: TIMEFRAMES,
+  ...(replayClock ? { clock: replayClock, maxStartsPerSecond: 0 } : {})
+});
+
+// Indicadores, padrões, otimização e inferência ML em worker threads (fora do event loop do Express)
+const computePool = new ComputePool();
+computePool.start();
+technicalAnalysis.attachComputePool(computePool);
+patternDetection.attachComputePool(computePool);
+machineLearning.attachComputePool(computePool);
+
+// Seleção do ciclo: top N candidatos com cotas global/por par, diversificação por correlação e orçamento de risco
+const signalSelector = new SignalSelector(replayClock ? { now: () => replayClock.now() } : {});
+signalSelector.attachEventBus(events);
 
 signalScoring.adaptiveScoring = adaptiveScoring;
 
+// Persistência: recarrega histórico, monitores e estado adaptativo antes de qualquer análise
+// (no replay o padrão é memória: não mistura o estado simulado com o do bot real)
+const storage = new StorageService(REPLAY_ENABLED ? { driver: process.env.STORAGE_DRIVER || 'memory' } : {});
+await storage.init();
+performanceTracker.attachStorage(storage);
+telegramBot.attachStorage(storage);
+adaptiveScoring.attachStorage(storage);
+riskManagement.attachStorage(storage);
+paperTrading.attachStorage(storage);
+orderExecution.attachStorage(storage);
+notifier.attachStorage(storage);
+auth.attachStorage(storage);
+universe.attachStorage(storage);
+signalSelector.attachStorage(storage);
+// Ajustes salvos via /api/config por cima do env; scoring e bot recarregam a cada nova versão
+config.attachStorage(storage);
+signalScoring.attachConfig(config);
+adaptiveScoring.attachConfig(config);
+telegramBot.attachConfig(config);
+
+// Custos de execução (taxas, slippage, funding) nos encerramentos e no backtest
+await costModel.init();
+telegramBot.attachCostModel(costModel);
+
+if (replayProvider) {
+  await replayProvider.loadMarkets();
+  const { start, end } = replayProvider.getRange(TIMEFRAMES);
+  const startAt = process.env.REPLAY_START ? Number(process.env.REPLAY_START) || Date.parse(process.env.REPLAY_START) : start;
+  replayClock.setStart(startAt);
+  replayClock.setEnd(end);
+  telegramBot.attachClock(replayClock);
+  paperTrading.attachClock(replayClock);
+  console.log(`📼 Modo replay: ${new Date(startAt).toISOString()} → ${new Date(end).toISOString()} (${replayClock.speed}x)`);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -74,6 +230,12 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../dist')));
 
+// Autenticação e auditoria de toda a API; login/sessão ficam fora da exigência de papel
+app.use('/api', auth.middleware());
+app.use('/api', auth.auditMiddleware());
+app.use('/api/auth', authRoutes);
+app.use('/api', requireRole('viewer'));
+
 app.binanceService = binanceService;
 app.technicalAnalysis = technicalAnalysis;
 app.patternDetection = patternDetection;
@@ -90,118 +252,267 @@ app.alertSystem = alertSystem;
 app.socialSentiment = socialSentiment;
 app.bitcoinCorrelation = bitcoinCorrelation;
 app.marketRegimeService = marketRegimeService;
+app.storage = storage;
+app.costModel = costModel;
+app.replayClock = replayClock;
+app.paperTrading = paperTrading;
+app.orderExecution = orderExecution;
+app.notifier = notifier;
+app.events = events;
+app.dashboardFeed = dashboardFeed;
+app.auth = auth;
+app.config = config;
+app.universe = universe;
+app.analysisScheduler = analysisScheduler;
+app.computePool = computePool;
+app.signalSelector = signalSelector;
+app.timeframeConfluence = timeframeConfluence;
+// Pipeline de análise de um par/timeframe (sem emissão) — POST /api/signals/analyze e /signal usam { commit: false }
+app.analyzeSymbolTimeframe = analyzeSymbolTimeframe;
 
 // Integra chartGenerator no telegramBot
 telegramBot.chartGenerator = chartGenerator;
 telegramBot.binanceService = binanceService;
 
+// Comandos dos operadores (/status, /signal, /performance, /close, /pause, /resume) — só admins da allowlist
+const telegramCommands = new TelegramCommandService({
+  telegramBot,
+  performanceTracker,
+  binanceService,
+  analyze: analyzeSymbolTimeframe
+});
+app.telegramCommands = telegramCommands;
+
+// Relógio do bot: real ou simulado (replay)
+const now = () => (replayClock ? replayClock.now() : Date.now());
+
 let isAnalyzing = false;
 let lastAnalysisTime = null;
 let analysisCount = 0;
 
-// Controle de emissão (1 sinal / janela de 2h)
-let lastSignalTime = null;
-
-export async function analyzeSignals() {
+/**
+ * Ciclo de análise: todos os pares do universo nos timeframes pedidos, em paralelo pelo AnalysisScheduler
+ * (concorrência limitada, prioridade por score anterior); ao final o SignalSelector escolhe os sinais emitidos
+ * @param {Object} [options] - trigger ('candle' | 'cron' | 'manual' | 'startup'), timeframes (padrão TIMEFRAMES)
+ */
+export async function analyzeSignals({ trigger = 'manual', timeframes = TIMEFRAMES } = {}) {
   if (isAnalyzing) {
     console.log('⏭️ Análise já em andamento - pulando...');
+    analysisScheduler.noteSkipped();
     return;
   }
 
   try {
     isAnalyzing = true;
     analysisCount++;
-    lastAnalysisTime = new Date();
+    lastAnalysisTime = new Date(now());
     
-    console.log(`\n🚀 ANÁLISE #${analysisCount} - ${lastAnalysisTime.toLocaleString('pt-BR')}`);
-    console.log(`📊 ${CRYPTO_SYMBOLS.length} símbolos x ${TIMEFRAMES.length} timeframes`);
-
+    console.log(`\n🚀 ANÁLISE #${analysisCount} (${trigger}) - ${lastAnalysisTime.toLocaleString('pt-BR')}`);
+
+    // no replay, só os pares com dados gravados
+    const symbols = replayProvider
+      ? universe.getSymbols().filter((s) => replayProvider.supports(s))
+      : universe.getSymbols();
+    console.log(`📊 ${symbols.length} símbolos x ${timeframes.length} timeframes (${timeframes.join(', ')})`);
+    const totalPairs = symbols.length * timeframes.length;
+    let donePairs = 0;
+    events.emit('analysis.started', { cycle: analysisCount, total: totalPairs, symbols: symbols.length, timeframes, trigger });
     let bestSignal = { score: 0, symbol: null, entryPrice: 0, indicators: null, patterns: null };
-    let totalAnalyzed = 0;
     let validSignals = 0;
     let errors = [];
+    const candidates = [];
+
+    const emitProgress = (symbol, timeframe) => {
+      events.emit('analysis.progress', {
+        cycle: analysisCount,
+        done: donePairs,
+        total: totalPairs,
+        symbol,
+        timeframe,
+        best: bestSignal.symbol ? { symbol: bestSignal.symbol, timeframe: bestSignal.timeframe, score: bestSignal.score } : null
+      });
+    };
 
-    for (const symbol of CRYPTO_SYMBOLS) {
-      if (telegramBot.hasActiveMonitor(symbol)) {
-        console.log(`⏭️ ${symbol}: Monitor ativo`);
+    // Filtros baratos antes da fila: risco do símbolo e monitor já aberto no par
+    const jobs = [];
+    for (const symbol of symbols) {
+      // várias posições por símbolo (ex.: 1m long + 5m short), até o limite de exposição do risco
+      const risk = riskManagement.canOpenTrade(symbol, telegramBot.activeMonitors);
+      if (!risk.allowed) {
+        console.log(`⏭️ ${symbol}: ${risk.reason}`);
+        events.emit('signal.blocked', { symbol, stage: 'risk', reason: risk.reason });
+        donePairs += timeframes.length;
         continue;
       }
+      for (const timeframe of timeframes) {
+        if (telegramBot.hasActiveMonitor(symbol, timeframe)) {
+          console.log(`⏭️ [${symbol} ${timeframe}] Monitor ativo`);
+          donePairs++;
+          continue;
+        }
+        jobs.push({ symbol, timeframe });
+      }
+    }
 
-      for (const timeframe of TIMEFRAMES) {
-        const logPrefix = `[${symbol} ${timeframe}]`;
-        totalAnalyzed++;
-        
-        try {
-          console.log(`${logPrefix} 📊 Detectando tendência do sinal...`);
-          console.log(`🔍 ${logPrefix} Iniciando análise...`);
-        
-          // Log da correlação com Bitcoin (usa o MESMO timeframe)
-          const btcCorrelation = await bitcoinCorrelation
-            .analyzeCorrelation(symbol, 'BULLISH', {}, timeframe)
-            .catch(() => ({}));
-          if (btcCorrelation.btcTrend) {
-            console.log(`${logPrefix} ₿ Bitcoin: ${btcCorrelation.btcTrend} (força: ${btcCorrelation.btcStrength || 0})`);
-            console.log(`${logPrefix} 🔗 Alinhamento: ${btcCorrelation.alignment || 'NEUTRAL'}`);
-          }
-          
-          const signalTrend = 'BULLISH';
-          console.log(`${logPrefix} 🎯 Tendência detectada: ${signalTrend}`);
-          
-          // Timeout para evitar travamentos
-          const analysisPromise = analyzeSymbolTimeframe(symbol, timeframe, logPrefix);
-          const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Timeout na análise')), 30000)
-          );
-          
-          const result = await Promise.race([analysisPromise, timeoutPromise]);
-          
-          if (result && result.isValid) {
-            validSignals++;
-            
-            if (result.totalScore > TRADING_CONFIG.MIN_SIGNAL_PROBABILITY && result.totalScore > bestSignal.score) {
-              bestSignal = {
-                score: result.totalScore,
+    // BTC: uma busca por timeframe no ciclo, compartilhada pelos pares em paralelo
+    bitcoinCorrelation.beginCycle(analysisCount);
+    let metrics;
+    try {
+      metrics = await analysisScheduler.runCycle(
+        analysisCount,
+        jobs,
+        ({ symbol, timeframe }) => analyzeSymbolTimeframe(symbol, timeframe, `[${symbol} ${timeframe}]`),
+        {
+          trigger,
+          onJobDone: ({ symbol, timeframe }, result, error) => {
+            const logPrefix = `[${symbol} ${timeframe}]`;
+            donePairs++;
+            if (error) {
+              errors.push(`${symbol} ${timeframe}: ${error.message}`);
+              console.error(`❌ ${logPrefix} ${error.message}`);
+              emitProgress(symbol, timeframe);
+              return;
+            }
+
+            if (result) {
+              events.emit('signal.scored', {
                 symbol,
                 timeframe,
-                entryPrice: result.entry,
-                indicators: result.indicators,
-                patterns: result.patterns,
+                score: result.totalScore,
+                isValid: !!result.isValid,
                 trend: result.trend,
-                btcCorrelation: result.btcCorrelation
-              };
-              console.log(`🏆 ${logPrefix} NOVO MELHOR SINAL (${result.totalScore.toFixed(1)}%)`);
+                entry: result.entry
+              });
+            }
+
+            if (result && result.isValid) {
+              validSignals++;
+
+              if (result.totalScore > TRADING_CONFIG.MIN_SIGNAL_PROBABILITY && result.trend === 'NEUTRAL') {
+                // sem direção não há long nem short a publicar
+                events.emit('signal.blocked', {
+                  symbol,
+                  timeframe,
+                  score: result.totalScore,
+                  stage: 'selection',
+                  reason: 'tendência NEUTRAL (sem direção)'
+                });
+              } else if (result.confluence?.blocked) {
+                console.log(`🧭 ${logPrefix} Barrado pela confluência: ${result.confluence.reason}`);
+                events.emit('signal.blocked', {
+                  symbol,
+                  timeframe,
+                  score: result.totalScore,
+                  stage: 'confluence',
+                  reason: result.confluence.reason
+                });
+              } else if (result.totalScore > TRADING_CONFIG.MIN_SIGNAL_PROBABILITY) {
+                const candidate = {
+                  score: result.totalScore,
+                  symbol,
+                  timeframe,
+                  entryPrice: result.entry,
+                  // stop como será publicado (níveis fixos do emissor) — base do orçamento de risco
+                  stopLoss: telegramBot.normalizeLevels(result.entry, result.trend).stopLoss,
+                  indicators: result.indicators,
+                  patterns: result.patterns,
+                  trend: result.trend,
+                  btcCorrelation: result.btcCorrelation,
+                  btcRho: result.btcRho,
+                  confluence: result.confluence
+                };
+                candidates.push(candidate);
+                if (candidate.score > bestSignal.score) {
+                  bestSignal = candidate;
+                  console.log(`🏆 ${logPrefix} NOVO MELHOR SINAL (${result.totalScore.toFixed(1)}%)`);
+                }
+              }
             }
+
+            console.log(`✅ ${logPrefix} Análise concluída`);
+            emitProgress(symbol, timeframe);
           }
-          
-          console.log(`✅ ${logPrefix} Análise concluída`);
-          
-        } catch (error) {
-          errors.push(`${symbol} ${timeframe}: ${error.message}`);
-          console.error(`❌ ${logPrefix} ${error.message}`);
         }
-      }
+      );
+    } finally {
+      const btc = bitcoinCorrelation.endCycle();
+      if (metrics) metrics.btcFetches = btc.fetches;
     }
+    const totalAnalyzed = jobs.length;
 
     console.log(`\n📊 RESUMO #${analysisCount}:`);
     console.log(`✅ ${validSignals} sinais válidos encontrados`);
-    console.log(`❌ ${errors.length} erros`);
-
-    if (bestSignal.symbol) {
-      // ⛔️ Rate limit: no máximo 1 sinal por janela definida
-      const now = Date.now();
-      const windowMs = RATE_LIMITING?.GLOBAL_SIGNAL_COOLDOWN_MS ?? (2 * 60 * 60 * 1000);
-      if (lastSignalTime && now - lastSignalTime < windowMs) {
-        const remainingMin = Math.ceil((windowMs - (now - lastSignalTime)) / 60000);
-        console.log(`🚫 Rate-limit: sinal não enviado (aguarde ${remainingMin} min para próxima janela).`);
-      } else {
-        console.log(`\n🏆 MELHOR SINAL: ${bestSignal.symbol} ${bestSignal.timeframe} (${bestSignal.score.toFixed(1)}%)`);
-        await processBestSignal(bestSignal);
-        lastSignalTime = Date.now();
+    console.log(`❌ ${errors.length} erros${metrics.timeouts ? ` (${metrics.timeouts} timeout(s))` : ''}`);
+    console.log(
+      `⏱️ ${totalAnalyzed} análises em ${(metrics.durationMs / 1000).toFixed(1)}s ` +
+        `(${metrics.concurrency} em paralelo, média ${metrics.avgJobMs}ms, p95 ${metrics.p95JobMs}ms, BTC buscado ${metrics.btcFetches}x)`
+    );
+    // Seleção: ranking de todos os candidatos, cotas e portfólio aberto
+    let { selected, rejected } = signalSelector.select(candidates, { openMonitors: telegramBot.activeMonitors });
+    const attempted = [];
+
+    if (!candidates.length) {
+      console.log(`\n⚠️ Nenhum sinal encontrado acima de ${TRADING_CONFIG.MIN_SIGNAL_PROBABILITY}%`);
+    } else if (!selected.length) {
+      console.log(`\n🚫 ${candidates.length} candidato(s), nenhum selecionado`);
+    } else if (telegramBot.isEmissionPaused()) {
+      // /pause: a análise segue rodando (logs), mas nada é registrado/emitido e as cotas não são consumidas
+      for (const signal of selected) {
+        attempted.push(signal);
+        console.log(`⏸️ Emissões pausadas (${telegramBot.emissionPause.reason}) — ${signal.symbol} ${signal.timeframe} não enviado`);
+        events.emit('signal.blocked', {
+          symbol: signal.symbol,
+          timeframe: signal.timeframe,
+          score: signal.score,
+          stage: 'pause',
+          reason: telegramBot.emissionPause.reason
+        });
       }
     } else {
-      console.log(`\n⚠️ Nenhum sinal encontrado acima de ${TRADING_CONFIG.MIN_SIGNAL_PROBABILITY}%`);
+      console.log(`\n🏆 ${selected.length} SINAL(IS) SELECIONADO(S) de ${candidates.length} candidato(s)`);
+      // Reposição: aprovado que cai no risco, no pré-check ou no envio libera a vaga para o próximo do ranking
+      // (nova seleção sobre os não tentados, já com as emissões do ciclo nas cotas e no portfólio)
+      const tried = new Set();
+      let emitted = 0;
+      while (selected.length) {
+        for (const signal of selected) {
+          tried.add(`${signal.symbol}|${signal.timeframe}`);
+          attempted.push(signal);
+          console.log(`🏆 #${attempted.length}: ${signal.symbol} ${signal.timeframe} (${signal.score.toFixed(1)}%)`);
+          if (await processSelectedSignal(signal)) emitted++;
+        }
+        const slots = signalSelector.perCycle - emitted;
+        if (slots <= 0 || emitted === attempted.length) break;
+
+        const remaining = candidates.filter(c => !tried.has(`${c.symbol}|${c.timeframe}`));
+        ({ selected, rejected } = signalSelector.select(remaining, { openMonitors: telegramBot.activeMonitors, slots }));
+        if (selected.length) console.log(`\n🔁 Reposição: ${selected.length} candidato(s) no lugar do(s) descartado(s)`);
+      }
     }
 
+    for (const { candidate, stage, reason } of rejected) {
+      console.log(`🚫 ${candidate.symbol} ${candidate.timeframe} (${candidate.score.toFixed(1)}%) não selecionado: ${reason}`);
+      events.emit('signal.blocked', {
+        symbol: candidate.symbol,
+        timeframe: candidate.timeframe,
+        score: candidate.score,
+        stage,
+        reason
+      });
+    }
+
+    events.emit('analysis.completed', {
+      cycle: analysisCount,
+      analyzed: totalAnalyzed,
+      validSignals,
+      errors: errors.length,
+      best: bestSignal.symbol ? { symbol: bestSignal.symbol, timeframe: bestSignal.timeframe, score: bestSignal.score } : null,
+      selected: attempted.map(({ symbol, timeframe, score }) => ({ symbol, timeframe, score })),
+      durationMs: metrics.durationMs,
+      trigger,
+      metrics
+    });
+
   } catch (error) {
     console.error('❌ ERRO NA ANÁLISE:', error);
   } finally {
@@ -210,7 +521,10 @@ export async function analyzeSignals() {
   }
 }
 
-async function analyzeSymbolTimeframe(symbol, timeframe, logPrefix) {
+/**
+ * @param {Object} [options] - commit: false = análise sob demanda; o score não altera o estado do AdaptiveScoring
+ */
+async function analyzeSymbolTimeframe(symbol, timeframe, logPrefix, options = {}) {
   try {
     console.log(`${logPrefix} 📊 Obtendo dados...`);
     const data = await binanceService.getOHLCVData(symbol, timeframe, 200);
@@ -227,7 +541,7 @@ async function analyzeSymbolTimeframe(symbol, timeframe, logPrefix) {
     }
     
     console.log(`${logPrefix} 🔍 Detectando padrões...`);
-    const patterns = patternDetection.detectPatterns(data);
+    const patterns = await patternDetection.detectPatternsAsync(data);
     
     console.log(`${logPrefix} 🤖 Previsão ML...`);
     const mlProbability = await machineLearning.predict(symbol, data, indicators).catch(() => 0);
@@ -249,22 +563,45 @@ async function analyzeSymbolTimeframe(symbol, timeframe, logPrefix) {
           alignment: 'NEUTRAL'
         };
       });
+    if (btcCorrelation.btcTrend) {
+      console.log(`${logPrefix} ₿ Bitcoin: ${btcCorrelation.btcTrend} (força: ${btcCorrelation.btcStrength || 0})`);
+      console.log(`${logPrefix} 🔗 Alinhamento: ${btcCorrelation.alignment || 'NEUTRAL'}`);
+    }
+    // ρ com o BTC mesmo com o BTC fraco (sem bônus) — usado na diversificação da seleção
+    const btcRho = Number.isFinite(btcCorrelation.priceCorrelation)
+      ? btcCorrelation.priceCorrelation
+      : await bitcoinCorrelation.calculatePriceCorrelation(symbol, data, timeframe);
     
     console.log(`${logPrefix} 🎯 Calculando score...`);
     signalScoring.setCurrentTimeframe(timeframe);
     const scoring = adaptiveScoring.calculateAdaptiveScore(
-      data, indicators, patterns, mlProbability, signalTrend, symbol, btcCorrelation
+      data, indicators, patterns, mlProbability, signalTrend, symbol, btcCorrelation, { commit: options.commit }
     );
 
+    // Confluência com os timeframes maiores — só sinal válido com direção (poupa requisições)
+    let confluence = null;
+    if (scoring.isValid && signalTrend !== 'NEUTRAL') {
+      confluence = await timeframeConfluence.evaluate(symbol, timeframe, signalTrend);
+      if (confluence) {
+        const aligned = confluence.timeframes.map(t => `${t.timeframe}:${t.alignment}`).join(' ');
+        console.log(`${logPrefix} 🧭 Confluência ${confluence.score ?? 'N/A'} (${aligned}) → ${confluence.blocked ? 'BARRADO' : `${confluence.adjustment >= 0 ? '+' : ''}${confluence.adjustment}`}`);
+        scoring.totalScore = Math.max(0, Math.min(100, scoring.totalScore + confluence.adjustment));
+        scoring.details = { ...scoring.details, confluence };
+      }
+    }
+
     console.log(`${logPrefix} Score: ${scoring.totalScore.toFixed(1)}% (${scoring.isValid ? '✅ VÁLIDO' : '❌ INVÁLIDO'})`);
     
     return {
       ...scoring,
+      confluence,
       entry: data.close[data.close.length - 1],
       trend: signalTrend,
       indicators,
       patterns,
-      btcCorrelation
+      mlProbability,
+      btcCorrelation,
+      btcRho
     };
     
   } catch (error) {
@@ -276,10 +613,29 @@ async function analyzeSymbolTimeframe(symbol, timeframe, logPrefix) {
 /**
  * Faz a montagem do signalData, passa livePrice/priceProvider para o pré-check
  * e SOMENTE cria o monitor após o envio ser confirmado.
+ * @returns {Promise<boolean>} true se o sinal foi emitido (monitor criado)
  */
-async function processBestSignal(signal) {
+async function processSelectedSignal(signal) {
+  let monitorId = null;
+  let signalId = null;
   try {
     console.log(`\n🎯 ===== PROCESSANDO SINAL ${signal.symbol} =====`);
+
+    const risk = riskManagement.canOpenTrade(signal.symbol, telegramBot.activeMonitors, {
+      timeframe: signal.timeframe,
+      trend: signal.trend
+    });
+    if (!risk.allowed) {
+      console.log(`🚫 Sinal descartado (${signal.symbol} ${signal.timeframe}): ${risk.reason}`);
+      events.emit('signal.blocked', {
+        symbol: signal.symbol,
+        timeframe: signal.timeframe,
+        score: signal.score,
+        stage: 'risk',
+        reason: risk.reason
+      });
+      return false;
+    }
     
     // Níveis internos (o emissor normaliza para o padrão SCALPING ao publicar)
     const levels = signalScoring.calculateTradingLevels(signal.entryPrice, signal.trend);
@@ -317,6 +673,7 @@ async function processBestSignal(signal) {
       indicators: signal.indicators,
       patterns: signal.patterns,
       btcCorrelation: signal.btcCorrelation,
+      confluence: signal.confluence || undefined,
       sentiment: sentiment || undefined,
       marketRegime: marketRegime || undefined,
       livePrice: isFinite(livePrice) ? Number(livePrice) : undefined,
@@ -325,8 +682,8 @@ async function processBestSignal(signal) {
       timestamp: new Date().toISOString()
     };
 
-    // Registra o sinal (id) antes do envio — caso barrado, fica registrado como tentado
-    const signalId = performanceTracker.recordSignal(signalData);
+    // ID reservado antes do envio (entregas e monitor usam o mesmo); o tracker só registra o que foi enviado
+    signalId = performanceTracker.generateSignalId();
     signalData.signalId = signalId;
 
     // 🔎 Emissão (faz o pré-check internamente). Só cria monitor se enviar com sucesso.
@@ -334,6 +691,8 @@ async function processBestSignal(signal) {
     console.log(`📤 Resultado do envio para ${signal.symbol}: ${sendResult ? 'SUCESSO' : 'FALHA/BARRADO'}`);
 
     if (sendResult) {
+      performanceTracker.recordSignal(signalData);
+
       // Criar monitor APÓS emitir, usando os mesmos níveis publicados
       const monitor = telegramBot.createMonitor(
         signal.symbol, 
@@ -346,30 +705,73 @@ async function processBestSignal(signal) {
 
       if (!monitor) {
         console.error(`❌ Falha ao criar monitor para ${signal.symbol}`);
-        return;
+        // o seletor repõe a vaga com o próximo candidato: o registro do tracker é descartado
+        events.emit('signal.blocked', {
+          signalId,
+          symbol: signal.symbol,
+          timeframe: signal.timeframe,
+          score: signal.score,
+          stage: 'emitter',
+          reason: 'monitor não criado'
+        });
+        return false;
       }
+      monitorId = monitor.id;
 
       console.log(`✅ Sinal processado com sucesso para ${signal.symbol}`);
-      
+      events.emit('signal.emitted', {
+        signalId,
+        monitorId: monitor.id,
+        symbol: signal.symbol,
+        timeframe: signal.timeframe,
+        trend: signal.trend,
+        entry: monitor.entry,
+        targets: [...monitor.targets],
+        stopLoss: monitor.stopLoss,
+        score: signal.score,
+        btcRho: signal.btcRho,
+        // paper trading e execução (assinantes) abrem ao preço atual
+        price: Number(livePrice) > 0 ? Number(livePrice) : undefined
+      });
+
       await telegramBot.startPriceMonitoring(
-        signal.symbol, 
+        monitor.id,
         levels.entry, 
         levels.targets, 
         levels.stopLoss, 
         binanceService, 
-        signalData, 
-        app, 
-        adaptiveScoring
+        signalData
       );
       
       console.log(`✅ Sinal enviado: ${signal.symbol} ${signal.timeframe} (${signal.score.toFixed(1)}%)`);
+      return true;
     } else {
       console.log(`ℹ️ Emissão não confirmada/barrada pelo pré-check — nenhum monitor criado para ${signal.symbol}`);
+      events.emit('signal.blocked', {
+        signalId,
+        symbol: signal.symbol,
+        timeframe: signal.timeframe,
+        score: signal.score,
+        stage: 'emitter',
+        reason: 'emissão não confirmada pelo pré-check/canais'
+      });
+      return false;
     }
 
   } catch (error) {
     console.error(`❌ Erro ao processar sinal ${signal.symbol}:`, error.message);
-    telegramBot.removeMonitor(signal.symbol, 'ERROR');
+    if (monitorId) telegramBot.removeMonitor(monitorId, 'ERROR');
+    if (signalId) {
+      events.emit('signal.blocked', {
+        signalId,
+        symbol: signal.symbol,
+        timeframe: signal.timeframe,
+        score: signal.score,
+        stage: 'emitter',
+        reason: `erro: ${error.message}`
+      });
+    }
+    return false;
   }
 }
 
@@ -395,11 +797,17 @@ app.use('/api/binance', binanceRoutes);
 app.use('/api/signals', signalRoutes);
 app.use('/api/system', systemRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/paper', paperRoutes);
+app.use('/api/execution', executionRoutes);
+app.use('/api/config', configRoutes);
+app.use('/api/universe', universeRoutes);
 
 app.get('/api/status', (req, res) => {
   try {
-    const activeMonitors = Array.from(telegramBot.activeMonitors.entries()).map(([symbol, monitor]) => ({
-      symbol,
+    const activeMonitors = Array.from(telegramBot.activeMonitors.entries()).map(([id, monitor]) => ({
+      id,
+      symbol: monitor.symbol,
+      timeframe: monitor.timeframe,
       entry: monitor.entry,
       targetsHit: monitor.targetsHit,
       targetsRemaining: monitor.targets.length,
@@ -415,8 +823,19 @@ app.get('/api/status', (req, res) => {
       activeMonitors: telegramBot.activeMonitors.size,
       isTraining: machineLearning.isTraining(),
       activeSymbols: telegramBot.getActiveSymbols(),
+      emissionPause: telegramBot.emissionPause,
+      telegramChannels: telegramBot.getDistributionStatus(),
+      events: events.getStats(),
+      dashboardFeed: dashboardFeed.getStatus(),
+      auth: auth.getStatus(),
+      config: { version: config.version, updatedAt: config.updatedAt, updatedBy: config.updatedBy },
+      universe: { count: universe.symbols.length, source: universe.source, refreshedAt: universe.refreshedAt },
       lastAnalysis: lastAnalysisTime,
       analysisCount: analysisCount,
+      analysisScheduler: analysisScheduler.getStatus({ history: false }),
+      signalSelection: signalSelector.getStatus(telegramBot.activeMonitors),
+      confluence: { enabled: timeframeConfluence.enabled, timeframes: timeframeConfluence.timeframes, ...timeframeConfluence.stats },
+      computePool: computePool.getStatus(),
       machineLearning: machineLearning.getTrainingStats(),
       adaptiveStats: {
         marketRegime: marketRegimeService.getCurrentRegime(),
@@ -473,6 +892,76 @@ app.get('/api/market/sentiment', async (req, res) => {
   }
 });
 
+// Fontes de dados de mercado: saúde por venue e tabela de rotas
+app.get('/api/market/venues', (req, res) => {
+  res.json(binanceService.getMarketDataStatus());
+});
+
+// Agendador da análise: gatilho, concorrência e métricas dos últimos ciclos
+app.get('/api/analysis/scheduler', (req, res) => {
+  res.json({ ...analysisScheduler.getStatus(), analyzing: isAnalyzing, analysisCount });
+});
+
+// Seleção de sinais: limites, cotas usadas, exposição aberta e o último ranking (aprovados e motivos)
+app.get('/api/analysis/selection', (req, res) => {
+  res.json(signalSelector.getStatus(telegramBot.activeMonitors));
+});
+
+// Confluência multi-timeframe: configuração, contadores e as últimas avaliações por timeframe
+app.get('/api/analysis/confluence', (req, res) => {
+  res.json(timeframeConfluence.getStatus());
+});
+
+// Pool de worker threads: workers, fila, timeouts/quedas e tempo médio por tarefa
+app.get('/api/analysis/compute', (req, res) => {
+  res.json(computePool.getStatus());
+});
+
+// Dispara um ciclo completo agora (todos os timeframes); responde sem esperar o ciclo terminar
+app.post('/api/analysis/run', requireRole('operator'), (req, res) => {
+  if (isAnalyzing) return res.status(409).json({ error: 'Análise já em andamento' });
+  analyzeSignals({ trigger: 'manual' });
+  res.status(202).json({ success: true, cycle: analysisCount });
+});
+
+// Modo replay: estado do relógio simulado
+app.get('/api/replay/status', (req, res) => {
+  if (!replayClock) return res.status(404).json({ error: 'Modo replay desativado (REPLAY_ENABLED=false)' });
+  res.json(replayClock.getStatus());
+});
+
+// Modo replay: avança o relógio (body { minutes } ou { until: ISO/ms }); responde após os timers vencidos
+app.post('/api/replay/advance', requireRole('operator'), async (req, res) => {
+  if (!replayClock) return res.status(404).json({ error: 'Modo replay desativado (REPLAY_ENABLED=false)' });
+  if (replayClock.isRunning() || replayClock.isAdvancing()) {
+    return res.status(409).json({ error: 'Relógio em avanço automático (REPLAY_SPEED > 0) ou avanço em andamento' });
+  }
+  try {
+    const { minutes, until } = req.body || {};
+    const target = until !== undefined ? Number(until) || Date.parse(until) : now() + Number(minutes || 1) * 60000;
+    if (!Number.isFinite(target)) return res.status(400).json({ error: 'Informe minutes ou until' });
+    await replayClock.advanceTo(target);
+    res.json(replayClock.getStatus());
+  } catch (error) {
+    console.error('Erro na rota /api/replay/advance:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Contratos USDT lineares listados nas venues (?quote=USDT&venue=okx)
+app.get('/api/market/symbols', async (req, res) => {
+  try {
+    const quote = String(req.query.quote || 'USDT').toUpperCase();
+    const venue = req.query.venue ? String(req.query.venue).toLowerCase() : null;
+    const symbols = await binanceService.listSymbols(quote);
+    const filtered = venue ? symbols.filter((s) => s.venues.includes(venue)) : symbols;
+    res.json({ count: filtered.length, symbols: filtered });
+  } catch (error) {
+    console.error('Erro na rota /api/market/symbols:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/backtest/results', (req, res) => {
   try {
     const report = backtesting.generateReport();
@@ -488,15 +977,22 @@ app.get('/api/backtest/results', (req, res) => {
   }
 });
 
-app.post('/api/backtest/run/:symbol', async (req, res) => {
+// Aceita "BTC/USDT" codificado (%2F) ou em dois segmentos (/run/BTC/USDT)
+app.post('/api/backtest/run/:symbol/:quote?', requireRole('operator'), async (req, res) => {
   try {
-    const { symbol } = req.params;
-    console.log(`🧪 Executando backtesting para ${symbol}...`);
+    const symbol = req.params.quote ? `${req.params.symbol}/${req.params.quote}` : req.params.symbol;
+    const timeframe = String(req.query.timeframe || req.body?.timeframe || '5m');
+    const limit = Math.min(1500, Math.max(500, Number(req.query.limit || req.body?.limit) || 1500));
+    console.log(`🧪 Executando backtesting para ${symbol} ${timeframe}...`);
     
-    const data = await binanceService.getOHLCVData(symbol, '1h', 1000);
+    const data = await binanceService.getOHLCVData(symbol, timeframe, limit);
     
     if (data && data.close && data.close.length >= 500) {
-      const result = await backtesting.runBacktest(symbol, data, technicalAnalysis, signalScoring, machineLearning);
+      const result = await backtesting.runBacktest(symbol, data, {
+        timeframe,
+        maxBarsInTrade: Number(req.query.maxBars || req.body?.maxBars) || null
+      });
+      if (!result) return res.status(500).json({ error: 'Erro no backtesting' });
       res.json(result);
     } else {
       res.status(400).json({ error: 'Dados insuficientes para backtesting' });
@@ -517,7 +1013,7 @@ app.get('/api/volatility/alerts', async (req, res) => {
   }
 });
 
-app.post('/api/telegram/test', async (req, res) => {
+app.post('/api/telegram/test', requireRole('operator'), async (req, res) => {
   try {
     if (!telegramBot.isEnabled) {
       return res.status(400).json({ error: 'Telegram não configurado' });
@@ -555,11 +1051,22 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../dist/index.html'));
 });
 
-// Agendamentos (respeitam SCHEDULE_CONFIG, mas mantive explícito)
-schedule.scheduleJob('0 */2 * * *', () => {
-  console.log('\n⏰ Agendamento: Iniciando análise de sinais...');
-  analyzeSignals();
-});
+// Agendamentos: ANALYSIS_TRIGGER=cron mantém a cadência fixa de SCHEDULE_CONFIG; no modo 'candle'
+// (padrão) o AnalysisScheduler dispara a análise no fechamento do candle (ligado no startBot)
+if (analysisScheduler.trigger === 'cron') {
+  if (replayClock) {
+    // Replay: mesma cadência (2h), em tempo simulado
+    replayClock.setInterval(() => {
+      console.log(`\n⏰ [Replay] Agendamento: Iniciando análise de sinais (${new Date(now()).toISOString()})...`);
+      return analyzeSignals({ trigger: 'cron' });
+    }, 2 * 60 * 60 * 1000);
+  } else {
+    schedule.scheduleJob(SCHEDULE_CONFIG.SIGNAL_ANALYSIS, () => {
+      console.log('\n⏰ Agendamento: Iniciando análise de sinais...');
+      analyzeSignals({ trigger: 'cron' });
+    });
+  }
+}
 
 schedule.scheduleJob('0 11,23 * * *', () => {
   console.log('\n⏰ Agendamento: Iniciando análise de sentimento...');
@@ -573,13 +1080,20 @@ schedule.scheduleJob('0 23 * * 0', async () => {
     if (performanceTracker.shouldSendWeeklyReport()) {
       const weeklyReport = performanceTracker.generateWeeklyReport();
       
-      if (weeklyReport.hasData && telegramBot.isEnabled) {
-        const message = formatWeeklyReportMessage(weeklyReport);
-        await telegramBot.bot.sendMessage(telegramBot.chatId, message, { parse_mode: 'Markdown' });
+      if (weeklyReport.hasData && (telegramBot.isEnabled || notifier.hasExternalSinks())) {
+        // mesmo relatório do /performance week (bruto × líquido, custos, long/short)
+        const message = performanceTracker.formatWeeklyReportMessage(weeklyReport);
+        await notifier.publish('weekly_report', {
+          text: message,
+          format: 'html',
+          data: { period: weeklyReport.period, summary: weeklyReport.summary, sides: weeklyReport.performance.sides },
+          // canal padrão pela fila do bot (rate limit, circuit breaker, fallback de formato)
+          telegram: () => telegramBot.isEnabled && telegramBot._sendMessageSafe(message)
+        });
         performanceTracker.markWeeklyReportSent();
         console.log('✅ Relatório semanal enviado');
       } else {
-        console.log('ℹ️ Relatório semanal não enviado - dados insuficientes ou Telegram desabilitado');
+        console.log('ℹ️ Relatório semanal não enviado - dados insuficientes ou nenhum canal configurado');
       }
     }
   } catch (error) {
@@ -587,38 +1101,6 @@ schedule.scheduleJob('0 23 * * 0', async () => {
   }
 });
 
-/**
- * Formata mensagem do relatório semanal
- */
-function formatWeeklyReportMessage(report) {
-  const { summary, performance, insights } = report;
-  
-  return `📊 *RELATÓRIO SEMANAL SINAIS LOBO SCALPING*
-
-📅 *Período:* ${new Date(report.period.start).toLocaleDateString('pt-BR')} - ${new Date(report.period.end).toLocaleDateString('pt-BR')}
-
-📈 *PERFORMANCE GERAL:*
-• Total de operações: ${summary.totalTrades}
-• Taxa de acerto: ${summary.winRate}%
-• P&L total: ${summary.totalRiskAdjustedPnL > 0 ? '+' : ''}${summary.totalRiskAdjustedPnL}%
-• Lucro realizado: ${summary.realizedProfit}%
-• Média de alvos: ${summary.avgTargetsHit}
-
-🛡️ *GESTÃO DE RISCO:*
-• Stop móvel ativado: ${report.stopMobileActivations || 0} vezes
-• Média alvos no stop móvel: ${(report.stopMobileAvgTargets || 0).toFixed(1)}
-• Taxa de realização: ${summary.profitRealizationRatio}
-
-🏆 *MELHOR OPERAÇÃO:*
-${performance.bestTrade ? `• ${performance.bestTrade.symbol}: ${performance.bestTrade.pnl} (${performance.bestTrade.targetsHit}/6 alvos)` : '• Nenhuma operação concluída'}
-
-💡 *INSIGHTS:*
-${insights.map(insight => `• ${insight}`).join('\n')}
-
-👑 *Sinais Lobo Scalping*
-⏰ ${new Date().toLocaleString('pt-BR')}`;
-}
-
 setInterval(async () => {
   try {
     await binanceService.cleanupOrphanedWebSockets();
@@ -647,15 +1129,47 @@ async function startBot() {
     } else {
       console.log('⚠️ Telegram Bot em modo simulado');
     }
+
+    // ♻️ Monitores abertos antes do restart: replay do período offline + religa o monitoramento
+    await telegramBot.resumeMonitors(binanceService);
+
+    // Execução: reconciliação periódica das posições abertas com a exchange e os monitores
+    orderExecution.start();
+
+    await telegramCommands.start().catch((e) => console.error('❌ Comandos do Telegram:', e.message));
     
-    console.log(`📊 Monitorando ${CRYPTO_SYMBOLS.length} símbolos`);
-    console.log(`⏰ Análise automática a cada 2 horas`);
+    // Universo de símbolos: primeiro refresh antes da primeira análise, depois a cada UNIVERSE_REFRESH_MINUTES
+    await universe.start().catch((e) => console.error('❌ Universo de símbolos:', e.message));
+
+    console.log(`📊 Monitorando ${universe.getSymbols().length} símbolos (${universe.source})`);
+    console.log(
+      analysisScheduler.trigger === 'candle'
+        ? `⏰ Análise automática no fechamento de cada candle de ${analysisScheduler.triggerTimeframe}`
+        : `⏰ Análise automática: ${SCHEDULE_CONFIG.SIGNAL_ANALYSIS} (cron)`
+    );
     console.log(`🎯 Threshold mínimo: ${TRADING_CONFIG.MIN_SIGNAL_PROBABILITY}%`);
     
-    setTimeout(() => {
-      console.log('\n🎯 Executando primeira análise...');
-      analyzeSignals();
-    }, 30000);
+    if (analysisScheduler.trigger === 'candle') {
+      // Análise a cada fechamento de candle: a primeira sai no próximo fechamento
+      analysisScheduler.start((ctx) => analyzeSignals(ctx));
+    }
+
+    if (replayClock) {
+      // Replay: primeira análise no instante inicial; o relógio anda sozinho se REPLAY_SPEED > 0
+      // (REPLAY_SPEED=0 → avanço manual via POST /api/replay/advance)
+      if (analysisScheduler.trigger === 'cron') {
+        replayClock.setTimeout(() => {
+          console.log('\n🎯 Executando primeira análise...');
+          return analyzeSignals({ trigger: 'startup' });
+        }, 0);
+      }
+      replayClock.start();
+    } else if (analysisScheduler.trigger === 'cron') {
+      setTimeout(() => {
+        console.log('\n🎯 Executando primeira análise...');
+        analyzeSignals({ trigger: 'startup' });
+      }, 30000);
+    }
     
     console.log('\n✅ Bot Lobo Cripto iniciado com sucesso!');
     
@@ -670,6 +1184,13 @@ process.on('SIGINT', () => {
   
   try {
     binanceService.closeAllWebSockets();
+    dashboardFeed.stop();
+    universe.stop();
+    analysisScheduler.stop();
+    computePool.close();
+    orderExecution.stop();
+    telegramCommands.stop();
+    storage.flushSync();
     schedule.gracefulShutdown();
     console.log('✅ Bot encerrado graciosamente');
     process.exit(0);
@@ -684,6 +1205,13 @@ process.on('SIGTERM', () => {
   
   try {
     binanceService.closeAllWebSockets();
+    dashboardFeed.stop();
+    universe.stop();
+    analysisScheduler.stop();
+    computePool.close();
+    orderExecution.stop();
+    telegramCommands.stop();
+    storage.flushSync();
     schedule.gracefulShutdown();
     console.log('✅ Bot encerrado graciosamente');
     process.exit(0);
@@ -710,6 +1238,8 @@ server.on('error', (error) => {
   }
 });
 
+await dashboardFeed.attachServer(server);
+
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`🌐 Servidor rodando na porta ${PORT}`);
   console.log(`🔗 Acesse: http://localhost:${PORT}`);
@@ -4,6 +4,8 @@
 
 // Lista das 70 principais criptomoedas de futuros perpétuos (excluindo stablecoins)
 // OBS: Mantido exatamente conforme solicitado; apenas removida a duplicidade de 1000PEPE/USDT
+// Lista fixa: base com UNIVERSE_ENABLED=false e fallback quando a venue não responde — com o universo
+// dinâmico ligado, pares delistados ou sem liquidez saem sozinhos (ver UNIVERSE_CONFIG)
 export const CRYPTO_SYMBOLS = [
   'BTC/USDT', 'ETH/USDT', 'BNB/USDT', 'XRP/USDT', 'ADA/USDT',
   'DOGE/USDT', 'SOL/USDT', 'TRX/USDT', 'DOT/USDT', 'POL/USDT',
@@ -23,7 +25,6 @@ export const CRYPTO_SYMBOLS = [
 
   // ➕ Ativos adicionais sugeridos para scalping (boa liquidez em perp):
   '1000FLOKI/USDT', 'ENA/USDT', 'AEVO/USDT', 'ONDO/USDT', 'JASMY/USDT'
-  // Observação: mantenha apenas se houver suporte na(s) exchange(s) alvo do bot.
 ];
 
 // Timeframes para análise (mantidos)
@@ -146,16 +147,331 @@ export const CORRELATION_CONFIG = {
   STRONG_STRENGTH: 70     // fronteira “forte”
 };
 
-// 🔒 Rate limit lógico para emissão de sinais (garante no máximo 1 sinal/2h)
+/**
+ * 🧠 Scoring adaptativo (AdaptiveScoringService): ajuste de pesos e blacklist por desempenho
+ */
+export const ADAPTIVE_CONFIG = {
+  mlWeight: 0.25, // peso inicial do ML (ponto de partida do ajuste por desempenho)
+  minTradesForAdjustment: 10,
+  adjustmentFactor: 0.1,
+  blacklistThreshold: 0.3, // 30% win rate
+  blacklistDuration: 24 * 60 * 60 * 1000, // 24h
+  performanceWindow: 50
+};
+
+/**
+ * 🛡️ Guardas da emissão (TelegramBotService)
+ * - COUNTER_TREND: barra sinal contra o BTC forte sem reversão clara
+ *   (env: COUNTERTREND_GUARD_ENABLED, COUNTERTREND_MIN_DISPLAY_PROB, COUNTERTREND_STRONG_STRENGTH, COUNTERTREND_MIN_MACD_ABS)
+ * - BTC_TREND: quando falar de "tendência do BTC" na mensagem
+ *   (env: BTC_TREND_MIN_STRENGTH, BTC_TREND_ENFORCE_TF, BTC_ALIGNMENT_REQUIRE_EXPLICIT, SHOW_UNCERTAIN_BTC_FACTOR)
+ * - PRECHECK: anti-late-entry (fração já percorrida até o TP1) e desvio adverso máximo da entrada
+ * Env e ajustes em runtime são aplicados pelo ConfigService (GET/PATCH /api/config)
+ */
+export const EMISSION_GUARDS = {
+  COUNTER_TREND: {
+    ENABLED: true,
+    MIN_DISPLAY_PROB: 75, // %
+    STRONG_STRENGTH: 67, // 0..100
+    MIN_MACD_ABS_FOR_REVERSAL: 0.0015
+  },
+  BTC_TREND: {
+    MIN_STRENGTH: 70,
+    ENFORCE_TF_MATCH: true,
+    REQUIRE_EXPLICIT_ALIGNMENT: true,
+    SHOW_UNCERTAIN_BTC_FACTOR: false
+  },
+  PRECHECK: {
+    TP1_MAX_PROGRESS: 0.8, // bloqueia com ≥80% do caminho entrada→TP1 já percorrido
+    ADV_SLIPPAGE_MAX: 0.003 // 0.30% adverso máx.
+  }
+};
+
+// 🔒 Rate limit lógico para emissão de sinais (SignalSelector): cota global por janela + cota por par
+// Env: SIGNALS_PER_WINDOW, SIGNALS_PER_PAIR
 export const RATE_LIMITING = {
-  GLOBAL_SIGNAL_COOLDOWN_MS: 2 * 60 * 60 * 1000, // 2 horas
-  MAX_SIGNALS_PER_WINDOW: 1,                     // 1 sinal por janela
-  SCOPE: 'global'                                 // 'global' | 'por-par' (ajuste conforme necessidade)
+  GLOBAL_SIGNAL_COOLDOWN_MS: 2 * 60 * 60 * 1000, // janela global: 2 horas (backtest: intervalo entre sinais)
+  MAX_SIGNALS_PER_WINDOW: 3,                     // sinais emitidos por janela global
+  PAIR_COOLDOWN_MS: 4 * 60 * 60 * 1000,          // janela por par: 4 horas
+  MAX_SIGNALS_PER_PAIR: 2                        // sinais do mesmo símbolo por janela do par (= exposição máx. por símbolo do RiskManagement)
+};
+
+/**
+ * 🧺 Seleção dos sinais do ciclo (SignalSelector): ranqueia todos os candidatos válidos por score e emite
+ *   até MAX_PER_CYCLE, respeitando as cotas de RATE_LIMITING e o portfólio já aberto
+ * - Diversificação: no máx. MAX_CORRELATED_SAME_SIDE posições (abertas + selecionadas) na mesma direção
+ *   efetiva do BTC entre pares com |ρ| ≥ CORRELATION_THRESHOLD (long com ρ negativo conta como short de BTC)
+ * - Orçamento de risco: soma das distâncias entrada→stop (%) das posições abertas e novas ≤ MAX_OPEN_RISK_PCT
+ *   (nocional igual por posição, como na execução; stop já movido para o lucro não conta)
+ * Env: SIGNALS_PER_CYCLE, SIGNAL_MAX_CORRELATED, SIGNAL_MAX_OPEN_RISK_PCT
+ */
+export const SIGNAL_SELECTION_CONFIG = {
+  MAX_PER_CYCLE: 3,
+  CORRELATION_THRESHOLD: 0.7,
+  MAX_CORRELATED_SAME_SIDE: 3,
+  MAX_OPEN_RISK_PCT: 10,
+  HISTORY_LIMIT: 200
+};
+
+/**
+ * 🧭 Confluência multi-timeframe (TimeframeConfluenceService): tendência dos timeframes maiores como bússola
+ *   da entrada no 1m/5m (a ideia de COUNTER_TREND.SHORT_TERM_TIMEFRAMES, aplicada a todo sinal válido)
+ * - Alinhamento de -1 (todos contra) a +1 (todos a favor), ponderado por WEIGHTS e pela força da tendência;
+ *   só entram timeframes maiores que o do sinal
+ * - ≥ 0: bônus de até MAX_BOOST pontos; entre BLOCK_SCORE e 0: penalidade de até MAX_PENALTY; ≤ BLOCK_SCORE: barrado
+ * Env: CONFLUENCE_ENABLED, CONFLUENCE_TIMEFRAMES (ex.: 15m,1h,4h), CONFLUENCE_BLOCK_SCORE, CONFLUENCE_MAX_BOOST, CONFLUENCE_MAX_PENALTY
+ */
+export const CONFLUENCE_CONFIG = {
+  ENABLED: true,
+  TIMEFRAMES: ['15m', '1h', '4h'],
+  WEIGHTS: { '15m': 1, '30m': 1, '1h': 1.5, '2h': 1.5, '4h': 2, '1d': 2 },
+  CANDLES: 200,                 // MA longa precisa de ~180 candles
+  CACHE_TTL_MS: 60 * 1000,      // 1m e 5m do mesmo par reaproveitam a leitura
+  MAX_BOOST: 10,
+  MAX_PENALTY: 10,
+  BLOCK_SCORE: -0.5
+};
+
+/**
+ * 🔀 Fontes de dados de mercado (MarketDataRouter)
+ * - VENUES: ordem padrão de preferência (failover na sequência)
+ * - ROUTES: ordem específica por símbolo (ex.: pares que não existem na Binance Futures)
+ * Env: MARKET_DATA_VENUES=binance,bybit,okx | MARKET_DATA_ROUTES=XYZ/USDT=okx|bybit;ABC/USDT=bybit
+ */
+export const MARKET_DATA_CONFIG = {
+  VENUES: ['binance', 'bybit', 'okx'],
+  ROUTES: {}
+};
+
+/**
+ * 🌐 Universo dinâmico de símbolos (SymbolUniverseService)
+ * - Parte dos contratos lineares USDT da venue (VENUE) e aplica os filtros de liquidez/idade/spread;
+ *   contratos delistados ou suspensos saem sozinhos no refresh seguinte
+ * - MAX_SYMBOLS: teto do universo, por volume 24h (inclusões manuais entram antes)
+ * - INCLUDE força a entrada (se o contrato negocia); EXCLUDE sempre tira — editáveis via /api/universe
+ * - Desligado (ou sem markets/tickers da venue): CRYPTO_SYMBOLS + INCLUDE − EXCLUDE
+ * Env: UNIVERSE_ENABLED, UNIVERSE_VENUE, UNIVERSE_MIN_VOLUME_USDT, UNIVERSE_MIN_OPEN_INTEREST_USDT,
+ *      UNIVERSE_MIN_LISTING_DAYS, UNIVERSE_MAX_SPREAD_PCT, UNIVERSE_MAX_SYMBOLS, UNIVERSE_REFRESH_MINUTES,
+ *      UNIVERSE_INCLUDE=XYZ/USDT,ABC/USDT | UNIVERSE_EXCLUDE=...
+ */
+export const UNIVERSE_CONFIG = {
+  ENABLED: true,
+  VENUE: 'binance',
+  QUOTE: 'USDT',
+  MIN_VOLUME_USDT: 50_000_000,
+  MIN_OPEN_INTEREST_USDT: 10_000_000,
+  MIN_LISTING_DAYS: 30,
+  MAX_SPREAD_PCT: 0.05,
+  MAX_SYMBOLS: 75,
+  REFRESH_MINUTES: 60,
+  INCLUDE: [],
+  EXCLUDE: ['USDC/USDT', 'FDUSD/USDT', 'TUSD/USDT']
+};
+
+/**
+ * 📡 Feed em tempo real do dashboard (WebSocket em /api/feed)
+ * - Eventos do EventBus repassados na hora; monitores com P&L ao vivo a cada MONITORS_INTERVAL_MS
+ * - Preços só dos símbolos que o cliente assinar (stream de ticker da venue ou polling sem WS)
+ */
+export const FEED_CONFIG = {
+  PATH: '/api/feed',
+  HEARTBEAT_MS: 15 * 1000,
+  MONITORS_INTERVAL_MS: 2000,
+  PRICE_THROTTLE_MS: 1000,
+  PRICE_POLL_MS: 5000,
+  TICKER_REFRESH_MS: 60 * 1000,
+  MAX_CLIENTS: 50,
+  MAX_SYMBOLS_PER_CLIENT: 12
+};
+
+/**
+ * 📡 Streams WebSocket (StreamMultiplexer): uma conexão combinada por venue/endpoint
+ * - Reconexão com backoff exponencial (+ jitter); após FAILOVER_AFTER_ATTEMPTS falhas seguidas o roteador
+ *   reassina as streams na próxima venue da rota
+ * - Sem mensagens por STALE_MS a conexão é considerada morta e reaberta
+ */
+export const STREAM_CONFIG = {
+  PING_MS: 20 * 1000,
+  STALE_MS: 45 * 1000,
+  RECONNECT_BASE_MS: 1000,
+  RECONNECT_MAX_MS: 60 * 1000,
+  FAILOVER_AFTER_ATTEMPTS: 3,
+  MAX_TOPICS_PER_CONNECTION: 200
+};
+
+/**
+ * 💸 Custos de execução (usados pelo CostModelService: backtest, P&L dos monitores e relatórios)
+ * - Taxas em % do nocional; slippage em bps (aplicado só a ordens a mercado/taker)
+ * - Funding em % por período; positivo = comprados pagam vendidos
+ */
+export const COST_CONFIG = {
+  FEE_TIER: 'VIP0',
+  FEE_TIERS: {
+    VIP0: { maker: 0.02, taker: 0.05 },
+    VIP1: { maker: 0.016, taker: 0.04 },
+    VIP2: { maker: 0.014, taker: 0.035 },
+    VIP3: { maker: 0.012, taker: 0.032 }
+  },
+
+  // Tipo de ordem por perna: entrada a mercado, alvos como limit (maker), stops a mercado
+  ORDER_TYPES: {
+    entry: 'taker',
+    target: 'maker',
+    stop: 'taker',
+    exit: 'taker'
+  },
+
+  SLIPPAGE_BPS: {
+    DEFAULT: 3,
+    'BTC/USDT': 1,
+    'ETH/USDT': 1.5
+  },
+
+  FUNDING: {
+    SOURCE: 'file',                  // 'file' | 'exchange' | 'none'
+    FILE: 'data/funding-rates.json', // { "BTC/USDT": [{ "time": ms, "rate": 0.01 }] }
+    DEFAULT_RATE: 0.01,              // % por período quando não há histórico
+    INTERVAL_HOURS: 8
+  },
+
+  LEVERAGE: 15
+};
+
+/**
+ * 🧪 Paper trading (PaperTradingService): conta simulada que segue os sinais emitidos
+ * - Margem isolada por posição (% do equity na abertura) e alavancagem fixa
+ * - Entradas/stops a mercado preenchidos contra um livro sintético: meio-spread = slippage do
+ *   COST_CONFIG e LEVELS níveis de LEVEL_NOTIONAL (USDT) espaçados STEP_BPS
+ */
+export const PAPER_TRADING_CONFIG = {
+  INITIAL_BALANCE: 1000,          // USDT
+  MARGIN_PER_TRADE_PCT: 10,       // % do equity usado como margem por posição
+  LEVERAGE: 15,
+  MAINTENANCE_MARGIN_PCT: 0.5,    // % do nocional (define o preço de liquidação)
+
+  BOOK: {
+    LEVELS: 20,
+    STEP_BPS: 1,
+    LEVEL_NOTIONAL: {
+      DEFAULT: 15000,
+      'BTC/USDT': 250000,
+      'ETH/USDT': 120000
+    }
+  },
+
+  EQUITY_SNAPSHOT_MS: 5 * 60 * 1000, // resolução da curva de equity
+  MAX_EQUITY_POINTS: 5000,
+  MAX_CLOSED_POSITIONS: 500
+};
+
+/**
+ * ⚠️ Execução real de ordens (OrderExecutionService) — Binance Futures USDT-M
+ * - MODE: 'off' (padrão) | 'dry-run' (só loga as ordens) | 'live' (envia; exige API key/secret)
+ * - Env: EXECUTION_MODE, EXECUTION_MARGIN_USDT, EXECUTION_MAX_NOTIONAL_USDT, BINANCE_TESTNET=true
+ */
+export const EXECUTION_CONFIG = {
+  MODE: 'off',
+  MARGIN_PER_TRADE_USDT: 20,   // margem por sinal
+  LEVERAGE: 15,
+  MARGIN_MODE: 'isolated',
+  MAX_NOTIONAL_USDT: 500,      // teto do nocional por posição (sobrepõe margem × alavancagem)
+  MAX_OPEN_POSITIONS: 3,
+  STOP_WORKING_TYPE: 'MARK_PRICE',
+  RECONCILE_INTERVAL_MS: 30 * 1000
+};
+
+/**
+ * 📣 Distribuição dos sinais por canal do Telegram (premium, free, ...)
+ * - Canais em TELEGRAM_CHANNELS (JSON); sem ele, canal único "main" = TELEGRAM_CHAT_ID
+ * - Cada canal tem fila, circuit breaker e limite de envio próprios
+ * - TEMPLATES: 'full' (mensagem completa) | 'compact' (entrada, alvos e stop)
+ */
+export const DISTRIBUTION_CONFIG = {
+  RATE_LIMIT_PER_MINUTE: 20,   // limite do Telegram para grupos/canais
+  DEFAULT_TEMPLATE: 'full',
+  TEMPLATES: ['full', 'compact']
+};
+
+/**
+ * 🔔 Notificações (NotifierService): Telegram + Discord + webhooks HTTP
+ * - Env: DISCORD_WEBHOOK_URLS, WEBHOOK_URLS (vírgula), WEBHOOK_SECRET (assinatura HMAC-SHA256)
+ * - Sinks externos: até MAX_ATTEMPTS tentativas com backoff; depois vão para a dead-letter queue
+ */
+export const NOTIFIER_CONFIG = {
+  TIMEOUT_MS: 8000,
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_MS: 2000,
+  RETRY_MAX_MS: 5 * 60 * 1000,
+  MAX_DEAD_LETTERS: 500,
+  DISCORD_MAX_CHARS: 2000
+};
+
+/**
+ * 🔐 Autenticação da API HTTP (AuthService)
+ * - Papéis em ordem crescente: viewer (leitura) < operator (testes, backtest, halt) < admin (reset, conta, auditoria)
+ * - Env: API_KEYS (nome:papel:chave), AUTH_USERS (usuário:papel:scrypt$...), AUTH_JWT_SECRET, AUTH_ANONYMOUS_ROLE
+ * - Chamadas que alteram estado (POST/PUT/PATCH/DELETE) vão para o log de auditoria (coleção 'audit')
+ */
+export const AUTH_CONFIG = {
+  ROLES: ['viewer', 'operator', 'admin'],
+  SESSION_TTL_HOURS: 12,
+  LOGIN_MAX_FAILURES: 5,
+  LOGIN_LOCK_MS: 15 * 60 * 1000,
+  MAX_AUDIT_ENTRIES: 2000
+};
+
+/**
+ * ⚙️ Configuração em runtime (ConfigService): ajustes validados, versionados e aplicados sem reiniciar
+ * - Precedência: valor de constants.js < env < ajuste salvo via API (coleção 'config' do storage)
+ */
+export const RUNTIME_CONFIG = {
+  MAX_HISTORY: 100
+};
+
+/**
+ * 🧵 Pool de worker threads (ComputePool): indicadores, padrões, otimização de indicadores e inferência ML
+ *   rodam fora do event loop do Express
+ * - WORKERS: tamanho do pool (null = núcleos - 1, entre 1 e MAX_WORKERS); 0 desliga e tudo roda inline
+ * - TASK_TIMEOUT_MS: tarefa que passa do limite encerra o worker (o pool sobe outro) e falha a análise do par
+ * - Crash isola o worker: só a tarefa dele falha; mais de MAX_RESTARTS quedas em RESTART_WINDOW_MS desligam
+ *   o pool e os serviços voltam ao cálculo inline
+ * Env: COMPUTE_WORKERS, COMPUTE_TASK_TIMEOUT_MS
+ */
+export const COMPUTE_POOL_CONFIG = {
+  WORKERS: null,
+  MAX_WORKERS: 4,
+  TASK_TIMEOUT_MS: 15 * 1000,
+  MAX_QUEUE: 500,
+  MAX_RESTARTS: 5,
+  RESTART_WINDOW_MS: 60 * 1000
 };
 
 // Configurações de agendamento
+/**
+ * ⏱️ Agendador da análise (AnalysisScheduler)
+ * - TRIGGER 'candle': ciclo no fechamento de cada candle de TRIGGER_TIMEFRAME (+ CLOSE_DELAY_MS para a venue
+ *   fechar o candle), analisando só os timeframes que fecharam naquele instante; 'cron' usa SCHEDULE_CONFIG
+ * - Pool de CONCURRENCY análises simultâneas, no máx. MAX_STARTS_PER_SECOND inícios/s; erro 429 da exchange
+ *   pausa novos inícios por RATE_LIMIT_BACKOFF_MS
+ * - Job em timeout segue ocupando a vaga por até ORPHAN_GRACE_MS; depois disso é abandonado e a vaga libera
+ * - Prioridade: pares com maior score no ciclo anterior primeiro, depois a ordem do universo (volume 24h)
+ * Env: ANALYSIS_TRIGGER, ANALYSIS_TRIGGER_TIMEFRAME, ANALYSIS_CONCURRENCY, ANALYSIS_MAX_STARTS_PER_SECOND,
+ *      ANALYSIS_JOB_TIMEOUT_MS, ANALYSIS_ORPHAN_GRACE_MS
+ */
+export const ANALYSIS_SCHEDULER_CONFIG = {
+  TRIGGER: 'candle',
+  TRIGGER_TIMEFRAME: '5m',
+  CLOSE_DELAY_MS: 3000,
+  CONCURRENCY: 4,
+  MAX_STARTS_PER_SECOND: 5,
+  JOB_TIMEOUT_MS: 30 * 1000,
+  ORPHAN_GRACE_MS: 60 * 1000,
+  RATE_LIMIT_BACKOFF_MS: 10 * 1000,
+  METRICS_HISTORY: 20
+};
+
 export const SCHEDULE_CONFIG = {
-  // Mantido conforme sua estratégia: analisar a cada 2 horas e emitir no máx. 1 sinal/2h (com RATE_LIMITING)
+  // Com ANALYSIS_TRIGGER=cron: analisar a cada 2 horas (emissão limitada por RATE_LIMITING/SIGNAL_SELECTION_CONFIG)
   SIGNAL_ANALYSIS: '0 */2 * * *',      // A cada 2 horas
   MARKET_SENTIMENT: '0 11,23 * * *'    // A cada 12 horas (11h e 23h UTC = 8h e 20h Brasília)
 };
@@ -0,0 +1,49 @@
+/**
+ * Rotas de autenticação (login do dashboard, sessão atual, logout) e trilha de auditoria
+ */
+import { Router } from 'express';
+import { requireRole } from '../services/authService.js';
+
+const router = Router();
+
+// Login usuário/senha → JWT de sessão { token, user, role, expiresAt }
+router.post('/login', (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Usuário e senha são obrigatórios' });
+  }
+  try {
+    const session = req.app.auth.login(String(username), String(password), req.ip);
+    // a auditoria registra o login com o usuário que acabou de entrar
+    req.auth = { name: session.user, role: session.role, method: 'session' };
+    res.json(session);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Sessão atual (o dashboard decide entre tela de login e painel)
+router.get('/me', (req, res) => {
+  const principal = req.auth;
+  res.json({
+    authenticated: !!principal && principal.method !== 'anonymous',
+    user: principal?.name || null,
+    role: principal?.role || null,
+    method: principal?.method || null,
+    anonymousRole: req.app.auth.anonymousRole
+  });
+});
+
+// Revoga o token de sessão enviado
+router.post('/logout', (req, res) => {
+  req.app.auth.logout(req.auth);
+  res.json({ success: true });
+});
+
+// Chamadas que alteraram estado (?limit=100&user=fulano)
+router.get('/audit', requireRole('admin'), (req, res) => {
+  const entries = req.app.auth.getAudit({ limit: req.query.limit, user: req.query.user || null });
+  res.json({ count: entries.length, entries });
+});
+
+export default router;
@@ -4,6 +4,7 @@
 import { Router } from 'express';
 import BinanceService from '../services/binanceService.js';
 import { Logger } from '../services/logger.js';
+import { requireRole } from '../services/authService.js';
 
 const logger = new Logger('BinanceRoutes');
 const router = Router();
@@ -11,7 +12,7 @@ const binanceService = new BinanceService();
 
 // Middleware de autenticação
 router.use((req, res, next) => {
-  if (!process.env.BINANCE_API_KEY || !process.env.BINANCE_API_SECRET) {
+  if (!process.env.BINANCE_API_KEY || !(process.env.BINANCE_API_SECRET || process.env.BINANCE_SECRET)) {
     return res.status(401).json({ error: 'API Key do Binance não configurada' });
   }
   next();
@@ -53,11 +54,12 @@ router.get('/candles/:symbol/:interval', async (req, res) => {
   }
 });
 
-// Rota para obter ordens do mercado
-router.get('/orders/:symbol', async (req, res) => {
+// Rota para obter as ordens abertas da conta de futuros (BTCUSDT ou BTC-USDT; só admin)
+router.get('/orders/:symbol', requireRole('admin'), async (req, res) => {
+  const raw = req.params.symbol.toUpperCase().replace(/[-_]/, '/');
+  const symbol = raw.includes('/') ? raw : raw.replace(/(USDT|USDC|BUSD)$/, '/$1');
   try {
-    const symbol = req.params.symbol;
-    const orders = await binanceService.getMarketOrders(symbol);
+    const orders = await req.app.orderExecution.getOpenOrders(symbol);
     res.json(orders);
   } catch (error) {
     logger.error(`Erro ao obter ordens do mercado para ${symbol}:`, error);
@@ -65,10 +67,10 @@ router.get('/orders/:symbol', async (req, res) => {
   }
 });
 
-// Rota para obter informações de conta
-router.get('/account', async (req, res) => {
+// Rota para obter informações de conta (saldos: só admin)
+router.get('/account', requireRole('admin'), async (req, res) => {
   try {
-    const accountInfo = await binanceService.getAccountInfo();
+    const accountInfo = await req.app.orderExecution.getAccountInfo();
     res.json(accountInfo);
   } catch (error) {
     logger.error('Erro ao obter informações de conta:', error);
@@ -0,0 +1,72 @@
+/**
+ * Rotas da configuração runtime (leitura para todos; ajustes e rollback só admin)
+ */
+import { Router } from 'express';
+import { requireRole } from '../services/authService.js';
+
+const router = Router();
+
+function getConfig(req, res) {
+  const config = req.app.config;
+  if (!config) {
+    res.status(503).json({ error: 'Configuração runtime indisponível' });
+    return null;
+  }
+  return config;
+}
+
+// Valores atuais, padrão do boot (constants + env) e chaves alteradas
+router.get('/', (req, res) => {
+  const config = getConfig(req, res);
+  if (!config) return;
+  res.json(config.getState());
+});
+
+// JSON Schema (tipos, faixas, grupos) — o dashboard monta o formulário a partir dele
+router.get('/schema', (req, res) => {
+  const config = getConfig(req, res);
+  if (!config) return;
+  res.json(config.getJsonSchema());
+});
+
+// Versões anteriores com as mudanças de cada uma (?limit=20)
+router.get('/history', (req, res) => {
+  const config = getConfig(req, res);
+  if (!config) return;
+  const entries = config.getHistory(req.query.limit);
+  res.json({ version: config.version, count: entries.length, entries });
+});
+
+// Valida sem aplicar: { values: { "<chave>": valor } }
+router.post('/validate', requireRole('admin'), (req, res) => {
+  const config = getConfig(req, res);
+  if (!config) return;
+  const { errors } = config.validate(req.body?.values);
+  res.status(errors.length ? 400 : 200).json({ valid: errors.length === 0, errors });
+});
+
+// Aplica um ajuste como nova versão: { values: { "<chave>": valor }, reason? }
+router.patch('/', requireRole('admin'), (req, res) => {
+  const config = getConfig(req, res);
+  if (!config) return;
+  try {
+    const entry = config.update(req.body?.values, { by: req.auth?.name || null, reason: req.body?.reason || null });
+    res.json({ success: true, version: config.version, changes: entry.changes, values: config.values() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, errors: error.errors || [] });
+  }
+});
+
+// Volta ao estado de uma versão (0 = padrão do boot) — cria uma versão nova
+router.post('/rollback/:version', requireRole('admin'), (req, res) => {
+  const config = getConfig(req, res);
+  if (!config) return;
+  try {
+    const entry = config.rollback(req.params.version, { by: req.auth?.name || null });
+    res.json({ success: true, version: config.version, changes: entry.changes, values: config.values() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
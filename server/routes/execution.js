@@ -0,0 +1,61 @@
+/**
+ * Rotas da execução de ordens na Binance Futures (status e chave de emergência)
+ */
+import { Router } from 'express';
+import { Logger } from '../services/logger.js';
+import { requireRole } from '../services/authService.js';
+
+const logger = new Logger('ExecutionRoutes');
+const router = Router();
+
+function getExecution(req, res) {
+  const execution = req.app.orderExecution;
+  if (!execution) {
+    res.status(503).json({ error: 'Execução indisponível' });
+    return null;
+  }
+  return execution;
+}
+
+// Modo, limites, posições executadas e ordens recentes (enviadas ou pretendidas no dry-run)
+router.get('/status', (req, res) => {
+  const execution = getExecution(req, res);
+  if (!execution) return;
+  try {
+    res.json({ ...execution.getStatus(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error(`Erro ao obter status da execução: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bloqueia novas entradas (posições abertas seguem gerenciadas)
+router.post('/halt', requireRole('operator'), (req, res) => {
+  const execution = getExecution(req, res);
+  if (!execution) return;
+  execution.halt(req.body?.reason || 'api');
+  res.json({ success: true, halted: true });
+});
+
+// Libera novas entradas
+router.post('/resume', requireRole('operator'), (req, res) => {
+  const execution = getExecution(req, res);
+  if (!execution) return;
+  execution.resume();
+  res.json({ success: true, halted: false });
+});
+
+// Reconciliação imediata com a exchange
+router.post('/reconcile', requireRole('operator'), async (req, res) => {
+  const execution = getExecution(req, res);
+  if (!execution) return;
+  try {
+    await execution.reconcile();
+    res.json({ success: true, positions: execution.getStatus().positions });
+  } catch (error) {
+    logger.error(`Erro na reconciliação: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@
  * Rotas para sistema de notificações avançadas
  */
 import { Router } from 'express';
+import { requireRole } from '../services/authService.js';
 
 const router = Router();
 
@@ -13,6 +14,7 @@ router.get('/settings', (req, res) => {
         enabled: !!process.env.TELEGRAM_TOKEN,
         chatId: process.env.TELEGRAM_CHAT_ID ? 'Configurado' : 'Não configurado'
       },
+      sinks: req.app.notifier ? req.app.notifier.getStatus().sinks.map((s) => s.name) : ['telegram'],
       alerts: {
         volatility: true,
         performance: true,
@@ -49,8 +51,32 @@ router.get('/history', (req, res) => {
   }
 });
 
+// Sinks registrados (Telegram, Discord, webhooks) com entregas/retries/falhas
+router.get('/sinks', (req, res) => {
+  if (!req.app.notifier) return res.status(503).json({ error: 'Notifier não inicializado' });
+  res.json(req.app.notifier.getStatus());
+});
+
+// Dead-letter queue: eventos que esgotaram as tentativas
+router.get('/dead-letters', (req, res) => {
+  if (!req.app.notifier) return res.status(503).json({ error: 'Notifier não inicializado' });
+  res.json(req.app.notifier.getDeadLetters(req.query.limit));
+});
+
+// Reenvia a dead-letter queue (opcional: { sink: 'discord' })
+router.post('/dead-letters/retry', requireRole('operator'), async (req, res) => {
+  if (!req.app.notifier) return res.status(503).json({ error: 'Notifier não inicializado' });
+  try {
+    const summary = await req.app.notifier.retryDeadLetters(req.body?.sink || null);
+    res.json({ success: true, ...summary, remaining: req.app.notifier.deadLetters.length });
+  } catch (error) {
+    console.error('Erro ao reenviar dead-letters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Enviar notificação de teste
-router.post('/test', async (req, res) => {
+router.post('/test', requireRole('operator'), async (req, res) => {
   try {
     const { type = 'general' } = req.body;
     
@@ -0,0 +1,72 @@
+/**
+ * Rotas do paper trading (conta simulada que segue os sinais)
+ */
+import { Router } from 'express';
+import { Logger } from '../services/logger.js';
+import { requireRole } from '../services/authService.js';
+
+const logger = new Logger('PaperRoutes');
+const router = Router();
+
+function getPaper(req, res) {
+  const paper = req.app.paperTrading;
+  if (!paper) {
+    res.status(503).json({ error: 'Paper trading indisponível' });
+    return null;
+  }
+  return paper;
+}
+
+// Saldo, equity, margem e estatísticas da conta
+router.get('/account', (req, res) => {
+  const paper = getPaper(req, res);
+  if (!paper) return;
+  try {
+    res.json({ ...paper.getAccount(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Erro ao obter conta paper:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Posições abertas (?status=closed&limit=50 para o histórico)
+router.get('/positions', (req, res) => {
+  const paper = getPaper(req, res);
+  if (!paper) return;
+  try {
+    const { status = 'open', limit = 50, symbol } = req.query;
+    let positions = status === 'closed' ? paper.getClosedPositions(limit) : paper.getOpenPositions();
+    if (symbol) positions = positions.filter((p) => p.symbol === String(symbol).toUpperCase());
+    res.json({ count: positions.length, positions });
+  } catch (error) {
+    logger.error('Erro ao obter posições paper:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Curva de equity (?limit=500)
+router.get('/equity', (req, res) => {
+  const paper = getPaper(req, res);
+  if (!paper) return;
+  try {
+    const points = paper.getEquityCurve(req.query.limit).map((p) => ({ ...p, time: new Date(p.time).toISOString() }));
+    res.json({ count: points.length, points });
+  } catch (error) {
+    logger.error('Erro ao obter curva de equity:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reinicia a conta (apaga histórico e equity: só admin)
+router.post('/reset', requireRole('admin'), (req, res) => {
+  const paper = getPaper(req, res);
+  if (!paper) return;
+  try {
+    res.json(paper.reset());
+  } catch (error) {
+    logger.error('Erro ao reiniciar conta paper:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -3,25 +3,21 @@
  */
 import { Router } from 'express';
 import { Logger } from '../services/logger.js';
-import { analyzeSignals } from '../app.js';
+import { TRADING_CONFIG } from '../config/constants.js';
+import { requireRole } from '../services/authService.js';
 
 const logger = new Logger('SignalsRoutes');
 const router = Router();
 
-// Middleware de autenticação básica
-router.use((req, res, next) => {
-  const auth = req.headers.authorization;
-  if (!auth || auth !== process.env.API_AUTH_TOKEN) {
-    return res.status(401).json({ error: 'Token de autenticação inválido' });
-  }
-  next();
-});
+const ANALYZE_TIMEOUT_MS = 30000;
+const VALID_TIMEFRAMES = new Set(['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d']);
+const SYMBOL_RE = /^[A-Z0-9]{2,20}\/[A-Z0-9]{2,10}$/;
 
-// Rota para obter sinais atuais
+// Rota para obter sinais atuais (operações em monitoramento)
 router.get('/current', async (req, res) => {
   try {
-    const signals = await analyzeSignals();
-    res.json(signals);
+    const signals = getCurrentSignals(req.app);
+    res.json({ count: signals.length, signals, timestamp: new Date().toISOString() });
   } catch (error) {
     logger.error('Erro ao obter sinais atuais:', error);
     res.status(500).json({ error: error.message });
@@ -31,8 +27,24 @@ router.get('/current', async (req, res) => {
 // Rota para obter histórico de sinais
 router.get('/history', async (req, res) => {
   try {
-    const { limit = 50, offset = 0 } = req.query;
-    const history = await getSignalHistory(limit, offset);
+    const { limit = 50, offset = 0, symbol, timeframe, trend, outcome, from, to } = req.query;
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === false || toDate === false) {
+      return res.status(400).json({ error: 'Datas inválidas (use ISO 8601 ou timestamp em ms)' });
+    }
+
+    const history = getSignalHistory(req.app, {
+      limit,
+      offset,
+      symbol,
+      timeframe,
+      trend,
+      outcome,
+      from: fromDate,
+      to: toDate
+    });
     res.json(history);
   } catch (error) {
     logger.error('Erro ao obter histórico de sinais:', error);
@@ -41,14 +53,22 @@ router.get('/history', async (req, res) => {
 });
 
 // Rota para executar análise manual
-router.post('/analyze', async (req, res) => {
+router.post('/analyze', requireRole('operator'), async (req, res) => {
   try {
-    const { symbol, timeframe } = req.body;
+    const { symbol, timeframe } = req.body || {};
     if (!symbol || !timeframe) {
       return res.status(400).json({ error: 'Símbolo e timeframe são obrigatórios' });
     }
 
-    const signal = await analyzeSignal(symbol, timeframe);
+    const normalizedSymbol = String(symbol).toUpperCase();
+    if (!SYMBOL_RE.test(normalizedSymbol)) {
+      return res.status(400).json({ error: 'Símbolo inválido (formato esperado: BTC/USDT)' });
+    }
+    if (!VALID_TIMEFRAMES.has(String(timeframe))) {
+      return res.status(400).json({ error: `Timeframe inválido (aceitos: ${[...VALID_TIMEFRAMES].join(', ')})` });
+    }
+
+    const signal = await analyzeSignal(req.app, normalizedSymbol, String(timeframe));
     res.json(signal);
   } catch (error) {
     logger.error('Erro ao analisar sinal:', error);
@@ -56,18 +76,91 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+// Função auxiliar: operações abertas (monitores) enriquecidas com o registro do tracker
+function getCurrentSignals(app) {
+  const monitors = app.telegramBot ? Array.from(app.telegramBot.activeMonitors.values()) : [];
+  const tracked = app.performanceTracker?.signals || [];
+
+  return monitors.map((m) => {
+    const record = tracked.find((s) => s.id === m.signalId);
+    return {
+      id: m.id,
+      signalId: m.signalId,
+      symbol: m.symbol,
+      timeframe: record?.timeframe || m.timeframe,
+      trend: m.trend,
+      probability: record?.probability ?? null,
+      entry: m.entry,
+      targets: m.originalTargets,
+      remainingTargets: m.targets,
+      targetsHit: m.targetsHit,
+      stopLoss: m.stopLoss,
+      stopLossOriginal: m.stopLossOriginal,
+      isMobileStopActive: !!m.isMobileStopActive,
+      levelsHash: m.levelsHash,
+      startTime: m.startTime,
+      lastUpdate: m.lastUpdate
+    };
+  });
+}
+
 // Função auxiliar para obter histórico de sinais
-async function getSignalHistory(limit, offset) {
-  // Implementação específica do banco de dados
-  // Aqui seria chamada a função do serviço de histórico
-  return [];
+function getSignalHistory(app, query) {
+  if (!app.performanceTracker) {
+    return { total: 0, limit: Number(query.limit) || 50, offset: Number(query.offset) || 0, items: [] };
+  }
+  return app.performanceTracker.querySignals(query);
+}
+
+// Função auxiliar para análise manual de sinal (mesmo pipeline da análise automática, sem Telegram e sem alterar o estado do scoring)
+async function analyzeSignal(app, symbol, timeframe) {
+  if (typeof app.analyzeSymbolTimeframe !== 'function') {
+    throw new Error('Pipeline de análise indisponível');
+  }
+
+  const logPrefix = `[${symbol} ${timeframe}] [manual]`;
+  const result = await Promise.race([
+    app.analyzeSymbolTimeframe(symbol, timeframe, logPrefix, { commit: false }),
+    new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout na análise')), ANALYZE_TIMEOUT_MS))
+  ]);
+
+  // sem direção (NEUTRAL) não há sinal a emitir nem níveis
+  const directional = result.trend === 'BULLISH' || result.trend === 'BEARISH';
+  const levels = directional && app.signalScoring?.calculateTradingLevels
+    ? app.signalScoring.calculateTradingLevels(result.entry, result.trend)
+    : null;
+  const minProbability = TRADING_CONFIG.MIN_SIGNAL_PROBABILITY;
+
+  return {
+    symbol,
+    timeframe,
+    trend: result.trend,
+    entry: result.entry,
+    totalScore: result.totalScore,
+    isValid: result.isValid,
+    isCounterTrend: result.isCounterTrend,
+    minProbability,
+    wouldEmit: directional && !result.confluence?.blocked && !!result.isValid && result.totalScore > minProbability,
+    hasActiveMonitor: app.telegramBot?.hasActiveMonitor(symbol, timeframe) || false,
+    levels,
+    scoring: {
+      details: result.details,
+      adaptiveAdjustments: result.adaptiveAdjustments
+    },
+    mlProbability: result.mlProbability,
+    btcCorrelation: result.btcCorrelation,
+    confluence: result.confluence,
+    indicators: result.indicators,
+    patterns: result.patterns,
+    timestamp: new Date().toISOString()
+  };
 }
 
-// Função auxiliar para análise manual de sinal
-async function analyzeSignal(symbol, timeframe) {
-  // Implementação específica da análise manual
-  // Aqui seria chamada a função do serviço de análise
-  return {};
+// Converte ISO/timestamp em Date; undefined se ausente, false se inválido
+function parseDate(value) {
+  if (value === undefined || value === '') return undefined;
+  const d = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(String(value));
+  return isNaN(d.getTime()) ? false : d;
 }
 
 export default router;
@@ -0,0 +1,60 @@
+/**
+ * Rotas do universo de símbolos (consulta para todos; refresh operator; listas manuais admin)
+ */
+import { Router } from 'express';
+import { requireRole } from '../services/authService.js';
+
+const router = Router();
+
+function getUniverse(req, res) {
+  const universe = req.app.universe;
+  if (!universe) {
+    res.status(503).json({ error: 'Universo de símbolos indisponível' });
+    return null;
+  }
+  return universe;
+}
+
+// Universo atual, critérios e listas manuais; ?details=true traz o motivo de cada símbolo (&status=in|out)
+router.get('/', (req, res) => {
+  const universe = getUniverse(req, res);
+  if (!universe) return;
+  const details = String(req.query.details || 'false').toLowerCase() === 'true';
+  const status = ['in', 'out'].includes(req.query.status) ? req.query.status : null;
+  res.json(universe.getStatus({ details: details || !!status, status }));
+});
+
+// Por que o símbolo está dentro/fora — aceita "BTC/USDT" codificado (%2F), /BTC/USDT ou /BTC
+router.get('/symbols/:symbol/:quote?', (req, res) => {
+  const universe = getUniverse(req, res);
+  if (!universe) return;
+  const symbol = req.params.quote ? `${req.params.symbol}/${req.params.quote}` : req.params.symbol;
+  res.json(universe.explain(symbol));
+});
+
+// Recarrega markets/tickers da venue agora (sem esperar o refresh periódico)
+router.post('/refresh', requireRole('operator'), async (req, res) => {
+  const universe = getUniverse(req, res);
+  if (!universe) return;
+  try {
+    res.json(await universe.refresh());
+  } catch (error) {
+    console.error('Erro na rota /api/universe/refresh:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Listas manuais: { symbol, list: 'include' | 'exclude' | null } (null tira das duas)
+router.post('/manual', requireRole('admin'), (req, res) => {
+  const universe = getUniverse(req, res);
+  if (!universe) return;
+  try {
+    const list = req.body?.list ?? null;
+    const entry = universe.setManual(req.body?.symbol, list);
+    res.json({ success: true, symbol: entry, manual: universe.getStatus().manual });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,67 @@
+/**
+ * Gera a entrada de AUTH_USERS (login do dashboard) com a senha em hash scrypt
+ *
+ * Uso:
+ *   npm run hash-password -- --user maria --role operator
+ *
+ * Opções:
+ *   --user      nome de usuário (obrigatório)
+ *   --role      viewer | operator | admin (padrão viewer)
+ *   --password  senha (se omitida, é lida do terminal — prefira assim para não ficar no histórico do shell)
+ *
+ * Saída: maria:operator:scrypt$<salt>$<hash> — separe várias entradas por vírgula em AUTH_USERS
+ */
+
+import readline from 'readline';
+
+import { hashPassword } from '../services/authService.js';
+import { AUTH_CONFIG } from '../config/constants.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[key] = next === undefined || next.startsWith('--') ? true : (i++, next);
+  }
+  return args;
+}
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) =>
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    })
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const user = typeof args.user === 'string' ? args.user.trim() : '';
+  const role = String(args.role || 'viewer').toLowerCase();
+
+  if (!user || /[:,]/.test(user)) {
+    console.error('❌ Informe --user (sem ":" ou ",")');
+    process.exit(1);
+  }
+  if (!AUTH_CONFIG.ROLES.includes(role)) {
+    console.error(`❌ Papel inválido: ${role} (aceitos: ${AUTH_CONFIG.ROLES.join(', ')})`);
+    process.exit(1);
+  }
+
+  const password = typeof args.password === 'string' ? args.password : await ask('Senha: ');
+  if (String(password).length < 8) {
+    console.error('❌ Senha muito curta (mínimo 8 caracteres)');
+    process.exit(1);
+  }
+
+  console.log(`${user}:${role}:${hashPassword(password)}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Erro ao gerar hash:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+/**
+ * CLI do otimizador walk-forward
+ *
+ * Uso:
+ *   npm run optimize -- --symbol BTC/USDT --timeframe 5m --days 30
+ *   npm run optimize -- --data candles.json --grid grid.json --method random --samples 40
+ *
+ * Opções:
+ *   --symbol      par (padrão BTC/USDT)
+ *   --timeframe   timeframe dos candles (padrão 5m)
+ *   --days        dias de histórico baixados da exchange (padrão 30)
+ *   --data        JSON local com séries {timestamp[], open[], high[], low[], close[], volume[]}
+ *   --grid        JSON { "CAMINHO.EM.CONSTANTS": [valores] } (padrão: DEFAULT_GRID)
+ *   --method      grid | random (padrão grid)
+ *   --samples     candidatos na busca aleatória (padrão 30)
+ *   --seed        seed da busca aleatória (padrão 42)
+ *   --folds       janelas walk-forward (padrão 4)
+ *   --top         candidatos do in-sample validados fora da amostra (padrão 5)
+ *   --objective   totalProfit | profitFactor | sharpe | expectancy (padrão totalProfit)
+ *   --min-trades  trades mínimos por janela para pontuar (padrão 5)
+ *   --out         diretório de saída (padrão data/optimizer/<símbolo>-<tf>-<timestamp>)
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import BinanceService from '../services/binanceService.js';
+import technicalAnalysis from '../services/technicalAnalysis.js';
+import PatternDetectionService from '../services/patternDetection.js';
+import SignalScoringService from '../services/signalScoring.js';
+import TelegramBotService from '../services/telegramBot.js';
+import BacktestingService from '../services/backtesting.js';
+import CostModelService from '../services/costModel.js';
+import WalkForwardOptimizer, { DEFAULT_GRID } from '../services/walkForwardOptimizer.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONSTANTS_PATH = path.resolve(__dirname, '..', 'config', 'constants.js');
+const TIMEFRAME_MS = { '1m': 60e3, '3m': 180e3, '5m': 300e3, '15m': 900e3, '30m': 1800e3, '1h': 3600e3, '4h': 14400e3 };
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[key] = next === undefined || next.startsWith('--') ? true : (i++, next);
+  }
+  return args;
+}
+
+async function loadData(args, symbol, timeframe) {
+  if (args.data) {
+    const raw = JSON.parse(await fs.readFile(path.resolve(args.data), 'utf8'));
+    if (!Array.isArray(raw?.close) || !Array.isArray(raw?.timestamp)) {
+      throw new Error(`${args.data}: formato esperado {timestamp[], open[], high[], low[], close[], volume[]}`);
+    }
+    return raw;
+  }
+
+  if (!TIMEFRAME_MS[timeframe]) throw new Error(`Timeframe não suportado: ${timeframe}`);
+  const days = Number(args.days || 30);
+  const until = Date.now();
+  console.info(`📥 Baixando ${days}d de ${symbol} ${timeframe}...`);
+  return new BinanceService().getOHLCVHistory(symbol, timeframe, until - days * 86400e3, until);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const symbol = String(args.symbol || 'BTC/USDT').toUpperCase();
+  const timeframe = String(args.timeframe || '5m');
+  const grid = args.grid ? JSON.parse(await fs.readFile(path.resolve(args.grid), 'utf8')) : DEFAULT_GRID;
+
+  const data = await loadData(args, symbol, timeframe);
+  console.info(`📊 ${data.close.length} candles carregados`);
+
+  // Otimiza o resultado líquido (taxas, slippage e funding do arquivo local)
+  const costModel = await new CostModelService().init();
+  const backtesting = new BacktestingService({
+    technicalAnalysis,
+    patternDetection: new PatternDetectionService({ debug: false }),
+    signalScoring: new SignalScoringService(),
+    tradeRules: new TelegramBotService(),
+    costModel,
+  });
+  const optimizer = new WalkForwardOptimizer(backtesting);
+
+  // O pipeline loga cada candle via console.log — silencia durante a otimização
+  const log = console.log;
+  console.log = () => {};
+  let report;
+  try {
+    report = await optimizer.run(symbol, data, {
+      grid,
+      timeframe,
+      method: args.method || 'grid',
+      samples: args.samples ? Number(args.samples) : undefined,
+      seed: args.seed ? Number(args.seed) : undefined,
+      folds: args.folds ? Number(args.folds) : undefined,
+      topK: args.top ? Number(args.top) : undefined,
+      objective: args.objective,
+      minTrades: args['min-trades'] !== undefined ? Number(args['min-trades']) : undefined,
+      onProgress: ({ phase, fold, folds, candidate }) =>
+        process.stdout.write(`\r⏳ Janela ${fold}/${folds} ${phase} ${candidate}        `),
+    });
+  } finally {
+    console.log = log;
+    process.stdout.write('\n');
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const outDir = path.resolve(
+    args.out || path.join(process.cwd(), 'data', 'optimizer', `${symbol.replace('/', '')}-${timeframe}-${stamp}`)
+  );
+  const files = await optimizer.writeOutputs(report, outDir, CONSTANTS_PATH);
+
+  console.log(optimizer.renderMarkdown(report, 10));
+  console.log(`📄 Relatório: ${files.markdown}`);
+  console.log(`📄 JSON: ${files.json}`);
+  if (files.constants) console.log(`🧩 Constants candidato: ${files.constants}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ Otimização falhou: ${error.message}`);
+  process.exit(1);
+});
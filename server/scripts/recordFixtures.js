@@ -0,0 +1,77 @@
+/**
+ * Grava candles das exchanges em arquivos CSV para o modo replay (offline)
+ *
+ * Uso:
+ *   npm run record -- --symbols BTC/USDT,ETH/USDT --timeframes 1m --days 2
+ *
+ * Opções:
+ *   --symbols     pares separados por vírgula (padrão BTC/USDT)
+ *   --timeframes  timeframes separados por vírgula (padrão 1m; 5m/15m/... são agregados do 1m no replay)
+ *   --days        dias de histórico até agora (padrão 2)
+ *   --until       fim da janela (ISO ou ms; padrão agora)
+ *   --out         diretório de saída (padrão REPLAY_DATA_DIR ou data/replay)
+ *
+ * Saída: <out>/BTCUSDT-1m.csv com timestamp,open,high,low,close,volume
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+
+import BinanceService from '../services/binanceService.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[key] = next === undefined || next.startsWith('--') ? true : (i++, next);
+  }
+  return args;
+}
+
+function list(raw, def) {
+  return String(raw || def)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const symbols = list(args.symbols, 'BTC/USDT').map((s) => s.toUpperCase());
+  const timeframes = list(args.timeframes, '1m');
+  const days = Number(args.days || 2);
+  const until = args.until ? Number(args.until) || Date.parse(args.until) : Date.now();
+  const outDir = path.resolve(args.out || process.env.REPLAY_DATA_DIR || 'data/replay');
+
+  const binanceService = new BinanceService();
+  await fs.mkdir(outDir, { recursive: true });
+
+  for (const symbol of symbols) {
+    for (const timeframe of timeframes) {
+      console.info(`📥 ${symbol} ${timeframe}: ${days}d até ${new Date(until).toISOString()}...`);
+      const data = await binanceService.getOHLCVHistory(symbol, timeframe, until - days * 86400e3, until);
+      if (!data.timestamp.length) {
+        console.warn(`⚠️ ${symbol} ${timeframe}: nenhum candle retornado`);
+        continue;
+      }
+
+      const rows = ['timestamp,open,high,low,close,volume'];
+      for (let i = 0; i < data.timestamp.length; i++) {
+        rows.push([data.timestamp[i], data.open[i], data.high[i], data.low[i], data.close[i], data.volume[i]].join(','));
+      }
+      const file = path.join(outDir, `${symbol.replace('/', '')}-${timeframe}.csv`);
+      await fs.writeFile(file, rows.join('\n') + '\n');
+      console.info(`✅ ${data.timestamp.length} candles → ${file}`);
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ Gravação falhou: ${error.message}`);
+  process.exit(1);
+});
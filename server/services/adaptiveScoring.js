@@ -4,12 +4,14 @@
  * - Cálculos mais robustos (checagens numéricas e volume fallback)
  * - Variações determinísticas (jitter opcional via config)
  * - Ajustes claros por regime e correlação com BTC
+ * - Simétrico long/short: cada leitura pontua só a favor da direção do sinal
  * - Atualiza lastSignalTime quando sinal é válido (para threshold dinâmico)
  */
 
-import { TRADING_CONFIG } from '../config/constants.js';
+import { TRADING_CONFIG, ADAPTIVE_CONFIG } from '../config/constants.js';
 
-const DEFAULTS = {
+// Lido de constants.js; recalculado quando o ConfigService aplica uma versão nova (ver attachConfig)
+const buildDefaults = () => ({
   // Controle de "ruído": 0 = determinístico
   JITTER_PCT: TRADING_CONFIG?.SCORING?.JITTER_PCT ?? 0,
 
@@ -22,13 +24,21 @@ const DEFAULTS = {
     AFTER_90M: TRADING_CONFIG?.SCORING?.THRESH_AFTER_90M ?? 60,
     AFTER_120M: TRADING_CONFIG?.SCORING?.THRESH_AFTER_120M ?? 50
   }
-};
+});
+let DEFAULTS = buildDefaults();
 
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 function isNum(v) { return Number.isFinite(v); }
 
 class AdaptiveScoringService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - relógio em ms (padrão: Date.now); o backtest injeta o horário do candle
+   * @param {Object} [options.weights] - sobrescreve pesos iniciais (otimizador/backtest)
+   */
+  constructor(options = {}) {
+    this.clock = typeof options.clock === 'function' ? options.clock : () => Date.now();
+
     // Pesos iniciais dos indicadores (mantidos)
     this.weights = {
       RSI_OVERSOLD: 25,
@@ -36,15 +46,18 @@ class AdaptiveScoringService {
       MACD_BULLISH: 30,
       MACD_BEARISH: -30,
       ICHIMOKU_BULLISH: 20,
+      ICHIMOKU_BEARISH: -20,
       RSI_DIVERGENCE: 15,
       MA_BULLISH: 15,
+      MA_BEARISH: -15,
       BOLLINGER_BREAKOUT: 15,
       PATTERN_BREAKOUT: 25,
       PATTERN_REVERSAL: 20,
       VOLUME_CONFIRMATION: 20,
-      ML_WEIGHT: 0.25,
+      ML_WEIGHT: ADAPTIVE_CONFIG.mlWeight,
       // evita undefined em relatórios/track de correlação BTC
-      BITCOIN_CORRELATION: 0
+      BITCOIN_CORRELATION: 0,
+      ...(options.weights || {})
     };
 
     // Tracking
@@ -60,21 +73,84 @@ class AdaptiveScoringService {
     // Controle contra-tendência
     this.counterTrendToday = 0;
     this.lastCounterTrendTime = 0;
-    this.todayDate = new Date().toDateString();
+    this.todayDate = new Date(this._now()).toDateString();
     this.lastSignalTime = 0;
 
-    // Configurações internas
-    this.config = {
-      minTradesForAdjustment: 10,
-      adjustmentFactor: 0.1,
-      blacklistThreshold: 0.3, // 30% win rate
-      blacklistDuration: 24 * 60 * 60 * 1000, // 24h
-      performanceWindow: 50
-    };
+    // Configurações internas (ADAPTIVE_CONFIG; ajustáveis em runtime via attachConfig)
+    this.config = { ...ADAPTIVE_CONFIG };
+
+    // Persistência (opcional; ver attachStorage)
+    this.storage = null;
+    this.dryRun = false; // simulação em andamento (calculateAdaptiveScore com commit: false)
 
     this.initializeIndicatorPerformance();
   }
 
+  _now() {
+    return this.clock();
+  }
+
+  /**
+   * Recarrega blacklist/ajuste de pesos e thresholds a cada versão da configuração runtime
+   * (COUNTER_TREND é lido direto de TRADING_CONFIG a cada sinal); mlWeight alterado substitui o peso aprendido do ML
+   */
+  attachConfig(config) {
+    const apply = () => {
+      DEFAULTS = buildDefaults();
+      this.config = { ...this.config, ...ADAPTIVE_CONFIG };
+    };
+    config.subscribe((changes) => {
+      apply();
+      if (changes.some((c) => c.key === 'ADAPTIVE_CONFIG.mlWeight')) {
+        this.weights.ML_WEIGHT = this.config.mlWeight;
+        this._persist();
+      }
+      console.log(`⚙️ AdaptiveScoring: blacklist < ${(this.config.blacklistThreshold * 100).toFixed(0)}% por ${(this.config.blacklistDuration / 3600000).toFixed(1)}h`);
+    });
+    apply();
+  }
+
+  /**
+   * Liga ao StorageService e recarrega pesos, performance por símbolo/indicador e blacklist
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+    const saved = storage?.get('adaptive', 'state');
+    if (!saved) return;
+
+    if (saved.weights) this.weights = { ...this.weights, ...saved.weights };
+    if (saved.indicatorPerformance) {
+      this.indicatorPerformance = { ...this.indicatorPerformance, ...saved.indicatorPerformance };
+    }
+    this.symbolPerformance = new Map(Object.entries(saved.symbolPerformance || {}));
+    this.symbolBlacklist = new Map(
+      Object.entries(saved.symbolBlacklist || {}).filter(([, entry]) => this._now() <= entry.expiresAt)
+    );
+    if (saved.counterTrend?.todayDate === new Date(this._now()).toDateString()) {
+      this.counterTrendToday = saved.counterTrend.counterTrendToday || 0;
+      this.lastCounterTrendTime = saved.counterTrend.lastCounterTrendTime || 0;
+    }
+
+    console.log(
+      `💾 AdaptiveScoring: ${this.symbolPerformance.size} símbolos e ${this.symbolBlacklist.size} na blacklist recarregados`
+    );
+  }
+
+  _persist() {
+    if (!this.storage || this.dryRun) return;
+    this.storage.set('adaptive', 'state', {
+      weights: this.weights,
+      indicatorPerformance: this.indicatorPerformance,
+      symbolPerformance: Object.fromEntries(this.symbolPerformance),
+      symbolBlacklist: Object.fromEntries(this.symbolBlacklist),
+      counterTrend: {
+        todayDate: this.todayDate,
+        counterTrendToday: this.counterTrendToday,
+        lastCounterTrendTime: this.lastCounterTrendTime
+      }
+    });
+  }
+
   /**
    * Inicializa tracking de performance dos indicadores
    */
@@ -211,13 +287,50 @@ class AdaptiveScoringService {
 
   /**
    * Entrada principal – calcula score adaptativo
+   * @param {string} [signalTrend] - direção do sinal (SignalScoring.detectSignalTrend); vale para base,
+   *   regime e contra-tendência deste cálculo (síncrono: jobs concorrentes não se misturam)
+   * @param {Object} [options] - commit: false = simulação (análise sob demanda): mesmo score, mas threshold
+   *   dinâmico, cota de contra-tendência, pesos, uso de indicadores e regime voltam ao estado anterior e nada é persistido
+   */
+  calculateAdaptiveScore(data, indicators, patterns, mlProbability, signalTrend = null, symbol, bitcoinCorrelation = null, options = {}) {
+    if (options.commit !== false) {
+      return this._scoreAndLearn(data, indicators, patterns, mlProbability, signalTrend, symbol, bitcoinCorrelation);
+    }
+
+    const saved = this._scoringState();
+    this.dryRun = true;
+    try {
+      return this._scoreAndLearn(data, indicators, patterns, mlProbability, signalTrend, symbol, bitcoinCorrelation);
+    } finally {
+      this.dryRun = false;
+      Object.assign(this, saved);
+    }
+  }
+
+  /**
+   * Cópia do estado que um cálculo de score altera (restaurada após uma simulação)
    */
-  calculateAdaptiveScore(data, indicators, patterns, mlProbability, marketTrend = null, symbol, bitcoinCorrelation = null) {
+  _scoringState() {
+    return structuredClone({
+      weights: this.weights,
+      indicatorPerformance: this.indicatorPerformance,
+      marketRegime: this.marketRegime,
+      currentTimeframe: this.currentTimeframe,
+      currentSignalTrend: this.currentSignalTrend,
+      counterTrendToday: this.counterTrendToday,
+      lastCounterTrendTime: this.lastCounterTrendTime,
+      todayDate: this.todayDate,
+      lastSignalTime: this.lastSignalTime
+    });
+  }
+
+  _scoreAndLearn(data, indicators, patterns, mlProbability, signalTrend, symbol, bitcoinCorrelation) {
     const logPrefix = `[${symbol || 'UNKNOWN'}]`;
     console.log(`${logPrefix} 🎯 Iniciando cálculo de score adaptativo...`);
+    this.setCurrentSignalTrend(signalTrend === 'BULLISH' || signalTrend === 'BEARISH' ? signalTrend : 'NEUTRAL');
 
     // Reset diário
-    const today = new Date().toDateString();
+    const today = new Date(this._now()).toDateString();
     if (this.todayDate !== today) {
       this.counterTrendToday = 0;
       this.todayDate = today;
@@ -239,7 +352,7 @@ class AdaptiveScoringService {
     this.updateMarketRegime(indicators, patterns);
 
     // Score base (determinístico, robusto)
-    const baseScore = this.calculateBaseScore(data, indicators, patterns, mlProbability, bitcoinCorrelation);
+    const baseScore = this.calculateBaseScore(data, indicators, patterns, mlProbability, bitcoinCorrelation, this.currentSignalTrend);
     console.log(`${logPrefix} 📊 Score base: ${baseScore.total.toFixed(2)}`);
 
     // Ajustes adaptativos (repondera pesos com histórico)
@@ -276,9 +389,12 @@ class AdaptiveScoringService {
       console.log(`❌ [${symbol || 'UNKNOWN'}] Insuficiente: ${finalScore.toFixed(1)} < ${dynamicThreshold} (faltam ${missingPoints})`);
     } else {
       // Atualiza lastSignalTime para o threshold dinâmico funcionar corretamente
-      this.lastSignalTime = Date.now();
+      this.lastSignalTime = this._now();
     }
 
+    // pesos/uso de indicadores mudam a cada score
+    this._persist();
+
     return {
       totalScore: finalScore,
       details: {
@@ -287,6 +403,7 @@ class AdaptiveScoringService {
         regimeAdjustments: regimeAdjustments.details,
         counterTrendAdjustments: counterTrendAdjustments.details,
         marketRegime: this.marketRegime,
+        signalTrend: this.currentSignalTrend,
         symbolPerformance: this.getSymbolStats(symbol)
       },
       isValid,
@@ -302,10 +419,14 @@ class AdaptiveScoringService {
 
   /**
    * Calcula score base – robusto a dados ausentes e determinístico
+   * Leituras direcionais (RSI, MACD, Ichimoku, MAs, rompimento) só pontuam a favor de `signalTrend`;
+   * NEUTRAL pontua os dois lados
    */
-  calculateBaseScore(data, indicators, patterns, mlProbability, bitcoinCorrelation = null) {
+  calculateBaseScore(data, indicators, patterns, mlProbability, bitcoinCorrelation = null, signalTrend = 'NEUTRAL') {
     let total = 0;
     const details = {};
+    const side = signalTrend === 'BULLISH' ? 1 : signalTrend === 'BEARISH' ? -1 : 0;
+    const favors = (dir) => side === 0 || side === dir;
 
     // ===== VARIAÇÃO BASE (determinística + jitter opcional) =====
     const symbolHash = this.getSymbolHash(String(data?.symbol || 'UNKNOWN'));
@@ -318,13 +439,13 @@ class AdaptiveScoringService {
 
     // ===== RSI =====
     if (isNum(indicators?.rsi)) {
-      if (indicators.rsi < 30) {
+      if (indicators.rsi < 30 && favors(1)) {
         const rsiVar = (30 - indicators.rsi) * 0.5;
         const score = this.weights.RSI_OVERSOLD + rsiVar;
         total += score;
         details.rsi = { value: indicators.rsi, score, reason: 'Sobrevendido' };
         this.recordIndicatorUsage('RSI_OVERSOLD', score);
-      } else if (indicators.rsi > 70) {
+      } else if (indicators.rsi > 70 && favors(-1)) {
         const rsiVar = (indicators.rsi - 70) * 0.5;
         const score = Math.abs(this.weights.RSI_OVERBOUGHT) + rsiVar; // positivo p/ venda
         total += score;
@@ -339,12 +460,13 @@ class AdaptiveScoringService {
       const macdStrength = h * 1e6;
       const strengthBonus = Math.min(10, macdStrength * 2);
 
-      if (indicators.macd.MACD > indicators.macd.signal) {
+      const bullishCross = indicators.macd.MACD > indicators.macd.signal;
+      if (bullishCross && favors(1)) {
         const score = this.weights.MACD_BULLISH + strengthBonus;
         total += score;
         details.macd = { score, reason: 'Cruzamento bullish', strength: macdStrength };
         this.recordIndicatorUsage('MACD_BULLISH', score);
-      } else {
+      } else if (!bullishCross && favors(-1)) {
         const score = Math.abs(this.weights.MACD_BEARISH) + strengthBonus;
         total += score;
         details.macd = { score, reason: 'Cruzamento bearish', strength: macdStrength };
@@ -354,11 +476,17 @@ class AdaptiveScoringService {
 
     // ===== Ichimoku =====
     if (indicators?.ichimoku && isNum(indicators.ichimoku.conversionLine) && isNum(indicators.ichimoku.baseLine)) {
-      if (indicators.ichimoku.conversionLine > indicators.ichimoku.baseLine) {
+      const { conversionLine, baseLine } = indicators.ichimoku;
+      if (conversionLine > baseLine && favors(1)) {
         const score = this.weights.ICHIMOKU_BULLISH;
         total += score;
         details.ichimoku = { score, reason: 'Sinal bullish' };
         this.recordIndicatorUsage('ICHIMOKU_BULLISH', score);
+      } else if (conversionLine < baseLine && favors(-1)) {
+        const score = Math.abs(this.weights.ICHIMOKU_BEARISH);
+        total += score;
+        details.ichimoku = { score, reason: 'Sinal bearish' };
+        this.recordIndicatorUsage('ICHIMOKU_BEARISH', score);
       }
     }
 
@@ -371,18 +499,26 @@ class AdaptiveScoringService {
     }
 
     // ===== Médias móveis =====
-    if (isNum(indicators?.ma21) && isNum(indicators?.ma200) && indicators.ma21 > indicators.ma200) {
-      const score = this.weights.MA_BULLISH;
-      total += score;
-      details.movingAverages = { score, reason: 'MA21 > MA200' };
-      this.recordIndicatorUsage('MA_BULLISH', score);
+    if (isNum(indicators?.ma21) && isNum(indicators?.ma200)) {
+      if (indicators.ma21 > indicators.ma200 && favors(1)) {
+        const score = this.weights.MA_BULLISH;
+        total += score;
+        details.movingAverages = { score, reason: 'MA21 > MA200' };
+        this.recordIndicatorUsage('MA_BULLISH', score);
+      } else if (indicators.ma21 < indicators.ma200 && favors(-1)) {
+        const score = Math.abs(this.weights.MA_BEARISH);
+        total += score;
+        details.movingAverages = { score, reason: 'MA21 < MA200' };
+        this.recordIndicatorUsage('MA_BEARISH', score);
+      }
     }
 
     // ===== Padrões =====
-    if (patterns?.breakout && patterns.breakout.type === 'BULLISH_BREAKOUT') {
+    const breakoutType = patterns?.breakout?.type;
+    if ((breakoutType === 'BULLISH_BREAKOUT' && favors(1)) || (breakoutType === 'BEARISH_BREAKOUT' && favors(-1))) {
       const score = this.weights.PATTERN_BREAKOUT;
       total += score;
-      details.breakout = { score, reason: 'Rompimento bullish' };
+      details.breakout = { score, reason: breakoutType === 'BULLISH_BREAKOUT' ? 'Rompimento bullish' : 'Rompimento bearish' };
       this.recordIndicatorUsage('PATTERN_BREAKOUT', score);
     }
 
@@ -476,26 +612,18 @@ class AdaptiveScoringService {
     const details = { regime: this.marketRegime };
 
     switch (this.marketRegime) {
-      case 'BULL': {
-        const isBullishSignal = this.isCurrentSignalBullish();
-        if (isBullishSignal) {
+      case 'BULL':
+      case 'BEAR': {
+        // simétrico: a favor do regime +20%, contra (ou sem direção) -15%
+        const isBull = this.marketRegime === 'BULL';
+        const key = isBull ? 'bullMarket' : 'bearMarket';
+        const withRegime = isBull ? this.isCurrentSignalBullish() : this.isCurrentSignalBearish();
+        if (withRegime) {
           bonus = adjustedScore * 0.20;
-          details.bullMarketBonus = bonus;
+          details[`${key}Bonus`] = bonus;
         } else {
           bonus = -adjustedScore * 0.15;
-          details.bullMarketPenalty = bonus;
-        }
-        adjustedScore += bonus;
-        break;
-      }
-      case 'BEAR': {
-        const isBearishSignal = this.isCurrentSignalBearish();
-        if (isBearishSignal) {
-          bonus = adjustedScore * 0.25;
-          details.bearMarketBonus = bonus;
-        } else {
-          bonus = -adjustedScore * 0.20;
-          details.bearMarketPenalty = bonus;
+          details[`${key}Penalty`] = bonus;
         }
         adjustedScore += bonus;
         break;
@@ -584,6 +712,16 @@ class AdaptiveScoringService {
     perf.avgImpact = perf.totalScore / perf.trades;
   }
 
+  /**
+   * Aprende com os encerramentos do bus (o manual é decisão do operador, não resultado do sinal)
+   */
+  attachEventBus(bus) {
+    bus.on('monitor.closed', (e) => {
+      if (e.exitReason === 'MANUAL') return;
+      this.recordTradeResult(e.symbol, e.indicators || {}, e.isWin, e.pnlPercent);
+    });
+  }
+
   /**
    * Registro de resultado de trade (aprendizado)
    */
@@ -595,7 +733,7 @@ class AdaptiveScoringService {
         totalPnL: 0,
         winRate: 0,
         avgPnL: 0,
-        lastUpdate: Date.now()
+        lastUpdate: this._now()
       });
     }
 
@@ -603,7 +741,7 @@ class AdaptiveScoringService {
     stats.trades++;
     stats.totalPnL += (isNum(finalPnL) ? finalPnL : 0);
     stats.avgPnL = stats.totalPnL / stats.trades;
-    stats.lastUpdate = Date.now();
+    stats.lastUpdate = this._now();
     if (isWin) stats.wins++;
     stats.winRate = stats.wins / stats.trades;
 
@@ -621,21 +759,24 @@ class AdaptiveScoringService {
 
     console.log(`📊 Resultado registrado: ${symbol} ${isWin ? '✅' : '❌'} (${(isNum(finalPnL) ? finalPnL : 0).toFixed(2)}%)`);
     console.log(`📈 Performance ${symbol}: ${stats.wins}/${stats.trades} (${(stats.winRate * 100).toFixed(1)}%)`);
+    this._persist();
   }
 
   addToBlacklist(symbol, reason) {
     this.symbolBlacklist.set(symbol, {
       reason,
-      timestamp: Date.now(),
-      expiresAt: Date.now() + this.config.blacklistDuration
+      timestamp: this._now(),
+      expiresAt: this._now() + this.config.blacklistDuration
     });
+    this._persist();
     console.log(`🚫 ${symbol} adicionado à blacklist: ${reason}`);
   }
   isSymbolBlacklisted(symbol) {
     const entry = this.symbolBlacklist.get(symbol);
     if (!entry) return false;
-    if (Date.now() > entry.expiresAt) {
+    if (this._now() > entry.expiresAt) {
       this.symbolBlacklist.delete(symbol);
+      this._persist();
       console.log(`✅ ${symbol} removido da blacklist (expirou)`);
       return false;
     }
@@ -644,11 +785,11 @@ class AdaptiveScoringService {
   getBlacklistedSymbols() {
     const out = [];
     this.symbolBlacklist.forEach((entry, symbol) => {
-      if (Date.now() <= entry.expiresAt) {
+      if (this._now() <= entry.expiresAt) {
         out.push({
           symbol,
           reason: entry.reason,
-          expiresIn: Math.ceil((entry.expiresAt - Date.now()) / (1000 * 60 * 60))
+          expiresIn: Math.ceil((entry.expiresAt - this._now()) / (1000 * 60 * 60))
         });
       }
     });
@@ -657,6 +798,7 @@ class AdaptiveScoringService {
   removeFromBlacklist(symbol) {
     if (this.symbolBlacklist.has(symbol)) {
       this.symbolBlacklist.delete(symbol);
+      this._persist();
       console.log(`✅ ${symbol} removido manualmente da blacklist`);
       return true;
     }
@@ -667,7 +809,7 @@ class AdaptiveScoringService {
    * Threshold dinâmico baseado no tempo desde o último sinal válido
    */
   calculateDynamicThreshold() {
-    const now = Date.now();
+    const now = this._now();
     const timeSince = this.lastSignalTime ? now - this.lastSignalTime : (2 * 60 * 60 * 1000); // default: 2h
     const hours = timeSince / (60 * 60 * 1000);
 
@@ -716,7 +858,7 @@ class AdaptiveScoringService {
         console.log(`❌ [${symbol}] Limite diário de contra-tendência atingido`);
         return { adjustedScore: 0, bonus: 0, isCounterTrend: false, details: { rejected: true, reason: 'Limite diário' } };
       }
-      const timeSinceLast = Date.now() - this.lastCounterTrendTime;
+      const timeSinceLast = this._now() - this.lastCounterTrendTime;
       if (timeSinceLast < (TRADING_CONFIG?.COUNTER_TREND?.COUNTER_TREND_COOLDOWN ?? 0)) {
         const remaining = Math.ceil(((TRADING_CONFIG.COUNTER_TREND.COUNTER_TREND_COOLDOWN - timeSinceLast) / (60 * 1000)));
         console.log(`⏳ [${symbol}] Cooldown ativo - aguarde ${remaining} minutos`);
@@ -815,7 +957,7 @@ class AdaptiveScoringService {
       // Se aprovado, registra contadores
       if (adjustedScore >= (TRADING_CONFIG?.MIN_SIGNAL_PROBABILITY ?? 70)) {
         this.counterTrendToday++;
-        this.lastCounterTrendTime = Date.now();
+        this.lastCounterTrendTime = this._now();
         console.log(`✅ [${symbol}] SINAL CONTRA-TENDÊNCIA APROVADO (${this.counterTrendToday}/${TRADING_CONFIG?.COUNTER_TREND?.MAX_COUNTER_TREND_PER_DAY} hoje)`);
       }
 
@@ -837,6 +979,7 @@ class AdaptiveScoringService {
     this.counterTrendToday = 0;
     this.lastCounterTrendTime = 0;
     this.lastSignalTime = 0;
+    this._persist();
     console.log('🔄 Sistema adaptativo resetado');
   }
 
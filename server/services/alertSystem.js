@@ -2,6 +2,7 @@
  * Sistema de alertas inteligentes
  * - Antispam com cooldown por tipo de alerta
  * - Envio seguro para Telegram com fallback de parse_mode
+ * - Com NotifierService anexado, os alertas também vão para Discord/webhooks (evento 'alert')
  * - Mantém estrutura simples e compatível com o app.js atual
  */
 
@@ -10,6 +11,16 @@ class AlertSystemService {
     this.telegramBot = telegramBot;
     this.alertHistory = [];
     this.lastAlerts = new Map(); // type -> timestamp
+    this.notifier = null;
+    this.events = null;
+  }
+
+  attachNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  attachEventBus(bus) {
+    this.events = bus;
   }
 
   /**
@@ -117,7 +128,8 @@ class AlertSystemService {
       for (const alert of alerts) {
         if (!this.shouldNotify(alert.type, alert.priority)) continue;
         const text = this.composeAlertMessage(alert, marketData);
-        await this.safeSend(text);
+        if (this.events) this.events.emit('alert.raised', { ...alert, marketData });
+        await this.safeSend(text, { alertType: alert.type, priority: alert.priority });
         this.rememberAlert(alert.type, alert.priority, text);
       }
 
@@ -183,13 +195,21 @@ class AlertSystemService {
     return msg;
   }
 
+  /**
+   * Publica o alerta no NotifierService (Telegram via _sendTelegram + sinks externos)
+   */
+  async safeSend(text, data = {}) {
+    if (!this.notifier) return this._sendTelegram(text);
+    await this.notifier.publish('alert', { text, format: 'markdown', data, telegram: () => this._sendTelegram(text) });
+  }
+
   /**
    * Envio seguro via Telegram:
    * 1) Tenta MarkdownV2 (com escape)
    * 2) Em caso de 400, tenta Markdown "clássico"
    * 3) Por fim, envia como texto puro
    */
-  async safeSend(text) {
+  async _sendTelegram(text) {
     if (!this.telegramBot || !this.telegramBot.isEnabled) {
       console.log('📱 [ALERTA - SIMULADO]\n' + text);
       return;
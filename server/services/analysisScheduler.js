@@ -0,0 +1,303 @@
+/**
+ * Agendador do ciclo de análise
+ *
+ * - Disparo no fechamento do candle (TRIGGER_TIMEFRAME): cada ciclo analisa só os timeframes cujo candle
+ *   acabou de fechar (ex.: no fechamento de 5m, 1m e 5m; com gatilho em 1m, o 5m só nos múltiplos de 5)
+ * - Pool de workers com concorrência limitada e espaçamento mínimo entre inícios (limites da exchange);
+ *   erro 429 pausa novos inícios por um tempo; job em timeout segue ocupando a vaga até terminar
+ *   (no máx. orphanGraceMs a mais — depois é abandonado e contado em `abandoned`)
+ * - Prioridade: maior score do par no ciclo anterior primeiro; empate mantém a ordem recebida (universo)
+ * - Métricas por ciclo (duração, tempo por job, erros, timeouts, abandonos, espera na fila) em getStatus()
+ *
+ * Relógio injetável: no replay o gatilho segue o tempo simulado (ReplayClock)
+ *
+ * Variáveis de ambiente: ver ANALYSIS_SCHEDULER_CONFIG em constants.js
+ */
+
+import { ANALYSIS_SCHEDULER_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Scheduler');
+
+const TIMEFRAME_MS = {
+  '1m': 60e3, '3m': 180e3, '5m': 300e3, '15m': 900e3, '30m': 1800e3, '1h': 3600e3, '2h': 7200e3,
+  '4h': 14400e3, '6h': 21600e3, '8h': 28800e3, '12h': 43200e3, '1d': 86400e3,
+};
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function envNumber(env, name, fallback) {
+  const value = Number(env[name]);
+  return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function isRateLimit(err) {
+  const msg = (err && err.message) || '';
+  return Number(err?.httpStatus) === 429 || /Too Many Requests|429|rate limit/i.test(msg);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+class AnalysisScheduler {
+  /**
+   * @param {Object} [options]
+   *  - timeframes: timeframes analisados (TIMEFRAMES)
+   *  - clock: { now, setTimeout, clearTimeout } (padrão relógio real; replay passa o ReplayClock)
+   *  - env (padrão process.env) e sobrescritas diretas: trigger, triggerTimeframe, concurrency,
+   *    maxStartsPerSecond (0 = sem espaçamento), jobTimeoutMs, orphanGraceMs
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    const cfg = ANALYSIS_SCHEDULER_CONFIG;
+    this.clock = options.clock || realClock;
+    this.timeframes = options.timeframes || ['1m', '5m'];
+
+    this.trigger = String(options.trigger || env.ANALYSIS_TRIGGER || cfg.TRIGGER).toLowerCase() === 'cron' ? 'cron' : 'candle';
+    this.triggerTimeframe = options.triggerTimeframe || env.ANALYSIS_TRIGGER_TIMEFRAME || cfg.TRIGGER_TIMEFRAME;
+    if (!TIMEFRAME_MS[this.triggerTimeframe]) {
+      logger.warn(`ANALYSIS_TRIGGER_TIMEFRAME inválido (${this.triggerTimeframe}) — usando ${cfg.TRIGGER_TIMEFRAME}`);
+      this.triggerTimeframe = cfg.TRIGGER_TIMEFRAME;
+    }
+    this.closeDelayMs = cfg.CLOSE_DELAY_MS;
+    this.concurrency = Math.max(1, Math.floor(options.concurrency ?? envNumber(env, 'ANALYSIS_CONCURRENCY', cfg.CONCURRENCY)));
+    const startsPerSecond = options.maxStartsPerSecond ?? envNumber(env, 'ANALYSIS_MAX_STARTS_PER_SECOND', cfg.MAX_STARTS_PER_SECOND);
+    this.minStartIntervalMs = startsPerSecond > 0 ? 1000 / startsPerSecond : 0;
+    this.jobTimeoutMs = options.jobTimeoutMs ?? envNumber(env, 'ANALYSIS_JOB_TIMEOUT_MS', cfg.JOB_TIMEOUT_MS);
+    this.orphanGraceMs = options.orphanGraceMs ?? envNumber(env, 'ANALYSIS_ORPHAN_GRACE_MS', cfg.ORPHAN_GRACE_MS);
+    this.backoffMs = cfg.RATE_LIMIT_BACKOFF_MS;
+    this.maxHistory = cfg.METRICS_HISTORY;
+
+    this.onTrigger = null;
+    this.timer = null;
+    this.nextCloseAt = null;
+
+    this.running = null; // métricas do ciclo em andamento
+    this.history = [];
+    this.skipped = 0;
+    this.lastScores = new Map(); // `${symbol}|${timeframe}` → score do último ciclo
+
+    // espaçamento entre inícios (relógio real: é limite da exchange, não do tempo simulado)
+    this.nextStartAt = 0;
+    this.pausedUntil = 0;
+  }
+
+  // =================== GATILHO ===================
+
+  /**
+   * Liga o disparo no fechamento do candle; onTrigger({ trigger, closedAt, timeframes }) deve
+   * retornar a promise do ciclo (o replay espera o ciclo antes de avançar o relógio)
+   */
+  start(onTrigger) {
+    this.onTrigger = onTrigger;
+    if (this.trigger !== 'candle' || this.timer !== null) return;
+    this._scheduleNext();
+    console.log(
+      `⏱️ Análise no fechamento do candle de ${this.triggerTimeframe} (${this.concurrency} em paralelo, ` +
+        `${this.minStartIntervalMs ? `${Math.round(1000 / this.minStartIntervalMs)} inícios/s` : 'sem limite de inícios'}) — ` +
+        `próximo: ${new Date(this.nextCloseAt).toISOString()}`
+    );
+  }
+
+  stop() {
+    if (this.timer !== null) this.clock.clearTimeout(this.timer);
+    this.timer = null;
+    this.nextCloseAt = null;
+  }
+
+  /**
+   * Timeframes cujo candle fecha exatamente em `closedAt`
+   */
+  timeframesClosedAt(closedAt) {
+    return this.timeframes.filter((tf) => TIMEFRAME_MS[tf] && closedAt % TIMEFRAME_MS[tf] === 0);
+  }
+
+  _scheduleNext() {
+    const step = TIMEFRAME_MS[this.triggerTimeframe];
+    const now = this.clock.now();
+    const closeAt = Math.floor(now / step) * step + step;
+    this.nextCloseAt = closeAt;
+    this.timer = this.clock.setTimeout(() => this._onClose(closeAt), closeAt - now + this.closeDelayMs);
+  }
+
+  _onClose(closedAt) {
+    // agenda o próximo antes de rodar: ciclo longo não desloca os gatilhos
+    this._scheduleNext();
+    const timeframes = this.timeframesClosedAt(closedAt);
+    if (!timeframes.length || !this.onTrigger) return undefined;
+    return this.onTrigger({ trigger: 'candle', closedAt, timeframes });
+  }
+
+  /**
+   * Gatilho que chegou com o ciclo anterior ainda rodando
+   */
+  noteSkipped() {
+    this.skipped++;
+  }
+
+  // =================== POOL ===================
+
+  /**
+   * Ordena por score do ciclo anterior (desc); empate mantém a ordem recebida
+   */
+  prioritize(jobs) {
+    return jobs
+      .map((job, i) => ({ job, i, score: this.lastScores.get(`${job.symbol}|${job.timeframe}`) ?? 0 }))
+      .sort((a, b) => b.score - a.score || a.i - b.i)
+      .map((entry) => entry.job);
+  }
+
+  /**
+   * Executa os jobs do ciclo com concorrência limitada
+   * @param {number} cycle - número do ciclo
+   * @param {Array<{symbol, timeframe}>} jobs
+   * @param {Function} worker - async (job) => resultado ({ totalScore } alimenta a prioridade)
+   * @param {Object} [options] - trigger, onJobDone(job, result, error)
+   * @returns {Promise<Object>} métricas do ciclo
+   */
+  async runCycle(cycle, jobs, worker, { trigger = 'manual', onJobDone = null } = {}) {
+    const queue = this.prioritize(jobs);
+    const startedAt = Date.now();
+    const durations = [];
+    const metrics = {
+      cycle,
+      trigger,
+      startedAt: this.clock.now(),
+      jobs: queue.length,
+      done: 0,
+      errors: 0,
+      timeouts: 0,
+      abandoned: 0,
+      rateLimited: 0,
+      concurrency: this.concurrency,
+      maxQueueWaitMs: 0,
+    };
+    this.running = metrics;
+
+    let next = 0;
+    const runWorker = async () => {
+      while (next < queue.length) {
+        const job = queue[next++];
+        await this._throttle();
+        const jobStart = Date.now();
+        metrics.maxQueueWaitMs = Math.max(metrics.maxQueueWaitMs, jobStart - startedAt);
+        let result = null;
+        let error = null;
+        const task = Promise.resolve().then(() => worker(job));
+        try {
+          result = await this._withTimeout(task);
+          if (Number.isFinite(result?.totalScore)) this.lastScores.set(`${job.symbol}|${job.timeframe}`, result.totalScore);
+        } catch (err) {
+          error = err;
+          metrics.errors++;
+          if (err.timeout) metrics.timeouts++;
+          if (isRateLimit(err)) {
+            metrics.rateLimited++;
+            this.pausedUntil = Date.now() + this.backoffMs;
+            logger.warn(`Rate limit da exchange — novos inícios pausados por ${this.backoffMs / 1000}s`);
+          }
+        }
+        metrics.done++;
+        try {
+          onJobDone?.(job, result, error);
+        } catch (err) {
+          logger.error(`onJobDone falhou: ${err.message}`);
+        }
+        // timeout: o resultado é descartado, mas a vaga só libera quando o job termina de fato — o teto de
+        // análises simultâneas vale, e o ciclo (com os dados compartilhados, ex.: BTC) só fecha depois dele.
+        // Job travado (promise que nunca resolve) não prende o pool: passado orphanGraceMs, é abandonado
+        if (error?.timeout && !(await this._settleWithin(task, this.orphanGraceMs))) {
+          metrics.abandoned++;
+          logger.warn(
+            `${job.symbol} ${job.timeframe}: análise sem resposta ${this.orphanGraceMs / 1000}s após o timeout — vaga liberada (abandonada)`
+          );
+        }
+        durations.push(Date.now() - jobStart);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, runWorker));
+    } finally {
+      const sorted = durations.sort((a, b) => a - b);
+      metrics.durationMs = Date.now() - startedAt;
+      metrics.avgJobMs = sorted.length ? Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length) : 0;
+      metrics.p95JobMs = percentile(sorted, 95);
+      metrics.maxJobMs = sorted[sorted.length - 1] || 0;
+      this.running = null;
+      this.history.push(metrics);
+      if (this.history.length > this.maxHistory) this.history.splice(0, this.history.length - this.maxHistory);
+    }
+    return metrics;
+  }
+
+  /**
+   * Reserva o próximo horário de início (compartilhado entre os workers) e espera até ele
+   */
+  async _throttle() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextStartAt, this.pausedUntil);
+    this.nextStartAt = slot + this.minStartIntervalMs;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  _withTimeout(promise) {
+    if (!this.jobTimeoutMs) return promise;
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error('Timeout na análise');
+        err.timeout = true;
+        reject(err);
+      }, this.jobTimeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Espera a promise terminar (sucesso ou erro) por até `ms`; false se o prazo venceu antes
+   */
+  async _settleWithin(promise, ms) {
+    const settled = promise.then(() => true, () => true);
+    if (!ms) return settled;
+    let timer = null;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), ms);
+    });
+    return Promise.race([settled, deadline]).finally(() => clearTimeout(timer));
+  }
+
+  // =================== STATUS ===================
+
+  /**
+   * @param {Object} [options] - history: inclui as métricas dos últimos ciclos (padrão true)
+   */
+  getStatus({ history = true } = {}) {
+    return {
+      trigger: this.trigger,
+      triggerTimeframe: this.trigger === 'candle' ? this.triggerTimeframe : null,
+      nextCloseAt: this.nextCloseAt,
+      concurrency: this.concurrency,
+      maxStartsPerSecond: this.minStartIntervalMs ? Math.round(1000 / this.minStartIntervalMs) : 0,
+      jobTimeoutMs: this.jobTimeoutMs,
+      orphanGraceMs: this.orphanGraceMs,
+      running: this.running ? { ...this.running } : null,
+      skippedCycles: this.skipped,
+      pausedUntil: this.pausedUntil > Date.now() ? this.pausedUntil : null,
+      lastCycle: this.history[this.history.length - 1] || null,
+      ...(history ? { history: [...this.history].reverse() } : {}),
+    };
+  }
+}
+
+export default AnalysisScheduler;
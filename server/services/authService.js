@@ -0,0 +1,297 @@
+/**
+ * Autenticação e papéis da API HTTP
+ *
+ * Credenciais (env):
+ *  - API_KEYS: "nome:papel:chave" separados por vírgula (integrações, scripts)
+ *  - API_AUTH_TOKEN: chave legada, vale como admin ("legacy")
+ *  - AUTH_USERS: "usuário:papel:scrypt$salt$hash" — login do dashboard (hash via `npm run hash-password`)
+ *  - AUTH_JWT_SECRET: assina as sessões (JWT HS256); sem ele, segredo aleatório por boot
+ *  - AUTH_ANONYMOUS_ROLE: papel de quem não envia credencial (none | viewer | ...). Padrão: none quando há
+ *    credenciais configuradas; viewer (só leitura) quando não há nenhuma
+ *
+ * Headers aceitos: `Authorization: Bearer <jwt|chave>`, `Authorization: <chave>` (legado) ou `X-API-Key`.
+ * Auditoria: toda chamada que altera estado vira uma entrada { usuário, papel, método, rota, status, ip }.
+ */
+
+import crypto from 'crypto';
+import { AUTH_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Auth');
+
+const SECRET_FIELDS = /pass|secret|token|key|signature/i;
+
+function b64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function parseEntries(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((e) => e.trim())
+    .filter(Boolean)
+    .map((e) => {
+      const [name, role, ...rest] = e.split(':');
+      return { name: name?.trim(), role: role?.trim().toLowerCase(), secret: rest.join(':').trim() };
+    });
+}
+
+/**
+ * scrypt$<salt hex>$<hash hex>
+ */
+export function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  return safeEqual(hashPassword(password, salt).split('$')[2], hash);
+}
+
+class AuthService {
+  /**
+   * @param {Object} [options] - env (padrão process.env), now (relógio), storage
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.now = options.now || (() => Date.now());
+    this.config = { ...AUTH_CONFIG, ...(options.config || {}) };
+    this.storage = options.storage || null;
+
+    this.apiKeys = [];
+    for (const entry of parseEntries(env.API_KEYS)) {
+      if (!this._validRole(entry.role) || !entry.secret) {
+        logger.warn(`API_KEYS: entrada ignorada (${entry.name || '?'}) — formato nome:papel:chave`);
+        continue;
+      }
+      this.apiKeys.push({ name: entry.name, role: entry.role, key: entry.secret });
+    }
+    if (env.API_AUTH_TOKEN) this.apiKeys.push({ name: 'legacy', role: 'admin', key: env.API_AUTH_TOKEN });
+
+    this.users = new Map();
+    for (const entry of parseEntries(env.AUTH_USERS)) {
+      if (!this._validRole(entry.role) || !entry.secret.startsWith('scrypt$')) {
+        logger.warn(`AUTH_USERS: entrada ignorada (${entry.name || '?'}) — use usuário:papel:scrypt$... (npm run hash-password)`);
+        continue;
+      }
+      this.users.set(entry.name, { name: entry.name, role: entry.role, hash: entry.secret });
+    }
+
+    this.secret = env.AUTH_JWT_SECRET || crypto.randomBytes(32).toString('hex');
+    if (!env.AUTH_JWT_SECRET && this.users.size) {
+      logger.warn('AUTH_JWT_SECRET não definido — sessões expiram a cada reinício');
+    }
+    this.ttlMs = (Number(env.AUTH_SESSION_TTL_HOURS) || this.config.SESSION_TTL_HOURS) * 60 * 60 * 1000;
+
+    const hasCredentials = this.apiKeys.length > 0 || this.users.size > 0;
+    const anon = String(env.AUTH_ANONYMOUS_ROLE || (hasCredentials ? 'none' : 'viewer')).toLowerCase();
+    this.anonymousRole = this._validRole(anon) ? anon : null;
+    if (!hasCredentials) logger.warn('Nenhuma credencial configurada (API_KEYS/AUTH_USERS/API_AUTH_TOKEN) — API somente leitura');
+
+    this.revoked = new Map(); // jti → exp
+    this.failures = new Map(); // usuário|ip → { count, lockedUntil }
+    this.audit = [];
+  }
+
+  attachStorage(storage) {
+    this.storage = storage;
+    if (!storage) return;
+    this.audit = storage.list('audit').sort((a, b) => a.at - b.at);
+  }
+
+  _validRole(role) {
+    return this.config.ROLES.includes(role);
+  }
+
+  roleAllows(role, required) {
+    const have = this.config.ROLES.indexOf(role);
+    return have >= 0 && have >= this.config.ROLES.indexOf(required);
+  }
+
+  // =================== SESSÕES (JWT HS256) ===================
+
+  _sign(payload) {
+    const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = b64url(JSON.stringify(payload));
+    const sig = crypto.createHmac('sha256', this.secret).update(`${head}.${body}`).digest('base64url');
+    return `${head}.${body}.${sig}`;
+  }
+
+  _verify(token) {
+    const [head, body, sig] = String(token).split('.');
+    if (!head || !body || !sig) return null;
+    const expected = crypto.createHmac('sha256', this.secret).update(`${head}.${body}`).digest('base64url');
+    if (!safeEqual(sig, expected)) return null;
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch {
+      return null;
+    }
+    if (!claims.exp || claims.exp * 1000 <= this.now() || this.revoked.has(claims.jti)) return null;
+    return claims;
+  }
+
+  /**
+   * Login usuário/senha → { token, user, role, expiresAt } ou lança (mensagem genérica)
+   */
+  login(username, password, ip = null) {
+    const key = `${username}|${ip || ''}`;
+    const fail = this.failures.get(key);
+    if (fail?.lockedUntil > this.now()) {
+      const err = new Error('Muitas tentativas — tente novamente mais tarde');
+      err.status = 429;
+      throw err;
+    }
+
+    const user = this.users.get(String(username || ''));
+    if (!user || !verifyPassword(password, user.hash)) {
+      const count = (fail?.count || 0) + 1;
+      const locked = count >= this.config.LOGIN_MAX_FAILURES;
+      this.failures.set(key, { count: locked ? 0 : count, lockedUntil: locked ? this.now() + this.config.LOGIN_LOCK_MS : 0 });
+      logger.warn(`Login falhou para "${username}"${ip ? ` (${ip})` : ''}${locked ? ' — bloqueado temporariamente' : ''}`);
+      const err = new Error('Usuário ou senha inválidos');
+      err.status = 401;
+      throw err;
+    }
+
+    this.failures.delete(key);
+    const iat = Math.floor(this.now() / 1000);
+    const exp = Math.floor((this.now() + this.ttlMs) / 1000);
+    const token = this._sign({ sub: user.name, role: user.role, iat, exp, jti: crypto.randomUUID() });
+    return { token, user: user.name, role: user.role, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+
+  logout(principal) {
+    if (principal?.jti) this.revoked.set(principal.jti, principal.exp);
+    // limpa revogações já expiradas
+    const nowSec = this.now() / 1000;
+    for (const [jti, exp] of this.revoked) if (exp <= nowSec) this.revoked.delete(jti);
+  }
+
+  // =================== REQUISIÇÕES ===================
+
+  _credential(req, { allowQueryToken = false } = {}) {
+    const header = req.headers?.authorization;
+    if (header) return header.startsWith('Bearer ') ? header.slice(7).trim() : header.trim();
+    if (req.headers?.['x-api-key']) return String(req.headers['x-api-key']).trim();
+    // WebSocket do navegador não envia headers: ?token= só no upgrade do feed (na URL vaza em logs/histórico)
+    if (!allowQueryToken) return null;
+    const url = req.url || '';
+    const q = url.indexOf('?');
+    if (q >= 0) return new URLSearchParams(url.slice(q + 1)).get('token');
+    return null;
+  }
+
+  /**
+   * Principal da requisição: { name, role, method: 'session'|'apikey'|'anonymous' } ou null
+   * @param {Object} [options] - allowQueryToken: aceita ?token= (só o upgrade WebSocket do feed)
+   */
+  authenticate(req, options = {}) {
+    const credential = this._credential(req, options);
+    if (credential) {
+      const claims = credential.split('.').length === 3 ? this._verify(credential) : null;
+      if (claims) return { name: claims.sub, role: claims.role, method: 'session', jti: claims.jti, exp: claims.exp };
+      const key = this.apiKeys.find((k) => safeEqual(k.key, credential));
+      if (key) return { name: key.name, role: key.role, method: 'apikey' };
+      return null;
+    }
+    return this.anonymousRole ? { name: 'anonymous', role: this.anonymousRole, method: 'anonymous' } : null;
+  }
+
+  /**
+   * Middleware global: popula req.auth (null = credencial inválida ou ausente sem acesso anônimo)
+   */
+  middleware() {
+    return (req, res, next) => {
+      req.auth = this.authenticate(req);
+      next();
+    };
+  }
+
+  /**
+   * Middleware de auditoria: registra chamadas que alteram estado ao terminar a resposta
+   */
+  auditMiddleware() {
+    return (req, res, next) => {
+      if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+      const started = this.now();
+      res.on('finish', () => {
+        this.record({
+          user: req.auth?.name || null,
+          role: req.auth?.role || null,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          ip: req.ip || req.socket?.remoteAddress || null,
+          body: this._redact(req.body),
+          durationMs: this.now() - started,
+        });
+      });
+      next();
+    };
+  }
+
+  _redact(body) {
+    if (!body || typeof body !== 'object') return null;
+    const out = {};
+    for (const [k, v] of Object.entries(body)) {
+      out[k] = SECRET_FIELDS.test(k) ? '***' : typeof v === 'object' && v !== null ? '[obj]' : v;
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  record(entry) {
+    const item = { id: crypto.randomUUID(), at: this.now(), ...entry };
+    this.audit.push(item);
+    if (this.storage) this.storage.set('audit', item.id, item);
+    while (this.audit.length > this.config.MAX_AUDIT_ENTRIES) {
+      const dropped = this.audit.shift();
+      if (this.storage) this.storage.delete('audit', dropped.id);
+    }
+    const icon = item.status >= 400 ? '⛔' : '📝';
+    console.log(`${icon} [Audit] ${item.user || 'anônimo'} (${item.role || '-'}) ${item.method} ${item.path} → ${item.status}`);
+  }
+
+  getAudit({ limit = 100, user = null } = {}) {
+    const list = user ? this.audit.filter((a) => a.user === user) : this.audit;
+    return list.slice(-Math.max(1, Math.min(1000, Number(limit) || 100))).reverse();
+  }
+
+  getStatus() {
+    return {
+      anonymousRole: this.anonymousRole,
+      apiKeys: this.apiKeys.length,
+      users: this.users.size,
+      auditEntries: this.audit.length,
+    };
+  }
+}
+
+/**
+ * Checagem de papel por rota: 401 sem credencial válida, 403 com papel insuficiente
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    const auth = req.app.auth;
+    if (!auth) return next();
+    const principal = req.auth === undefined ? auth.authenticate(req) : req.auth;
+    if (!principal) {
+      return res.status(401).json({ error: 'Autenticação necessária' });
+    }
+    if (!auth.roleAllows(principal.role, role)) {
+      return res.status(principal.method === 'anonymous' ? 401 : 403).json({ error: `Requer papel ${role}` });
+    }
+    next();
+  };
+}
+
+export default AuthService;
@@ -1,73 +1,178 @@
 /**
- * Serviço de backtesting
+ * Serviço de backtesting (candle a candle)
+ * - Reusa o pipeline ao vivo: calculateIndicators → detectPatterns → detectSignalTrend
+ *   → AdaptiveScoring.calculateAdaptiveScore → calculateTradingLevels → níveis publicados (normalizeLevels)
+ * - Long e short; TP/SL avaliados com high/low intrabar
+ *   (se stop e alvo caem no mesmo candle, o stop vence — a ordem intrabar é desconhecida)
+ * - Stop móvel idêntico ao monitor (TP2→entrada, TP3→alvo 1, TP4→alvo 2, TP5→alvo 3)
+ * - P&L com realização parcial 50/15/10/10/10/5 + restante da posição no preço de saída
+ * - Estatísticas de preenchimento por alvo e métricas separadas por direção (bySide: LONG / SHORT)
+ * - Custos (taxas, slippage, funding) via CostModelService: `profit` é líquido, `grossProfit` bruto
+ *
+ * ML fica desligado por padrão: os modelos são treinados com dados recentes (look-ahead).
  */
 
+import AdaptiveScoringService from './adaptiveScoring.js';
+import { TRADING_CONFIG, RATE_LIMITING } from '../config/constants.js';
+
+const DEFAULTS = {
+  WINDOW_SIZE: 200, // mesmo tamanho da janela da análise ao vivo
+  LEVERAGE: 15,
+  NEUTRAL_ML: 0.5,
+  MAX_STORED_RESULTS: 50,
+};
+
+// Sem série histórica do BTC alinhada: correlação neutra (mesmo fallback do pipeline ao vivo)
+const NEUTRAL_BTC_CORRELATION = {
+  btcTrend: 'NEUTRAL',
+  btcStrength: 0,
+  correlation: 'NEUTRAL',
+  bonus: 0,
+  penalty: 0,
+  alignment: 'NEUTRAL',
+};
+
 class BacktestingService {
-  constructor() {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.technicalAnalysis - singleton de análise técnica
+   * @param {Object} deps.patternDetection - PatternDetectionService
+   * @param {Object} deps.signalScoring - SignalScoringService (tendência + níveis)
+   * @param {Object} [deps.machineLearning] - usado só com options.useML
+   * @param {Object} deps.tradeRules - TelegramBotService (níveis publicados, stop móvel, realização)
+   * @param {Object} [deps.costModel] - CostModelService; sem ele o resultado líquido = bruto
+   */
+  constructor(deps = {}) {
     this.results = [];
+    this.technicalAnalysis = deps.technicalAnalysis || null;
+    this.patternDetection = deps.patternDetection || null;
+    this.signalScoring = deps.signalScoring || null;
+    this.machineLearning = deps.machineLearning || null;
+    this.tradeRules = deps.tradeRules || null;
+    this.costModel = deps.costModel || null;
   }
 
   /**
    * Executa backtesting para um símbolo
+   * @param {string} symbol
+   * @param {Object} historicalData - séries {timestamp[], open[], high[], low[], close[], volume[]}
+   * @param {Object} [options]
+   *  - timeframe: timeframe dos candles (padrão '1h')
+   *  - windowSize: candles por análise (padrão 200)
+   *  - minScore: score mínimo p/ emitir (padrão TRADING_CONFIG.MIN_SIGNAL_PROBABILITY)
+   *  - cooldownMs: intervalo mínimo entre sinais (padrão RATE_LIMITING.GLOBAL_SIGNAL_COOLDOWN_MS)
+   *  - maxBarsInTrade: encerra por tempo após N candles (padrão: sem limite, como o monitor)
+   *  - useML: usa machineLearning.predict (padrão false)
+   *  - learn: alimenta o AdaptiveScoring com os resultados (padrão true, como ao vivo)
+   *  - indicatorParams: parâmetros explícitos dos indicadores
+   *  - weights: pesos iniciais do AdaptiveScoring (sobrescrita parcial)
+   *  - costs: aplica o modelo de custos (padrão true quando há costModel)
+   *  - store: guarda o resultado em this.results (padrão true)
    */
-  async runBacktest(symbol, historicalData, analysisService, scoringService, mlService) {
+  async runBacktest(symbol, historicalData, options = {}) {
     try {
-      console.log(`Iniciando backtesting para ${symbol}...`);
+      this._assertDeps();
+
+      const timeframe = options.timeframe || '1h';
+      const windowSize = Math.max(60, Number(options.windowSize) || DEFAULTS.WINDOW_SIZE);
+      const minScore = options.minScore ?? TRADING_CONFIG.MIN_SIGNAL_PROBABILITY;
+      const cooldownMs = options.cooldownMs ?? RATE_LIMITING?.GLOBAL_SIGNAL_COOLDOWN_MS ?? 0;
+      const maxBarsInTrade = Number(options.maxBarsInTrade) > 0 ? Number(options.maxBarsInTrade) : null;
+      const learn = options.learn !== false;
+      const costModel = options.costs === false ? null : this.costModel;
+
+      const n = historicalData?.close?.length || 0;
+      if (n <= windowSize) {
+        throw new Error(`Dados insuficientes (${n} candles para janela de ${windowSize})`);
+      }
+
+      console.log(`🧪 Iniciando backtesting para ${symbol} ${timeframe} (${n} candles, janela ${windowSize})...`);
+
+      // Instância própria: o estado adaptativo do bot ao vivo não é tocado (nem o timeframe do scoring
+      // compartilhado com a análise ao vivo) e o relógio segue o candle
+      let barTime = historicalData.timestamp[0];
+      const adaptive = new AdaptiveScoringService({ clock: () => barTime, weights: options.weights });
+      adaptive.setCurrentTimeframe(timeframe);
 
       const trades = [];
-      const windowSize = 100; // Janela para análise
-
-      for (let i = windowSize; i < historicalData.close.length - 10; i++) {
-        // Dados para análise
-        const data = {
-          timestamp: historicalData.timestamp.slice(i - windowSize, i),
-          open: historicalData.open.slice(i - windowSize, i),
-          high: historicalData.high.slice(i - windowSize, i),
-          low: historicalData.low.slice(i - windowSize, i),
-          close: historicalData.close.slice(i - windowSize, i),
-          volume: historicalData.volume.slice(i - windowSize, i)
-        };
-
-        // Análise técnica
-        const indicators = analysisService.calculateIndicators(data);
-        const patterns = analysisService.detectPatterns(data);
-
-        // Previsão ML
-        const mlProbability = await mlService.predict(symbol, data, indicators);
-
-        // Pontuação do sinal
-        const scoring = scoringService.calculateSignalScore(data, indicators, patterns, mlProbability);
-
-        // Se sinal válido, simula trade
-        if (scoring.isValid) {
-          const trade = this.simulateTrade(
-            historicalData,
-            i,
-            scoring.totalScore,
-            scoringService.calculateTradingLevels(data.close[data.close.length - 1])
-          );
-
-          if (trade) {
-            trades.push(trade);
+      let openTrade = null;
+      let lastSignalTime = -Infinity;
+      const counters = { evaluated: 0, validSignals: 0, skippedNeutral: 0, skippedCooldown: 0 };
+
+      for (let i = windowSize - 1; i < n; i++) {
+        barTime = historicalData.timestamp[i];
+
+        // 1 posição por símbolo (igual ao hasActiveMonitor do bot)
+        if (openTrade) {
+          const closed = this._advanceTrade(openTrade, historicalData, i, maxBarsInTrade, costModel);
+          if (closed) {
+            trades.push(closed);
+            if (learn) {
+              adaptive.recordTradeResult(symbol, openTrade.indicators || {}, closed.profit > 0, closed.profit);
+            }
+            openTrade = null;
           }
+          continue;
+        }
+
+        if (barTime - lastSignalTime < cooldownMs) {
+          counters.skippedCooldown++;
+          continue;
+        }
+
+        const windowData = this._slice(historicalData, i - windowSize + 1, i + 1);
+        const evaluation = await this.evaluateBar(symbol, timeframe, windowData, adaptive, options);
+        counters.evaluated++;
+        if (!evaluation) continue;
+
+        const { scoring, trend, indicators } = evaluation;
+        if (!scoring.isValid || !(scoring.totalScore > minScore)) continue;
+        if (trend !== 'BULLISH' && trend !== 'BEARISH') {
+          counters.skippedNeutral++;
+          continue;
         }
+
+        counters.validSignals++;
+        lastSignalTime = barTime;
+        openTrade = this._openTrade(symbol, trend, historicalData, i, scoring.totalScore, indicators);
       }
 
-      // Calcula métricas
       const metrics = this.calculateMetrics(trades);
-      
       const result = {
         symbol,
+        timeframe,
+        period: {
+          from: new Date(historicalData.timestamp[0]).toISOString(),
+          to: new Date(historicalData.timestamp[n - 1]).toISOString(),
+          candles: n,
+        },
         totalTrades: trades.length,
-        winningTrades: trades.filter(t => t.profit > 0).length,
-        losingTrades: trades.filter(t => t.profit <= 0).length,
+        winningTrades: trades.filter((t) => t.profit > 0).length,
+        losingTrades: trades.filter((t) => t.profit <= 0).length,
+        longTrades: trades.filter((t) => t.side === 'LONG').length,
+        shortTrades: trades.filter((t) => t.side === 'SHORT').length,
         totalProfit: trades.reduce((sum, t) => sum + t.profit, 0),
+        totalGrossProfit: trades.reduce((sum, t) => sum + t.grossProfit, 0),
+        totalLeveragedProfit: trades.reduce((sum, t) => sum + t.leveragedProfit, 0),
+        totalCosts: this._sumCosts(trades),
+        costModel: costModel ? { feeTier: costModel.feeTier, fundingSource: costModel.fundingSource } : null,
         metrics,
-        trades: trades.slice(-10) // Últimos 10 trades para análise
+        bySide: this.calculateSideStats(trades),
+        targetStats: this.calculateTargetStats(trades),
+        exitReasons: this._countBy(trades, 'exitReason'),
+        signals: counters,
+        openTrade: openTrade ? this._markOpenTrade(openTrade, historicalData, n - 1, costModel) : null,
+        trades,
       };
 
-      this.results.push(result);
-      console.log(`Backtesting concluído para ${symbol}: ${result.winningTrades}/${result.totalTrades} trades vencedores`);
+      if (options.store !== false) {
+        this.results.push({ ...result, trades: trades.slice(-10) });
+        if (this.results.length > DEFAULTS.MAX_STORED_RESULTS) this.results.shift();
+      }
+      console.log(
+        `🧪 Backtesting concluído para ${symbol}: ${result.winningTrades}/${result.totalTrades} trades vencedores ` +
+          `(${result.longTrades} long / ${result.shortTrades} short)`
+      );
 
       return result;
     } catch (error) {
@@ -77,64 +182,253 @@ class BacktestingService {
   }
 
   /**
-   * Simula um trade
+   * Avalia um candle com o mesmo pipeline da análise ao vivo (sem correlação BTC e, por padrão, sem ML)
    */
-  simulateTrade(data, entryIndex, signalScore, levels) {
-    const entry = levels.entry;
-    const targets = levels.targets;
-    const stopLoss = levels.stopLoss;
-
-    let exitPrice = null;
-    let exitReason = null;
-    let exitIndex = null;
-
-    // Procura saída nos próximos 10 períodos
-    for (let j = entryIndex + 1; j < Math.min(entryIndex + 11, data.close.length); j++) {
-      const currentPrice = data.close[j];
-
-      // Verifica stop loss
-      if (currentPrice <= stopLoss) {
-        exitPrice = stopLoss;
-        exitReason = 'STOP_LOSS';
-        exitIndex = j;
-        break;
-      }
+  async evaluateBar(symbol, timeframe, windowData, adaptive, options = {}) {
+    const indicators = await this.technicalAnalysis.calculateIndicators(windowData, symbol, timeframe, {
+      useCache: false,
+      optimize: false,
+      params: options.indicatorParams || null,
+    });
+    if (!indicators || Object.keys(indicators).length === 0) return null;
+
+    const patterns = this.patternDetection.detectPatterns(windowData);
+
+    const mlProbability =
+      options.useML && this.machineLearning
+        ? await this.machineLearning.predict(symbol, windowData, indicators).catch(() => 0)
+        : DEFAULTS.NEUTRAL_ML;
+
+    const trend = this.signalScoring.detectSignalTrend(indicators, patterns);
+    const scoring = adaptive.calculateAdaptiveScore(
+      windowData,
+      indicators,
+      patterns,
+      mlProbability,
+      trend,
+      symbol,
+      NEUTRAL_BTC_CORRELATION
+    );
 
-      // Verifica alvos
-      for (let k = 0; k < targets.length; k++) {
-        if (currentPrice >= targets[k]) {
-          exitPrice = targets[k];
-          exitReason = `TARGET_${k + 1}`;
-          exitIndex = j;
-          break;
-        }
+    return { scoring, trend, indicators, patterns, mlProbability };
+  }
+
+  // =================== SIMULAÇÃO DE TRADE ===================
+
+  _openTrade(symbol, trend, data, index, signalScore, indicators) {
+    const entry = data.close[index];
+    const raw = this.signalScoring.calculateTradingLevels(entry, trend);
+    const levels = this.tradeRules.normalizeLevels(raw.entry, trend, raw.targets, raw.stopLoss);
+
+    return {
+      symbol,
+      trend,
+      isLong: trend === 'BULLISH',
+      entry: levels.entry,
+      entryIndex: index,
+      entryTime: data.timestamp[index],
+      originalTargets: [...levels.targets],
+      stopLoss: levels.stopLoss,
+      stopLossOriginal: levels.stopLoss,
+      isMobileStopActive: false,
+      targetsHit: 0,
+      fills: [],
+      signalScore,
+      indicators,
+    };
+  }
+
+  /**
+   * Aplica o candle `i` ao trade aberto. Retorna o trade fechado ou null.
+   */
+  _advanceTrade(trade, data, i, maxBarsInTrade, costModel = null) {
+    const high = data.high[i];
+    const low = data.low[i];
+
+    const hitStop = trade.isLong ? low <= trade.stopLoss : high >= trade.stopLoss;
+    if (hitStop) {
+      const reason = trade.isMobileStopActive && trade.targetsHit > 0 ? 'STOP_MOBILE' : 'STOP_LOSS';
+      return this._closeTrade(trade, trade.stopLoss, data, i, reason, costModel);
+    }
+
+    while (trade.targetsHit < trade.originalTargets.length) {
+      const next = trade.originalTargets[trade.targetsHit];
+      const reached = trade.isLong ? high >= next : low <= next;
+      if (!reached) break;
+
+      trade.targetsHit++;
+      trade.fills.push({
+        target: trade.targetsHit,
+        price: next,
+        time: data.timestamp[i],
+        bars: i - trade.entryIndex,
+      });
+
+      if (trade.targetsHit === trade.originalTargets.length) {
+        return this._closeTrade(trade, next, data, i, 'ALL_TARGETS', costModel);
       }
 
-      if (exitPrice) break;
+      // o novo stop só vale a partir do próximo candle
+      const trailing = this.tradeRules.trailingStopFor(trade.targetsHit, trade.entry, trade.originalTargets);
+      if (trailing) {
+        trade.stopLoss = trailing.price;
+        trade.isMobileStopActive = true;
+      }
     }
 
-    // Se não encontrou saída, usa preço de fechamento do último período
-    if (!exitPrice) {
-      exitIndex = Math.min(entryIndex + 10, data.close.length - 1);
-      exitPrice = data.close[exitIndex];
-      exitReason = 'TIME_EXIT';
+    if (maxBarsInTrade && i - trade.entryIndex >= maxBarsInTrade) {
+      return this._closeTrade(trade, data.close[i], data, i, 'TIME_EXIT', costModel);
     }
+    return null;
+  }
 
-    const profit = (exitPrice - entry) / entry * 100;
-    const duration = exitIndex - entryIndex;
+  _closeTrade(trade, exitPrice, data, exitIndex, exitReason, costModel = null) {
+    const { realized, remainderPct } = this._realizedPartials(trade);
+    const grossProfit = realized + (this._directionalPnL(trade, exitPrice) * remainderPct) / 100;
+    const exitTime = data.timestamp[exitIndex];
+    const costs = costModel ? costModel.computeCosts(this._costLegs(trade, exitPrice, exitTime, exitReason, remainderPct)) : null;
+    const profit = grossProfit - (costs?.total || 0);
 
     return {
-      entryTime: data.timestamp[entryIndex],
-      exitTime: data.timestamp[exitIndex],
-      entryPrice: entry,
+      symbol: trade.symbol,
+      side: trade.isLong ? 'LONG' : 'SHORT',
+      trend: trade.trend,
+      entryTime: trade.entryTime,
+      exitTime,
+      entryPrice: trade.entry,
       exitPrice,
+      stopLossOriginal: trade.stopLossOriginal,
+      targets: trade.originalTargets,
+      targetsHit: trade.targetsHit,
+      fills: trade.fills,
       profit,
-      duration,
+      grossProfit,
+      costs: costs || { fees: 0, slippage: 0, funding: 0, total: 0 },
+      leveragedProfit: profit * DEFAULTS.LEVERAGE,
+      leveragedGrossProfit: grossProfit * DEFAULTS.LEVERAGE,
+      realizedPartials: realized,
+      duration: exitIndex - trade.entryIndex,
       exitReason,
-      signalScore
+      signalScore: trade.signalScore,
+    };
+  }
+
+  // Trade ainda aberto no fim dos dados: marcado a mercado, fora das métricas
+  _markOpenTrade(trade, data, lastIndex, costModel = null) {
+    const marked = this._closeTrade(trade, data.close[lastIndex], data, lastIndex, 'OPEN', costModel);
+    return { ...marked, exitTime: null };
+  }
+
+  // Pernas do trade no formato do CostModelService: parciais nos alvos + restante na saída
+  _costLegs(trade, exitPrice, exitTime, exitReason, remainderPct) {
+    const split = this.tradeRules.getRealizationSplit();
+    const legs = trade.fills.map((fill, k) => ({ price: fill.price, pct: split[k], kind: 'target', time: fill.time }));
+    if (remainderPct > 0) {
+      const kind = exitReason === 'STOP_LOSS' || exitReason === 'STOP_MOBILE' ? 'stop' : 'exit';
+      legs.push({ price: exitPrice, pct: remainderPct, kind, time: exitTime });
+    }
+    return {
+      symbol: trade.symbol,
+      isLong: trade.isLong,
+      entry: trade.entry,
+      openedAt: trade.entryTime,
+      closedAt: exitTime,
+      legs,
     };
   }
 
+  _directionalPnL(trade, price) {
+    return trade.isLong ? ((price - trade.entry) / trade.entry) * 100 : ((trade.entry - price) / trade.entry) * 100;
+  }
+
+  _realizedPartials(trade) {
+    const split = this.tradeRules.getRealizationSplit();
+    let realized = 0;
+    let filledPct = 0;
+    trade.fills.forEach((fill, k) => {
+      realized += (this._directionalPnL(trade, fill.price) * split[k]) / 100;
+      filledPct += split[k];
+    });
+    return { realized, remainderPct: Math.max(0, 100 - filledPct) };
+  }
+
+  // =================== ESTATÍSTICAS ===================
+
+  /**
+   * Taxa de preenchimento e tempo médio até cada alvo
+   */
+  calculateTargetStats(trades) {
+    const numTargets = trades.reduce((max, t) => Math.max(max, t.targets?.length || 0), 0);
+    const stats = [];
+    for (let k = 1; k <= numTargets; k++) {
+      const fills = trades.map((t) => t.fills.find((f) => f.target === k)).filter(Boolean);
+      const reachedPrev = k === 1 ? trades.length : trades.filter((t) => t.targetsHit >= k - 1).length;
+      stats.push({
+        target: k,
+        hits: fills.length,
+        fillRate: trades.length > 0 ? (fills.length / trades.length) * 100 : 0,
+        // dos trades que chegaram ao alvo anterior, quantos seguiram até este
+        conversionRate: reachedPrev > 0 ? (fills.length / reachedPrev) * 100 : 0,
+        avgBarsToFill: fills.length > 0 ? fills.reduce((sum, f) => sum + f.bars, 0) / fills.length : null,
+      });
+    }
+    return stats;
+  }
+
+  /**
+   * Métricas por direção: long e short têm taxas de acerto e custos (funding) diferentes
+   */
+  calculateSideStats(trades) {
+    const stats = {};
+    for (const side of ['LONG', 'SHORT']) {
+      const sideTrades = trades.filter((t) => t.side === side);
+      stats[side] = {
+        trades: sideTrades.length,
+        winningTrades: sideTrades.filter((t) => t.profit > 0).length,
+        totalProfit: sideTrades.reduce((sum, t) => sum + t.profit, 0),
+        totalGrossProfit: sideTrades.reduce((sum, t) => sum + t.grossProfit, 0),
+        metrics: this.calculateMetrics(sideTrades),
+      };
+    }
+    return stats;
+  }
+
+  _sumCosts(trades) {
+    return trades.reduce(
+      (acc, t) => {
+        acc.fees += t.costs.fees;
+        acc.slippage += t.costs.slippage;
+        acc.funding += t.costs.funding;
+        acc.total += t.costs.total;
+        return acc;
+      },
+      { fees: 0, slippage: 0, funding: 0, total: 0 }
+    );
+  }
+
+  _countBy(items, key) {
+    return items.reduce((acc, item) => {
+      acc[item[key]] = (acc[item[key]] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  _slice(data, start, end) {
+    return {
+      timestamp: data.timestamp.slice(start, end),
+      open: data.open.slice(start, end),
+      high: data.high.slice(start, end),
+      low: data.low.slice(start, end),
+      close: data.close.slice(start, end),
+      volume: data.volume.slice(start, end),
+    };
+  }
+
+  _assertDeps() {
+    const missing = ['technicalAnalysis', 'patternDetection', 'signalScoring', 'tradeRules'].filter((k) => !this[k]);
+    if (missing.length) throw new Error(`Dependências ausentes: ${missing.join(', ')}`);
+  }
+
   /**
    * Calcula métricas de performance
    */
@@ -154,9 +448,9 @@ class BacktestingService {
     const losingTrades = trades.filter(t => t.profit <= 0);
 
     const winRate = (winningTrades.length / trades.length) * 100;
-    const avgProfit = winningTrades.length > 0 ? 
+    const avgProfit = winningTrades.length > 0 ?
       winningTrades.reduce((sum, t) => sum + t.profit, 0) / winningTrades.length : 0;
-    const avgLoss = losingTrades.length > 0 ? 
+    const avgLoss = losingTrades.length > 0 ?
       Math.abs(losingTrades.reduce((sum, t) => sum + t.profit, 0) / losingTrades.length) : 0;
 
     const totalProfit = winningTrades.reduce((sum, t) => sum + t.profit, 0);
@@ -208,12 +502,24 @@ class BacktestingService {
     let report = '📊 RELATÓRIO DE BACKTESTING\n\n';
 
     this.results.forEach(result => {
-      report += `🔸 ${result.symbol}\n`;
-      report += `   Trades: ${result.totalTrades}\n`;
+      report += `🔸 ${result.symbol} ${result.timeframe || ''}\n`;
+      report += `   Trades: ${result.totalTrades} (${result.longTrades || 0} long / ${result.shortTrades || 0} short)\n`;
       report += `   Taxa de acerto: ${result.metrics.winRate.toFixed(1)}%\n`;
       report += `   Profit Factor: ${result.metrics.profitFactor.toFixed(2)}\n`;
-      report += `   Lucro total: ${result.totalProfit.toFixed(2)}%\n`;
-      report += `   Max Drawdown: ${result.metrics.maxDrawdown.toFixed(2)}%\n\n`;
+      report += `   Lucro total: bruto ${(result.totalGrossProfit ?? result.totalProfit).toFixed(2)}% | líquido ${result.totalProfit.toFixed(2)}%\n`;
+      if (result.totalCosts?.total) {
+        const c = result.totalCosts;
+        report += `   Custos: taxas ${c.fees.toFixed(2)}% | slippage ${c.slippage.toFixed(2)}% | funding ${c.funding.toFixed(2)}%\n`;
+      }
+      report += `   Max Drawdown: ${result.metrics.maxDrawdown.toFixed(2)}%\n`;
+      for (const [side, s] of Object.entries(result.bySide || {})) {
+        if (!s.trades) continue;
+        report += `   ${side === 'LONG' ? 'Long' : 'Short'}: ${s.trades} trades | acerto ${s.metrics.winRate.toFixed(1)}% | PF ${s.metrics.profitFactor.toFixed(2)} | líquido ${s.totalProfit.toFixed(2)}%\n`;
+      }
+      if (result.targetStats?.length) {
+        report += `   Alvos: ${result.targetStats.map(t => `T${t.target} ${t.fillRate.toFixed(0)}%`).join(' | ')}\n`;
+      }
+      report += '\n';
     });
 
     // Estatísticas gerais
@@ -221,11 +527,19 @@ class BacktestingService {
     const totalWinning = this.results.reduce((sum, r) => sum + r.winningTrades, 0);
     const overallWinRate = totalTrades > 0 ? (totalWinning / totalTrades) * 100 : 0;
     const totalProfit = this.results.reduce((sum, r) => sum + r.totalProfit, 0);
+    const totalGrossProfit = this.results.reduce((sum, r) => sum + (r.totalGrossProfit ?? r.totalProfit), 0);
 
     report += `📈 RESUMO GERAL\n`;
     report += `Total de trades: ${totalTrades}\n`;
     report += `Taxa de acerto geral: ${overallWinRate.toFixed(1)}%\n`;
-    report += `Lucro total: ${totalProfit.toFixed(2)}%\n`;
+    report += `Lucro total: bruto ${totalGrossProfit.toFixed(2)}% | líquido ${totalProfit.toFixed(2)}%\n`;
+    for (const side of ['LONG', 'SHORT']) {
+      const trades = this.results.reduce((sum, r) => sum + (r.bySide?.[side]?.trades || 0), 0);
+      if (!trades) continue;
+      const wins = this.results.reduce((sum, r) => sum + (r.bySide?.[side]?.winningTrades || 0), 0);
+      const profit = this.results.reduce((sum, r) => sum + (r.bySide?.[side]?.totalProfit || 0), 0);
+      report += `${side === 'LONG' ? 'Long' : 'Short'}: ${trades} trades | acerto ${((wins / trades) * 100).toFixed(1)}% | líquido ${profit.toFixed(2)}%\n`;
+    }
 
     return report;
   }
@@ -253,4 +567,4 @@ class BacktestingService {
   }
 }
 
-export default BacktestingService;
\ No newline at end of file
+export default BacktestingService;
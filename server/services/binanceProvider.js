@@ -0,0 +1,95 @@
+/**
+ * Provedor Binance (USDT-M futures por padrão; BINANCE_DEFAULT_TYPE=spot para spot)
+ */
+
+import ccxt from 'ccxt';
+import MarketDataProvider from './marketDataProvider.js';
+
+export default class BinanceProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    const defaultType = (options.defaultType || process.env.BINANCE_DEFAULT_TYPE || 'future').toLowerCase();
+    super(
+      'binance',
+      new ccxt.binance({
+        apiKey: process.env.BINANCE_API_KEY || '',
+        secret: process.env.BINANCE_SECRET || '',
+        enableRateLimit: true,
+        options: {
+          defaultType, // 'future' para perp USDT
+          adjustForTimeDifference: true,
+        },
+        timeout: 15_000,
+      })
+    );
+    this.defaultType = defaultType;
+    this.maxOhlcvLimit = 1500;
+    // stream combinado: /stream?streams=btcusdt@kline_1m/ethusdt@miniTicker (+ SUBSCRIBE/UNSUBSCRIBE dinâmicos)
+    this.wsEndpoint = defaultType === 'future' ? 'wss://fstream.binance.com/stream' : 'wss://stream.binance.com:9443/stream';
+    this.wsTopicsInUrl = true;
+    this.wsRequestId = 1;
+  }
+
+  toVenueSymbol(symbol) {
+    if (symbol.includes(':') || this.defaultType !== 'future') return symbol;
+    const [, quote] = symbol.split('/');
+    return quote ? `${symbol}:${quote}` : symbol;
+  }
+
+  async listSymbols(quote = 'USDT') {
+    if (this.defaultType === 'future') return super.listSymbols(quote);
+    await this.loadMarkets();
+    return Object.values(this.exchange.markets || {})
+      .filter((m) => m.spot && m.quote === quote && m.active !== false)
+      .map((m) => m.symbol);
+  }
+
+  _wsEndpoint() {
+    return this.wsEndpoint;
+  }
+
+  // BTC/USDT -> btcusdt@kline_1m | btcusdt@miniTicker
+  _wsTopic(channel, symbol, interval) {
+    const id = symbol.split(':')[0].replace('/', '').toLowerCase();
+    return channel === 'ticker' ? `${id}@miniTicker` : `${id}@kline_${interval}`;
+  }
+
+  _wsConnectUrl(endpoint, topics) {
+    return `${endpoint}?streams=${topics.join('/')}`;
+  }
+
+  _wsSubscribeMessage(topics) {
+    return { method: 'SUBSCRIBE', params: topics, id: this.wsRequestId++ };
+  }
+
+  _wsUnsubscribeMessage(topics) {
+    return { method: 'UNSUBSCRIBE', params: topics, id: this.wsRequestId++ };
+  }
+
+  // { stream, data } — respostas de SUBSCRIBE ({ result, id }) são ignoradas
+  _parseStreamMessage(msg) {
+    const data = msg?.data;
+    if (!msg?.stream || !data) return [];
+    if (data.e === 'kline' && data.k) {
+      const k = data.k;
+      return [
+        {
+          topic: msg.stream,
+          type: 'kline',
+          candle: {
+            isClosed: Boolean(k.x),
+            open: Number(k.o),
+            high: Number(k.h),
+            low: Number(k.l),
+            close: Number(k.c),
+            volume: Number(k.v),
+            timestamp: Number(k.t),
+          },
+        },
+      ];
+    }
+    if (data.e === '24hrMiniTicker') {
+      return [{ topic: msg.stream, type: 'ticker', price: Number(data.c), time: Number(data.E) }];
+    }
+    return [];
+  }
+}
@@ -1,8 +1,14 @@
 // server/services/binanceService.js
-// Serviço de integração com a Binance (REST + WS) com fallback para Bybit (perp USDT)
+// Fachada de dados de mercado usada pelo bot (REST + WS). O nome foi mantido por compatibilidade:
+// as chamadas passam pelo MarketDataRouter (Binance, Bybit, OKX) com rota por símbolo e failover.
 // ✅ Exporta apenas a CLASSE (default). NÃO instancia aqui!
 
-import ccxt from 'ccxt';
+import MarketDataRouter from './marketDataRouter.js';
+
+const TIMEFRAME_MS = {
+  '1m': 60e3, '3m': 180e3, '5m': 300e3, '15m': 900e3, '30m': 1800e3, '1h': 3600e3, '2h': 7200e3,
+  '4h': 14400e3, '6h': 21600e3, '8h': 28800e3, '12h': 43200e3, '1d': 86400e3, '3d': 259200e3, '1w': 604800e3,
+};
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
@@ -12,79 +18,44 @@ function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
-/**
- * Mapeia símbolo padrão (ex.: BTC/USDT) para o contrato perp USDT linear na Bybit (ex.: BTC/USDT:USDT)
- */
-function toBybitLinear(symbol) {
-  // Muitos pares em Bybit linear são "BASE/USDT:USDT"
-  if (symbol.includes(':')) return symbol; // já está mapeado
-  const [base, quote] = symbol.split('/');
-  if (!quote) return symbol;
-  return `${base}/${quote}:USDT`;
-}
-
 export default class BinanceService {
-  constructor() {
-    const apiKey = process.env.BINANCE_API_KEY || '';
-    const secret = process.env.BINANCE_SECRET || '';
-    const defaultType = (process.env.BINANCE_DEFAULT_TYPE || 'future').toLowerCase(); // 'future' por padrão
-    const enableRateLimit = true;
-
-    // ===== EXCHANGES =====
-    this.binance = new ccxt.binance({
-      apiKey,
-      secret,
-      enableRateLimit,
-      options: {
-        defaultType, // 'future' para perp USDT
-        adjustForTimeDifference: true,
-      },
-      timeout: 15_000,
-    });
-
-    // Bybit como fallback (swap linear)
-    this.bybit = new ccxt.bybit({
-      enableRateLimit: true,
-      options: {
-        defaultType: 'swap',
-      },
-      timeout: 15_000,
-    });
+  /**
+   * @param {Object} [options]
+   *  - marketData: MarketDataRouter já configurado (padrão: novo roteador com as venues do config/env)
+   *  - clock: relógio { now() } (padrão: Date.now; o modo replay injeta o ReplayClock)
+   */
+  constructor(options = {}) {
+    this.marketData = options.marketData || new MarketDataRouter();
+    this.clock = options.clock || null;
 
-    // Carregamento lazy de markets (evita travar boot)
-    this._marketsLoaded = false;
+    // Compat: instâncias ccxt das venues principais
+    this.binance = this.marketData.providers.binance?.exchange || null;
+    this.bybit = this.marketData.providers.bybit?.exchange || null;
 
     // Cache simples de OHLCV (por símbolo+timeframe)
-    this.ohlcvCache = new Map(); // key: `${symbol}|${timeframe}|primary` ou `...|bybit`
+    this.ohlcvCache = new Map(); // key: `${symbol}|${timeframe}` → { ts, data, venue }
 
     // WebSockets
     this.wsEnabled = String(process.env.BINANCE_WS_ENABLED || 'false').toLowerCase() === 'true';
-    this.wsClients = new Map();   // key: `${symbol}|${interval}` => ws instance
+    this.wsClients = new Map();   // key: `${symbol}|${interval}` => handle do roteador
     this.wsHandlers = new Map();  // key: `${symbol}|${interval}` => callback
-    this.wsLastSeen = new Map();  // key: `${symbol}|${interval}` => last timestamp
 
     // Limites
     this.maxOhlcvLimit = 1500;
-
-    // WS endpoint correto para o mercado
-    this.wsEndpoint =
-      defaultType === 'future'
-        ? 'wss://fstream.binance.com/ws'
-        : 'wss://stream.binance.com:9443/ws';
   }
 
   // ===== Util =====
 
   async _ensureMarkets() {
-    if (this._marketsLoaded) return;
-    try {
-      await Promise.allSettled([this.binance.loadMarkets(), this.bybit.loadMarkets()]);
-    } catch (_) {}
-    this._marketsLoaded = true;
+    await this.marketData.loadMarkets();
+  }
+
+  _now() {
+    return this.clock ? this.clock.now() : Date.now();
   }
 
-  _key(symbol, timeframe, venue = 'primary') {
-    return `${symbol}|${timeframe}|${venue}`;
+  _key(symbol, timeframe) {
+    return `${symbol}|${timeframe}`;
   }
 
   _normalizeTimeframe(tf) {
@@ -107,37 +78,10 @@ export default class BinanceService {
     return tf;
   }
 
-  _streamName(symbol, interval) {
-    // BTC/USDT -> btcusdt
-    const s = symbol.replace('/', '').toLowerCase();
-    const i = this._normalizeTimeframe(interval);
-    return `${s}@kline_${i}`;
-  }
-
-  _toSeries(ohlcv) {
-    // ccxt OHLCV: [ts, open, high, low, close, volume]
-    const ts = [];
-    const open = [];
-    const high = [];
-    const low = [];
-    const close = [];
-    const volume = [];
-
-    for (const c of ohlcv) {
-      ts.push(c[0]);
-      open.push(Number(c[1]));
-      high.push(Number(c[2]));
-      low.push(Number(c[3]));
-      close.push(Number(c[4]));
-      volume.push(Number(c[5]));
-    }
-
-    return { timestamp: ts, open, high, low, close, volume };
-  }
-
   // ===== REST =====
 
   async getServerTime() {
+    if (this.clock) return String(this.clock.now());
     try {
       const t = await this.binance.fetchTime();
       return String(t ?? Date.now());
@@ -148,160 +92,91 @@ export default class BinanceService {
   }
 
   /**
-   * Busca OHLCV (com retry/backoff) na Binance e cai para Bybit se necessário.
+   * Busca OHLCV seguindo a rota do símbolo (venue preferida → failover).
    * Retorna em formato de séries {timestamp[], open[], high[], low[], close[], volume[]}
+   * `since` (ms, opcional): busca a partir desse instante (janela histórica, sem cache)
    */
-  async getOHLCVData(symbol, timeframe = '1h', limit = 200) {
-    await this._ensureMarkets();
-
+  async getOHLCVData(symbol, timeframe = '1h', limit = 200, since = undefined) {
     const tf = this._normalizeTimeframe(timeframe);
     const requestedLimit = Number(limit) || 200;
     const safeLimit = clamp(requestedLimit, 50, this.maxOhlcvLimit);
+    const sinceMs = since != null && Number.isFinite(Number(since)) ? Number(since) : undefined;
+    // com `since` a janela pode terminar "agora" e trazer menos de 50 candles
+    const minLength = sinceMs !== undefined ? 1 : Math.min(50, safeLimit);
+    const cacheKey = this._key(symbol, tf);
 
-    // 1) Tenta Binance (primário)
-    try {
-      const data = await this._fetchOHLCVWithRetry(this.binance, symbol, tf, safeLimit, 'primary');
-      if (data?.close?.length >= Math.min(50, safeLimit)) return data;
-      throw new Error('Dados insuficientes da Binance');
-    } catch (err1) {
-      console.warn(`[BinanceService] OHLCV Binance falhou (${symbol} ${tf}): ${err1.message}`);
+    // cache 30s para aliviar chamadas
+    const cached = sinceMs === undefined ? this.ohlcvCache.get(cacheKey) : null;
+    if (cached && this._now() - cached.ts < 30_000 && cached.data?.close?.length >= minLength) {
+      return cached.data;
     }
 
-    // 2) Fallback Bybit (swap linear USDT)
     try {
-      const bybitSymbol = toBybitLinear(symbol);
-      const data = await this._fetchOHLCVWithRetry(this.bybit, bybitSymbol, tf, safeLimit, 'bybit');
-      if (data?.close?.length) return data;
-      throw new Error('Dados insuficientes da Bybit');
-    } catch (err2) {
-      console.warn(`[BinanceService] OHLCV Bybit falhou (${symbol} ${tf}): ${err2.message}`);
+      const { venue, data } = await this.marketData.fetchOHLCV(symbol, tf, safeLimit, sinceMs, minLength);
+      if (sinceMs === undefined) this.ohlcvCache.set(cacheKey, { ts: this._now(), data, venue });
+      return data;
+    } catch (err) {
+      console.warn(`[BinanceService] OHLCV falhou em todas as venues (${symbol} ${tf}): ${err.message}`);
     }
 
-    // 3) Último recurso: cache de qualquer venue
-    const cached =
-      this.ohlcvCache.get(this._key(symbol, tf, 'primary'))?.data ||
-      this.ohlcvCache.get(this._key(symbol, tf, 'bybit'))?.data;
+    // janela histórica: o cache guarda só os candles mais recentes, não serve aqui
+    if (sinceMs !== undefined) {
+      throw new Error(`Falha em OHLCV para ${symbol} ${tf} desde ${new Date(sinceMs).toISOString()}`);
+    }
 
-    if (cached?.close?.length) {
+    // Último recurso: cache antigo
+    if (cached?.data?.close?.length) {
       console.warn('[BinanceService] Usando OHLCV em cache como último recurso.');
-      return cached;
+      return cached.data;
     }
 
     throw new Error(`Falha em OHLCV para ${symbol} ${tf}`);
   }
 
-  async _fetchOHLCVWithRetry(exchange, symbol, tf, limit, venue) {
-    const cacheKey = this._key(symbol, tf, venue);
-    const now = Date.now();
-
-    // cache 30s para aliviar chamadas
-    const cached = this.ohlcvCache.get(cacheKey);
-    if (cached && now - cached.ts < 30_000 && cached.data?.close?.length >= Math.min(50, limit)) {
-      return cached.data;
-    }
-
-    const tryFetch = async (lim) => {
-      let attempts = 0;
-      let lastErr = null;
-
-      while (attempts < 4) {
-        attempts++;
-        try {
-          const ohlcv = await exchange.fetchOHLCV(symbol, tf, undefined, lim);
-          const data = this._toSeries(ohlcv);
-          this.ohlcvCache.set(cacheKey, { ts: Date.now(), data });
-          return data;
-        } catch (err) {
-          lastErr = err;
-          const msg = (err && err.message) || '';
-          const http = Number(err?.httpStatus || 0);
-
-          const is429 =
-            msg.includes('Too Many Requests') ||
-            http === 429 ||
-            msg.includes('429');
-
-          const is5xx =
-            http >= 500 ||
-            /5\d{2}/.test(String(http)) ||
-            /Internal Server Error|Service Unavailable/i.test(msg);
-
-          const isNetwork =
-            err instanceof ccxt.NetworkError ||
-            err instanceof ccxt.ExchangeNotAvailable ||
-            err instanceof ccxt.RequestTimeout ||
-            /ETIMEDOUT|ECONNRESET|ENETUNREACH|EAI_AGAIN/i.test(msg);
-
-          if (is429 || is5xx || isNetwork) {
-            const backoff = 700 * attempts; // 0.7s, 1.4s, 2.1s, 2.8s
-            console.warn(
-              `[BinanceService] ${venue} ${http || 'ERR'} em OHLCV ${symbol} ${tf} (tentativa ${attempts}) — aguardando ${backoff}ms`
-            );
-            await sleep(backoff);
-            continue;
-          }
-
-          // erro diferente → não adianta insistir
-          throw err;
-        }
-      }
-
-      // falhou após tentativas
-      throw lastErr || new Error(`Falha em fetchOHLCV ${venue} ${symbol} ${tf} (limit=${lim})`);
-    };
-
-    // 1) tenta com o limit solicitado
-    try {
-      return await tryFetch(limit);
-    } catch (err1) {
-      // 2) fallback: tenta com metade do limit
-      const smaller = Math.max(50, Math.floor(limit / 2));
-      if (smaller < limit) {
-        console.warn(`[BinanceService] Fallback OHLCV (${venue}) com limit reduzido: ${symbol} ${tf} ${smaller}`);
-        try {
-          return await tryFetch(smaller);
-        } catch (err2) {
-          // 3) último fallback: retorna cache (se existir)
-          const cached2 = this.ohlcvCache.get(cacheKey)?.data;
-          if (cached2?.close?.length) {
-            console.warn('[BinanceService] Usando OHLCV em cache como último recurso.');
-            return cached2;
-          }
-          throw err2;
-        }
+  /**
+   * Histórico longo (paginado via `since`) entre [since, until). Mesmo formato de séries do getOHLCVData.
+   */
+  async getOHLCVHistory(symbol, timeframe, since, until = this._now()) {
+    const tf = this._normalizeTimeframe(timeframe);
+    const tfMs = TIMEFRAME_MS[tf] || 60_000;
+    const out = { timestamp: [], open: [], high: [], low: [], close: [], volume: [] };
+    let cursor = Number(since);
+
+    while (cursor < until) {
+      const page = await this.getOHLCVData(symbol, tf, this.maxOhlcvLimit, cursor);
+      let advanced = false;
+      for (let i = 0; i < page.timestamp.length; i++) {
+        const ts = page.timestamp[i];
+        if (ts < cursor || ts >= until) continue;
+        out.timestamp.push(ts);
+        out.open.push(page.open[i]);
+        out.high.push(page.high[i]);
+        out.low.push(page.low[i]);
+        out.close.push(page.close[i]);
+        out.volume.push(page.volume[i]);
+        cursor = ts + 1;
+        advanced = true;
       }
-      throw err1;
+      if (!advanced) break;
+      // já chegou ao candle mais recente (em formação): não há página seguinte
+      if (cursor > Math.min(until, this._now()) - tfMs) break;
     }
+    return out;
   }
 
   /**
    * Preço atual simples (número) com fallback:
-   * 1) Binance ticker.last (future)
-   * 2) Bybit ticker.last (swap linear)
-   * 3) Último close (1m) de quem responder primeiro
+   * 1) ticker.last na rota do símbolo
+   * 2) Último close (1m)
    */
   async getLastPrice(symbol) {
-    await this._ensureMarkets();
-    // 1) Binance
     try {
-      const t = await this.binance.fetchTicker(symbol);
-      const last = Number(t?.last ?? t?.close ?? 0);
-      if (isFinite(last) && last > 0) return last;
+      const t = await this.marketData.fetchTicker(symbol);
+      if (isFinite(t.last) && t.last > 0) return t.last;
     } catch (err) {
-      console.warn(`[BinanceService] getLastPrice Binance falhou ${symbol}:`, err.message);
+      console.warn(`[BinanceService] getLastPrice falhou ${symbol}:`, err.message);
     }
 
-    // 2) Bybit
-    try {
-      const bybitSymbol = toBybitLinear(symbol);
-      const t = await this.bybit.fetchTicker(bybitSymbol);
-      const last = Number(t?.last ?? t?.close ?? 0);
-      if (isFinite(last) && last > 0) return last;
-    } catch (err) {
-      console.warn(`[BinanceService] getLastPrice Bybit falhou ${symbol}:`, err.message);
-    }
-
-    // 3) Último close 1m (quem vier primeiro)
     try {
       const [p] = await Promise.race([
         this.getOHLCVCloseSafe(symbol, '1m'),
@@ -313,6 +188,64 @@ export default class BinanceService {
     return 0;
   }
 
+  /**
+   * Histórico de funding do perpétuo. Retorna [{ time, rate }] com rate em % por período.
+   */
+  async getFundingRateHistory(symbol, since = undefined, limit = 200) {
+    try {
+      return await this.marketData.fetchFundingRateHistory(symbol, since, limit);
+    } catch (err) {
+      console.warn(`[BinanceService] funding falhou ${symbol}:`, err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Metadados do contrato (tick, lote mínimo, alavancagem máx.) e venues que listam o símbolo
+   */
+  async getSymbolInfo(symbol) {
+    const info = await this.marketData.getSymbolInfo(symbol);
+    if (!info) throw new Error(`${symbol} não listado em nenhuma venue`);
+    return info;
+  }
+
+  /**
+   * Contratos USDT lineares de todas as venues: [{ symbol, venues }]
+   */
+  async listSymbols(quote = 'USDT') {
+    return this.marketData.listSymbols(quote);
+  }
+
+  // ===== Universo de símbolos (uma venue específica, não o roteamento com failover) =====
+
+  _venueProvider(venue) {
+    const provider = this.marketData.providers[venue];
+    if (!provider || typeof provider.listContracts !== 'function') throw new Error(`Venue ${venue} indisponível para o universo`);
+    return provider;
+  }
+
+  /**
+   * Contratos lineares da venue, inclusive fora de negociação; reload=true recarrega os markets
+   */
+  async listContracts(venue, quote = 'USDT', { reload = false } = {}) {
+    const provider = this._venueProvider(venue);
+    if (reload) await provider.reloadMarkets();
+    else await this._ensureMarkets();
+    return provider.listContracts(quote);
+  }
+
+  async fetchTickers(venue, symbols) {
+    return this._venueProvider(venue).fetchTickers(symbols);
+  }
+
+  async fetchOpenInterest(venue, symbol) {
+    return this._venueProvider(venue).fetchOpenInterest(symbol);
+  }
+
+  getMarketDataStatus() {
+    return this.marketData.getStatus();
+  }
+
   // 👉 Alias para compatibilidade com app.js e outros módulos
   async getCurrentPrice(symbol) {
     return this.getLastPrice(symbol);
@@ -350,57 +283,15 @@ export default class BinanceService {
   }
 
   /**
-   * Ticker completo (objeto padronizado). Se falhar, tenta Bybit. Se tudo falhar, null.
+   * Ticker completo (objeto padronizado, com `venue`). Se todas as venues falharem, null.
    */
   async getCurrentTicker(symbol) {
-    await this._ensureMarkets();
-
-    // Binance
     try {
-      const t = await this.binance.fetchTicker(symbol);
-      return {
-        symbol,
-        last: Number(t.last ?? t.close ?? 0),
-        bid: Number(t.bid ?? 0),
-        ask: Number(t.ask ?? 0),
-        high: Number(t.high ?? 0),
-        low: Number(t.low ?? 0),
-        baseVolume: Number(t.baseVolume ?? 0),
-        quoteVolume: Number(t.quoteVolume ?? 0),
-        change: Number(t.change ?? 0),
-        percentage: Number(t.percentage ?? 0),
-        ts: t.timestamp ?? Date.now(),
-        info: t.info,
-        venue: 'binance',
-      };
+      return await this.marketData.fetchTicker(symbol);
     } catch (err) {
-      console.warn(`[BinanceService] getCurrentTicker Binance falhou para ${symbol}:`, err.message);
+      console.warn(`[BinanceService] getCurrentTicker falhou para ${symbol}:`, err.message);
+      return null;
     }
-
-    // Bybit (fallback)
-    try {
-      const bybitSymbol = toBybitLinear(symbol);
-      const t = await this.bybit.fetchTicker(bybitSymbol);
-      return {
-        symbol: bybitSymbol,
-        last: Number(t.last ?? t.close ?? 0),
-        bid: Number(t.bid ?? 0),
-        ask: Number(t.ask ?? 0),
-        high: Number(t.high ?? 0),
-        low: Number(t.low ?? 0),
-        baseVolume: Number(t.baseVolume ?? 0),
-        quoteVolume: Number(t.quoteVolume ?? 0),
-        change: Number(t.change ?? 0),
-        percentage: Number(t.percentage ?? 0),
-        ts: t.timestamp ?? Date.now(),
-        info: t.info,
-        venue: 'bybit',
-      };
-    } catch (err) {
-      console.warn(`[BinanceService] getCurrentTicker Bybit falhou para ${symbol}:`, err.message);
-    }
-
-    return null;
   }
 
   // Alias por compatibilidade com possíveis chamadas antigas
@@ -411,8 +302,8 @@ export default class BinanceService {
   // ===== WS (opcional) =====
 
   /**
-   * Conecta WS de kline (mercado correto) e repassa candles fechados via callback.
-   * Se WS não estiver habilitado ou faltar 'ws', retorna false e não quebra.
+   * Assina klines na venue da rota do símbolo (com failover) e repassa candles fechados via callback.
+   * Se WS não estiver habilitado ou nenhuma venue conectar, retorna false e não quebra.
    */
   async connectWebSocket(symbol, interval = '1m', onCandleClosed) {
     if (!this.wsEnabled) {
@@ -420,89 +311,54 @@ export default class BinanceService {
       return false;
     }
 
-    let WS;
-    try {
-      const mod = await import('ws');
-      WS = mod.default || mod;
-    } catch (err) {
-      console.warn('[BinanceService] Pacote "ws" não encontrado. Desative WS ou adicione "ws" nas dependências.');
-      return false;
-    }
-
     const tf = this._normalizeTimeframe(interval);
     const key = `${symbol}|${tf}`;
     if (this.wsClients.has(key)) {
       return true;
     }
 
-    const stream = this._streamName(symbol, tf);
-    
-    const url = `${this.wsEndpoint}/${stream}`;
-    const ws = new WS(url);
-
-    this.wsClients.set(key, ws);
     if (typeof onCandleClosed === 'function') {
       this.wsHandlers.set(key, onCandleClosed);
     }
 
-    ws.on('open', () => {
-      this.wsLastSeen.set(key, Date.now());
-      console.log(`[BinanceService][WS] Conectado ${symbol} ${tf} (${this.wsEndpoint.includes('fstream') ? 'futures' : 'spot'})`);
-    });
-
-    ws.on('message', (raw) => {
-      try {
-        const evt = JSON.parse(raw.toString());
-        this.wsLastSeen.set(key, Date.now());
-        const k = evt?.k;
-        if (!k) return;
-
-        const candle = {
-          symbol,
-          interval: tf,
-          isClosed: Boolean(k.x),
-          open: Number(k.o),
-          high: Number(k.h),
-          low: Number(k.l),
-          close: Number(k.c),
-          volume: Number(k.v),
-          timestamp: Number(k.t),
-        };
-
-        if (candle.isClosed) {
-          const handler = this.wsHandlers.get(key);
-          if (handler) handler(candle);
-        }
-      } catch (e) {
-        console.warn('[BinanceService][WS] erro ao parsear mensagem:', e.message);
-      }
+    const handle = await this.marketData.subscribeKlines(symbol, tf, (candle) => {
+      const handler = this.wsHandlers.get(key);
+      if (handler) handler(candle);
     });
-
-    ws.on('error', (err) => {
-      console.warn(`[BinanceService][WS] erro ${symbol} ${tf}:`, err?.message || err);
-    });
-
-    ws.on('close', () => {
-      console.log(`[BinanceService][WS] Conexão encerrada ${symbol} ${tf}`);
-      this.wsClients.delete(key);
+    if (!handle) {
       this.wsHandlers.delete(key);
-      this.wsLastSeen.delete(key);
-    });
+      return false;
+    }
 
+    this.wsClients.set(key, handle);
     return true;
   }
 
+  /**
+   * Assinatura individual no multiplexador (refcount por tópico na venue): cada chamador recebe o
+   * próprio handle { venue, lastSeen, close() }. onCandle → candles fechados; onTick → updates intrabar.
+   * Retorna null com WS desabilitado ou sem venue disponível (o chamador cai para polling).
+   */
+  async subscribe(symbol, { interval = '1m', onCandle = null, onTick = null } = {}) {
+    if (!this.wsEnabled) return null;
+    return this.marketData.subscribeKlines(symbol, this._normalizeTimeframe(interval), onCandle, { onTick });
+  }
+
+  async subscribeTicker(symbol, onTick) {
+    if (!this.wsEnabled) return null;
+    return this.marketData.subscribeTicker(symbol, onTick);
+  }
+
   stopWebSocketForSymbol(symbol, interval = '1m') {
     const tf = this._normalizeTimeframe(interval);
     const key = `${symbol}|${tf}`;
-    const ws = this.wsClients.get(key);
-    if (ws) {
+    const handle = this.wsClients.get(key);
+    if (handle) {
       try {
-        ws.close();
+        handle.close();
       } catch (_) {}
       this.wsClients.delete(key);
       this.wsHandlers.delete(key);
-      this.wsLastSeen.delete(key);
       console.log(`[BinanceService][WS] Stop ${symbol} ${tf}`);
       return true;
     }
@@ -511,24 +367,24 @@ export default class BinanceService {
 
   async cleanupOrphanedWebSockets(maxIdleMs = 10 * 60 * 1000) {
     const now = Date.now();
-    for (const [key, last] of this.wsLastSeen.entries()) {
-      if (now - last > maxIdleMs) {
+    for (const [key, handle] of this.wsClients.entries()) {
+      if (now - handle.lastSeen > maxIdleMs) {
         const [symbol, tf] = key.split('|');
-        console.log(`[BinanceService][WS] Limpando conexão ociosa: ${key}`);
+        console.log(`[BinanceService][WS] Limpando conexão ociosa: ${key} (${handle.venue})`);
         this.stopWebSocketForSymbol(symbol, tf);
       }
     }
   }
 
   closeAllWebSockets() {
-    for (const [key, ws] of this.wsClients.entries()) {
+    for (const [key, handle] of this.wsClients.entries()) {
       try {
-        ws.close();
+        handle.close();
       } catch (_) {}
       this.wsClients.delete(key);
       this.wsHandlers.delete(key);
-      this.wsLastSeen.delete(key);
     }
+    this.marketData.closeStreams?.();
     console.log('[BinanceService][WS] Todas as conexões fechadas');
   }
 }
@@ -40,12 +40,35 @@ class BitcoinCorrelationService {
 
     this.btcCache = new Map();                  // cache por timeframe
     this.cacheTimeoutMs = 5 * 60 * 1000;        // 5 minutos
+    this.btcInflight = new Map();               // timeframe → promise da busca em andamento
+    this.cycle = null;                          // ciclo de análise em andamento (beginCycle)
+    this.stats = { fetches: 0, shared: 0 };
+  }
+
+  // ================== Ciclo de análise ==================
+  /**
+   * Dentro de um ciclo cada timeframe do BTC é buscado uma única vez: os pares analisados em paralelo
+   * compartilham a busca em andamento e depois o resultado, sem depender do TTL do cache
+   */
+  beginCycle(id) {
+    this.cycle = { id, fetches: 0 };
+  }
+
+  /**
+   * @returns {{ fetches: number }} buscas do BTC feitas no ciclo
+   */
+  endCycle() {
+    const summary = { fetches: this.cycle?.fetches || 0 };
+    this.cycle = null;
+    return summary;
   }
 
   // ================== Cache helpers ==================
   _getFromCache(timeframe) {
     const entry = this.btcCache.get(timeframe);
     if (!entry) return null;
+    // no ciclo vale só o que foi buscado nele (candle recém-fechado), independentemente do TTL
+    if (this.cycle) return entry.cycle === this.cycle.id ? entry : null;
     const fresh = Date.now() - entry.timestamp < this.cacheTimeoutMs;
     return fresh ? entry : null;
   }
@@ -53,6 +76,7 @@ class BitcoinCorrelationService {
   _setCache(timeframe, payload) {
     this.btcCache.set(timeframe, {
       ...payload,
+      cycle: this.cycle?.id ?? null,
       timestamp: Date.now(),
       cacheTimeout: this.cacheTimeoutMs
     });
@@ -119,17 +143,31 @@ class BitcoinCorrelationService {
 
   // ================== Tendência BTC ==================
   async getBitcoinTrend(timeframe = '1h') {
-    try {
-      const cached = this._getFromCache(timeframe);
-      if (cached) {
-        return {
-          trend: cached.trend,
-          strength: cached.strength,
-          price: cached.data.close[cached.data.close.length - 1],
-          cached: true
-        };
-      }
+    const cached = this._getFromCache(timeframe);
+    if (cached) {
+      this.stats.shared++;
+      return {
+        trend: cached.trend,
+        strength: cached.strength,
+        price: cached.data.close[cached.data.close.length - 1],
+        cached: true
+      };
+    }
 
+    // análises em paralelo pedindo o mesmo timeframe esperam a mesma busca
+    if (this.btcInflight.has(timeframe)) {
+      this.stats.shared++;
+      return this.btcInflight.get(timeframe);
+    }
+    const promise = this._fetchBitcoinTrend(timeframe).finally(() => this.btcInflight.delete(timeframe));
+    this.btcInflight.set(timeframe, promise);
+    return promise;
+  }
+
+  async _fetchBitcoinTrend(timeframe) {
+    try {
+      this.stats.fetches++;
+      if (this.cycle) this.cycle.fetches++;
       console.log(`₿ Atualizando análise do Bitcoin (${timeframe})...`);
       const btcData = await this.binanceService.getOHLCVData('BTC/USDT', timeframe, 300);
 
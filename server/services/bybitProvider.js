@@ -0,0 +1,88 @@
+/**
+ * Provedor Bybit (perpétuos lineares USDT, API v5)
+ */
+
+import ccxt from 'ccxt';
+import MarketDataProvider from './marketDataProvider.js';
+
+// timeframe do bot → intervalo do stream v5
+const WS_INTERVALS = {
+  '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30',
+  '1h': '60', '2h': '120', '4h': '240', '6h': '360', '12h': '720',
+  '1d': 'D', '1w': 'W', '1M': 'M',
+};
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+export default class BybitProvider extends MarketDataProvider {
+  constructor() {
+    super(
+      'bybit',
+      new ccxt.bybit({
+        enableRateLimit: true,
+        options: { defaultType: 'swap' },
+        timeout: 15_000,
+      })
+    );
+    this.maxOhlcvLimit = 1000;
+    this.wsEndpoint = 'wss://stream.bybit.com/v5/public/linear';
+  }
+
+  // Muitos pares em Bybit linear são "BASE/USDT:USDT"
+  toVenueSymbol(symbol) {
+    if (symbol.includes(':')) return symbol;
+    const [, quote] = symbol.split('/');
+    return quote ? `${symbol}:${quote}` : symbol;
+  }
+
+  _wsEndpoint() {
+    return this.wsEndpoint;
+  }
+
+  // kline.1.BTCUSDT | tickers.BTCUSDT
+  _wsTopic(channel, symbol, interval) {
+    const id = symbol.split(':')[0].replace('/', '');
+    return channel === 'ticker' ? `tickers.${id}` : `kline.${WS_INTERVALS[interval] || '1'}.${id}`;
+  }
+
+  // v5 aceita no máximo 10 tópicos por requisição
+  _wsSubscribeMessage(topics) {
+    return chunk(topics, 10).map((args) => ({ op: 'subscribe', args }));
+  }
+
+  _wsUnsubscribeMessage(topics) {
+    return chunk(topics, 10).map((args) => ({ op: 'unsubscribe', args }));
+  }
+
+  _wsPingMessage() {
+    return { op: 'ping' };
+  }
+
+  _parseStreamMessage(msg) {
+    const topic = String(msg?.topic || '');
+    if (topic.startsWith('kline.') && Array.isArray(msg.data)) {
+      return msg.data.map((k) => ({
+        topic,
+        type: 'kline',
+        candle: {
+          isClosed: Boolean(k.confirm),
+          open: Number(k.open),
+          high: Number(k.high),
+          low: Number(k.low),
+          close: Number(k.close),
+          volume: Number(k.volume),
+          timestamp: Number(k.start),
+        },
+      }));
+    }
+    // deltas de ticker só trazem os campos que mudaram
+    if (topic.startsWith('tickers.') && msg.data?.lastPrice !== undefined) {
+      return [{ topic, type: 'ticker', price: Number(msg.data.lastPrice), time: Number(msg.ts) || Date.now() }];
+    }
+    return [];
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * Pool de worker threads para as etapas pesadas de CPU
+ *
+ * - Tarefas (ver computeWorker.js): indicators, patterns, optimize, ml.load, ml.predict
+ * - Protocolo: { id, task, args } → { id, ok, result | error }; o worker avisa { type: 'ready' } depois de
+ *   carregar os módulos e só então recebe tarefas
+ * - Séries OHLCV vão como Float64Array transferíveis (encodeSeries/decodeSeries): sem cópia na ida
+ * - Estado compartilhado (share): modelos ML enviados a todos os workers e reenviados a quem subir depois
+ * - Timeout por tarefa: cálculo preso não tem como ser interrompido — o worker é encerrado e substituído
+ * - Crash isolado: só a tarefa daquele worker falha e o pool sobe outro; quedas demais em sequência
+ *   desligam o pool e os serviços voltam ao cálculo inline (runOr)
+ *
+ * Variáveis de ambiente: ver COMPUTE_POOL_CONFIG em constants.js
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { COMPUTE_POOL_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('ComputePool');
+
+const WORKER_FILE = new URL('./computeWorker.js', import.meta.url);
+
+function envNumber(env, name, fallback) {
+  const value = Number(env[name]);
+  return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function unavailableError(message) {
+  const err = new Error(message);
+  err.unavailable = true;
+  return err;
+}
+
+/**
+ * Série OHLCV ({ open: number[], ... }) → Float64Array por campo; campos com valores não numéricos
+ * (null, strings) seguem como estão para o decode devolver exatamente o mesmo conteúdo
+ */
+export function encodeSeries(data) {
+  const out = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    out[key] = Array.isArray(value) && value.every((v) => typeof v === 'number') ? Float64Array.from(value) : value;
+  }
+  return out;
+}
+
+export function decodeSeries(encoded) {
+  const out = {};
+  for (const [key, value] of Object.entries(encoded || {})) {
+    out[key] = value instanceof Float64Array ? Array.from(value) : value;
+  }
+  return out;
+}
+
+// buffers dos typed arrays em args (até um nível de aninhamento: args.data.close)
+function transferList(args) {
+  const buffers = new Set();
+  for (const value of Object.values(args || {})) {
+    if (ArrayBuffer.isView(value)) buffers.add(value.buffer);
+    else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const nested of Object.values(value)) if (ArrayBuffer.isView(nested)) buffers.add(nested.buffer);
+    }
+  }
+  return [...buffers];
+}
+
+class ComputePool {
+  /**
+   * @param {Object} [options]
+   *  - env (padrão process.env) e sobrescritas diretas: size (0 = desligado), taskTimeoutMs
+   *  - workerFile: entrada dos workers (padrão computeWorker.js)
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    const cfg = COMPUTE_POOL_CONFIG;
+    const auto = Math.min(cfg.MAX_WORKERS, Math.max(1, os.cpus().length - 1));
+    this.size = Math.floor(options.size ?? envNumber(env, 'COMPUTE_WORKERS', cfg.WORKERS ?? auto));
+    this.taskTimeoutMs = options.taskTimeoutMs ?? envNumber(env, 'COMPUTE_TASK_TIMEOUT_MS', cfg.TASK_TIMEOUT_MS);
+    this.maxQueue = cfg.MAX_QUEUE;
+    this.maxRestarts = cfg.MAX_RESTARTS;
+    this.restartWindowMs = cfg.RESTART_WINDOW_MS;
+    this.workerFile = options.workerFile || WORKER_FILE;
+
+    this.slots = [];
+    this.queue = [];
+    this.shared = new Map(); // chave → { task, args } reenviado a cada worker novo
+    this.nextId = 1;
+    this.crashTimes = [];
+    this.disabledReason = this.size > 0 ? null : 'COMPUTE_WORKERS=0';
+    this.closed = false;
+    this.stats = { done: 0, errors: 0, timeouts: 0, crashes: 0, restarts: 0, maxQueueWaitMs: 0 };
+    this.byTask = new Map(); // task → { count, errors, totalMs, maxMs }
+  }
+
+  start() {
+    if (this.disabledReason || this.closed || this.slots.length) return;
+    for (let i = 0; i < this.size; i++) this._spawn(i);
+    console.log(`🧵 Pool de cálculo: ${this.size} worker(s), timeout ${this.taskTimeoutMs / 1000}s por tarefa`);
+  }
+
+  isAvailable() {
+    return !this.disabledReason && !this.closed && this.slots.length > 0;
+  }
+
+  // =================== TAREFAS ===================
+
+  /**
+   * Enfileira uma tarefa; rejeita com err.timeout (tempo limite), err.unavailable (pool desligado/encerrado)
+   * ou o erro que a tarefa lançou no worker
+   * @param {string} task - nome registrado em computeWorker.js
+   * @param {Object} args - clonável; typed arrays (encodeSeries) são transferidos
+   * @param {Object} [options] - timeoutMs (padrão COMPUTE_TASK_TIMEOUT_MS; 0 = sem limite)
+   */
+  run(task, args = {}, { timeoutMs = this.taskTimeoutMs } = {}) {
+    if (!this.isAvailable()) {
+      return Promise.reject(unavailableError(`Pool de cálculo indisponível${this.disabledReason ? ` (${this.disabledReason})` : ''}`));
+    }
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new Error(`Fila do pool de cálculo cheia (${this.maxQueue})`));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, task, args, timeoutMs, resolve, reject, enqueuedAt: Date.now() });
+      this._drain();
+    });
+  }
+
+  /**
+   * Roda no pool quando disponível; sem pool (desligado, encerrado ou após quedas demais) usa inline()
+   */
+  async runOr(task, args, inline, options) {
+    if (!this.isAvailable()) return inline();
+    try {
+      return await this.run(task, args, options);
+    } catch (err) {
+      if (err.unavailable) return inline();
+      throw err;
+    }
+  }
+
+  /**
+   * Estado enviado a todos os workers (atuais e futuros) pela tarefa `task`; mesma chave substitui
+   */
+  share(key, task, args = {}) {
+    this.shared.set(key, { task, args });
+    for (const slot of this.slots) {
+      if (slot && !slot.dead) slot.worker.postMessage({ type: 'share', key, task, args });
+    }
+  }
+
+  _drain() {
+    while (this.queue.length) {
+      const slot = this.slots.find((s) => s && s.ready && !s.dead && !s.job);
+      if (!slot) return;
+      this._dispatch(slot, this.queue.shift());
+    }
+  }
+
+  _dispatch(slot, job) {
+    job.startedAt = Date.now();
+    this.stats.maxQueueWaitMs = Math.max(this.stats.maxQueueWaitMs, job.startedAt - job.enqueuedAt);
+    slot.job = job;
+    if (job.timeoutMs) slot.timer = setTimeout(() => this._onTimeout(slot, job), job.timeoutMs);
+    try {
+      slot.worker.postMessage({ id: job.id, task: job.task, args: job.args }, transferList(job.args));
+    } catch (err) {
+      // args não clonáveis: falha só a tarefa
+      clearTimeout(slot.timer);
+      slot.job = null;
+      this._record(job, false);
+      job.reject(err);
+    }
+  }
+
+  _record(job, ok) {
+    const elapsed = Date.now() - (job.startedAt || job.enqueuedAt);
+    const entry = this.byTask.get(job.task) || { count: 0, errors: 0, totalMs: 0, maxMs: 0 };
+    entry.count++;
+    entry.totalMs += elapsed;
+    entry.maxMs = Math.max(entry.maxMs, elapsed);
+    if (!ok) entry.errors++;
+    this.byTask.set(job.task, entry);
+    this.stats.done++;
+    if (!ok) this.stats.errors++;
+  }
+
+  // =================== WORKERS ===================
+
+  _spawn(index) {
+    const worker = new Worker(this.workerFile);
+    const slot = { index, worker, ready: false, dead: false, job: null, timer: null, tasks: 0, startedAt: Date.now() };
+    this.slots[index] = slot;
+    worker.unref();
+    for (const [key, { task, args }] of this.shared) worker.postMessage({ type: 'share', key, task, args });
+    worker.on('message', (msg) => this._onMessage(slot, msg));
+    worker.on('error', (err) => this._onExit(slot, err));
+    worker.on('exit', (code) => this._onExit(slot, new Error(`saiu com código ${code}`)));
+  }
+
+  _onMessage(slot, msg) {
+    if (slot.dead) return;
+    if (msg?.type === 'ready') {
+      slot.ready = true;
+      this._drain();
+      return;
+    }
+    if (msg?.type === 'share-error') {
+      logger.warn(`Worker ${slot.index} não aplicou ${msg.key}: ${msg.error}`);
+      return;
+    }
+    const job = slot.job;
+    if (!job || msg?.id !== job.id) return;
+    clearTimeout(slot.timer);
+    slot.job = null;
+    slot.tasks++;
+    this._record(job, msg.ok);
+    if (msg.ok) job.resolve(msg.result);
+    else job.reject(new Error(msg.error));
+    this._drain();
+  }
+
+  _onTimeout(slot, job) {
+    if (slot.job !== job || slot.dead) return;
+    slot.dead = true;
+    slot.job = null;
+    this.stats.timeouts++;
+    this._record(job, false);
+    const err = new Error(`Tempo limite de ${job.timeoutMs}ms em ${job.task}`);
+    err.timeout = true;
+    job.reject(err);
+    logger.warn(`${job.task} passou de ${job.timeoutMs}ms — worker ${slot.index} reiniciado`);
+    slot.worker.terminate().catch(() => {});
+    if (!this.closed) {
+      this.stats.restarts++;
+      this._spawn(slot.index);
+    }
+  }
+
+  // 'error' e 'exit' chegam os dois num crash: só o primeiro conta
+  _onExit(slot, err) {
+    if (slot.dead) return;
+    slot.dead = true;
+    clearTimeout(slot.timer);
+    const job = slot.job;
+    slot.job = null;
+    if (this.closed) {
+      job?.reject(unavailableError('Pool de cálculo encerrado'));
+      return;
+    }
+
+    this.stats.crashes++;
+    logger.error(`Worker ${slot.index} caiu${job ? ` durante ${job.task}` : ''}: ${err?.message || err}`);
+    if (job) {
+      this._record(job, false);
+      job.reject(new Error(`Worker de cálculo caiu durante ${job.task}: ${err?.message || err}`));
+    }
+
+    const now = Date.now();
+    this.crashTimes = this.crashTimes.filter((t) => now - t < this.restartWindowMs);
+    this.crashTimes.push(now);
+    if (this.crashTimes.length > this.maxRestarts) {
+      this._disable(`${this.crashTimes.length} quedas em ${this.restartWindowMs / 1000}s`);
+      return;
+    }
+    this.stats.restarts++;
+    this._spawn(slot.index);
+  }
+
+  _disable(reason) {
+    this.disabledReason = reason;
+    logger.error(`Pool de cálculo desligado (${reason}) — cálculo volta ao event loop`);
+    for (const job of this.queue.splice(0)) job.reject(unavailableError(`Pool de cálculo desligado (${reason})`));
+    this._terminateAll();
+  }
+
+  _terminateAll() {
+    const pending = this.slots.filter(Boolean).map((slot) => {
+      slot.dead = true;
+      clearTimeout(slot.timer);
+      slot.job?.reject(unavailableError('Pool de cálculo encerrado'));
+      slot.job = null;
+      return slot.worker.terminate().catch(() => {});
+    });
+    this.slots = [];
+    return Promise.all(pending);
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const job of this.queue.splice(0)) job.reject(unavailableError('Pool de cálculo encerrado'));
+    await this._terminateAll();
+  }
+
+  // =================== STATUS ===================
+
+  getStatus() {
+    const byTask = {};
+    for (const [task, entry] of this.byTask) {
+      byTask[task] = {
+        count: entry.count,
+        errors: entry.errors,
+        avgMs: entry.count ? Math.round(entry.totalMs / entry.count) : 0,
+        maxMs: entry.maxMs,
+      };
+    }
+    return {
+      enabled: !this.disabledReason && !this.closed,
+      disabledReason: this.disabledReason,
+      size: this.size,
+      taskTimeoutMs: this.taskTimeoutMs,
+      workers: this.slots.filter(Boolean).map((slot) => ({
+        index: slot.index,
+        ready: slot.ready,
+        busy: slot.job ? slot.job.task : null,
+        tasks: slot.tasks,
+        startedAt: slot.startedAt,
+      })),
+      queued: this.queue.length,
+      shared: this.shared.size,
+      ...this.stats,
+      byTask,
+    };
+  }
+}
+
+export default ComputePool;
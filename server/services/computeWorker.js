@@ -0,0 +1,72 @@
+/**
+ * Entrada dos worker threads do ComputePool
+ *
+ * Mensagens processadas em fila, na ordem de chegada (um ml.predict nunca passa na frente do ml.load
+ * que veio antes):
+ * - { id, task, args } → { id, ok, result | error }
+ * - { type: 'share', key, task, args } → aplica o estado local, sem resposta ('share-error' se falhar)
+ *
+ * Cada worker tem as próprias instâncias dos serviços, sem pool: o cálculo aqui é sempre inline
+ */
+
+import { parentPort } from 'worker_threads';
+import technicalAnalysis from './technicalAnalysis.js';
+import indicatorOptimizer from './indicatorOptimizer.js';
+import PatternDetectionService from './patternDetection.js';
+import { decodeSeries } from './computePool.js';
+
+if (!parentPort) {
+  throw new Error('computeWorker.js roda só como worker do ComputePool');
+}
+
+const patternDetection = new PatternDetectionService();
+let machineLearning = null;
+
+// TensorFlow só carrega no worker quando chega o primeiro modelo
+async function getMachineLearning() {
+  if (!machineLearning) {
+    const { default: MachineLearningService } = await import('./machineLearning.js');
+    machineLearning = new MachineLearningService();
+  }
+  return machineLearning;
+}
+
+const TASKS = {
+  indicators: ({ data, params }) => technicalAnalysis.computeIndicators(decodeSeries(data), params),
+  patterns: ({ data }) => patternDetection.detectPatterns(decodeSeries(data)),
+  optimize: ({ data, symbol, timeframe }) => indicatorOptimizer.optimizeIndicators(decodeSeries(data), symbol, timeframe),
+  'ml.load': async ({ symbol, model }) => {
+    await (await getMachineLearning()).importModel(symbol, model);
+    return true;
+  },
+  'ml.predict': async ({ symbol, data, indicators }) => (await getMachineLearning()).predict(symbol, decodeSeries(data), indicators),
+};
+
+async function handle(msg) {
+  const fn = TASKS[msg?.task];
+  if (msg?.type === 'share') {
+    try {
+      if (!fn) throw new Error(`Tarefa desconhecida: ${msg.task}`);
+      await fn(msg.args || {});
+    } catch (err) {
+      parentPort.postMessage({ type: 'share-error', key: msg.key, error: err?.message || String(err) });
+    }
+    return;
+  }
+
+  try {
+    if (!fn) throw new Error(`Tarefa desconhecida: ${msg?.task}`);
+    const result = await fn(msg.args || {});
+    parentPort.postMessage({ id: msg.id, ok: true, result });
+  } catch (err) {
+    // inclui resultado não clonável (DataCloneError no postMessage acima)
+    parentPort.postMessage({ id: msg.id, ok: false, error: err?.message || String(err) });
+  }
+}
+
+let chain = Promise.resolve();
+parentPort.on('message', (msg) => {
+  chain = chain.then(() => handle(msg));
+});
+
+parentPort.postMessage({ type: 'ready' });
@@ -0,0 +1,337 @@
+/**
+ * Configuração em runtime: os parâmetros de trading ajustáveis sem reiniciar o bot
+ *
+ * - CONFIG_SCHEMA descreve cada chave (caminho em constants.js), tipo, faixa e env; getJsonSchema() o
+ *   expõe como JSON Schema para o dashboard montar o formulário
+ * - Precedência no boot: constants.js < env < último ajuste salvo (coleção 'config' do storage)
+ * - update() valida tudo antes de aplicar (tipo, faixa, regras entre campos); cada ajuste vira uma
+ *   versão no histórico ('configHistory') e rollback(version) volta àquele estado criando uma versão nova
+ * - Aplicação: escreve no próprio objeto de constants.js (quem lê na hora já vê o valor novo) e avisa
+ *   os assinantes (subscribe) que guardam cópias — SignalScoring, AdaptiveScoring, TelegramBot
+ */
+
+import {
+  TRADING_CONFIG,
+  ADAPTIVE_CONFIG,
+  EMISSION_GUARDS,
+  RUNTIME_CONFIG,
+} from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Config');
+
+const ROOTS = { TRADING_CONFIG, ADAPTIVE_CONFIG, EMISSION_GUARDS };
+
+const HOUR = 60 * 60 * 1000;
+
+// chave → { type: number|integer|boolean, min, max, env?, group, description }
+export const CONFIG_SCHEMA = {
+  // Scoring / emissão (ciclo de análise + AdaptiveScoring); QUALITY_FILTERS e SCORING_WEIGHTS.ML_WEIGHT ficam de fora:
+  // só SignalScoring.calculateSignalScore os lê, fora do pipeline ao vivo
+  'TRADING_CONFIG.MIN_SIGNAL_PROBABILITY': { type: 'number', min: 40, max: 100, group: 'scoring', description: 'Score mínimo para emitir (%)' },
+  'TRADING_CONFIG.SCORING.JITTER_PCT': { type: 'number', min: 0, max: 0.2, group: 'scoring', description: 'Ruído aleatório no score (0 = determinístico)' },
+
+  // Scoring adaptativo
+  'ADAPTIVE_CONFIG.mlWeight': { type: 'number', min: 0, max: 2, group: 'adaptive', description: 'Peso da probabilidade do ML no score (reinicia o ajuste por desempenho desse peso)' },
+  'ADAPTIVE_CONFIG.minTradesForAdjustment': { type: 'integer', min: 1, max: 500, group: 'adaptive', description: 'Trades por indicador antes de ajustar o peso' },
+  'ADAPTIVE_CONFIG.adjustmentFactor': { type: 'number', min: 0, max: 0.5, group: 'adaptive', description: 'Intensidade do ajuste de pesos' },
+  'ADAPTIVE_CONFIG.blacklistThreshold': { type: 'number', min: 0, max: 1, group: 'adaptive', description: 'Win rate abaixo do qual o símbolo entra na blacklist' },
+  'ADAPTIVE_CONFIG.blacklistDuration': { type: 'integer', min: 0, max: 7 * 24 * HOUR, group: 'adaptive', description: 'Duração da blacklist (ms)' },
+  'TRADING_CONFIG.COUNTER_TREND.MIN_REVERSAL_STRENGTH': { type: 'number', min: 0, max: 100, group: 'adaptive', description: 'Força mínima de reversão (contra-tendência)' },
+  'TRADING_CONFIG.COUNTER_TREND.EXTREME_REVERSAL_THRESHOLD': { type: 'number', min: 0, max: 100, group: 'adaptive', description: 'Força de reversão "extrema" (bônus maior)' },
+  'TRADING_CONFIG.COUNTER_TREND.MAX_COUNTER_TREND_PER_DAY': { type: 'integer', min: 0, max: 50, group: 'adaptive', description: 'Sinais contra-tendência por dia' },
+  'TRADING_CONFIG.COUNTER_TREND.COUNTER_TREND_COOLDOWN': { type: 'integer', min: 0, max: 24 * HOUR, group: 'adaptive', description: 'Intervalo entre contra-tendências (ms)' },
+
+  // Guardas da emissão (TelegramBot)
+  'EMISSION_GUARDS.COUNTER_TREND.ENABLED': { type: 'boolean', env: 'COUNTERTREND_GUARD_ENABLED', group: 'emission', description: 'Guarda contra-tendência ao BTC' },
+  'EMISSION_GUARDS.COUNTER_TREND.MIN_DISPLAY_PROB': { type: 'number', min: 0, max: 100, env: 'COUNTERTREND_MIN_DISPLAY_PROB', group: 'emission', description: 'Probabilidade exibida mínima contra o BTC (%)' },
+  'EMISSION_GUARDS.COUNTER_TREND.STRONG_STRENGTH': { type: 'number', min: 0, max: 100, env: 'COUNTERTREND_STRONG_STRENGTH', group: 'emission', description: 'Força do BTC considerada forte' },
+  'EMISSION_GUARDS.COUNTER_TREND.MIN_MACD_ABS_FOR_REVERSAL': { type: 'number', min: 0, max: 1, env: 'COUNTERTREND_MIN_MACD_ABS', group: 'emission', description: 'Histograma MACD que caracteriza reversão' },
+  'EMISSION_GUARDS.BTC_TREND.MIN_STRENGTH': { type: 'number', min: 0, max: 100, env: 'BTC_TREND_MIN_STRENGTH', group: 'emission', description: 'Força mínima para citar a tendência do BTC' },
+  'EMISSION_GUARDS.BTC_TREND.ENFORCE_TF_MATCH': { type: 'boolean', env: 'BTC_TREND_ENFORCE_TF', group: 'emission', description: 'Tendência do BTC no mesmo timeframe do sinal' },
+  'EMISSION_GUARDS.BTC_TREND.REQUIRE_EXPLICIT_ALIGNMENT': { type: 'boolean', env: 'BTC_ALIGNMENT_REQUIRE_EXPLICIT', group: 'emission', description: 'Exige alinhamento explícito com o BTC' },
+  'EMISSION_GUARDS.BTC_TREND.SHOW_UNCERTAIN_BTC_FACTOR': { type: 'boolean', env: 'SHOW_UNCERTAIN_BTC_FACTOR', group: 'emission', description: 'Mostra o fator BTC mesmo incerto' },
+  'EMISSION_GUARDS.PRECHECK.TP1_MAX_PROGRESS': { type: 'number', min: 0.1, max: 1, group: 'emission', description: 'Fração do caminho até o TP1 que barra a entrada' },
+  'EMISSION_GUARDS.PRECHECK.ADV_SLIPPAGE_MAX': { type: 'number', min: 0, max: 0.05, group: 'emission', description: 'Desvio adverso máximo da entrada (fração)' },
+};
+
+// regras entre campos: (valores) → mensagem de erro | null
+const CROSS_RULES = [
+  (v) =>
+    v['TRADING_CONFIG.COUNTER_TREND.MIN_REVERSAL_STRENGTH'] <= v['TRADING_CONFIG.COUNTER_TREND.EXTREME_REVERSAL_THRESHOLD']
+      ? null
+      : 'MIN_REVERSAL_STRENGTH não pode passar de EXTREME_REVERSAL_THRESHOLD',
+];
+
+function getPath(key) {
+  const [root, ...parts] = key.split('.');
+  return parts.reduce((obj, k) => (obj == null ? undefined : obj[k]), ROOTS[root]);
+}
+
+function setPath(key, value) {
+  const [root, ...parts] = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((obj, k) => obj[k], ROOTS[root]);
+  target[last] = value;
+}
+
+function parseEnv(raw, type) {
+  const v = String(raw).trim();
+  if (type === 'boolean') return !['false', '0', 'no', 'off', ''].includes(v.toLowerCase());
+  return Number(v);
+}
+
+class ConfigService {
+  /**
+   * @param {Object} [options] - env (padrão process.env), storage, now (relógio)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.storage = null;
+    this.listeners = new Set();
+    this.version = 0;
+    this.updatedAt = null;
+    this.updatedBy = null;
+    this.history = [];
+    this.events = null;
+
+    // base = constants.js + env (v0); ajustes da API são aplicados por cima
+    const env = options.env || process.env;
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+      if (!spec.env || env[spec.env] === undefined || env[spec.env] === '') continue;
+      const value = parseEnv(env[spec.env], spec.type);
+      const error = this._validateField(key, value);
+      if (error) logger.warn(`${spec.env} ignorado: ${error}`);
+      else setPath(key, value);
+    }
+    this.defaults = this.values();
+
+    if (options.storage) this.attachStorage(options.storage);
+  }
+
+  /**
+   * Recarrega histórico e a versão corrente salvos e aplica por cima do env/constants
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+    if (!storage) return;
+    this.history = storage.list('configHistory').sort((a, b) => a.version - b.version);
+    const current = storage.get('config', 'current');
+    if (!current) return;
+
+    const { values, errors } = this._sanitize(current.values || {});
+    if (errors.length) logger.warn(`Ajustes salvos descartados: ${errors.join('; ')}`);
+    this.version = current.version || 0;
+    this.updatedAt = current.updatedAt || null;
+    this.updatedBy = current.updatedBy || null;
+    const changes = this._apply(values);
+    console.log(`⚙️ Configuração runtime v${this.version} carregada (${changes.length} ajuste(s) sobre o padrão)`);
+  }
+
+  attachEventBus(bus) {
+    this.events = bus;
+  }
+
+  /**
+   * Assinantes com cópias dos valores: handler(changes, values) a cada versão aplicada
+   * @returns {Function} cancela a assinatura
+   */
+  subscribe(handler) {
+    this.listeners.add(handler);
+    return () => this.listeners.delete(handler);
+  }
+
+  // =================== LEITURA ===================
+
+  values() {
+    return Object.fromEntries(Object.keys(CONFIG_SCHEMA).map((key) => [key, getPath(key)]));
+  }
+
+  get(key) {
+    if (!CONFIG_SCHEMA[key]) throw new Error(`Configuração desconhecida: ${key}`);
+    return getPath(key);
+  }
+
+  getState() {
+    const values = this.values();
+    return {
+      version: this.version,
+      updatedAt: this.updatedAt,
+      updatedBy: this.updatedBy,
+      values,
+      defaults: this.defaults,
+      overrides: Object.keys(values).filter((k) => values[k] !== this.defaults[k]),
+    };
+  }
+
+  getJsonSchema() {
+    const properties = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+      properties[key] = {
+        type: spec.type,
+        ...(spec.min !== undefined ? { minimum: spec.min } : {}),
+        ...(spec.max !== undefined ? { maximum: spec.max } : {}),
+        default: this.defaults[key],
+        description: spec.description,
+        'x-group': spec.group,
+        ...(spec.env ? { 'x-env': spec.env } : {}),
+      };
+    }
+    return {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: 'Configuração runtime do Bot Lobo Cripto',
+      type: 'object',
+      additionalProperties: false,
+      properties,
+    };
+  }
+
+  getHistory(limit = 20) {
+    return this.history.slice(-Math.max(1, Number(limit) || 20)).reverse();
+  }
+
+  // =================== VALIDAÇÃO ===================
+
+  _validateField(key, value) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) return `${key}: chave desconhecida`;
+    if (spec.type === 'boolean') return typeof value === 'boolean' ? null : `${key}: esperado booleano`;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key}: esperado número`;
+    if (spec.type === 'integer' && !Number.isInteger(value)) return `${key}: esperado inteiro`;
+    if (spec.min !== undefined && value < spec.min) return `${key}: mínimo ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `${key}: máximo ${spec.max}`;
+    return null;
+  }
+
+  /**
+   * Valida um patch sobre os valores atuais (sem aplicar)
+   * @returns {{ values: Object, errors: string[] }} valores resultantes completos
+   */
+  validate(patch) {
+    const errors = [];
+    const values = this.values();
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return { values, errors: ['Envie { values: { "<chave>": valor } }'] };
+    }
+    for (const [key, value] of Object.entries(patch)) {
+      const error = this._validateField(key, value);
+      if (error) errors.push(error);
+      else values[key] = value;
+    }
+    if (!errors.length) {
+      for (const rule of CROSS_RULES) {
+        const error = rule(values);
+        if (error) errors.push(error);
+      }
+    }
+    return { values, errors };
+  }
+
+  // valores salvos: descarta chaves removidas do schema ou fora da faixa atual
+  _sanitize(saved) {
+    const patch = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(saved)) {
+      const error = this._validateField(key, value);
+      if (error) errors.push(error);
+      else patch[key] = value;
+    }
+    const { values, errors: crossErrors } = this.validate(patch);
+    return crossErrors.length ? { values: this.values(), errors: [...errors, ...crossErrors] } : { values, errors };
+  }
+
+  // =================== ESCRITA ===================
+
+  /**
+   * Valida e aplica um conjunto de mudanças como nova versão
+   * @param {Object} patch - { "<chave>": valor }
+   * @param {Object} [meta] - by (usuário), reason
+   * @returns {Object} entrada do histórico (changes vazio = nada mudou)
+   */
+  update(patch, { by = null, reason = null } = {}) {
+    const { values, errors } = this.validate(patch);
+    if (errors.length) {
+      const err = new Error(`Configuração inválida: ${errors.join('; ')}`);
+      err.status = 400;
+      err.errors = errors;
+      throw err;
+    }
+    return this._commit(values, { by, reason });
+  }
+
+  /**
+   * Volta ao estado da versão indicada (0 = padrão do boot) como uma versão nova
+   */
+  rollback(version, { by = null } = {}) {
+    const target = Number(version);
+    let values;
+    if (target === 0) {
+      values = { ...this.defaults };
+    } else {
+      const entry = this.history.find((h) => h.version === target);
+      if (!entry) {
+        const err = new Error(`Versão ${version} não encontrada no histórico`);
+        err.status = 404;
+        throw err;
+      }
+      ({ values } = this._sanitize(entry.values));
+    }
+    return this._commit(values, { by, reason: `rollback para v${target}` });
+  }
+
+  _commit(values, { by, reason }) {
+    const before = this.values();
+    const changes = Object.keys(values)
+      .filter((key) => values[key] !== before[key])
+      .map((key) => ({ key, from: before[key], to: values[key] }));
+    if (!changes.length) return { version: this.version, changes: [] };
+
+    this.version++;
+    this.updatedAt = this.now();
+    this.updatedBy = by;
+    console.log(
+      `⚙️ Configuração v${this.version}${by ? ` por ${by}` : ''}: ${changes.map((c) => `${c.key} ${c.from}→${c.to}`).join(', ')}`
+    );
+    this._apply(values, changes);
+
+    const entry = { version: this.version, at: this.updatedAt, by, reason, changes, values: this.values() };
+    this.history.push(entry);
+    if (this.storage) {
+      this.storage.set('configHistory', String(entry.version), entry);
+      this.storage.set('config', 'current', {
+        version: this.version,
+        updatedAt: this.updatedAt,
+        updatedBy: by,
+        values: entry.values,
+      });
+    }
+    while (this.history.length > RUNTIME_CONFIG.MAX_HISTORY) {
+      const dropped = this.history.shift();
+      if (this.storage) this.storage.delete('configHistory', String(dropped.version));
+    }
+
+    this.events?.emit('config.updated', { version: this.version, changes, by, reason });
+    return entry;
+  }
+
+  _apply(values, changes = null) {
+    const before = this.values();
+    const applied = changes || Object.keys(values)
+      .filter((key) => values[key] !== before[key])
+      .map((key) => ({ key, from: before[key], to: values[key] }));
+    for (const { key, to } of applied) setPath(key, to);
+    if (!applied.length) return applied;
+
+    const current = this.values();
+    for (const listener of this.listeners) {
+      try {
+        listener(applied, current);
+      } catch (err) {
+        logger.error(`Falha ao aplicar configuração: ${err.message}`);
+      }
+    }
+    return applied;
+  }
+}
+
+export default ConfigService;
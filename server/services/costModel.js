@@ -0,0 +1,220 @@
+/**
+ * Modelo de custos de execução (perpétuos USDT-M)
+ * - Taxas maker/taker por tier, por perna (entrada, alvos, stop, saída)
+ * - Slippage por símbolo (bps) nas pernas a mercado
+ * - Funding: histórico em arquivo local e/ou exchange; sem histórico usa a taxa padrão
+ *
+ * Todos os valores retornados estão em % do nocional SEM alavancagem (mesma unidade do P&L bruto).
+ *
+ * Variáveis de ambiente:
+ *  - COST_MODEL_ENABLED: 'false' desliga (custos zerados, líquido = bruto)
+ *  - FEE_TIER: tier de COST_CONFIG.FEE_TIERS (padrão VIP0)
+ *  - FUNDING_SOURCE: 'file' | 'exchange' | 'none'
+ *  - FUNDING_FILE: caminho do histórico de funding
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from './logger.js';
+import { COST_CONFIG } from '../config/constants.js';
+
+const logger = new Logger('CostModel');
+
+const ZERO_COSTS = Object.freeze({ fees: 0, slippage: 0, funding: 0, total: 0 });
+
+class CostModelService {
+  constructor(options = {}) {
+    const cfg = { ...COST_CONFIG, ...(options.config || {}) };
+    const funding = { ...COST_CONFIG.FUNDING, ...(cfg.FUNDING || {}) };
+
+    this.enabled = options.enabled ?? String(process.env.COST_MODEL_ENABLED || 'true').toLowerCase() !== 'false';
+    this.feeTier = options.feeTier || process.env.FEE_TIER || cfg.FEE_TIER;
+    this.feeTiers = cfg.FEE_TIERS;
+    this.orderTypes = { ...COST_CONFIG.ORDER_TYPES, ...(cfg.ORDER_TYPES || {}) };
+    this.slippageBps = { ...COST_CONFIG.SLIPPAGE_BPS, ...(cfg.SLIPPAGE_BPS || {}) };
+    this.leverage = cfg.LEVERAGE;
+
+    this.fundingSource = String(options.fundingSource || process.env.FUNDING_SOURCE || funding.SOURCE).toLowerCase();
+    this.fundingFile = path.resolve(process.cwd(), options.fundingFile || process.env.FUNDING_FILE || funding.FILE);
+    this.defaultFundingRate = funding.DEFAULT_RATE;
+    this.fundingIntervalMs = funding.INTERVAL_HOURS * 60 * 60 * 1000;
+
+    // symbol -> [{ time, rate }] ordenado por tempo
+    this.fundingHistory = new Map();
+    this.binanceService = options.binanceService || null;
+
+    if (!this.feeTiers[this.feeTier]) {
+      logger.warn(`Tier de taxa desconhecido "${this.feeTier}" — usando ${COST_CONFIG.FEE_TIER}`);
+      this.feeTier = COST_CONFIG.FEE_TIER;
+    }
+  }
+
+  /**
+   * Carrega o histórico de funding do arquivo (se existir)
+   */
+  async init() {
+    if (this.fundingSource !== 'none') await this._loadFundingFile();
+    const fees = this.getFeeRates();
+    console.log(
+      `💸 Modelo de custos ${this.enabled ? 'ativo' : 'desligado'}: ${this.feeTier} (maker ${fees.maker}% / taker ${fees.taker}%), ` +
+        `funding=${this.fundingSource} (${this.fundingHistory.size} símbolo(s) com histórico)`
+    );
+    return this;
+  }
+
+  getFeeRates() {
+    return this.feeTiers[this.feeTier];
+  }
+
+  getSlippageBps(symbol) {
+    return Number(this.slippageBps[symbol] ?? this.slippageBps.DEFAULT) || 0;
+  }
+
+  // =================== CUSTOS ===================
+
+  /**
+   * Custos de uma operação com saídas parciais
+   * @param {Object} trade
+   *  - symbol, isLong, entry
+   *  - openedAt, closedAt: instantes em ms
+   *  - legs: [{ price, pct, kind: 'target'|'stop'|'exit', time }] — pct em % da posição
+   * @returns {{fees:number, slippage:number, funding:number, total:number}}
+   */
+  computeCosts(trade) {
+    if (!this.enabled || !trade || !(trade.entry > 0)) return { ...ZERO_COSTS };
+
+    const fees = this.getFeeRates();
+    const slipPct = this.getSlippageBps(trade.symbol) / 100; // bps → %
+    const legCost = (kind, weight) => {
+      const type = this.orderTypes[kind] || 'taker';
+      return {
+        fee: fees[type] * weight,
+        slippage: type === 'taker' ? slipPct * weight : 0,
+      };
+    };
+
+    // entrada: 100% da posição
+    const entry = legCost('entry', 1);
+    let feeTotal = entry.fee;
+    let slippageTotal = entry.slippage;
+
+    // saídas: nocional proporcional ao preço de saída
+    for (const leg of trade.legs || []) {
+      if (!(leg.pct > 0)) continue;
+      const c = legCost(leg.kind, (leg.pct / 100) * (leg.price / trade.entry));
+      feeTotal += c.fee;
+      slippageTotal += c.slippage;
+    }
+
+    const funding = this.fundingCost(trade);
+    return {
+      fees: feeTotal,
+      slippage: slippageTotal,
+      funding,
+      total: feeTotal + slippageTotal + funding,
+    };
+  }
+
+  /**
+   * Funding pago (+) ou recebido (−) sobre a fração ainda aberta em cada liquidação
+   */
+  fundingCost(trade) {
+    if (this.fundingSource === 'none') return 0;
+    const openedAt = Number(trade.openedAt);
+    const closedAt = Number(trade.closedAt);
+    if (!isFinite(openedAt) || !isFinite(closedAt) || closedAt <= openedAt) return 0;
+
+    const legs = (trade.legs || []).filter((l) => l.pct > 0);
+    let total = 0;
+    for (const { time, rate } of this.fundingEvents(trade.symbol, openedAt, closedAt)) {
+      const closedPct = legs.filter((l) => Number(l.time ?? closedAt) <= time).reduce((s, l) => s + l.pct, 0);
+      const openFraction = Math.max(0, 1 - closedPct / 100);
+      total += rate * openFraction * (trade.isLong ? 1 : -1);
+    }
+    return total;
+  }
+
+  /**
+   * Liquidações de funding em (from, to]: horários fixos do intervalo (UTC) com a taxa do histórico
+   */
+  fundingEvents(symbol, from, to) {
+    const history = this.fundingHistory.get(symbol) || [];
+    const events = [];
+    let k = 0;
+    let lastRate = null;
+
+    for (let t = Math.floor(from / this.fundingIntervalMs + 1) * this.fundingIntervalMs; t <= to; t += this.fundingIntervalMs) {
+      // taxa vigente: último registro até t (+1 min de tolerância no carimbo da exchange)
+      while (k < history.length && history[k].time <= t + 60_000) lastRate = history[k++].rate;
+      events.push({ time: t, rate: lastRate ?? this.defaultFundingRate });
+    }
+    return events;
+  }
+
+  /**
+   * Resultado bruto × líquido
+   */
+  net(grossPnL, trade) {
+    const costs = this.computeCosts(trade);
+    return { gross: grossPnL, net: grossPnL - costs.total, costs };
+  }
+
+  // =================== FUNDING ===================
+
+  attachBinanceService(binanceService) {
+    this.binanceService = binanceService;
+  }
+
+  /**
+   * Garante histórico de funding até `to` (só com FUNDING_SOURCE=exchange). Falhas caem na taxa padrão.
+   */
+  async prepareFunding(symbol, from, to = Date.now()) {
+    if (this.fundingSource !== 'exchange' || !this.binanceService?.getFundingRateHistory) return;
+
+    const history = this.fundingHistory.get(symbol) || [];
+    const last = history[history.length - 1]?.time ?? -Infinity;
+    if (last >= to - this.fundingIntervalMs) return;
+
+    try {
+      const since = Math.max(from - this.fundingIntervalMs, last + 1);
+      const rows = await this.binanceService.getFundingRateHistory(symbol, since);
+      if (rows.length === 0) return;
+      this._mergeFunding(symbol, rows);
+      await this._saveFundingFile();
+    } catch (error) {
+      logger.warn(`Funding indisponível para ${symbol}: ${error.message}`);
+    }
+  }
+
+  _mergeFunding(symbol, rows) {
+    const byTime = new Map((this.fundingHistory.get(symbol) || []).map((r) => [r.time, r]));
+    rows.forEach((r) => byTime.set(Number(r.time), { time: Number(r.time), rate: Number(r.rate) }));
+    this.fundingHistory.set(
+      symbol,
+      [...byTime.values()].filter((r) => isFinite(r.time) && isFinite(r.rate)).sort((a, b) => a.time - b.time)
+    );
+  }
+
+  async _loadFundingFile() {
+    try {
+      const raw = JSON.parse(await fs.readFile(this.fundingFile, 'utf8'));
+      for (const [symbol, rows] of Object.entries(raw || {})) {
+        // aceita [{ time, rate }] ou [[time, rate]]
+        const normalized = (rows || []).map((r) => (Array.isArray(r) ? { time: r[0], rate: r[1] } : r));
+        this._mergeFunding(symbol, normalized);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn(`Histórico de funding ilegível (${this.fundingFile}): ${error.message}`);
+    }
+  }
+
+  async _saveFundingFile() {
+    const out = Object.fromEntries(this.fundingHistory);
+    await fs.mkdir(path.dirname(this.fundingFile), { recursive: true });
+    const tmp = `${this.fundingFile}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(out), 'utf8');
+    await fs.rename(tmp, this.fundingFile);
+  }
+}
+
+export default CostModelService;
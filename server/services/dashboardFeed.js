@@ -0,0 +1,309 @@
+/**
+ * Feed em tempo real do dashboard (WebSocket em FEED_CONFIG.PATH, mesmo servidor HTTP do Express)
+ *
+ * Servidor → cliente (JSON { type, time, data }):
+ *  - hello: snapshot na conexão (monitores com P&L, pausa, ciclo de análise em andamento)
+ *  - eventos do EventBus com o próprio nome (signal.emitted, monitor.closed, alert.raised, analysis.progress, ...)
+ *  - monitors: lista com P&L ao vivo a cada MONITORS_INTERVAL_MS (só com clientes conectados)
+ *  - price: { symbol, price, change24h, volume } dos símbolos assinados pelo cliente
+ * Cliente → servidor: { action: 'subscribe' | 'unsubscribe', symbols: ['BTC/USDT'] }
+ * Acesso: `authorize(req)` decide o upgrade (o navegador manda a sessão em ?token=); negado → 401
+ *
+ * Preços: uma assinatura de ticker por símbolo (refcount entre clientes) no multiplexador da venue;
+ * sem WS de mercado, polling a cada PRICE_POLL_MS.
+ */
+
+import { FEED_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('DashboardFeed');
+
+// campos pesados/internos que não vão para o navegador
+const OMIT = new Set(['indicators', 'marketData', 'patterns']);
+
+function slim(payload) {
+  const out = {};
+  for (const [k, v] of Object.entries(payload || {})) if (!OMIT.has(k)) out[k] = v;
+  return out;
+}
+
+class DashboardFeedService {
+  /**
+   * @param {Object} options - telegramBot (monitores), binanceService (preços), config (sobrescreve FEED_CONFIG),
+   *   authorize (req do upgrade → boolean; ausente = aberto)
+   */
+  constructor(options = {}) {
+    this.telegramBot = options.telegramBot;
+    this.binanceService = options.binanceService || null;
+    this.config = { ...FEED_CONFIG, ...(options.config || {}) };
+    this.now = options.now || (() => Date.now());
+    this.authorize = options.authorize || null;
+
+    this.wss = null;
+    this.clients = new Set(); // { ws, symbols: Set, alive }
+    this.prices = new Map(); // símbolo → { refs, last, open24h, volume, handle, poll, refresh, sentAt }
+    this.analysis = null; // ciclo em andamento { cycle, done, total, startedAt }
+    this.timers = {};
+  }
+
+  attachEventBus(bus) {
+    bus.on('*', (payload, meta) => {
+      // ticks dos monitores: os preços já saem pelo próprio feed
+      if (meta.type === 'monitor.tick') return;
+      if (meta.type === 'analysis.started') this.analysis = { cycle: payload.cycle, done: 0, total: payload.total, startedAt: meta.time };
+      else if (meta.type === 'analysis.progress' && this.analysis) this.analysis.done = payload.done;
+      else if (meta.type === 'analysis.completed') this.analysis = null;
+
+      this.broadcast(meta.type, slim(payload), meta.time);
+      // encerramentos/alvos mudam a lista: não espera o próximo ciclo
+      if (meta.type.startsWith('monitor.') || meta.type === 'signal.emitted') this.broadcast('monitors', this.monitorsSnapshot());
+    });
+  }
+
+  /**
+   * Liga o WebSocketServer ao servidor HTTP (upgrade só em FEED_CONFIG.PATH)
+   */
+  async attachServer(httpServer) {
+    let WebSocketServer;
+    try {
+      const mod = await import('ws');
+      WebSocketServer = mod.WebSocketServer || mod.default?.Server;
+    } catch (err) {
+      console.warn('⚠️ Pacote "ws" não encontrado — feed do dashboard desativado');
+      return false;
+    }
+
+    this.wss = new WebSocketServer({
+      server: httpServer,
+      path: this.config.PATH,
+      verifyClient: this.authorize ? ({ req }, done) => done(!!this.authorize(req), 401, 'Unauthorized') : undefined,
+    });
+    this.wss.on('connection', (ws) => this._onConnection(ws));
+
+    this.timers.heartbeat = setInterval(() => this._heartbeat(), this.config.HEARTBEAT_MS);
+    this.timers.monitors = setInterval(() => {
+      if (this.clients.size) this.broadcast('monitors', this.monitorsSnapshot());
+    }, this.config.MONITORS_INTERVAL_MS);
+
+    console.log(`📡 Feed do dashboard em ws://<host>${this.config.PATH}`);
+    return true;
+  }
+
+  stop() {
+    for (const key of Object.keys(this.timers)) clearInterval(this.timers[key]);
+    for (const symbol of [...this.prices.keys()]) this._releasePrice(symbol, true);
+    for (const client of this.clients) {
+      try {
+        client.ws.terminate();
+      } catch (_) {}
+    }
+    this.clients.clear();
+    if (this.wss) this.wss.close();
+  }
+
+  // =================== CLIENTES ===================
+
+  _onConnection(ws) {
+    if (this.clients.size >= this.config.MAX_CLIENTS) {
+      ws.close(1013, 'Limite de clientes do feed');
+      return;
+    }
+    const client = { ws, symbols: new Set(), alive: true };
+    this.clients.add(client);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('message', (raw) => this._onMessage(client, raw));
+    ws.on('close', () => this._drop(client));
+    ws.on('error', (err) => logger.warn(`Cliente do feed: ${err.message}`));
+
+    this._send(client, 'hello', {
+      monitors: this.monitorsSnapshot(),
+      emissionPause: this.telegramBot?.emissionPause || null,
+      analysis: this.analysis,
+    });
+  }
+
+  _onMessage(client, raw) {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+    const symbols = (Array.isArray(msg?.symbols) ? msg.symbols : [])
+      .map((s) => String(s).toUpperCase())
+      .filter((s) => /^[A-Z0-9]+\/[A-Z0-9]+$/.test(s));
+
+    if (msg?.action === 'subscribe') {
+      for (const symbol of symbols) {
+        if (client.symbols.has(symbol) || client.symbols.size >= this.config.MAX_SYMBOLS_PER_CLIENT) continue;
+        client.symbols.add(symbol);
+        this._retainPrice(symbol, client);
+      }
+    } else if (msg?.action === 'unsubscribe') {
+      for (const symbol of symbols) {
+        if (!client.symbols.delete(symbol)) continue;
+        this._releasePrice(symbol);
+      }
+    }
+  }
+
+  _drop(client) {
+    if (!this.clients.delete(client)) return;
+    for (const symbol of client.symbols) this._releasePrice(symbol);
+    client.symbols.clear();
+  }
+
+  _heartbeat() {
+    for (const client of [...this.clients]) {
+      if (!client.alive) {
+        try {
+          client.ws.terminate();
+        } catch (_) {}
+        this._drop(client);
+        continue;
+      }
+      client.alive = false;
+      try {
+        client.ws.ping();
+      } catch (_) {}
+    }
+  }
+
+  _send(client, type, data, time = this.now()) {
+    if (client.ws.readyState !== 1) return;
+    try {
+      client.ws.send(JSON.stringify({ type, time, data }));
+    } catch (err) {
+      logger.warn(`Falha ao enviar ${type}: ${err.message}`);
+    }
+  }
+
+  broadcast(type, data, time = this.now()) {
+    for (const client of this.clients) this._send(client, type, data, time);
+  }
+
+  // =================== MONITORES ===================
+
+  /**
+   * Monitores ativos com P&L ao vivo (sem alavancagem e 15x): preço do próprio monitor ou do feed de preços
+   */
+  monitorsSnapshot() {
+    const monitors = Array.from(this.telegramBot?.activeMonitors?.values() || []);
+    return monitors.map((m) => {
+      const price = Number(m.lastPrice) || this.prices.get(m.symbol)?.last || null;
+      const pnlPercent = price ? ((price - m.entry) / m.entry) * 100 * (m.trend === 'BEARISH' ? -1 : 1) : null;
+      return {
+        id: m.id,
+        signalId: m.signalId,
+        symbol: m.symbol,
+        timeframe: m.timeframe,
+        trend: m.trend,
+        entry: m.entry,
+        stopLoss: m.stopLoss,
+        targets: m.originalTargets || m.targets,
+        targetsHit: m.targetsHit,
+        isMobileStopActive: !!m.isMobileStopActive,
+        startTime: m.startTime,
+        price,
+        priceAt: m.lastPriceAt || null,
+        pnlPercent,
+        leveragedPnl: pnlPercent == null ? null : pnlPercent * 15,
+      };
+    });
+  }
+
+  // =================== PREÇOS ===================
+
+  _retainPrice(symbol, client) {
+    let entry = this.prices.get(symbol);
+    if (entry) {
+      entry.refs++;
+      if (entry.last) this._send(client, 'price', this._priceData(symbol, entry));
+      return;
+    }
+    entry = { refs: 1, last: null, open24h: null, volume: null, handle: null, poll: null, refresh: null, sentAt: 0 };
+    this.prices.set(symbol, entry);
+    this._startPrice(symbol, entry).catch((err) => logger.warn(`Preço ${symbol}: ${err.message}`));
+  }
+
+  _releasePrice(symbol, force = false) {
+    const entry = this.prices.get(symbol);
+    if (!entry) return;
+    entry.refs--;
+    if (entry.refs > 0 && !force) return;
+    this.prices.delete(symbol);
+    entry.closed = true;
+    clearInterval(entry.poll);
+    clearInterval(entry.refresh);
+    if (entry.handle) {
+      try {
+        entry.handle.close();
+      } catch (_) {}
+    }
+  }
+
+  async _startPrice(symbol, entry) {
+    const svc = this.binanceService;
+    if (!svc) return;
+
+    // variação e volume 24h vêm do ticker REST (renovado); o preço corrente, do stream
+    const refreshTicker = async () => {
+      const t = await svc.getCurrentTicker(symbol).catch(() => null);
+      if (!t || entry.closed) return;
+      if (t.last > 0) {
+        entry.open24h = t.percentage ? t.last / (1 + t.percentage / 100) : entry.open24h;
+        entry.volume = t.baseVolume;
+        this._onPrice(symbol, entry, t.last, true);
+      }
+    };
+    await refreshTicker();
+    if (entry.closed) return;
+    entry.refresh = setInterval(refreshTicker, this.config.TICKER_REFRESH_MS);
+
+    const handle = await svc.subscribeTicker(symbol, (tick) => this._onPrice(symbol, entry, Number(tick.price)));
+    if (entry.closed) {
+      handle?.close();
+      return;
+    }
+    if (handle) {
+      entry.handle = handle;
+      return;
+    }
+    entry.poll = setInterval(async () => {
+      const price = await svc.getCurrentPrice(symbol).catch(() => null);
+      if (price > 0 && !entry.closed) this._onPrice(symbol, entry, Number(price));
+    }, this.config.PRICE_POLL_MS);
+  }
+
+  _priceData(symbol, entry) {
+    return {
+      symbol,
+      price: entry.last,
+      change24h: entry.open24h ? (entry.last / entry.open24h - 1) * 100 : null,
+      volume: entry.volume,
+    };
+  }
+
+  _onPrice(symbol, entry, price, force = false) {
+    if (!(price > 0) || entry.closed) return;
+    entry.last = price;
+    const now = this.now();
+    if (!force && now - entry.sentAt < this.config.PRICE_THROTTLE_MS) return;
+    entry.sentAt = now;
+    const data = this._priceData(symbol, entry);
+    for (const client of this.clients) if (client.symbols.has(symbol)) this._send(client, 'price', data, now);
+  }
+
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      priceSymbols: Array.from(this.prices.entries()).map(([symbol, e]) => ({ symbol, refs: e.refs, source: e.handle ? 'ws' : 'poll' })),
+      analysis: this.analysis,
+    };
+  }
+}
+
+export default DashboardFeedService;
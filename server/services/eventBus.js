@@ -0,0 +1,121 @@
+/**
+ * Barramento de eventos do pipeline (in-process)
+ *
+ * O emissor publica o que aconteceu; tracker, risco, scoring adaptativo, notificações e dashboard
+ * assinam o que precisam — um consumidor novo não exige mexer em quem emite.
+ *
+ * - Catálogo fechado (EVENTS): tipo desconhecido em on()/emit() é erro de programação (throw);
+ *   campo obrigatório ausente só gera aviso
+ * - emit() é síncrono e isolado: exceção (ou promise rejeitada) de um assinante é logada e não
+ *   afeta o emissor nem os demais
+ * - Assinatura por tipo, por prefixo ('monitor.*') ou de tudo ('*'); o handler recebe
+ *   (payload, { type, time, seq })
+ */
+
+import { Logger } from './logger.js';
+
+const logger = new Logger('EventBus');
+
+// tipo → campos obrigatórios do payload
+export const EVENTS = {
+  // análise de um símbolo/timeframe concluída (válido ou não)
+  'signal.scored': ['symbol', 'timeframe', 'score', 'isValid'],
+  // sinal publicado e monitor criado (price: preço de mercado no envio, quando conhecido)
+  'signal.emitted': ['signalId', 'symbol', 'timeframe', 'trend', 'entry', 'targets', 'stopLoss', 'score', 'monitorId'],
+  // candidato barrado: stage = risk | pause | rate_limit | confluence | selection (sem direção, top N, correlação, orçamento de risco) | emitter
+  'signal.blocked': ['symbol', 'stage', 'reason'],
+  'monitor.target_hit': ['monitorId', 'signalId', 'symbol', 'targetNumber', 'targetPrice', 'pnlPercent'],
+  'monitor.stop_moved': ['monitorId', 'signalId', 'symbol', 'newStop'],
+  // encerramento: exitReason = STOP_LOSS | ALL_TARGETS | STOP_MOBILE | MANUAL
+  'monitor.closed': ['monitorId', 'signalId', 'symbol', 'exitReason', 'pnlPercent', 'isWin'],
+  // monitor saiu da lista (encerramento, erro, substituição) — reason como em removeMonitor
+  'monitor.removed': ['monitorId', 'signalId', 'symbol', 'reason'],
+  // preço aplicado a um monitor (tick ao vivo; no replay, extremos do candle na ordem conservadora)
+  'monitor.tick': ['monitorId', 'symbol', 'price', 'time'],
+  // mensagem do bot (sinal, alvo, stop, encerramento) já entregue no Telegram — type = EVENT_TYPES do notifier
+  'notification.published': ['type', 'text'],
+  'alert.raised': ['type', 'priority', 'message'],
+  // ciclo de análise: início, cada símbolo/timeframe concluído e resumo
+  'analysis.started': ['cycle', 'total'],
+  'analysis.progress': ['cycle', 'done', 'total', 'symbol', 'timeframe'],
+  'analysis.completed': ['cycle', 'analyzed', 'validSignals', 'errors'],
+  // nova versão da configuração runtime aplicada (ConfigService)
+  'config.updated': ['version', 'changes'],
+  // universo de símbolos mudou (refresh, delist, listas manuais) — SymbolUniverseService
+  'universe.updated': ['count', 'added', 'removed'],
+};
+
+class EventBus {
+  /**
+   * @param {Object} [options] - now: relógio (replay)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.handlers = new Map(); // tipo | 'prefixo.*' | '*' → Set(handler)
+    this.seq = 0;
+    this.counts = {};
+    this.errors = 0;
+  }
+
+  _assertPattern(pattern) {
+    if (pattern === '*' || EVENTS[pattern]) return;
+    if (pattern.endsWith('.*') && Object.keys(EVENTS).some((t) => t.startsWith(pattern.slice(0, -1)))) return;
+    throw new Error(`Evento desconhecido: ${pattern}`);
+  }
+
+  /**
+   * @returns {Function} cancela a assinatura
+   */
+  on(pattern, handler) {
+    this._assertPattern(pattern);
+    if (!this.handlers.has(pattern)) this.handlers.set(pattern, new Set());
+    this.handlers.get(pattern).add(handler);
+    return () => this.off(pattern, handler);
+  }
+
+  off(pattern, handler) {
+    this.handlers.get(pattern)?.delete(handler);
+  }
+
+  /**
+   * @returns {number} assinantes notificados
+   */
+  emit(type, payload = {}) {
+    if (!EVENTS[type]) throw new Error(`Evento desconhecido: ${type}`);
+    const missing = EVENTS[type].filter((k) => payload[k] === undefined);
+    if (missing.length) logger.warn(`${type} sem ${missing.join(', ')}`);
+
+    const meta = { type, time: this.now(), seq: ++this.seq };
+    this.counts[type] = (this.counts[type] || 0) + 1;
+
+    const prefix = `${type.slice(0, type.indexOf('.'))}.*`;
+    let delivered = 0;
+    for (const key of [type, prefix, '*']) {
+      for (const handler of this.handlers.get(key) || []) {
+        delivered++;
+        try {
+          const result = handler(payload, meta);
+          if (result && typeof result.catch === 'function') result.catch((err) => this._fail(type, err));
+        } catch (err) {
+          this._fail(type, err);
+        }
+      }
+    }
+    return delivered;
+  }
+
+  _fail(type, err) {
+    this.errors++;
+    logger.error(`Assinante de ${type} falhou: ${err?.message || err}`);
+  }
+
+  getStats() {
+    return {
+      emitted: { ...this.counts },
+      subscribers: Object.fromEntries(Array.from(this.handlers.entries()).map(([k, set]) => [k, set.size])),
+      handlerErrors: this.errors,
+    };
+  }
+}
+
+export default EventBus;
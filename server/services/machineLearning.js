@@ -1,7 +1,11 @@
 /**
  * Serviço de Machine Learning para previsão de preços
+ * - Com pool de worker threads (attachComputePool), cada modelo treinado é copiado para os workers
+ *   (topologia + pesos) e a inferência roda lá, fora do event loop
  */
 
+import { encodeSeries } from './computePool.js';
+
 let tf;
 let isTensorFlowAvailable = false;
 
@@ -44,6 +48,8 @@ class MachineLearningService {
   constructor() {
     this.models = new Map();
     this.loggedMissingModels = new Set();
+    this.computePool = null;
+    this.sharedModels = new Set(); // símbolos com modelo já enviado ao pool
     this.isInitialized = false;
     this.trainingInProgress = false;
     this.lastTrainingTime = null;
@@ -148,8 +154,9 @@ class MachineLearningService {
       xs.dispose();
       ys.dispose();
 
-      // Armazena modelo
+      // Armazena modelo (e envia aos workers do pool)
       this.models.set(symbol, model);
+      this._shareModel(symbol);
       this.trainingStats.successfulModels++;
       this.lastTrainingTime = new Date();
       this.trainingInProgress = false;
@@ -192,6 +199,15 @@ class MachineLearningService {
         return 0.5;
       }
 
+      // Inferência no worker (que já tem a cópia do modelo); pool indisponível cai no cálculo local
+      if (this.computePool && this.sharedModels.has(symbol)) {
+        try {
+          return await this.computePool.run('ml.predict', { symbol, data: encodeSeries(currentData), indicators });
+        } catch (error) {
+          if (!error.unavailable) throw error;
+        }
+      }
+
       // Prepara features atuais (robusto, alinhado ao sistema)
       const feats = this.prepareCurrentFeatures(currentData, indicators);
 
@@ -211,6 +227,51 @@ class MachineLearningService {
     }
   }
 
+  /**
+   * Topologia + pesos do modelo em formato clonável entre threads
+   */
+  exportModel(symbol) {
+    const model = this.models.get(symbol);
+    if (!model) return null;
+    return {
+      topology: model.toJSON(null, false),
+      weights: model.getWeights().map((w) => ({ shape: w.shape, data: w.dataSync() }))
+    };
+  }
+
+  /**
+   * Recria um modelo exportado por exportModel (usado nos workers do pool)
+   */
+  async importModel(symbol, { topology, weights }) {
+    await this.initPromise;
+    if (!this.isInitialized || !isTensorFlowAvailable) {
+      throw new Error('TensorFlow.js não disponível');
+    }
+    const model = await tf.models.modelFromJSON(topology);
+    const tensors = weights.map((w) => tf.tensor(w.data, w.shape));
+    model.setWeights(tensors);
+    tensors.forEach((t) => t.dispose());
+    this.models.get(symbol)?.dispose();
+    this.models.set(symbol, model);
+    this.loggedMissingModels.delete(symbol);
+  }
+
+  /**
+   * Pool de worker threads: modelos já treinados vão para os workers e a inferência passa a rodar lá
+   */
+  attachComputePool(computePool) {
+    this.computePool = computePool;
+    for (const symbol of this.models.keys()) this._shareModel(symbol);
+  }
+
+  _shareModel(symbol) {
+    if (!this.computePool?.isAvailable()) return;
+    const payload = this.exportModel(symbol);
+    if (!payload) return;
+    this.computePool.share(`ml:${symbol}`, 'ml.load', { symbol, model: payload });
+    this.sharedModels.add(symbol);
+  }
+
   /**
    * Cria arquitetura do modelo
    */
@@ -19,6 +19,18 @@ class MarketAnalysisService {
     this.technicalAnalysis = technicalAnalysis; // mantido para compatibilidade (não usado aqui)
     this.cache = new Map();
     this.cacheTimeout = 10 * 60 * 1000; // 10 minutos
+    this.universe = null;
+  }
+
+  /**
+   * Universo dinâmico (ordenado por volume 24h); sem ele, a lista fixa CRYPTO_SYMBOLS
+   */
+  attachUniverse(universe) {
+    this.universe = universe;
+  }
+
+  _symbols() {
+    return this.universe ? this.universe.getSymbols() : CRYPTO_SYMBOLS;
   }
 
   /**
@@ -89,7 +101,7 @@ class MarketAnalysisService {
       let totalChange = 0;
       let validAssets = 0;
 
-      const sampleSymbols = CRYPTO_SYMBOLS.slice(0, 20); // Top 20 para performance
+      const sampleSymbols = this._symbols().slice(0, 20); // Top 20 para performance
 
       for (const rawSymbol of sampleSymbols) {
         const symbol = resolveAlias(rawSymbol);
@@ -659,7 +671,7 @@ class MarketAnalysisService {
       console.log('🔥 Detectando alta volatilidade...');
       
       const alerts = [];
-      const sampleSymbols = CRYPTO_SYMBOLS.slice(0, 15);
+      const sampleSymbols = this._symbols().slice(0, 15);
       
       for (const raw of sampleSymbols) {
         const symbol = resolveAlias(raw);
@@ -0,0 +1,385 @@
+/**
+ * Interface comum dos provedores de dados de mercado (perpétuos USDT lineares)
+ * - OHLCV (com retry/backoff), ticker, metadados de símbolo e streams de kline/ticker via WebSocket
+ *   (todas as assinaturas da venue dividem conexões combinadas — ver StreamMultiplexer)
+ * - Símbolos sempre no formato padrão do bot (BTC/USDT); cada venue traduz para o seu
+ * - Saúde por venue: falhas consecutivas deixam o provedor "degradado" por um tempo (failover no roteador)
+ *
+ * Subclasses implementam: toVenueSymbol, _wsEndpoint, _wsTopic, _parseStreamMessage e, se necessário,
+ * _wsConnectUrl / _wsSubscribeMessage / _wsUnsubscribeMessage / _wsPingMessage.
+ */
+
+import ccxt from 'ccxt';
+import StreamMultiplexer from './streamMultiplexer.js';
+
+const RETRY_ATTEMPTS = 2; // o roteador faz failover para a próxima venue
+const DEGRADE_AFTER_FAILURES = 3;
+const DEGRADE_COOLDOWN_MS = 60_000;
+const MARKETS_RETRY_MS = 5 * 60_000;
+const TRADABLE_STATUS = new Set(['trading', 'live']);
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Converte OHLCV ccxt ([ts, o, h, l, c, v]) no formato de séries do bot
+ */
+export function toSeries(ohlcv) {
+  const out = { timestamp: [], open: [], high: [], low: [], close: [], volume: [] };
+  for (const c of ohlcv || []) {
+    out.timestamp.push(c[0]);
+    out.open.push(Number(c[1]));
+    out.high.push(Number(c[2]));
+    out.low.push(Number(c[3]));
+    out.close.push(Number(c[4]));
+    out.volume.push(Number(c[5]));
+  }
+  return out;
+}
+
+function isTransient(err) {
+  const msg = (err && err.message) || '';
+  const http = Number(err?.httpStatus || 0);
+  const is429 = msg.includes('Too Many Requests') || http === 429 || msg.includes('429');
+  const is5xx = http >= 500 || /Internal Server Error|Service Unavailable/i.test(msg);
+  const isNetwork =
+    err instanceof ccxt.NetworkError ||
+    err instanceof ccxt.ExchangeNotAvailable ||
+    err instanceof ccxt.RequestTimeout ||
+    /ETIMEDOUT|ECONNRESET|ENETUNREACH|EAI_AGAIN/i.test(msg);
+  return is429 || is5xx || isNetwork;
+}
+
+export default class MarketDataProvider {
+  /**
+   * @param {string} name - identificador da venue ('binance' | 'bybit' | 'okx')
+   * @param {Object} exchange - instância ccxt
+   */
+  constructor(name, exchange) {
+    this.name = name;
+    this.exchange = exchange;
+    this.maxOhlcvLimit = 1000;
+
+    this._marketsLoaded = false;
+    this._marketsPromise = null;
+    this._marketsFailedAt = 0;
+
+    this.health = { failures: 0, degradedUntil: 0, lastError: null, lastSuccess: null };
+
+    // Streams WebSocket (criado na primeira assinatura)
+    this.streams = null;
+    this.wsTopicsInUrl = false; // true → tópicos iniciais vão na URL (/stream?streams=...)
+  }
+
+  // =================== SÍMBOLOS ===================
+
+  /**
+   * BTC/USDT → símbolo ccxt da venue (contrato linear)
+   */
+  toVenueSymbol(symbol) {
+    return symbol;
+  }
+
+  async loadMarkets() {
+    if (this._marketsLoaded) return;
+    // venue fora do ar: não trava cada chamada esperando o timeout do loadMarkets
+    if (!this._marketsPromise && Date.now() - this._marketsFailedAt < MARKETS_RETRY_MS) return;
+    if (!this._marketsPromise) {
+      this._marketsPromise = this.exchange
+        .loadMarkets()
+        .then(() => {
+          this._marketsLoaded = true;
+        })
+        .catch((err) => {
+          this._marketsFailedAt = Date.now();
+          console.warn(`[MarketData] ${this.name}: falha ao carregar markets: ${err.message}`);
+        })
+        .finally(() => {
+          this._marketsPromise = null;
+        });
+    }
+    await this._marketsPromise;
+  }
+
+  /**
+   * Recarrega os markets da exchange (listagens, delist e suspensões desde o último carregamento)
+   */
+  async reloadMarkets() {
+    await this._withRetry('markets', () => this.exchange.loadMarkets(true));
+    this._marketsLoaded = true;
+  }
+
+  /**
+   * true/false quando os markets estão carregados; null se desconhecido (markets indisponíveis)
+   */
+  supports(symbol) {
+    if (!this._marketsLoaded) return null;
+    const market = this.exchange.markets?.[this.toVenueSymbol(symbol)];
+    return !!(market && market.active !== false);
+  }
+
+  /**
+   * Metadados do contrato no formato do bot (null se a venue não lista o símbolo)
+   */
+  async getSymbolInfo(symbol) {
+    await this.loadMarkets();
+    const market = this.exchange.markets?.[this.toVenueSymbol(symbol)];
+    if (!market) return null;
+    return {
+      symbol,
+      venue: this.name,
+      venueSymbol: market.symbol,
+      base: market.base,
+      quote: market.quote,
+      active: market.active !== false,
+      contractSize: market.contractSize ?? 1,
+      tickSize: market.precision?.price ?? null,
+      amountPrecision: market.precision?.amount ?? null,
+      minAmount: market.limits?.amount?.min ?? null,
+      minNotional: market.limits?.cost?.min ?? null,
+      maxLeverage: market.limits?.leverage?.max ?? null,
+    };
+  }
+
+  /**
+   * Contratos lineares ativos na quote informada, no formato padrão (BASE/QUOTE)
+   */
+  async listSymbols(quote = 'USDT') {
+    await this.loadMarkets();
+    return Object.values(this.exchange.markets || {})
+      .filter((m) => m.linear && m.swap && m.quote === quote && m.settle === quote && m.active !== false)
+      .map((m) => `${m.base}/${m.quote}`);
+  }
+
+  /**
+   * Todos os contratos lineares da quote, inclusive os fora de negociação (universo de símbolos):
+   * [{ symbol, venueSymbol, status, tradable, listedAt, contractSize }]
+   */
+  async listContracts(quote = 'USDT') {
+    await this.loadMarkets();
+    return Object.values(this.exchange.markets || {})
+      .filter((m) => m.linear && m.swap && m.quote === quote && m.settle === quote)
+      .map((m) => {
+        // Binance: status TRADING/SETTLING/PENDING_TRADING · Bybit: Trading/PreLaunch · OKX: state live/suspend
+        const status = String(m.info?.status ?? m.info?.state ?? (m.active === false ? 'inactive' : 'trading')).toLowerCase();
+        return {
+          symbol: `${m.base}/${m.quote}`,
+          venueSymbol: m.symbol,
+          status,
+          tradable: m.active !== false && TRADABLE_STATUS.has(status),
+          listedAt: Number(m.created ?? m.info?.onboardDate ?? m.info?.launchTime ?? m.info?.listTime) || null,
+          contractSize: m.contractSize ?? 1,
+        };
+      });
+  }
+
+  // =================== REST ===================
+
+  /**
+   * OHLCV em séries, com retry para erros transitórios (429/5xx/rede)
+   */
+  async fetchOHLCV(symbol, timeframe, limit, since = undefined) {
+    const lim = Math.min(Number(limit) || 200, this.maxOhlcvLimit);
+    return this._withRetry(`OHLCV ${symbol} ${timeframe}`, async () =>
+      toSeries(await this.exchange.fetchOHLCV(this.toVenueSymbol(symbol), timeframe, since, lim))
+    );
+  }
+
+  async fetchTicker(symbol) {
+    const t = await this._withRetry(`ticker ${symbol}`, () => this.exchange.fetchTicker(this.toVenueSymbol(symbol)), 2);
+    return {
+      symbol,
+      last: Number(t.last ?? t.close ?? 0),
+      bid: Number(t.bid ?? 0),
+      ask: Number(t.ask ?? 0),
+      high: Number(t.high ?? 0),
+      low: Number(t.low ?? 0),
+      baseVolume: Number(t.baseVolume ?? 0),
+      quoteVolume: Number(t.quoteVolume ?? 0),
+      change: Number(t.change ?? 0),
+      percentage: Number(t.percentage ?? 0),
+      ts: t.timestamp ?? Date.now(),
+      info: t.info,
+      venue: this.name,
+    };
+  }
+
+  /**
+   * Tickers de vários símbolos numa chamada: { 'BTC/USDT': { last, bid, ask, quoteVolume } }
+   * (sem bid/ask no ticker 24h — Binance Futures — completa com o book ticker)
+   */
+  async fetchTickers(symbols) {
+    const venueSymbols = symbols.map((s) => this.toVenueSymbol(s));
+    const tickers = await this._withRetry('tickers', () => this.exchange.fetchTickers(venueSymbols), 2);
+    const book = this.exchange.has?.fetchBidsAsks === true
+      ? await this._withRetry('book tickers', () => this.exchange.fetchBidsAsks(venueSymbols), 2).catch(() => ({}))
+      : {};
+    const out = {};
+    symbols.forEach((symbol, i) => {
+      const t = tickers?.[venueSymbols[i]];
+      if (!t) return;
+      const b = book?.[venueSymbols[i]] || {};
+      out[symbol] = {
+        last: Number(t.last ?? t.close ?? 0),
+        bid: Number(t.bid ?? b.bid ?? 0),
+        ask: Number(t.ask ?? b.ask ?? 0),
+        quoteVolume: Number(t.quoteVolume ?? 0),
+      };
+    });
+    return out;
+  }
+
+  /**
+   * Open interest atual: { amount (contratos), value (quote, null se a venue não informa) }
+   */
+  async fetchOpenInterest(symbol) {
+    const oi = await this._withRetry(`open interest ${symbol}`, () => this.exchange.fetchOpenInterest(this.toVenueSymbol(symbol)), 2);
+    return {
+      amount: Number(oi?.openInterestAmount ?? 0),
+      value: Number(oi?.openInterestValue) || null,
+    };
+  }
+
+  /**
+   * Histórico de funding: [{ time, rate }] com rate em % por período
+   */
+  async fetchFundingRateHistory(symbol, since = undefined, limit = 200) {
+    const rows = await this._withRetry(
+      `funding ${symbol}`,
+      () => this.exchange.fetchFundingRateHistory(this.toVenueSymbol(symbol), since, limit),
+      2
+    );
+    return (rows || [])
+      .map((r) => ({ time: Number(r.timestamp), rate: Number(r.fundingRate) * 100 }))
+      .filter((r) => isFinite(r.time) && isFinite(r.rate));
+  }
+
+  async _withRetry(label, fn, attempts = RETRY_ATTEMPTS) {
+    let lastErr = null;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const result = await fn();
+        this.markSuccess();
+        return result;
+      } catch (err) {
+        // erro não transitório (símbolo inexistente, parâmetro inválido...) não conta para a saúde da venue
+        if (!isTransient(err)) throw err;
+        lastErr = err;
+        const backoff = 700 * attempt; // 0.7s, 1.4s
+        console.warn(`[MarketData] ${this.name} ${err?.httpStatus || 'ERR'} em ${label} (tentativa ${attempt}) — aguardando ${backoff}ms`);
+        await sleep(backoff);
+      }
+    }
+    this.markFailure(lastErr);
+    throw lastErr || new Error(`Falha em ${label} (${this.name})`);
+  }
+
+  // =================== SAÚDE ===================
+
+  markSuccess() {
+    this.health.failures = 0;
+    this.health.degradedUntil = 0;
+    this.health.lastSuccess = Date.now();
+  }
+
+  markFailure(err) {
+    this.health.failures++;
+    this.health.lastError = err?.message || String(err);
+    if (this.health.failures >= DEGRADE_AFTER_FAILURES && !this.isDegraded()) {
+      this.health.degradedUntil = Date.now() + DEGRADE_COOLDOWN_MS;
+      console.warn(`[MarketData] ⚠️ ${this.name} degradado por ${DEGRADE_COOLDOWN_MS / 1000}s (${this.health.failures} falhas seguidas)`);
+    }
+  }
+
+  isDegraded() {
+    return Date.now() < this.health.degradedUntil;
+  }
+
+  getStatus() {
+    return {
+      venue: this.name,
+      degraded: this.isDegraded(),
+      failures: this.health.failures,
+      lastError: this.health.lastError,
+      lastSuccess: this.health.lastSuccess ? new Date(this.health.lastSuccess).toISOString() : null,
+      marketsLoaded: this._marketsLoaded,
+      streams: this.streams ? this.streams.getStatus() : null,
+    };
+  }
+
+  // =================== STREAM ===================
+
+  _streams() {
+    if (!this.streams) this.streams = new StreamMultiplexer(this);
+    return this.streams;
+  }
+
+  /**
+   * Assina klines: onCandle recebe só candles FECHADOS ({ symbol, interval, open, high, low, close, volume, timestamp, venue });
+   * options.onTick recebe cada update intrabar ({ symbol, price, time, isClosed, candle, venue }).
+   * Retorna um handle { venue, lastSeen, close() } ou null se o pacote 'ws' não estiver disponível.
+   * `onDisconnect` é chamado quando a venue segue fora após as tentativas de reconexão (failover).
+   */
+  async subscribeKlines(symbol, interval, onCandle, onDisconnect = null, options = {}) {
+    return this._streams().subscribe({
+      channel: 'kline',
+      symbol,
+      interval,
+      onCandle,
+      onTick: options.onTick,
+      onDisconnect,
+    });
+  }
+
+  /**
+   * Assina o ticker (último preço): onTick({ symbol, price, time, venue })
+   */
+  async subscribeTicker(symbol, onTick, onDisconnect = null) {
+    return this._streams().subscribe({ channel: 'ticker', symbol, onTick, onDisconnect });
+  }
+
+  closeStreams() {
+    if (this.streams) this.streams.closeAll();
+  }
+
+  /**
+   * Endpoint WebSocket do canal ('kline' | 'ticker')
+   */
+  _wsEndpoint() {
+    throw new Error(`${this.name}: streams não implementados`);
+  }
+
+  /**
+   * Nome do tópico na venue (chave de refcount e de roteamento das mensagens)
+   */
+  _wsTopic() {
+    throw new Error(`${this.name}: streams não implementados`);
+  }
+
+  _wsConnectUrl(endpoint) {
+    return endpoint;
+  }
+
+  _wsSubscribeMessage() {
+    return null;
+  }
+
+  _wsUnsubscribeMessage() {
+    return null;
+  }
+
+  // null → ping de protocolo (frame WebSocket)
+  _wsPingMessage() {
+    return null;
+  }
+
+  /**
+   * Mensagem da venue → eventos
+   *  - { topic, type: 'kline', candle: { isClosed, open, high, low, close, volume, timestamp } }
+   *  - { topic, type: 'ticker', price, time }
+   */
+  _parseStreamMessage() {
+    return [];
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Roteador de dados de mercado (Binance, Bybit, OKX)
+ * - Tabela de rotas por símbolo: ordem de venues (padrão → MARKET_DATA_CONFIG / env)
+ * - Venues que não listam o símbolo são puladas; venues degradadas vão para o fim da fila
+ * - Failover transparente em REST e nos streams de klines/ticker (reassina na próxima venue)
+ */
+
+import { MARKET_DATA_CONFIG } from '../config/constants.js';
+import BinanceProvider from './binanceProvider.js';
+import BybitProvider from './bybitProvider.js';
+import OkxProvider from './okxProvider.js';
+
+const PROVIDERS = {
+  binance: BinanceProvider,
+  bybit: BybitProvider,
+  okx: OkxProvider,
+};
+
+const STREAM_RETRY_MS = 2_000;
+
+/**
+ * "XYZ/USDT=okx|bybit;ABC/USDT=bybit" → { 'XYZ/USDT': ['okx','bybit'], 'ABC/USDT': ['bybit'] }
+ */
+export function parseRoutes(raw) {
+  const routes = {};
+  for (const entry of String(raw || '').split(';')) {
+    const [symbol, venues] = entry.split('=').map((s) => s && s.trim());
+    if (!symbol || !venues) continue;
+    routes[symbol.toUpperCase()] = venues.split('|').map((v) => v.trim().toLowerCase()).filter(Boolean);
+  }
+  return routes;
+}
+
+function parseList(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export default class MarketDataRouter {
+  /**
+   * @param {Object} [options]
+   *  - providers: { nome: MarketDataProvider } (injeção; padrão instancia as venues de `venues`)
+   *  - venues: ordem padrão
+   *  - routes: { 'SYM/USDT': ['okx', ...] }
+   */
+  constructor(options = {}) {
+    const envVenues = parseList(process.env.MARKET_DATA_VENUES);
+    this.defaultOrder = options.venues || (envVenues.length ? envVenues : MARKET_DATA_CONFIG.VENUES);
+
+    this.providers = options.providers || {};
+    if (!options.providers) {
+      for (const name of this.defaultOrder) {
+        if (!PROVIDERS[name]) {
+          console.warn(`[MarketData] Venue desconhecida ignorada: ${name}`);
+          continue;
+        }
+        this.providers[name] = new PROVIDERS[name]();
+      }
+    }
+    this.defaultOrder = this.defaultOrder.filter((name) => this.providers[name]);
+
+    this.routes = {
+      ...MARKET_DATA_CONFIG.ROUTES,
+      ...parseRoutes(process.env.MARKET_DATA_ROUTES),
+      ...(options.routes || {}),
+    };
+  }
+
+  async loadMarkets() {
+    await Promise.allSettled(Object.values(this.providers).map((p) => p.loadMarkets()));
+  }
+
+  /**
+   * Venues candidatas para o símbolo, na ordem de tentativa
+   */
+  route(symbol) {
+    const order = (this.routes[symbol] || this.defaultOrder).filter((name) => this.providers[name]);
+    // supports() === null → markets não carregados: mantém (melhor tentar do que pular)
+    const listed = order.map((name) => this.providers[name]).filter((p) => p.supports(symbol) !== false);
+    return [...listed.filter((p) => !p.isDegraded()), ...listed.filter((p) => p.isDegraded())];
+  }
+
+  /**
+   * Executa `fn(provider)` seguindo a rota do símbolo até obter um resultado aceito
+   * @returns {Promise<{venue:string, result:any}>}
+   */
+  async call(symbol, label, fn, accept = () => true) {
+    await this.loadMarkets();
+    const candidates = this.route(symbol);
+    if (candidates.length === 0) throw new Error(`${symbol} não listado em nenhuma venue (${this.defaultOrder.join(', ')})`);
+
+    const errors = [];
+    for (const provider of candidates) {
+      try {
+        const result = await fn(provider);
+        if (!accept(result)) throw new Error('resposta insuficiente');
+        return { venue: provider.name, result };
+      } catch (err) {
+        errors.push(`${provider.name}: ${err.message}`);
+        console.warn(`[MarketData] ${label} falhou em ${provider.name} (${symbol}): ${err.message}`);
+      }
+    }
+    throw new Error(`Falha em ${label} para ${symbol} — ${errors.join(' | ')}`);
+  }
+
+  async fetchOHLCV(symbol, timeframe, limit, since = undefined, minLength = 1) {
+    const { venue, result } = await this.call(
+      symbol,
+      `OHLCV ${timeframe}`,
+      (p) => p.fetchOHLCV(symbol, timeframe, limit, since),
+      (data) => data?.close?.length >= minLength
+    );
+    return { venue, data: result };
+  }
+
+  async fetchTicker(symbol) {
+    const { result } = await this.call(symbol, 'ticker', (p) => p.fetchTicker(symbol), (t) => t.last > 0);
+    return result;
+  }
+
+  async fetchFundingRateHistory(symbol, since = undefined, limit = 200) {
+    const { result } = await this.call(symbol, 'funding', (p) => p.fetchFundingRateHistory(symbol, since, limit));
+    return result;
+  }
+
+  /**
+   * Metadados do símbolo na primeira venue da rota que o lista (+ todas as venues que o listam)
+   */
+  async getSymbolInfo(symbol) {
+    await this.loadMarkets();
+    const venues = Object.values(this.providers)
+      .filter((p) => p.supports(symbol))
+      .map((p) => p.name);
+    for (const provider of this.route(symbol)) {
+      const info = await provider.getSymbolInfo(symbol).catch(() => null);
+      if (info) return { ...info, venues };
+    }
+    return null;
+  }
+
+  /**
+   * União dos símbolos de todas as venues: [{ symbol, venues: [...] }]
+   */
+  async listSymbols(quote = 'USDT') {
+    await this.loadMarkets();
+    const bySymbol = new Map();
+    for (const provider of Object.values(this.providers)) {
+      const symbols = await provider.listSymbols(quote).catch(() => []);
+      for (const symbol of symbols) {
+        if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+        bySymbol.get(symbol).push(provider.name);
+      }
+    }
+    return [...bySymbol.entries()]
+      .map(([symbol, venues]) => ({ symbol, venues }))
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+
+  /**
+   * Stream de klines com failover: se a conexão cair, reassina na próxima venue da rota.
+   * options.onTick recebe os updates intrabar. Retorna um handle { venue, lastSeen, close() } ou null.
+   */
+  async subscribeKlines(symbol, interval, onCandle, options = {}) {
+    return this._subscribeWithFailover(`${symbol} ${interval}`, symbol, (provider, wrap, onDisconnect) =>
+      provider.subscribeKlines(symbol, interval, wrap(onCandle), onDisconnect, { onTick: wrap(options.onTick) })
+    );
+  }
+
+  /**
+   * Stream de último preço com o mesmo failover dos klines
+   */
+  async subscribeTicker(symbol, onTick) {
+    return this._subscribeWithFailover(`${symbol} ticker`, symbol, (provider, wrap, onDisconnect) =>
+      provider.subscribeTicker(symbol, wrap(onTick), onDisconnect)
+    );
+  }
+
+  async _subscribeWithFailover(label, symbol, open) {
+    await this.loadMarkets();
+    const sub = { venue: null, lastSeen: Date.now(), closed: false, inner: null, attempt: 0 };
+
+    // callbacks só atualizam lastSeen; undefined continua undefined (sem onTick, sem despacho)
+    const wrap = (fn) =>
+      fn &&
+      ((payload) => {
+        sub.lastSeen = Date.now();
+        fn(payload);
+      });
+
+    const connect = async () => {
+      const candidates = this.route(symbol);
+      for (let k = 0; k < candidates.length && !sub.closed; k++) {
+        // gira a partir da venue seguinte à última tentativa
+        const provider = candidates[(sub.attempt + k) % candidates.length];
+        const inner = await open(provider, wrap, () => {
+          if (sub.closed) return;
+          sub.attempt++;
+          // solta a assinatura antiga: o multiplexador da venue continua reconectando enquanto houver refs
+          sub.inner?.close();
+          sub.inner = null;
+          console.warn(`[MarketData][WS] ${label}: ${provider.name} caiu — failover em ${STREAM_RETRY_MS}ms`);
+          setTimeout(() => connect().catch(() => {}), STREAM_RETRY_MS);
+        }).catch(() => null);
+        if (inner) {
+          if (sub.closed) {
+            inner.close();
+            return false;
+          }
+          sub.inner = inner;
+          sub.venue = provider.name;
+          return true;
+        }
+      }
+      return false;
+    };
+
+    if (!(await connect())) return null;
+
+    return {
+      get venue() {
+        return sub.venue;
+      },
+      get lastSeen() {
+        return Math.max(sub.lastSeen, sub.inner?.lastSeen || 0);
+      },
+      close() {
+        sub.closed = true;
+        sub.inner?.close();
+      },
+    };
+  }
+
+  closeStreams() {
+    for (const provider of Object.values(this.providers)) provider.closeStreams();
+  }
+
+  getStatus() {
+    return {
+      defaultOrder: this.defaultOrder,
+      routes: this.routes,
+      venues: Object.values(this.providers).map((p) => p.getStatus()),
+    };
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Sinks do NotifierService
+ * - TelegramSink: entrega pelo TelegramBotService (canais, respostas ao sinal, circuit breaker por canal)
+ * - DiscordSink: webhook do Discord (texto convertido para o markdown do Discord, até 2000 caracteres)
+ * - WebhookSink: POST JSON assinado (HMAC-SHA256 de `${timestamp}.${body}` em X-Lobo-Signature)
+ */
+
+import crypto from 'crypto';
+import { NOTIFIER_CONFIG } from '../config/constants.js';
+
+function parseUrls(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((u) => u.trim())
+    .filter(Boolean);
+}
+
+function parseTypes(raw) {
+  const list = parseUrls(raw).map((t) => t.toLowerCase());
+  return list.length ? new Set(list) : null;
+}
+
+function decodeEntities(t) {
+  return String(t).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+/**
+ * HTML do Telegram / Markdown do Telegram → markdown do Discord
+ */
+export function toDiscordMarkdown(text, format = 'html') {
+  if (format === 'html') {
+    return decodeEntities(
+      String(text || '')
+        .replace(/<\/?b>/g, '**')
+        .replace(/<\/?i>/g, '*')
+        .replace(/<\/?code>/g, '`')
+        .replace(/<[^>]*>/g, '')
+    );
+  }
+  // Markdown/MarkdownV2 do Telegram: *negrito* → **negrito**, escapes removidos
+  return String(text || '')
+    .replace(/\\([_*[\]()~`>#+\-=|{}.!\\])/g, '$1')
+    .replace(/(^|[^*])\*([^*\n]+)\*(?!\*)/g, '$1**$2**');
+}
+
+export function toPlainText(text, format = 'html') {
+  if (format === 'html') return decodeEntities(String(text || '').replace(/<[^>]*>/g, ''));
+  return String(text || '')
+    .replace(/\\([_*[\]()~`>#+\-=|{}.!\\])/g, '$1')
+    .replace(/[*_`]/g, '');
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(NOTIFIER_CONFIG.TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+  return response;
+}
+
+export class TelegramSink {
+  constructor(telegramBot) {
+    this.name = 'telegram';
+    this.blocking = true;
+    this.retry = false;
+    this.telegram = telegramBot;
+  }
+
+  async send(event) {
+    if (typeof event.telegram === 'function') return event.telegram();
+    return this.telegram._sendMessageSafe(event.text);
+  }
+}
+
+export class DiscordSink {
+  /**
+   * @param {string} url - webhook do Discord
+   * @param {Object} [options] - name, types (Set de EVENT_TYPES aceitos), username
+   */
+  constructor(url, options = {}) {
+    this.name = options.name || 'discord';
+    this.url = url;
+    this.types = options.types || null;
+    this.username = options.username || 'Lobo Scalping';
+  }
+
+  accepts(type) {
+    return !this.types || this.types.has(type);
+  }
+
+  async send(event) {
+    let content = toDiscordMarkdown(event.text, event.format);
+    if (content.length > NOTIFIER_CONFIG.DISCORD_MAX_CHARS) {
+      content = content.slice(0, NOTIFIER_CONFIG.DISCORD_MAX_CHARS - 1) + '…';
+    }
+    await postJson(this.url, JSON.stringify({ username: this.username, content }));
+    return true;
+  }
+}
+
+export class WebhookSink {
+  /**
+   * @param {string} url
+   * @param {Object} [options] - name, secret (HMAC), types (Set de EVENT_TYPES aceitos)
+   */
+  constructor(url, options = {}) {
+    this.name = options.name || 'webhook';
+    this.url = url;
+    this.secret = options.secret || '';
+    this.types = options.types || null;
+  }
+
+  accepts(type) {
+    return !this.types || this.types.has(type);
+  }
+
+  /**
+   * Cabeçalhos de assinatura: o receptor recalcula HMAC-SHA256(secret, `${timestamp}.${body}`)
+   * e rejeita timestamps antigos (replay)
+   */
+  sign(body, timestamp = Date.now()) {
+    if (!this.secret) return {};
+    const digest = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    return { 'X-Lobo-Timestamp': String(timestamp), 'X-Lobo-Signature': `sha256=${digest}` };
+  }
+
+  async send(event) {
+    const body = JSON.stringify({
+      id: event.id,
+      type: event.type,
+      time: event.time,
+      symbol: event.symbol || null,
+      signalId: event.signalId || null,
+      data: event.data || {},
+      text: toPlainText(event.text, event.format),
+    });
+    await postJson(this.url, body, { 'X-Lobo-Event': event.type, ...this.sign(body) });
+    return true;
+  }
+}
+
+/**
+ * Sinks externos do env:
+ *  - DISCORD_WEBHOOK_URLS / WEBHOOK_URLS (vírgula), WEBHOOK_SECRET
+ *  - DISCORD_EVENTS / WEBHOOK_EVENTS: filtro de tipos (padrão: todos)
+ */
+export function createSinksFromEnv(env = process.env) {
+  const sinks = [];
+  const discordTypes = parseTypes(env.DISCORD_EVENTS);
+  parseUrls(env.DISCORD_WEBHOOK_URLS).forEach((url, i) => {
+    sinks.push(new DiscordSink(url, { name: `discord${i ? i + 1 : ''}`, types: discordTypes }));
+  });
+  const webhookTypes = parseTypes(env.WEBHOOK_EVENTS);
+  parseUrls(env.WEBHOOK_URLS).forEach((url, i) => {
+    sinks.push(new WebhookSink(url, { name: `webhook${i ? i + 1 : ''}`, secret: env.WEBHOOK_SECRET, types: webhookTypes }));
+  });
+  return sinks;
+}
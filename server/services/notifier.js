@@ -0,0 +1,196 @@
+/**
+ * Hub de notificações: todo evento de trade (sinal, alvo, stop, encerramento), alerta e relatório
+ * semanal passa por aqui e é entregue a cada sink registrado (Telegram, Discord, webhooks HTTP).
+ *
+ * - publish() espera só os sinks "bloqueantes" (Telegram: o resultado decide se o monitor é criado);
+ *   os externos entregam em segundo plano
+ * - Mensagens do bot (sinal, alvos, stops, encerramentos) chegam pelo bus (notification.published) já
+ *   entregues no Telegram: seguem só para os sinks externos
+ * - Sinks externos: retry com backoff exponencial; após NOTIFIER_CONFIG.MAX_ATTEMPTS o evento vai para
+ *   a dead-letter queue (coleção 'deadLetters' do storage), reenviável via retryDeadLetters()
+ */
+
+import crypto from 'crypto';
+import { NOTIFIER_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Notifier');
+
+export const EVENT_TYPES = [
+  'signal',
+  'target_hit',
+  'stop_moved',
+  'stop_loss',
+  'stop_mobile',
+  'all_targets',
+  'manual_close',
+  'weekly_report',
+  'alert',
+];
+
+class NotifierService {
+  /**
+   * @param {Object} [options] - config: sobrescreve NOTIFIER_CONFIG; storage: StorageService (DLQ)
+   */
+  constructor(options = {}) {
+    this.config = { ...NOTIFIER_CONFIG, ...(options.config || {}) };
+    this.sinks = new Map();
+    this.storage = options.storage || null;
+    this.deadLetters = [];
+    this.stats = new Map(); // sink → { delivered, retried, failed }
+  }
+
+  attachStorage(storage) {
+    this.storage = storage;
+    if (!storage) return;
+    this.deadLetters = storage.list('deadLetters').sort((a, b) => a.failedAt - b.failedAt);
+    if (this.deadLetters.length) logger.warn(`${this.deadLetters.length} notificação(ões) na dead-letter queue`);
+  }
+
+  /**
+   * Sink: { name, blocking?, retry?, accepts?(type), send(event) }
+   */
+  register(sink) {
+    this.sinks.set(sink.name, sink);
+    this.stats.set(sink.name, { delivered: 0, retried: 0, failed: 0 });
+    console.log(`🔔 Sink de notificação registrado: ${sink.name}`);
+    return this;
+  }
+
+  unregister(name) {
+    this.sinks.delete(name);
+  }
+
+  attachEventBus(bus) {
+    bus.on('notification.published', ({ type, ...payload }) => this.publish(type, payload, { externalOnly: true }));
+  }
+
+  // Discord/webhooks configurados (entregam mesmo com o Telegram desligado)
+  hasExternalSinks() {
+    return Array.from(this.sinks.values()).some((s) => !s.blocking);
+  }
+
+  /**
+   * @param {string} type - um de EVENT_TYPES
+   * @param {Object} payload - { text, format: 'html'|'markdown', symbol?, signalId?, data?, telegram?: () => Promise }
+   *   `telegram` é a entrega específica do Telegram (canais, respostas ao sinal); não vai para os demais sinks
+   * @param {Object} [options] - externalOnly: pula os sinks bloqueantes (mensagem já entregue no Telegram)
+   * @returns {Promise<Object>} { [sink]: resultado } dos sinks bloqueantes
+   */
+  async publish(type, payload = {}, { externalOnly = false } = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      time: new Date().toISOString(),
+      format: 'html',
+      ...payload,
+    };
+
+    const results = {};
+    const blocking = [];
+    for (const sink of this.sinks.values()) {
+      if (sink.accepts && !sink.accepts(type)) continue;
+      if (sink.blocking) {
+        if (externalOnly) continue;
+        blocking.push(
+          Promise.resolve()
+            .then(() => sink.send(event))
+            .then((r) => {
+              results[sink.name] = r;
+              this.stats.get(sink.name).delivered++;
+            })
+            .catch((err) => {
+              results[sink.name] = false;
+              this.stats.get(sink.name).failed++;
+              logger.error(`Sink ${sink.name} falhou (${type}): ${err.message}`);
+            })
+        );
+      } else {
+        this._deliver(sink, event, 1).catch(() => {});
+      }
+    }
+    await Promise.all(blocking);
+    return results;
+  }
+
+  async _deliver(sink, event, attempt) {
+    const stats = this.stats.get(sink.name);
+    try {
+      await sink.send(event);
+      stats.delivered++;
+      return true;
+    } catch (err) {
+      if (sink.retry === false || attempt >= this.config.MAX_ATTEMPTS) {
+        stats.failed++;
+        this._deadLetter(sink, event, err, attempt);
+        return false;
+      }
+      stats.retried++;
+      const delay = Math.min(this.config.RETRY_MAX_MS, this.config.RETRY_BASE_MS * 2 ** (attempt - 1));
+      logger.warn(`${sink.name}: falha em ${event.type} (${err.message}) — tentativa ${attempt + 1} em ${delay}ms`);
+      await new Promise((r) => setTimeout(r, delay));
+      return this._deliver(sink, event, attempt + 1);
+    }
+  }
+
+  _deadLetter(sink, event, err, attempts) {
+    // a entrega do Telegram é uma função local: não faz sentido guardá-la
+    const { telegram, ...stored } = event;
+    const entry = { id: `${sink.name}:${event.id}`, sink: sink.name, event: stored, error: err.message, attempts, failedAt: Date.now() };
+    this.deadLetters.push(entry);
+    if (this.storage) this.storage.set('deadLetters', entry.id, entry);
+
+    while (this.deadLetters.length > this.config.MAX_DEAD_LETTERS) {
+      const dropped = this.deadLetters.shift();
+      if (this.storage) this.storage.delete('deadLetters', dropped.id);
+    }
+    logger.error(`${sink.name}: ${event.type}${event.symbol ? ` ${event.symbol}` : ''} na dead-letter queue após ${attempts} tentativa(s): ${err.message}`);
+  }
+
+  /**
+   * Reenvia a dead-letter queue (uma tentativa por item; falhas voltam para a fila)
+   * @param {string} [sinkName] - só os de um sink
+   */
+  async retryDeadLetters(sinkName = null) {
+    const pending = this.deadLetters.filter((d) => !sinkName || d.sink === sinkName);
+    const summary = { retried: 0, delivered: 0, failed: 0, skipped: 0 };
+
+    for (const entry of pending) {
+      const sink = this.sinks.get(entry.sink);
+      if (!sink) {
+        summary.skipped++;
+        continue;
+      }
+      this.deadLetters = this.deadLetters.filter((d) => d !== entry);
+      if (this.storage) this.storage.delete('deadLetters', entry.id);
+
+      summary.retried++;
+      try {
+        await sink.send(entry.event);
+        this.stats.get(sink.name).delivered++;
+        summary.delivered++;
+      } catch (err) {
+        summary.failed++;
+        this._deadLetter(sink, entry.event, err, entry.attempts + 1);
+      }
+    }
+    return summary;
+  }
+
+  getDeadLetters(limit = 50) {
+    return this.deadLetters.slice(-Math.max(1, Number(limit) || 50)).reverse();
+  }
+
+  getStatus() {
+    return {
+      sinks: Array.from(this.sinks.values()).map((s) => ({
+        name: s.name,
+        blocking: !!s.blocking,
+        ...(this.stats.get(s.name) || {}),
+      })),
+      deadLetters: this.deadLetters.length,
+    };
+  }
+}
+
+export default NotifierService;
@@ -0,0 +1,98 @@
+/**
+ * Provedor OKX (perpétuos lineares USDT — instrumentos BASE-USDT-SWAP)
+ */
+
+import ccxt from 'ccxt';
+import MarketDataProvider from './marketDataProvider.js';
+
+// timeframe do bot → canal de candles da OKX
+const WS_BARS = {
+  '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+  '1h': '1H', '2h': '2H', '4h': '4H', '6h': '6H', '12h': '12H',
+  '1d': '1D', '1w': '1W', '1M': '1M',
+};
+
+export default class OkxProvider extends MarketDataProvider {
+  constructor() {
+    super(
+      'okx',
+      new ccxt.okx({
+        enableRateLimit: true,
+        options: { defaultType: 'swap' },
+        timeout: 15_000,
+      })
+    );
+    this.maxOhlcvLimit = 300;
+    // candles ficam no endpoint "business"; tickers no "public"
+    this.wsEndpoints = {
+      kline: 'wss://ws.okx.com:8443/ws/v5/business',
+      ticker: 'wss://ws.okx.com:8443/ws/v5/public',
+    };
+  }
+
+  toVenueSymbol(symbol) {
+    if (symbol.includes(':')) return symbol;
+    const [, quote] = symbol.split('/');
+    return quote ? `${symbol}:${quote}` : symbol;
+  }
+
+  _instId(symbol) {
+    const [base, quote] = symbol.split(':')[0].split('/');
+    return `${base}-${quote}-SWAP`;
+  }
+
+  _wsEndpoint(channel) {
+    return this.wsEndpoints[channel] || this.wsEndpoints.kline;
+  }
+
+  // candle1m:BTC-USDT-SWAP | tickers:BTC-USDT-SWAP
+  _wsTopic(channel, symbol, interval) {
+    const ch = channel === 'ticker' ? 'tickers' : `candle${WS_BARS[interval] || '1m'}`;
+    return `${ch}:${this._instId(symbol)}`;
+  }
+
+  _wsArgs(topics) {
+    return topics.map((t) => {
+      const [channel, instId] = t.split(':');
+      return { channel, instId };
+    });
+  }
+
+  _wsSubscribeMessage(topics) {
+    return { op: 'subscribe', args: this._wsArgs(topics) };
+  }
+
+  _wsUnsubscribeMessage(topics) {
+    return { op: 'unsubscribe', args: this._wsArgs(topics) };
+  }
+
+  _wsPingMessage() {
+    return 'ping';
+  }
+
+  // candles: [[ts, o, h, l, c, vol, volCcy, volCcyQuote, confirm]] | tickers: [{ last, ts }]
+  _parseStreamMessage(msg) {
+    const channel = String(msg?.arg?.channel || '');
+    if (!Array.isArray(msg?.data) || msg.event) return [];
+    const topic = `${channel}:${msg.arg.instId}`;
+    if (channel.startsWith('candle')) {
+      return msg.data.map((k) => ({
+        topic,
+        type: 'kline',
+        candle: {
+          isClosed: k[8] === '1',
+          open: Number(k[1]),
+          high: Number(k[2]),
+          low: Number(k[3]),
+          close: Number(k[4]),
+          volume: Number(k[5]),
+          timestamp: Number(k[0]),
+        },
+      }));
+    }
+    if (channel === 'tickers') {
+      return msg.data.map((t) => ({ topic, type: 'ticker', price: Number(t.last), time: Number(t.ts) }));
+    }
+    return [];
+  }
+}
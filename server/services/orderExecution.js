@@ -0,0 +1,607 @@
+/**
+ * Execução de ordens na Binance Futures (USDT-M) — opt-in, atrás de chave de segurança
+ * Modos (EXECUTION_MODE): 'off' (padrão) | 'dry-run' (loga as ordens pretendidas) | 'live' (envia via ccxt)
+ *
+ * - Por sinal emitido: entrada a mercado, escada de TPs reduce-only (REALIZATION_SPLIT) e stop-market
+ * - Assina o bus: signal.emitted (entrada), monitor.stop_moved (stop móvel), monitor.removed (encerramento)
+ * - Stop móvel: recria o stop quando o monitor o move (handleStopMovement)
+ * - Reconciliação periódica: TPs executados × alvos do monitor; posição zerada na exchange;
+ *   monitor encerrado com posição ainda aberta (zera a mercado)
+ * - Limites: margem por sinal, nocional máximo, posições simultâneas; halt() bloqueia novas entradas
+ * - Live sem API key/secret cai para dry-run; BINANCE_TESTNET=true usa o testnet de futuros
+ */
+
+import ccxt from 'ccxt';
+import { EXECUTION_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Execution');
+
+const MODES = new Set(['off', 'dry-run', 'live']);
+const MAX_ORDER_LOG = 200;
+
+function envBool(key, def = 'false') {
+  return String(process.env[key] ?? def).toLowerCase() === 'true';
+}
+
+class OrderExecutionService {
+  /**
+   * @param {Object} [options]
+   *  - mode: 'off' | 'dry-run' | 'live' (padrão EXECUTION_MODE ou EXECUTION_CONFIG.MODE)
+   *  - tradeRules: TelegramBotService (getRealizationSplit)
+   *  - monitors: TelegramBotService (getMonitor pelo ID do sinal — base da reconciliação)
+   *  - exchange: instância ccxt (injeção; padrão binanceusdm com as chaves do env)
+   *  - now: relógio (replay passa o ReplayClock)
+   */
+  constructor(options = {}) {
+    const cfg = { ...EXECUTION_CONFIG, ...(options.config || {}) };
+    const apiKey = process.env.BINANCE_API_KEY || '';
+    const secret = process.env.BINANCE_API_SECRET || process.env.BINANCE_SECRET || '';
+    this.hasCredentials = !!(apiKey && secret);
+
+    let mode = String(options.mode || process.env.EXECUTION_MODE || cfg.MODE).toLowerCase();
+    if (!MODES.has(mode)) {
+      logger.warn(`EXECUTION_MODE desconhecido "${mode}" — usando off`);
+      mode = 'off';
+    }
+    if (mode === 'live' && !this.hasCredentials && !options.exchange) {
+      logger.warn('EXECUTION_MODE=live sem BINANCE_API_KEY/BINANCE_API_SECRET — usando dry-run');
+      mode = 'dry-run';
+    }
+    this.mode = mode;
+    this.testnet = envBool('BINANCE_TESTNET');
+
+    this.marginUsdt = Number(process.env.EXECUTION_MARGIN_USDT ?? cfg.MARGIN_PER_TRADE_USDT);
+    this.maxNotional = Number(process.env.EXECUTION_MAX_NOTIONAL_USDT ?? cfg.MAX_NOTIONAL_USDT);
+    this.leverage = cfg.LEVERAGE;
+    this.marginMode = cfg.MARGIN_MODE;
+    this.maxOpen = cfg.MAX_OPEN_POSITIONS;
+    this.stopWorkingType = cfg.STOP_WORKING_TYPE;
+    this.reconcileMs = cfg.RECONCILE_INTERVAL_MS;
+
+    this.exchange =
+      options.exchange ||
+      new ccxt.binanceusdm({
+        apiKey,
+        secret,
+        enableRateLimit: true,
+        options: { adjustForTimeDifference: true },
+        timeout: 15_000,
+      });
+    if (this.testnet && !options.exchange) this.exchange.setSandboxMode(true);
+
+    this.now = options.now || (() => Date.now());
+    this.tradeRules = options.tradeRules || null;
+    this.monitors = options.monitors || null;
+    this.storage = null;
+
+    this.positions = new Map(); // símbolo → execução aberta ou PENDING (entrada em andamento) — modo one-way: uma por símbolo
+    this.orderLog = []; // últimas ordens enviadas/pretendidas
+    this.halted = false;
+    this.haltReason = null;
+    this.reconcileTimer = null;
+    this.dryRunSeq = 1;
+  }
+
+  isActive() {
+    return this.mode !== 'off';
+  }
+
+  isLive() {
+    return this.mode === 'live';
+  }
+
+  attachStorage(storage) {
+    this.storage = storage;
+    for (const rec of storage?.list('execution') || []) {
+      if (rec.status === 'OPEN') this.positions.set(rec.symbol, rec);
+    }
+    if (this.positions.size > 0) {
+      console.log(`💾 Execução: ${this.positions.size} posição(ões) aberta(s) recarregada(s)`);
+    }
+  }
+
+  attachEventBus(bus) {
+    const run = (symbol, promise) => promise.catch((e) => logger.error(`${symbol}: ${e.message}`));
+    bus.on('signal.emitted', (e) =>
+      run(
+        e.symbol,
+        this.executeSignal(
+          { signalId: e.signalId, symbol: e.symbol, trend: e.trend, entry: e.entry, targets: e.targets, stopLoss: e.stopLoss },
+          Number(e.price) > 0 ? Number(e.price) : undefined
+        )
+      )
+    );
+    bus.on('monitor.stop_moved', (e) => run(e.symbol, this.onStopMoved(e.symbol, e.newStop, e.signalId)));
+    bus.on('monitor.removed', (e) => run(e.symbol, this.onMonitorClosed(e.symbol, e.reason, e.signalId)));
+  }
+
+  _persist(rec) {
+    if (!this.storage) return;
+    if (rec.status === 'OPEN') this.storage.set('execution', rec.symbol, rec);
+    else this.storage.delete('execution', rec.symbol);
+  }
+
+  /**
+   * Liga a reconciliação periódica (só faz algo com a execução ativa)
+   */
+  start() {
+    if (!this.isActive() || this.reconcileTimer) return;
+    this.reconcileTimer = setInterval(() => {
+      this.reconcile().catch((e) => logger.error(`Reconciliação falhou: ${e.message}`));
+    }, this.reconcileMs);
+    if (typeof this.reconcileTimer.unref === 'function') this.reconcileTimer.unref();
+    console.log(
+      `⚙️ Execução ${this.mode.toUpperCase()}${this.testnet ? ' (TESTNET)' : ''}: margem ${this.marginUsdt} USDT × ${this.leverage}x, ` +
+        `nocional máx. ${this.maxNotional} USDT, até ${this.maxOpen} posição(ões)`
+    );
+  }
+
+  stop() {
+    if (this.reconcileTimer) clearInterval(this.reconcileTimer);
+    this.reconcileTimer = null;
+  }
+
+  halt(reason = 'manual') {
+    this.halted = true;
+    this.haltReason = reason;
+    logger.warn(`Novas entradas bloqueadas (${reason})`);
+  }
+
+  resume() {
+    this.halted = false;
+    this.haltReason = null;
+    logger.info('Novas entradas liberadas');
+  }
+
+  // =================== MERCADO ===================
+
+  _venueSymbol(symbol) {
+    const [, quote] = symbol.split('/');
+    return symbol.includes(':') ? symbol : `${symbol}:${quote}`;
+  }
+
+  async _market(symbol) {
+    await this.exchange.loadMarkets();
+    const market = this.exchange.markets?.[this._venueSymbol(symbol)];
+    if (!market || market.active === false) throw new Error(`${symbol} não listado na Binance Futures`);
+    return market;
+  }
+
+  _amount(market, amount) {
+    return Number(this.exchange.amountToPrecision(market.symbol, amount));
+  }
+
+  _price(market, price) {
+    return Number(this.exchange.priceToPrecision(market.symbol, price));
+  }
+
+  // =================== ENVIO ===================
+
+  /**
+   * Envia (live) ou apenas registra (dry-run) uma ordem
+   * @param {Object} intent - { symbol, type, side, amount, price?, params, purpose }
+   */
+  async _submit(intent) {
+    const entry = { ...intent, mode: this.mode, at: new Date(this.now()).toISOString() };
+    const desc =
+      `${intent.purpose}: ${intent.type} ${intent.side} ${intent.amount ?? 'posição'} ${intent.symbol}` +
+      (intent.price ? ` @ ${intent.price}` : '') +
+      (intent.params?.stopPrice ? ` stop ${intent.params.stopPrice}` : '');
+
+    if (!this.isLive()) {
+      const order = { id: `dry-${this.dryRunSeq++}`, status: 'open', filled: 0, average: intent.price ?? null };
+      this._logOrder({ ...entry, orderId: order.id });
+      console.log(`🧪 [Execução][DRY-RUN] ${desc}`);
+      return order;
+    }
+
+    try {
+      const order = await this.exchange.createOrder(
+        intent.symbol,
+        intent.type,
+        intent.side,
+        intent.amount,
+        intent.price,
+        intent.params || {}
+      );
+      this._logOrder({ ...entry, orderId: order.id, status: order.status });
+      console.log(`✅ [Execução] ${desc} → ${order.id}`);
+      return order;
+    } catch (err) {
+      this._logOrder({ ...entry, error: err.message });
+      logger.error(`${desc} falhou: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Cancela uma ordem; true se ela não está mais ativa (cancelada agora ou já executada/cancelada)
+   */
+  async _cancel(rec, orderId, purpose) {
+    if (!orderId) return true;
+    if (!this.isLive()) {
+      this._logOrder({ purpose: `cancel ${purpose}`, symbol: rec.venueSymbol, orderId, mode: this.mode, at: new Date(this.now()).toISOString() });
+      console.log(`🧪 [Execução][DRY-RUN] cancelar ${purpose} ${orderId} (${rec.symbol})`);
+      return true;
+    }
+    try {
+      await this.exchange.cancelOrder(orderId, rec.venueSymbol);
+      return true;
+    } catch (err) {
+      // já executada/cancelada: não é erro para o fluxo
+      if (err instanceof ccxt.OrderNotFound) return true;
+      logger.warn(`Cancelar ${purpose} ${orderId} (${rec.symbol}): ${err.message}`);
+      return false;
+    }
+  }
+
+  _logOrder(entry) {
+    this.orderLog.push(entry);
+    if (this.orderLog.length > MAX_ORDER_LOG) this.orderLog.splice(0, this.orderLog.length - MAX_ORDER_LOG);
+  }
+
+  _stopIntent(rec, stopPrice, purpose) {
+    return {
+      symbol: rec.venueSymbol,
+      type: 'STOP_MARKET',
+      side: rec.side === 'LONG' ? 'sell' : 'buy',
+      amount: undefined,
+      params: { stopPrice, closePosition: true, workingType: this.stopWorkingType },
+      purpose,
+    };
+  }
+
+  // =================== CICLO DE VIDA ===================
+
+  /**
+   * Abre a posição de um sinal emitido: entrada a mercado + TPs reduce-only + stop-market
+   * @param {Object} signal - { signalId, symbol, trend, entry, targets, stopLoss }
+   * @param {number} [price] - preço atual (dimensionamento); padrão: entrada do sinal
+   */
+  async executeSignal(signal, price = undefined) {
+    if (!this.isActive()) return null;
+    const { symbol } = signal;
+    if (this.halted) {
+      console.log(`⛔ [Execução] ${symbol}: entradas bloqueadas (${this.haltReason})`);
+      return null;
+    }
+    if (this.positions.has(symbol)) {
+      console.log(`⏭️ [Execução] ${symbol}: já existe posição aberta — sinal ignorado`);
+      return null;
+    }
+    if (this.positions.size >= this.maxOpen) {
+      console.log(`⏭️ [Execução] ${symbol}: limite de ${this.maxOpen} posição(ões) atingido`);
+      return null;
+    }
+
+    // reserva o símbolo antes do primeiro await: sinais do mesmo par em paralelo não entram em dobro
+    const reservation = { signalId: signal.signalId || null, symbol, status: 'PENDING', openedAt: new Date(this.now()).toISOString() };
+    this.positions.set(symbol, reservation);
+    try {
+      return await this._enter(signal, price, reservation);
+    } finally {
+      // sem entrada (abaixo do mínimo, erro na exchange): libera a reserva
+      if (this.positions.get(symbol) === reservation) this.positions.delete(symbol);
+    }
+  }
+
+  async _enter(signal, price, reservation) {
+    const { symbol } = signal;
+    const market = await this._market(symbol);
+    const ref = Number(price) > 0 ? Number(price) : Number(signal.entry);
+    const notional = Math.min(this.marginUsdt * this.leverage, this.maxNotional);
+    const amount = this._amount(market, notional / ref);
+    const minAmount = market.limits?.amount?.min ?? 0;
+    const minNotional = market.limits?.cost?.min ?? 0;
+    if (!(amount > 0) || amount < minAmount || amount * ref < minNotional) {
+      logger.warn(`${symbol}: quantidade ${amount} abaixo do mínimo (lote ${minAmount}, nocional ${minNotional})`);
+      return null;
+    }
+
+    const side = signal.trend === 'BEARISH' ? 'SHORT' : 'LONG';
+    const rec = {
+      signalId: signal.signalId || null,
+      symbol,
+      venueSymbol: market.symbol,
+      side,
+      mode: this.mode,
+      amount,
+      entryPrice: ref,
+      tpOrders: [],
+      stopOrder: null,
+      targetsFilled: 0,
+      status: 'OPEN',
+      openedAt: reservation.openedAt,
+    };
+
+    if (this.isLive()) {
+      try {
+        await this.exchange.setMarginMode(this.marginMode, market.symbol);
+      } catch (err) {
+        // "No need to change margin type" → já está no modo certo
+        if (!/No need to change/i.test(err.message)) logger.warn(`${symbol} setMarginMode: ${err.message}`);
+      }
+      await this.exchange.setLeverage(this.leverage, market.symbol);
+    }
+
+    const entryOrder = await this._submit({
+      symbol: market.symbol,
+      type: 'market',
+      side: side === 'LONG' ? 'buy' : 'sell',
+      amount,
+      params: {},
+      purpose: 'entrada',
+    });
+    rec.entryOrderId = entryOrder.id;
+    if (this.isLive()) {
+      rec.amount = Number(entryOrder.filled) || amount;
+      rec.entryPrice = Number(entryOrder.average) || ref;
+    }
+    this.positions.set(symbol, rec);
+    this._persist(rec);
+
+    try {
+      await this._placeExits(rec, market, signal);
+    } catch (err) {
+      // posição sem proteção não pode ficar aberta
+      logger.error(`${symbol}: falha ao posicionar TPs/stop (${err.message}) — zerando posição`);
+      await this._flatten(rec, 'EXIT_ORDERS_FAILED');
+      return null;
+    }
+
+    this._persist(rec);
+    return rec;
+  }
+
+  async _placeExits(rec, market, signal) {
+    const exitSide = rec.side === 'LONG' ? 'sell' : 'buy';
+    const split = this.tradeRules?.getRealizationSplit?.() || [100];
+    const targets = (signal.targets || []).map(Number);
+    const minAmount = market.limits?.amount?.min ?? 0;
+
+    // escada: parcial de cada alvo; o que ficar abaixo do lote mínimo vai para o alvo seguinte; o último leva o resto
+    let allocated = 0;
+    let carry = 0;
+    for (let i = 0; i < targets.length; i++) {
+      const last = i === targets.length - 1;
+      const raw = last ? rec.amount - allocated : (rec.amount * (split[i] || 0)) / 100 + carry;
+      const qty = this._amount(market, Math.max(0, raw));
+      if (!(qty > 0) || qty < minAmount) {
+        carry = raw;
+        continue;
+      }
+      carry = 0;
+      allocated += qty;
+      const price = this._price(market, targets[i]);
+      const order = await this._submit({
+        symbol: market.symbol,
+        type: 'limit',
+        side: exitSide,
+        amount: qty,
+        price,
+        params: { reduceOnly: true, timeInForce: 'GTC' },
+        purpose: `TP${i + 1}`,
+      });
+      rec.tpOrders.push({ id: order.id, targetNumber: i + 1, price, amount: qty, status: 'open' });
+    }
+
+    const stopPrice = this._price(market, signal.stopLoss);
+    const stopOrder = await this._submit(this._stopIntent(rec, stopPrice, 'stop'));
+    rec.stopOrder = { id: stopOrder.id, price: stopPrice };
+  }
+
+  // Execução aberta do símbolo que pertence ao sinal (outros monitores do mesmo símbolo não têm ordens)
+  _recordFor(symbol, signalId) {
+    const rec = this.positions.get(symbol);
+    if (!rec || rec.status === 'PENDING' || (signalId && rec.signalId && rec.signalId !== signalId)) return null;
+    return rec;
+  }
+
+  /**
+   * Monitor moveu o stop (stop móvel): cancela o stop antigo e cria o novo — a Binance aceita um só
+   * stop closePosition por lado (-4130). Se o novo falhar, rearma o antigo; sem stop nenhum, zera a posição
+   */
+  async onStopMoved(symbol, newStop, signalId = null) {
+    const rec = this._recordFor(symbol, signalId);
+    if (!rec || !this.isActive()) return;
+    const previous = rec.stopOrder;
+    let stopPrice;
+    try {
+      const market = await this._market(symbol);
+      stopPrice = this._price(market, newStop);
+    } catch (err) {
+      logger.error(`${symbol}: falha ao mover stop para ${newStop}: ${err.message}`);
+      return;
+    }
+
+    if (!(await this._cancel(rec, previous?.id, 'stop anterior'))) {
+      logger.error(`${symbol}: stop anterior não cancelado — mantendo o stop em ${previous?.price}`);
+      return;
+    }
+    rec.stopOrder = null;
+
+    try {
+      const order = await this._submit(this._stopIntent(rec, stopPrice, 'stop móvel'));
+      rec.stopOrder = { id: order.id, price: stopPrice };
+      this._persist(rec);
+      return;
+    } catch (err) {
+      logger.error(`${symbol}: falha ao mover stop para ${newStop}: ${err.message}`);
+    }
+
+    if (previous?.price) {
+      try {
+        const order = await this._submit(this._stopIntent(rec, previous.price, 'stop (restaurado)'));
+        rec.stopOrder = { id: order.id, price: previous.price };
+        this._persist(rec);
+        return;
+      } catch (err) {
+        logger.error(`${symbol}: falha ao rearmar o stop em ${previous.price}: ${err.message}`);
+      }
+    }
+    // posição sem proteção não pode ficar aberta
+    await this._flatten(rec, 'STOP_LOST');
+  }
+
+  /**
+   * Monitor encerrado (stop, todos os alvos, erro...): cancela ordens restantes e zera o que sobrou
+   */
+  async onMonitorClosed(symbol, reason, signalId = null) {
+    const rec = this._recordFor(symbol, signalId);
+    if (!rec || !this.isActive()) return;
+    await this._flatten(rec, reason);
+  }
+
+  /**
+   * Cancela as ordens restantes e zera a posição. Se a exchange falhar, a execução continua OPEN com
+   * closeError e a reconciliação tenta de novo — true só quando encerrou
+   */
+  async _flatten(rec, reason) {
+    for (const tp of rec.tpOrders) {
+      if (tp.status === 'open' && (await this._cancel(rec, tp.id, `TP${tp.targetNumber}`))) tp.status = 'canceled';
+    }
+    if (await this._cancel(rec, rec.stopOrder?.id, 'stop')) rec.stopOrder = null;
+
+    try {
+      const remaining = this.isLive() ? await this._positionSize(rec) : 0;
+      if (remaining > 0) {
+        await this._submit({
+          symbol: rec.venueSymbol,
+          type: 'market',
+          side: rec.side === 'LONG' ? 'sell' : 'buy',
+          amount: remaining,
+          params: { reduceOnly: true },
+          purpose: `zerar (${reason})`,
+        });
+      }
+    } catch (err) {
+      const attempts = (rec.closeError?.attempts || 0) + 1;
+      rec.closeError = { reason, message: err.message, attempts, at: new Date(this.now()).toISOString() };
+      this._persist(rec);
+      logger.error(`${rec.symbol}: falha ao zerar posição (${reason}, tentativa ${attempts}): ${err.message} — nova tentativa na reconciliação`);
+      return false;
+    }
+
+    delete rec.closeError;
+    rec.status = 'CLOSED';
+    rec.exitReason = reason;
+    rec.closedAt = new Date(this.now()).toISOString();
+    this.positions.delete(rec.symbol);
+    this._persist(rec);
+    console.log(`🏁 [Execução] ${rec.symbol} encerrada (${reason})`);
+    return true;
+  }
+
+  async _positionSize(rec) {
+    const positions = await this.exchange.fetchPositions([rec.venueSymbol]);
+    const pos = positions.find((p) => p.symbol === rec.venueSymbol);
+    return Math.abs(Number(pos?.contracts || 0));
+  }
+
+  // =================== RECONCILIAÇÃO ===================
+
+  /**
+   * Compara cada posição com a exchange e com o monitor:
+   * - TPs executados × alvos atingidos no monitor (divergência só é logada)
+   * - posição zerada na exchange (stop/último TP) → cancela sobras e encerra
+   * - monitor inexistente com posição aberta → zera
+   * - encerramento que falhou (closeError) → tenta zerar de novo
+   */
+  async reconcile() {
+    for (const rec of [...this.positions.values()]) {
+      if (rec.status === 'PENDING') continue;
+      if (rec.closeError) {
+        await this._flatten(rec, rec.closeError.reason);
+        continue;
+      }
+      const monitor = rec.signalId
+        ? this.monitors?.getMonitor?.(rec.signalId)
+        : this.monitors?.getMonitorsForSymbol?.(rec.symbol)[0];
+
+      if (!this.isLive()) {
+        if (monitor) rec.targetsFilled = monitor.targetsHit;
+        else await this._flatten(rec, 'MONITOR_CLOSED');
+        continue;
+      }
+
+      try {
+        for (const tp of rec.tpOrders.filter((t) => t.status === 'open')) {
+          const order = await this.exchange.fetchOrder(tp.id, rec.venueSymbol);
+          if (order.status !== 'open') tp.status = order.status;
+        }
+        // alvo mais alto executado (TPs abaixo do lote mínimo são agrupados no alvo seguinte)
+        rec.targetsFilled = Math.max(0, ...rec.tpOrders.filter((t) => t.status === 'closed').map((t) => t.targetNumber));
+
+        if (monitor && monitor.targetsHit !== rec.targetsFilled) {
+          logger.warn(`${rec.symbol}: exchange com ${rec.targetsFilled} TP(s) executado(s), monitor com ${monitor.targetsHit} alvo(s)`);
+        }
+
+        const size = await this._positionSize(rec);
+        if (size === 0) {
+          await this._flatten(rec, rec.tpOrders.at(-1)?.status === 'closed' ? 'ALL_TARGETS' : 'EXCHANGE_CLOSED');
+        } else if (!monitor) {
+          await this._flatten(rec, 'MONITOR_CLOSED');
+        } else {
+          this._persist(rec);
+        }
+      } catch (err) {
+        logger.warn(`Reconciliação ${rec.symbol}: ${err.message}`);
+      }
+    }
+  }
+
+  // =================== CONSULTAS ===================
+
+  _requireCredentials() {
+    if (!this.hasCredentials) throw new Error('BINANCE_API_KEY/BINANCE_API_SECRET não configuradas');
+  }
+
+  /**
+   * Saldo USDT e posições abertas na conta de futuros
+   */
+  async getAccountInfo() {
+    this._requireCredentials();
+    const balance = await this.exchange.fetchBalance();
+    const positions = (await this.exchange.fetchPositions()).filter((p) => Number(p.contracts) > 0);
+    return {
+      testnet: this.testnet,
+      usdt: balance.USDT || { free: 0, used: 0, total: 0 },
+      positions: positions.map((p) => ({
+        symbol: p.symbol,
+        side: p.side,
+        contracts: p.contracts,
+        entryPrice: p.entryPrice,
+        markPrice: p.markPrice,
+        unrealizedPnl: p.unrealizedPnl,
+        leverage: p.leverage,
+        liquidationPrice: p.liquidationPrice,
+        marginMode: p.marginMode,
+      })),
+    };
+  }
+
+  async getOpenOrders(symbol) {
+    this._requireCredentials();
+    return this.exchange.fetchOpenOrders(this._venueSymbol(symbol));
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      testnet: this.testnet,
+      halted: this.halted,
+      haltReason: this.haltReason,
+      limits: {
+        marginUsdt: this.marginUsdt,
+        leverage: this.leverage,
+        maxNotional: this.maxNotional,
+        maxOpen: this.maxOpen,
+      },
+      positions: [...this.positions.values()],
+      recentOrders: this.orderLog.slice(-50).reverse(),
+    };
+  }
+}
+
+export default OrderExecutionService;
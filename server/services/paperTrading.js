@@ -0,0 +1,463 @@
+/**
+ * Paper trading: conta simulada que segue os sinais emitidos
+ * - Uma posição virtual por sinal (margem isolada, alavancagem fixa), entrada a mercado
+ *   preenchida contra um livro de ofertas sintético (spread + profundidade por nível)
+ * - Alimentado pelos mesmos ticks dos monitores (bus: monitor.tick): parciais nos alvos (REALIZATION_SPLIT,
+ *   ordens limit), stop móvel pela regra de handleStopMovement, stop e liquidação a mercado
+ * - Abre com signal.emitted e zera no encerramento manual (monitor.closed MANUAL)
+ * - Taxas maker/taker e funding do CostModel (se anexado)
+ * - Saldo, curva de equity e posições persistidos no storage (coleção 'paper')
+ */
+
+import { PAPER_TRADING_CONFIG, COST_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('PaperTrading');
+
+const EPS = 1e-12;
+
+class PaperTradingService {
+  /**
+   * @param {Object} [options]
+   *  - tradeRules: fonte das regras de saída (TelegramBotService: getRealizationSplit/trailingStopFor)
+   *  - costModel: CostModelService (taxas, slippage base e funding)
+   *  - config: sobrescreve PAPER_TRADING_CONFIG
+   *  - initialBalance, enabled
+   */
+  constructor(options = {}) {
+    const cfg = { ...PAPER_TRADING_CONFIG, ...(options.config || {}) };
+
+    this.enabled = options.enabled ?? String(process.env.PAPER_TRADING_ENABLED || 'true').toLowerCase() !== 'false';
+    this.initialBalance = Number(options.initialBalance ?? process.env.PAPER_INITIAL_BALANCE ?? cfg.INITIAL_BALANCE);
+    this.marginPct = Number(process.env.PAPER_MARGIN_PCT ?? cfg.MARGIN_PER_TRADE_PCT);
+    this.leverage = cfg.LEVERAGE;
+    this.maintenanceMarginPct = cfg.MAINTENANCE_MARGIN_PCT;
+    this.book = { ...PAPER_TRADING_CONFIG.BOOK, ...(cfg.BOOK || {}) };
+    this.snapshotMs = cfg.EQUITY_SNAPSHOT_MS;
+    this.maxEquityPoints = cfg.MAX_EQUITY_POINTS;
+    this.maxClosed = cfg.MAX_CLOSED_POSITIONS;
+
+    this.tradeRules = options.tradeRules || null;
+    this.costModel = options.costModel || null;
+    this.clock = null;
+    this.storage = null;
+
+    this._resetState();
+  }
+
+  _resetState() {
+    this.account = {
+      balance: this.initialBalance,
+      realizedPnl: 0,
+      fees: 0,
+      funding: 0,
+      nextSeq: 1,
+      createdAt: new Date(this._now()).toISOString(),
+    };
+    this.positions = new Map(); // id → posição aberta
+    this.closed = []; // encerradas (mais recentes no fim)
+    this.equityCurve = []; // [{ time, equity, balance }]
+    this.lastPrices = new Map(); // símbolo → último tick
+  }
+
+  // =================== INTEGRAÇÕES ===================
+
+  attachStorage(storage) {
+    this.storage = storage;
+    const account = storage?.get('paper', 'account');
+    if (!account) return;
+
+    this.account = { ...this.account, ...account };
+    for (const p of storage.get('paper', 'positions', [])) this.positions.set(p.id, p);
+    this.closed = storage.get('paper', 'closed', []);
+    this.equityCurve = storage.get('paper', 'equity', []);
+    console.log(
+      `💾 Paper trading recarregado: saldo ${this.account.balance.toFixed(2)} USDT, ${this.positions.size} posição(ões) aberta(s)`
+    );
+  }
+
+  attachCostModel(costModel) {
+    this.costModel = costModel;
+  }
+
+  attachEventBus(bus) {
+    bus.on('signal.emitted', (e) =>
+      this.openPosition(
+        {
+          signalId: e.signalId,
+          symbol: e.symbol,
+          trend: e.trend,
+          entry: e.entry,
+          targets: e.targets,
+          stopLoss: e.stopLoss,
+          timeframe: e.timeframe,
+        },
+        Number(e.price) > 0 ? Number(e.price) : undefined
+      )
+    );
+    bus.on('monitor.tick', (e) => this.onTick(e.symbol, e.price, e.time));
+    bus.on('monitor.closed', (e) => {
+      if (e.exitReason === 'MANUAL') this.closePosition(e.signalId, e.exitPrice, 'MANUAL');
+    });
+  }
+
+  attachClock(clock) {
+    this.clock = clock;
+    // conta nova: data de criação no tempo do relógio anexado (replay)
+    if (this.equityCurve.length === 0) this.account.createdAt = new Date(this._now()).toISOString();
+  }
+
+  _now() {
+    return this.clock ? this.clock.now() : Date.now();
+  }
+
+  _persist() {
+    if (!this.storage) return;
+    this.storage.set('paper', 'account', this.account);
+    this.storage.set('paper', 'positions', [...this.positions.values()]);
+    this.storage.set('paper', 'closed', this.closed);
+    this.storage.set('paper', 'equity', this.equityCurve);
+  }
+
+  // =================== LIVRO SINTÉTICO ===================
+
+  _feeRates() {
+    if (this.costModel && this.costModel.enabled === false) return { maker: 0, taker: 0 };
+    return this.costModel?.getFeeRates() || COST_CONFIG.FEE_TIERS[COST_CONFIG.FEE_TIER];
+  }
+
+  _halfSpreadBps(symbol) {
+    if (this.costModel) return this.costModel.getSlippageBps(symbol);
+    return Number(COST_CONFIG.SLIPPAGE_BPS[symbol] ?? COST_CONFIG.SLIPPAGE_BPS.DEFAULT) || 0;
+  }
+
+  /**
+   * Livro em torno do preço de referência: { bids, asks } com níveis [preço, quantidade]
+   */
+  buildOrderBook(symbol, mid) {
+    const half = this._halfSpreadBps(symbol);
+    const levelNotional = Number(this.book.LEVEL_NOTIONAL[symbol] ?? this.book.LEVEL_NOTIONAL.DEFAULT);
+    const asks = [];
+    const bids = [];
+    for (let i = 0; i < this.book.LEVELS; i++) {
+      const offset = (half + i * this.book.STEP_BPS) / 10000;
+      const ask = mid * (1 + offset);
+      const bid = mid * (1 - offset);
+      asks.push([ask, levelNotional / ask]);
+      bids.push([bid, levelNotional / bid]);
+    }
+    return { symbol, mid, bids, asks };
+  }
+
+  /**
+   * Ordem a mercado consumindo o livro. Além do último nível, o restante sai no pior preço do livro.
+   * @returns {{price:number, qty:number, levels:number, slippageBps:number}}
+   */
+  fillMarket(symbol, side, qty, mid) {
+    const book = this.buildOrderBook(symbol, mid);
+    const levels = side === 'buy' ? book.asks : book.bids;
+    let remaining = qty;
+    let cost = 0;
+    let used = 0;
+    for (const [price, size] of levels) {
+      if (remaining <= EPS) break;
+      const take = Math.min(size, remaining);
+      cost += take * price;
+      remaining -= take;
+      used++;
+    }
+    if (remaining > EPS) cost += remaining * levels[levels.length - 1][0];
+
+    const price = cost / qty;
+    return { price, qty, levels: used, slippageBps: (Math.abs(price - mid) / mid) * 10000 };
+  }
+
+  // =================== CONTA ===================
+
+  _direction(pos) {
+    return pos.side === 'LONG' ? 1 : -1;
+  }
+
+  _unrealized(pos, price = this.lastPrices.get(pos.symbol) ?? pos.entryPrice) {
+    return (price - pos.entryPrice) * pos.remainingQty * this._direction(pos);
+  }
+
+  usedMargin() {
+    let total = 0;
+    for (const pos of this.positions.values()) total += pos.margin * (pos.remainingQty / pos.qty);
+    return total;
+  }
+
+  equity() {
+    let unrealized = 0;
+    for (const pos of this.positions.values()) unrealized += this._unrealized(pos);
+    return this.account.balance + unrealized;
+  }
+
+  liquidationPrice(side, entryPrice) {
+    const mmr = this.maintenanceMarginPct / 100;
+    return side === 'LONG' ? entryPrice * (1 - 1 / this.leverage + mmr) : entryPrice * (1 + 1 / this.leverage - mmr);
+  }
+
+  // =================== POSIÇÕES ===================
+
+  /**
+   * Abre a posição virtual de um sinal emitido (níveis iguais aos do monitor)
+   * @param {Object} signal - { signalId, symbol, trend, entry, targets, stopLoss, timeframe }
+   * @param {number} [price] - preço de mercado na abertura (padrão: último tick ou entrada do sinal)
+   */
+  openPosition(signal, price = undefined) {
+    if (!this.enabled) return null;
+    const symbol = signal.symbol;
+    const side = signal.trend === 'BEARISH' ? 'SHORT' : 'LONG';
+    const mid = Number(price ?? this.lastPrices.get(symbol) ?? signal.entry);
+    if (!(mid > 0) || !Array.isArray(signal.targets) || !(signal.stopLoss > 0)) {
+      logger.warn(`Sinal inválido para paper trading (${symbol})`);
+      return null;
+    }
+
+    const equity = this.equity();
+    const freeMargin = equity - this.usedMargin();
+    const margin = Math.min((equity * this.marginPct) / 100, freeMargin);
+    if (!(margin > 0)) {
+      logger.warn(`Margem livre insuficiente para ${symbol} (${freeMargin.toFixed(2)} USDT)`);
+      return null;
+    }
+
+    const now = this._now();
+    const fill = this.fillMarket(symbol, side === 'LONG' ? 'buy' : 'sell', (margin * this.leverage) / mid, mid);
+    const notional = fill.price * fill.qty;
+    const fee = (notional * this._feeRates().taker) / 100;
+
+    const pos = {
+      id: `P${this.account.nextSeq++}`,
+      signalId: signal.signalId || null,
+      symbol,
+      side,
+      timeframe: signal.timeframe || null,
+      leverage: this.leverage,
+      margin,
+      qty: fill.qty,
+      remainingQty: fill.qty,
+      entryPrice: fill.price,
+      signalEntry: Number(signal.entry),
+      liquidationPrice: this.liquidationPrice(side, fill.price),
+      targets: signal.targets.map(Number),
+      originalTargets: signal.targets.map(Number),
+      stopLoss: Number(signal.stopLoss),
+      targetsHit: 0,
+      realizedPnl: 0,
+      fees: fee,
+      funding: 0,
+      fills: [{ kind: 'entry', time: now, price: fill.price, qty: fill.qty, fee, slippageBps: fill.slippageBps }],
+      openedAt: now,
+      lastFundingAt: now,
+      status: 'OPEN',
+    };
+
+    this.account.balance -= fee;
+    this.account.fees += fee;
+    this.positions.set(pos.id, pos);
+    this.lastPrices.set(symbol, mid);
+    this._snapshot(now, true);
+
+    console.log(
+      `🧪 [Paper] ${pos.id} ${side} ${symbol}: ${fill.qty.toPrecision(6)} @ ${fill.price.toPrecision(8)} ` +
+        `(slippage ${fill.slippageBps.toFixed(1)} bps, margem ${margin.toFixed(2)} USDT, liq. ${pos.liquidationPrice.toPrecision(8)})`
+    );
+    return pos;
+  }
+
+  /**
+   * Tick de preço (mesma fonte dos monitores). Ordem: liquidação → stop → alvos, como no monitor.
+   */
+  onTick(symbol, price, time = this._now()) {
+    if (!this.enabled || !(price > 0)) return;
+    this.lastPrices.set(symbol, price);
+
+    let changed = false;
+    for (const pos of [...this.positions.values()]) {
+      if (pos.symbol !== symbol) continue;
+      changed = this._applyFunding(pos, price, time) || changed;
+      changed = this._evaluate(pos, price, time) || changed;
+    }
+    this._snapshot(time, changed);
+  }
+
+  _evaluate(pos, price, time) {
+    const long = pos.side === 'LONG';
+
+    const liquidated = long ? price <= pos.liquidationPrice : price >= pos.liquidationPrice;
+    if (liquidated) {
+      this._liquidate(pos, time);
+      return true;
+    }
+
+    const stopped = long ? price <= pos.stopLoss : price >= pos.stopLoss;
+    if (stopped) {
+      const fill = this.fillMarket(pos.symbol, long ? 'sell' : 'buy', pos.remainingQty, price);
+      this._reduce(pos, fill.qty, fill.price, pos.targetsHit > 0 ? 'stop_mobile' : 'stop', 'taker', time, fill.slippageBps);
+      this._finalize(pos, pos.targetsHit > 0 ? 'STOP_MOBILE' : 'STOP_LOSS', time);
+      return true;
+    }
+
+    let changed = false;
+    const split = this.tradeRules?.getRealizationSplit?.() || [100];
+    while (pos.targets.length > 0 && (long ? price >= pos.targets[0] : price <= pos.targets[0])) {
+      const targetPrice = pos.targets.shift();
+      const targetNumber = ++pos.targetsHit;
+      const last = pos.targets.length === 0;
+      const qty = last ? pos.remainingQty : Math.min(pos.remainingQty, (pos.qty * (split[targetNumber - 1] || 0)) / 100);
+      if (qty > EPS) this._reduce(pos, qty, targetPrice, `target_${targetNumber}`, 'maker', time, 0);
+      changed = true;
+
+      if (last || pos.remainingQty <= EPS) {
+        this._finalize(pos, 'ALL_TARGETS', time);
+        break;
+      }
+      const trailing = this.tradeRules?.trailingStopFor?.(targetNumber, pos.signalEntry, pos.originalTargets);
+      if (trailing?.price) pos.stopLoss = trailing.price;
+    }
+    return changed;
+  }
+
+  _reduce(pos, qty, price, kind, feeType, time, slippageBps) {
+    const pnl = (price - pos.entryPrice) * qty * this._direction(pos);
+    const fee = (price * qty * this._feeRates()[feeType]) / 100;
+    pos.remainingQty = Math.max(0, pos.remainingQty - qty);
+    pos.realizedPnl += pnl;
+    pos.fees += fee;
+    pos.fills.push({ kind, time, price, qty, fee, pnl, slippageBps });
+
+    this.account.balance += pnl - fee;
+    this.account.realizedPnl += pnl;
+    this.account.fees += fee;
+  }
+
+  /**
+   * Encerramento manual (monitor fechado por comando): zera o restante a mercado
+   */
+  closePosition(signalId, price, reason = 'MANUAL', time = this._now()) {
+    const pos = [...this.positions.values()].find((p) => p.signalId && p.signalId === signalId);
+    if (!pos || !(price > 0)) return null;
+    const fill = this.fillMarket(pos.symbol, pos.side === 'LONG' ? 'sell' : 'buy', pos.remainingQty, price);
+    this._reduce(pos, fill.qty, fill.price, 'manual', 'taker', time, fill.slippageBps);
+    this._finalize(pos, reason, time);
+    this._snapshot(time, true);
+    return pos;
+  }
+
+  /**
+   * Liquidação (margem isolada): perde a margem restante da posição
+   */
+  _liquidate(pos, time) {
+    const marginLeft = pos.margin * (pos.remainingQty / pos.qty);
+    const qty = pos.remainingQty;
+    pos.remainingQty = 0;
+    pos.realizedPnl -= marginLeft;
+    pos.fills.push({ kind: 'liquidation', time, price: pos.liquidationPrice, qty, fee: 0, pnl: -marginLeft, slippageBps: 0 });
+    this.account.balance -= marginLeft;
+    this.account.realizedPnl -= marginLeft;
+    this._finalize(pos, 'LIQUIDATED', time);
+  }
+
+  /**
+   * Funding sobre o nocional ainda aberto em cada liquidação (8h) desde o último tick
+   */
+  _applyFunding(pos, price, time) {
+    if (!this.costModel || this.costModel.enabled === false || this.costModel.fundingSource === 'none') return false;
+    const events = this.costModel.fundingEvents(pos.symbol, pos.lastFundingAt, time);
+    pos.lastFundingAt = time;
+    if (events.length === 0) return false;
+
+    for (const { rate } of events) {
+      const payment = ((price * pos.remainingQty * rate) / 100) * this._direction(pos);
+      pos.funding += payment;
+      this.account.balance -= payment;
+      this.account.funding += payment;
+    }
+    return true;
+  }
+
+  _finalize(pos, reason, time) {
+    pos.status = 'CLOSED';
+    pos.exitReason = reason;
+    pos.closedAt = time;
+    pos.netPnl = pos.realizedPnl - pos.fees - pos.funding;
+    pos.roePct = (pos.netPnl / pos.margin) * 100;
+
+    this.positions.delete(pos.id);
+    this.closed.push(pos);
+    if (this.closed.length > this.maxClosed) this.closed.splice(0, this.closed.length - this.maxClosed);
+
+    console.log(
+      `🧪 [Paper] ${pos.id} ${pos.symbol} encerrada (${reason}): ${pos.netPnl >= 0 ? '+' : ''}${pos.netPnl.toFixed(2)} USDT ` +
+        `(${pos.roePct.toFixed(1)}% ROE) — saldo ${this.account.balance.toFixed(2)} USDT`
+    );
+  }
+
+  _snapshot(time, force = false) {
+    const last = this.equityCurve[this.equityCurve.length - 1];
+    if (!force && last && time - last.time < this.snapshotMs) return;
+
+    this.equityCurve.push({ time, equity: this.equity(), balance: this.account.balance });
+    if (this.equityCurve.length > this.maxEquityPoints) {
+      this.equityCurve.splice(0, this.equityCurve.length - this.maxEquityPoints);
+    }
+    this._persist();
+  }
+
+  // =================== CONSULTAS ===================
+
+  getAccount() {
+    const equity = this.equity();
+    const usedMargin = this.usedMargin();
+    const wins = this.closed.filter((p) => p.netPnl > 0).length;
+    return {
+      enabled: this.enabled,
+      initialBalance: this.initialBalance,
+      balance: this.account.balance,
+      equity,
+      unrealizedPnl: equity - this.account.balance,
+      usedMargin,
+      freeMargin: equity - usedMargin,
+      realizedPnl: this.account.realizedPnl,
+      fees: this.account.fees,
+      funding: this.account.funding,
+      returnPct: ((equity - this.initialBalance) / this.initialBalance) * 100,
+      leverage: this.leverage,
+      openPositions: this.positions.size,
+      closedPositions: this.closed.length,
+      wins,
+      losses: this.closed.length - wins,
+      winRate: this.closed.length ? (wins / this.closed.length) * 100 : 0,
+      createdAt: this.account.createdAt,
+    };
+  }
+
+  getOpenPositions() {
+    return [...this.positions.values()].map((pos) => {
+      const markPrice = this.lastPrices.get(pos.symbol) ?? pos.entryPrice;
+      const unrealizedPnl = this._unrealized(pos, markPrice);
+      const margin = pos.margin * (pos.remainingQty / pos.qty);
+      return { ...pos, markPrice, unrealizedPnl, roePct: ((unrealizedPnl + pos.realizedPnl) / pos.margin) * 100, openMargin: margin };
+    });
+  }
+
+  getClosedPositions(limit = 50) {
+    return this.closed.slice(-Math.max(1, Number(limit) || 50)).reverse();
+  }
+
+  getEquityCurve(limit = 500) {
+    return this.equityCurve.slice(-Math.max(1, Number(limit) || 500));
+  }
+
+  reset() {
+    this._resetState();
+    this._snapshot(this._now(), true);
+    console.log(`🧪 [Paper] Conta reiniciada com ${this.initialBalance} USDT`);
+    return this.getAccount();
+  }
+}
+
+export default PaperTradingService;
@@ -3,8 +3,11 @@
  * Alinhado com SignalScoring/AdaptiveScoring:
  *  - Mantém campos existentes
  *  - Adiciona reversalPatterns[] e continuationPatterns[] para consumo do scoring
+ *  - detectPatternsAsync: mesma detecção no pool de worker threads quando anexado (attachComputePool)
  */
 
+import { encodeSeries } from './computePool.js';
+
 class PatternDetectionService {
   constructor(config = {}) {
     this.config = Object.assign(
@@ -44,6 +47,8 @@ class PatternDetectionService {
       'getPatternStats',
     ]);
 
+    this.computePool = null;
+
     if (this.config.debug) {
       console.log('🔧 PatternDetectionService v3.3 (proto-safe + bind-lock + scoring-aligned)');
     }
@@ -144,6 +149,18 @@ class PatternDetectionService {
 
   // ---------- Pipeline ----------
 
+  attachComputePool(computePool) {
+    this.computePool = computePool;
+  }
+
+  /**
+   * detectPatterns fora do event loop (worker do ComputePool); sem pool, roda inline
+   */
+  async detectPatternsAsync(data) {
+    if (!this.computePool) return this.detectPatterns(data);
+    return this.computePool.runOr('patterns', { data: encodeSeries(data) }, () => this.detectPatterns(data));
+  }
+
   detectPatterns(data) {
     try {
       this.log('🔍 Iniciando detecção de padrões...');
@@ -2,6 +2,8 @@
 /**
  * Serviço de rastreamento de performance + Relatório semanal automático
  * Pensado para SCALPING (6 TPs e SL fixo) com 15x de alavancagem.
+ * P&L bruto e líquido (taxas, slippage e funding do CostModelService) lado a lado.
+ * Long e short com estatísticas separadas nos relatórios semanal e mensal.
  *
  * Integra com TelegramBotService (opcional). Se não houver Telegram habilitado,
  * o timer de relatório NÃO inicia automaticamente, a menos que PERF_AUTO_START=true.
@@ -16,7 +18,10 @@ class PerformanceTrackerService {
     this.monthlyStats = new Map();
     this.weeklyStats = new Map();
     this.lastWeeklyReport = null;
-    this.dailyStats = { trades: 0, wins: 0, losses: 0, totalPnL: 0 };
+    this.dailyStats = { trades: 0, wins: 0, losses: 0, totalPnL: 0, date: new Date().toDateString() };
+
+    // --- Persistência (opcional; ver attachStorage) ---
+    this.storage = null;
 
     // --- Configuração do agendador ---
     this.schedule = {
@@ -107,10 +112,60 @@ class PerformanceTrackerService {
     return new Date(`${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`);
   }
 
+  // =================== PERSISTÊNCIA ===================
+  /**
+   * Liga o tracker ao StorageService: recarrega sinais/estado salvos e
+   * reconstrói as estatísticas semanais/mensais a partir dos sinais.
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+    if (!storage) return;
+
+    const saved = storage
+      .list('signals')
+      .map(reviveSignal)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    this.signals = saved;
+    this.weeklyStats.clear();
+    this.monthlyStats.clear();
+    saved.forEach(signal => {
+      this.updateWeeklyStats(signal, 'NEW_SIGNAL');
+      if (signal.status === 'COMPLETED') {
+        this.updateMonthlyStats(signal);
+        this.updateWeeklyStats(signal, 'COMPLETED');
+      }
+    });
+
+    const meta = storage.get('performance', 'state');
+    if (meta) {
+      this.lastWeeklyReport = meta.lastWeeklyReport ?? null;
+      // estatísticas diárias só valem no mesmo dia (como no RiskManagement)
+      if (meta.dailyStats?.date === new Date().toDateString()) this.dailyStats = { ...this.dailyStats, ...meta.dailyStats };
+    }
+
+    if (saved.length) console.log(`💾 PerformanceTracker: ${saved.length} sinais recarregados do storage`);
+  }
+
+  _persistSignal(signal) {
+    if (this.storage && signal) this.storage.set('signals', signal.id, signal);
+  }
+
+  _persistState() {
+    if (!this.storage) return;
+    this.storage.set('performance', 'state', {
+      lastWeeklyReport: this.lastWeeklyReport,
+      dailyStats: this.dailyStats
+    });
+  }
+
   // =================== API DE RASTREAMENTO ===================
+  /**
+   * Registra um sinal enviado (signal.signalId, quando o ID foi reservado antes do envio)
+   */
   recordSignal(signal) {
     const signalRecord = {
-      id: this.generateSignalId(),
+      id: signal.signalId || this.generateSignalId(),
       symbol: signal.symbol,
       timestamp: new Date(),
       entry: signal.entry,
@@ -131,6 +186,8 @@ class PerformanceTrackerService {
         peakProfit: 0,
         realizedPnL: 0,
         unrealizedPnL: 0,
+        netPnL: 0,
+        costs: null,
         isStopMobile: false,
         isPartialWin: false,
       }
@@ -138,21 +195,60 @@ class PerformanceTrackerService {
 
     this.signals.push(signalRecord);
     this.updateWeeklyStats(signalRecord, 'NEW_SIGNAL');
+    this._persistSignal(signalRecord);
     console.log(`📊 Sinal registrado: ${signal.symbol} (ID: ${signalRecord.id})`);
     return signalRecord.id;
   }
 
+  /**
+   * Assina os eventos das posições: alvo parcial conta como trade vencedor; encerramentos
+   * fecham o sinal (stop loss e manual também contam no diário); sinal barrado depois de
+   * registrado (monitor/erro — o seletor repõe a vaga) sai do histórico
+   */
+  attachEventBus(bus) {
+    bus.on('signal.blocked', (e) => e.signalId && this.discardSignal(e.signalId));
+    bus.on('monitor.target_hit', (e) => this.recordTrade(e.symbol, e.pnlPercent, true));
+    bus.on('monitor.closed', (e) => {
+      if (e.exitReason === 'STOP_LOSS' || e.exitReason === 'MANUAL') this.recordTrade(e.symbol, e.pnlPercent, e.isWin);
+      this.updateSignalResult(e.symbol, e.targetsHit, e.pnlPercent, e.exitReason, e.realizedPnL, e.costs, e.signalId);
+    });
+  }
+
+  resetDailyStats() {
+    this.dailyStats = { trades: 0, wins: 0, losses: 0, totalPnL: 0, date: new Date().toDateString() };
+    this._persistState();
+  }
+
+  discardSignal(signalId) {
+    const index = this.signals.findIndex(s => s.id === signalId && s.status === 'ACTIVE');
+    if (index < 0) return false;
+    const [signal] = this.signals.splice(index, 1);
+    this.updateWeeklyStats(signal, 'DISCARDED');
+    if (this.storage) this.storage.delete('signals', signal.id);
+    console.log(`📊 Sinal descartado: ${signal.symbol} (ID: ${signal.id})`);
+    return true;
+  }
+
   recordTrade(symbol, pnlPercent, isWin) {
+    if (this.dailyStats.date !== new Date().toDateString()) this.resetDailyStats();
     this.dailyStats.trades++;
     this.dailyStats.totalPnL += pnlPercent * 15; // alavancagem 15x
     if (isWin) this.dailyStats.wins++; else this.dailyStats.losses++;
+    this._persistState();
 
     console.log(`📊 Trade: ${symbol} ${isWin ? '✅' : '❌'} ${(pnlPercent * 15).toFixed(2)}% (15x)`);
     console.log(`📈 Diária: ${this.dailyStats.wins}W/${this.dailyStats.losses}L (${this.dailyStats.totalPnL.toFixed(2)}% 15x)`);
   }
 
-  updateSignalResult(symbol, targetsHit, finalPnL, exitReason, realizedPnL = null) {
-    const signal = this.signals.find(s => s.symbol === symbol && s.status === 'ACTIVE');
+  /**
+   * Encerra o sinal ativo (pelo ID; sem ID, o primeiro ativo do símbolo). P&L em % sem alavancagem (gravado em 15x).
+   * @param {Object} [costs] - { fees, slippage, funding, total } do CostModelService (sem alavancagem)
+   * @param {string} [signalId] - posição específica quando há várias abertas no símbolo
+   */
+  updateSignalResult(symbol, targetsHit, finalPnL, exitReason, realizedPnL = null, costs = null, signalId = null) {
+    const signal =
+      (signalId && this.signals.find(s => s.id === signalId && s.status === 'ACTIVE')) ||
+      this.signals.find(s => s.symbol === symbol && s.status === 'ACTIVE');
     if (!signal) return;
 
     signal.status = 'COMPLETED';
@@ -160,6 +256,15 @@ class PerformanceTrackerService {
     signal.results.finalPnL = finalPnL * 15; // 15x
     signal.results.realizedPnL = (isFinite(realizedPnL) ? realizedPnL : finalPnL) * 15;
     signal.results.unrealizedPnL = signal.results.finalPnL - signal.results.realizedPnL;
+    signal.results.costs = costs
+      ? {
+          fees: costs.fees * 15,
+          slippage: costs.slippage * 15,
+          funding: costs.funding * 15,
+          total: costs.total * 15
+        }
+      : null;
+    signal.results.netPnL = signal.results.finalPnL - (signal.results.costs?.total || 0);
     signal.results.duration = new Date() - signal.timestamp;
     signal.results.exitReason = exitReason;
     signal.results.isStopMobile = exitReason === 'STOP_MOBILE';
@@ -167,11 +272,12 @@ class PerformanceTrackerService {
 
     this.updateMonthlyStats(signal);
     this.updateWeeklyStats(signal, 'COMPLETED');
+    this._persistSignal(signal);
 
     const r = signal.results;
     console.log(
       `📈 Resultado ${symbol}: ${targetsHit}/6 alvos ` +
-      `(total=${r.finalPnL.toFixed(2)}% | realizado=${r.realizedPnL.toFixed(2)}% | não-realizado=${r.unrealizedPnL.toFixed(2)}%)`
+      `(total=${r.finalPnL.toFixed(2)}% | líquido=${r.netPnL.toFixed(2)}% | realizado=${r.realizedPnL.toFixed(2)}% | não-realizado=${r.unrealizedPnL.toFixed(2)}%)`
     );
   }
 
@@ -188,6 +294,7 @@ class PerformanceTrackerService {
         winningSignals: 0,
         losingSignals: 0,
         totalPnL: 0,
+        totalNetPnL: 0,
         avgTargetsHit: 0,
         bestTrade: null,
         worstTrade: null,
@@ -222,9 +329,19 @@ class PerformanceTrackerService {
       return;
     }
 
+    if (action === 'DISCARDED') {
+      stats.totalSignals--;
+      if (signal.isMLDriven) stats.mlSignals--;
+      if (signal.timeframe && stats.timeframeBreakdown[signal.timeframe]) {
+        stats.timeframeBreakdown[signal.timeframe].signals--;
+      }
+      return;
+    }
+
     if (action === 'COMPLETED') {
       stats.completedSignals++;
       stats.totalPnL += signal.results.finalPnL;
+      stats.totalNetPnL = (stats.totalNetPnL || 0) + netOf(signal.results);
       stats.avgTargetsHit =
         (stats.avgTargetsHit * (stats.completedSignals - 1) + signal.results.targetsHit) / stats.completedSignals;
 
@@ -322,11 +439,14 @@ class PerformanceTrackerService {
       totalTrades: 0,
       winningTrades: 0,
       totalRawPnL: 0,
+      totalNetPnL: 0,
+      totalCosts: { fees: 0, slippage: 0, funding: 0 },
       totalRiskAdjustedPnL: 0,
       totalRealizedProfit: 0,
       totalUnrealizedProfit: 0,
       targetDistribution: [0, 0, 0, 0, 0, 0],
       timeframeStats: {},
+      sideStats: { LONG: emptySide(), SHORT: emptySide() },
       bestTrade: null,
       worstTrade: null
     };
@@ -337,6 +457,12 @@ class PerformanceTrackerService {
 
       metrics.totalTrades++;
       metrics.totalRawPnL += r.finalPnL;
+      metrics.totalNetPnL += netOf(r);
+      if (r.costs) {
+        metrics.totalCosts.fees += r.costs.fees;
+        metrics.totalCosts.slippage += r.costs.slippage;
+        metrics.totalCosts.funding += r.costs.funding;
+      }
       metrics.totalRiskAdjustedPnL += pnl;
       metrics.totalRealizedProfit += r.realizedPnL || 0;
       metrics.totalUnrealizedProfit += r.unrealizedPnL || 0;
@@ -369,10 +495,13 @@ class PerformanceTrackerService {
       metrics.timeframeStats[tf].trades++;
       metrics.timeframeStats[tf].pnl += pnl;
       if (pnl > 0) metrics.timeframeStats[tf].wins++;
+
+      addToSide(metrics.sideStats[sideOf(signal.trend)], r, pnl > 0);
     });
 
     const winRate = metrics.totalTrades ? (metrics.winningTrades / metrics.totalTrades) * 100 : 0;
     const avgRawPnL = metrics.totalTrades ? metrics.totalRawPnL / metrics.totalTrades : 0;
+    const avgNetPnL = metrics.totalTrades ? metrics.totalNetPnL / metrics.totalTrades : 0;
     const avgRiskAdjustedPnL = metrics.totalTrades ? metrics.totalRiskAdjustedPnL / metrics.totalTrades : 0;
 
     const timeframeStats = Object.entries(metrics.timeframeStats).map(([tf, data]) => ({
@@ -382,6 +511,8 @@ class PerformanceTrackerService {
       avgPnl: data.trades ? (data.pnl / data.trades).toFixed(2) : '0.00'
     }));
 
+    const sides = Object.entries(metrics.sideStats).map(([side, data]) => ({ side, ...formatSide(data) }));
+
     const targetDistribution = metrics.targetDistribution.map((count, i) => ({
       target: i + 1,
       count,
@@ -400,8 +531,15 @@ class PerformanceTrackerService {
         totalTrades: metrics.totalTrades,
         winRate: winRate.toFixed(1),
         totalRawPnL: metrics.totalRawPnL.toFixed(2),
+        totalNetPnL: metrics.totalNetPnL.toFixed(2),
+        costs: {
+          fees: metrics.totalCosts.fees.toFixed(2),
+          slippage: metrics.totalCosts.slippage.toFixed(2),
+          funding: metrics.totalCosts.funding.toFixed(2)
+        },
         totalRiskAdjustedPnL: metrics.totalRiskAdjustedPnL.toFixed(2),
         avgRawPnL: avgRawPnL.toFixed(2),
+        avgNetPnL: avgNetPnL.toFixed(2),
         avgRiskAdjustedPnL: avgRiskAdjustedPnL.toFixed(2),
         realizedProfit: metrics.totalRealizedProfit.toFixed(2),
         unrealizedProfit: metrics.totalUnrealizedProfit.toFixed(2),
@@ -435,6 +573,7 @@ class PerformanceTrackerService {
           : null,
         targetDistribution,
         timeframes: timeframeStats,
+        sides,
         riskManagement: {
           stopMobileActivations: stats.stopMobileActivations || 0,
           stopMobileAvgTargets: (stats.stopMobileAvgTargets || 0).toFixed(1),
@@ -444,14 +583,15 @@ class PerformanceTrackerService {
           partialLosses: stats.partialLosses || 0
         }
       },
-      insights: this.generateInsights(stats, winRate, 0)
+      insights: this.generateInsights(stats, winRate, 0, sides)
     };
   }
 
+  // HTML: enviado por _sendMessageSafe (parse_mode HTML), no agendador e no /performance week
   formatWeeklyReportMessage(rpt) {
     const fmtDate = d => new Date(d).toLocaleDateString('pt-BR', { timeZone: this.schedule.tz });
     if (!rpt.hasData) {
-      return `📊 *Relatório Semanal*\n\nℹ️ ${rpt.message}\n\n⏰ Domingo ${this.schedule.hour.toString().padStart(2, '0')}:${this.schedule.minute.toString().padStart(2, '0')} (${this.schedule.tz})`;
+      return `📊 <b>Relatório Semanal</b>\n\nℹ️ ${escapeHtml(rpt.message)}\n\n⏰ Domingo ${this.schedule.hour.toString().padStart(2, '0')}:${this.schedule.minute.toString().padStart(2, '0')} (${this.schedule.tz})`;
     }
 
     const s = rpt.summary;
@@ -461,51 +601,60 @@ class PerformanceTrackerService {
       .map(tf => `• ${tf.timeframe}: ${tf.trades} trades | acerto ${tf.winRate}% | média ${tf.avgPnl}%`)
       .join('\n');
 
+    const sideLines = (perf.sides || [])
+      .filter(sd => sd.trades > 0)
+      .map(sd => `• ${sd.side === 'LONG' ? 'Long' : 'Short'}: ${sd.trades} trades | acerto ${sd.winRate}% | líquido ${sd.totalNetPnL}%`)
+      .join('\n');
+
     const distLines = (perf.targetDistribution || [])
       .map(t => `• Alvo ${t.target}: ${t.count} (${t.percentage}) — ${t.profitShare} do plano`)
       .join('\n');
 
     const best = perf.bestTrade
-      ? `🏆 *Melhor trade:* ${perf.bestTrade.symbol} | ${perf.bestTrade.pnl} | ${perf.bestTrade.targetsHit}/6 alvos`
-      : '🏆 *Melhor trade:* —';
+      ? `🏆 <b>Melhor trade:</b> ${perf.bestTrade.symbol} | ${perf.bestTrade.pnl} | ${perf.bestTrade.targetsHit}/6 alvos`
+      : '🏆 <b>Melhor trade:</b> —';
 
     const worst = perf.worstTrade
-      ? `⚠️ *Pior trade:* ${perf.worstTrade.symbol} | ${perf.worstTrade.pnl} | ${perf.worstTrade.targetsHit}/6 alvos`
-      : '⚠️ *Pior trade:* —';
+      ? `⚠️ <b>Pior trade:</b> ${perf.worstTrade.symbol} | ${perf.worstTrade.pnl} | ${perf.worstTrade.targetsHit}/6 alvos`
+      : '⚠️ <b>Pior trade:</b> —';
 
-    const insights = (rpt.insights || []).map(i => `• ${i}`).join('\n');
+    const insights = (rpt.insights || []).map(i => `• ${escapeHtml(i)}`).join('\n');
 
     return (
-`📊 *RELATÓRIO SEMANAL — Sinais Lobo Scalping*
-_Período:_ ${fmtDate(rpt.period.start)} → ${fmtDate(rpt.period.end)} (${rpt.period.days}d)
+`📊 <b>RELATÓRIO SEMANAL — Sinais Lobo Scalping</b>
+<i>Período:</i> ${fmtDate(rpt.period.start)} → ${fmtDate(rpt.period.end)} (${rpt.period.days}d)
 
-*Resumo*
+<b>Resumo</b>
 • Trades: ${s.totalTrades}
 • Taxa de acerto: ${s.winRate}%
-• PnL total (15x): ${s.totalRawPnL}%
+• PnL total (15x): bruto ${s.totalRawPnL}% | líquido ${s.totalNetPnL}%
+• Custos (15x): taxas ${s.costs.fees}% | slippage ${s.costs.slippage}% | funding ${s.costs.funding}%
 • PnL ajustado risco: ${s.totalRiskAdjustedPnL}%
-• Média por trade: ${s.avgRawPnL}%
+• Média por trade: bruto ${s.avgRawPnL}% | líquido ${s.avgNetPnL}%
 • Lucro realizado: ${s.realizedProfit}% | Não-realizado: ${s.unrealizedProfit}% (${s.profitRealizationRatio} realizados)
 • Stop móvel: ${s.stopMobileRate}
 
 ${best}
 ${worst}
 
-*Timeframes*
+<b>Direção</b>
+${sideLines || '—'}
+
+<b>Timeframes</b>
 ${tfLines || '—'}
 
-*Distribuição de Alvos*
+<b>Distribuição de Alvos</b>
 ${distLines || '—'}
 
-*Insights*
+<b>Insights</b>
 ${insights || '—'}
 
-👑 *Sinais Lobo Scalping*`
+👑 <b>Sinais Lobo Scalping</b>`
     );
   }
 
   // =================== INSIGHTS ===================
-  generateInsights(stats, winRate /*, mlWinRate */) {
+  generateInsights(stats, winRate, mlWinRate, sides = []) {
     const insights = [];
 
     if (winRate >= 70) insights.push('🎯 Excelente performance semanal - acima de 70% de acerto');
@@ -537,6 +686,18 @@ ${insights || '—'}
       insights.push(`📈 Melhor timeframe: ${bestTimeframe[0]} (${tfWinRate}% de acerto)`);
     }
 
+    // Uma direção bem pior que a outra (com amostra mínima nas duas)
+    const [long, short] = ['LONG', 'SHORT'].map(side => sides.find(sd => sd.side === side));
+    if (long?.trades >= 3 && short?.trades >= 3) {
+      const gap = Number(long.winRate) - Number(short.winRate);
+      if (Math.abs(gap) >= 15) {
+        const [worse, better] = gap > 0 ? [short, long] : [long, short];
+        insights.push(
+          `⚖️ ${worse.side === 'LONG' ? 'Longs' : 'Shorts'} com ${worse.winRate}% de acerto vs ${better.winRate}% — revisar a direção mais fraca`
+        );
+      }
+    }
+
     if ((stats.avgTargetsHit || 0) >= 4) insights.push('🎯 Excelente gestão de alvos - média de 4+ alvos atingidos');
     else if ((stats.avgTargetsHit || 0) >= 2) insights.push('✅ Boa gestão de alvos - mantendo disciplina');
 
@@ -554,6 +715,7 @@ ${insights || '—'}
 
   markWeeklyReportSent() {
     this.lastWeeklyReport = this.getWeekKey(this._nowInTz(this.schedule.tz));
+    this._persistState();
   }
 
   getWeekKey(date) {
@@ -596,15 +758,19 @@ ${insights || '—'}
         totalSignals: 0,
         winningSignals: 0,
         totalPnL: 0,
+        totalNetPnL: 0,
         avgTargetsHit: 0,
         mlSignals: 0,
-        mlWins: 0
+        mlWins: 0,
+        sides: { LONG: emptySide(), SHORT: emptySide() }
       });
     }
 
     const stats = this.monthlyStats.get(month);
+    addToSide(stats.sides[sideOf(signal.trend)], signal.results, signal.results.finalPnL > 0);
     stats.totalSignals++;
     stats.totalPnL += signal.results.finalPnL;
+    stats.totalNetPnL = (stats.totalNetPnL || 0) + netOf(signal.results);
     stats.avgTargetsHit = (stats.avgTargetsHit * (stats.totalSignals - 1) + signal.results.targetsHit) / stats.totalSignals;
 
     if (signal.results.finalPnL > 0) stats.winningSignals++;
@@ -617,7 +783,7 @@ ${insights || '—'}
   generatePerformanceReport() {
     const currentMonth = new Date().toISOString().slice(0, 7);
     const stats = this.monthlyStats.get(currentMonth) || {
-      totalSignals: 0, winningSignals: 0, totalPnL: 0, avgTargetsHit: 0, mlSignals: 0, mlWins: 0
+      totalSignals: 0, winningSignals: 0, totalPnL: 0, totalNetPnL: 0, avgTargetsHit: 0, mlSignals: 0, mlWins: 0
     };
 
     const winRate = stats.totalSignals > 0 ? (stats.winningSignals / stats.totalSignals * 100).toFixed(1) : '0.0';
@@ -628,8 +794,13 @@ ${insights || '—'}
       totalSignals: stats.totalSignals,
       winRate: parseFloat(winRate),
       totalPnL: stats.totalPnL,
+      totalNetPnL: stats.totalNetPnL ?? stats.totalPnL,
       avgTargetsHit: Number(stats.avgTargetsHit || 0).toFixed(1),
       mlPerformance: { signals: stats.mlSignals, winRate: parseFloat(mlWinRate) },
+      sides: {
+        LONG: formatSide(stats.sides?.LONG || emptySide()),
+        SHORT: formatSide(stats.sides?.SHORT || emptySide())
+      },
       recentSignals: this.signals.slice(-10).map(signal => ({
         symbol: signal.symbol,
         probability: signal.probability || signal.totalScore || 0,
@@ -658,12 +829,66 @@ ${insights || '—'}
       }));
   }
 
+  /**
+   * Histórico de sinais com filtros e paginação (mais recentes primeiro)
+   * @param {Object} q - { symbol, timeframe, trend, outcome, from, to, limit, offset }
+   *   outcome: 'active' | 'win' | 'loss' | motivo de saída ('STOP_LOSS', 'STOP_MOBILE', 'ALL_TARGETS')
+   */
+  querySignals(q = {}) {
+    const symbol = q.symbol ? String(q.symbol).toUpperCase() : null;
+    const timeframe = q.timeframe ? String(q.timeframe) : null;
+    const trend = q.trend ? String(q.trend).toUpperCase() : null;
+    const outcome = q.outcome ? String(q.outcome).toUpperCase() : null;
+    const from = q.from instanceof Date ? q.from.getTime() : null;
+    const to = q.to instanceof Date ? q.to.getTime() : null;
+    const limit = clampInt(q.limit, 1, 200, 50);
+    const offset = clampInt(q.offset, 0, Number.MAX_SAFE_INTEGER, 0);
+
+    const matchesOutcome = (s) => {
+      if (!outcome) return true;
+      const pnl = Number(s.results?.finalPnL) || 0;
+      switch (outcome) {
+        case 'ACTIVE':
+          return s.status === 'ACTIVE';
+        case 'WIN':
+          return s.status === 'COMPLETED' && pnl > 0;
+        case 'LOSS':
+          return s.status === 'COMPLETED' && pnl <= 0;
+        default:
+          return s.results?.exitReason === outcome;
+      }
+    };
+
+    const filtered = this.signals
+      .filter((s) => {
+        const ts = new Date(s.timestamp).getTime();
+        if (symbol && s.symbol !== symbol) return false;
+        if (timeframe && s.timeframe !== timeframe) return false;
+        if (trend && s.trend !== trend) return false;
+        if (from !== null && ts < from) return false;
+        if (to !== null && ts > to) return false;
+        return matchesOutcome(s);
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return {
+      total: filtered.length,
+      limit,
+      offset,
+      items: filtered.slice(offset, offset + limit),
+    };
+  }
+
   generateSignalId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 }
 
 // --------- helpers locais ----------
+function escapeHtml(t) {
+  return String(t ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 function toNum(...vals) {
   for (const v of vals) {
     const n = Number(v);
@@ -672,4 +897,46 @@ function toNum(...vals) {
   return undefined;
 }
 
+function clampInt(v, min, max, def) {
+  const n = parseInt(v, 10);
+  if (!Number.isFinite(n)) return def;
+  return Math.max(min, Math.min(max, n));
+}
+
+// P&L líquido (15x) de um resultado; registros anteriores ao modelo de custos valem o bruto
+function netOf(results) {
+  return Number.isFinite(results?.netPnL) ? results.netPnL : results?.finalPnL || 0;
+}
+
+// O emissor trata qualquer tendência que não seja BULLISH como short
+function sideOf(trend) {
+  return trend === 'BULLISH' ? 'LONG' : 'SHORT';
+}
+
+function emptySide() {
+  return { trades: 0, wins: 0, pnl: 0, netPnL: 0 };
+}
+
+function addToSide(side, results, isWin) {
+  side.trades++;
+  side.pnl += results.finalPnL || 0;
+  side.netPnL += netOf(results);
+  if (isWin) side.wins++;
+}
+
+function formatSide(side) {
+  return {
+    trades: side.trades,
+    winRate: side.trades ? ((side.wins / side.trades) * 100).toFixed(1) : '0.0',
+    avgPnl: side.trades ? (side.pnl / side.trades).toFixed(2) : '0.00',
+    totalPnL: side.pnl.toFixed(2),
+    totalNetPnL: side.netPnL.toFixed(2)
+  };
+}
+
+// JSON não preserva Date: reidrata campos de data de um sinal salvo
+function reviveSignal(raw) {
+  return { ...raw, timestamp: new Date(raw.timestamp), results: { ...(raw.results || {}) } };
+}
+
 export default PerformanceTrackerService;
@@ -0,0 +1,167 @@
+/**
+ * Relógio virtual do modo replay
+ * - now(): instante simulado (ms), que anda `speed`× mais rápido que o relógio real
+ * - setTimeout/setInterval/clear*: timers em tempo simulado, disparados em ordem de vencimento
+ *   (callbacks assíncronos são aguardados antes do próximo timer → execução determinística)
+ * - speed = 0 → modo manual: o tempo só anda com advance()/advanceTo() (scripts e testes)
+ */
+
+const DEFAULT_SPEED = 60;   // 1s real = 1 min simulado
+const DEFAULT_TICK_MS = 100; // granularidade do avanço automático (tempo real)
+
+function envNum(key, def) {
+  const v = Number(process.env[key]);
+  return Number.isFinite(v) ? v : def;
+}
+
+export default class ReplayClock {
+  /**
+   * @param {Object} [options]
+   *  - start: instante inicial simulado (ms); pode ser definido depois com setStart()
+   *  - end: fim dos dados gravados (ms); o avanço automático para ao alcançá-lo
+   *  - speed: fator de aceleração (padrão REPLAY_SPEED ou 60; 0 = manual)
+   *  - tickMs: intervalo real entre avanços automáticos (padrão REPLAY_TICK_MS ou 100)
+   *  - onEnd: callback quando o relógio alcança `end`
+   */
+  constructor(options = {}) {
+    this.current = Number(options.start) || 0;
+    this.end = Number(options.end) || Infinity;
+    this.speed = Math.max(0, Number(options.speed ?? envNum('REPLAY_SPEED', DEFAULT_SPEED)));
+    this.tickMs = Math.max(10, Number(options.tickMs ?? envNum('REPLAY_TICK_MS', DEFAULT_TICK_MS)));
+    this.onEnd = typeof options.onEnd === 'function' ? options.onEnd : null;
+
+    this.timers = new Map(); // id → { fn, due, every }
+    this.nextId = 1;
+    this.realTimer = null;
+    this.advancing = false;
+    this.ended = false;
+  }
+
+  now() {
+    return this.current;
+  }
+
+  setStart(ms) {
+    this.current = Number(ms) || 0;
+  }
+
+  setEnd(ms) {
+    this.end = Number(ms) || Infinity;
+  }
+
+  isRunning() {
+    return this.realTimer !== null;
+  }
+
+  isAdvancing() {
+    return this.advancing;
+  }
+
+  // =================== TIMERS (tempo simulado) ===================
+
+  setTimeout(fn, ms = 0) {
+    return this._add(fn, ms, null);
+  }
+
+  setInterval(fn, ms) {
+    return this._add(fn, ms, Math.max(1, Number(ms) || 1));
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  _add(fn, ms, every) {
+    const id = this.nextId++;
+    this.timers.set(id, { fn, due: this.current + Math.max(0, Number(ms) || 0), every });
+    return id;
+  }
+
+  _nextDue(target) {
+    let next = null;
+    for (const [id, t] of this.timers) {
+      if (t.due > target) continue;
+      // empate: o timer criado primeiro dispara primeiro
+      if (!next || t.due < next.t.due || (t.due === next.t.due && id < next.id)) next = { id, t };
+    }
+    return next;
+  }
+
+  // =================== AVANÇO ===================
+
+  /**
+   * Avança até `target` disparando, em ordem, todos os timers vencidos no caminho.
+   * Timers criados pelos callbacks também disparam se vencerem antes de `target`.
+   */
+  async advanceTo(target) {
+    if (this.advancing) throw new Error('Relógio já está avançando');
+    this.advancing = true;
+    const limit = Math.min(Number(target), this.end);
+    try {
+      for (let next = this._nextDue(limit); next; next = this._nextDue(limit)) {
+        this.current = Math.max(this.current, next.t.due);
+        if (next.t.every) next.t.due += next.t.every;
+        else this.timers.delete(next.id);
+        try {
+          await next.t.fn();
+        } catch (err) {
+          console.error('[ReplayClock] Erro em timer:', err?.message || err);
+        }
+      }
+      this.current = Math.max(this.current, limit);
+    } finally {
+      this.advancing = false;
+    }
+
+    if (this.current >= this.end && !this.ended) {
+      this.ended = true;
+      this.stop();
+      console.log(`🏁 [Replay] Fim dos dados gravados (${new Date(this.end).toISOString()})`);
+      if (this.onEnd) this.onEnd();
+    }
+  }
+
+  advance(ms) {
+    return this.advanceTo(this.current + Number(ms));
+  }
+
+  /**
+   * Avanço automático: a cada `tickMs` reais o relógio anda (tempo real decorrido × speed).
+   * Enquanto um passo aguarda callbacks, o tempo real acumulado entra no passo seguinte.
+   */
+  start() {
+    if (this.realTimer || this.speed <= 0 || this.ended) return;
+    let lastReal = Date.now();
+    this.realTimer = setInterval(() => {
+      if (this.advancing) return;
+      const real = Date.now();
+      const delta = (real - lastReal) * this.speed;
+      lastReal = real;
+      this.advance(delta).catch((err) => console.error('[ReplayClock] Erro no avanço:', err.message));
+    }, this.tickMs);
+    console.log(
+      `⏩ [Replay] Relógio iniciado em ${new Date(this.current).toISOString()} (${this.speed}x)`
+    );
+  }
+
+  stop() {
+    if (this.realTimer) clearInterval(this.realTimer);
+    this.realTimer = null;
+  }
+
+  getStatus() {
+    return {
+      now: new Date(this.current).toISOString(),
+      end: Number.isFinite(this.end) ? new Date(this.end).toISOString() : null,
+      speed: this.speed,
+      running: this.isRunning(),
+      advancing: this.advancing,
+      ended: this.ended,
+      timers: this.timers.size,
+    };
+  }
+}
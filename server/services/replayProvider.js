@@ -0,0 +1,419 @@
+/**
+ * Provedor "replay": serve OHLCV e ticks simulados a partir de arquivos gravados (CSV/JSONL),
+ * na mesma interface das venues reais, seguindo o ReplayClock (tempo simulado/acelerado).
+ *
+ * Arquivos em REPLAY_DATA_DIR (padrão data/replay), um por símbolo/timeframe:
+ *   BTCUSDT-1m.csv    → timestamp,open,high,low,close,volume (cabeçalho opcional; timestamp em ms ou ISO)
+ *   ETHUSDT-5m.jsonl  → [ts,o,h,l,c,v] ou { timestamp, open, high, low, close, volume } por linha
+ *
+ * - OHLCV: só candles já fechados no relógio + o candle em formação (parcial até "agora")
+ * - Timeframes sem arquivo são agregados a partir do menor timeframe disponível (ex.: 5m ← 1m); o candle
+ *   agregado em formação é montado com os candles de origem até "agora" (não interpolado do candle inteiro)
+ * - Ticker: preço interpolado dentro do candle atual pelo caminho open → low/high → high/low → close
+ *   (candle de alta passa pela mínima antes da máxima; de baixa, o contrário)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import MarketDataProvider, { toSeries } from './marketDataProvider.js';
+import ReplayClock from './replayClock.js';
+
+const TIMEFRAME_MS = {
+  '1m': 60e3, '3m': 180e3, '5m': 300e3, '15m': 900e3, '30m': 1800e3,
+  '1h': 3600e3, '2h': 7200e3, '4h': 14400e3, '6h': 21600e3, '8h': 28800e3,
+  '12h': 43200e3, '1d': 86400e3,
+};
+const FILE_RE = /^([A-Z0-9]+?)(USDT|USDC|BUSD)[-_](\d+[mhd])\.(csv|jsonl)$/i;
+const DEFAULT_WARMUP_CANDLES = 250;
+
+function toMs(value) {
+  if (typeof value === 'string' && !/^\d+(\.\d+)?$/.test(value.trim())) return Date.parse(value);
+  const n = Number(value);
+  // exports recentes da Binance vêm em microssegundos
+  return n > 1e14 ? Math.floor(n / 1000) : n;
+}
+
+function rowToCandle(row) {
+  if (Array.isArray(row)) return row.slice(0, 6).map((v, i) => (i === 0 ? toMs(v) : Number(v)));
+  return [
+    toMs(row.timestamp ?? row.time ?? row.t ?? row.openTime),
+    Number(row.open ?? row.o),
+    Number(row.high ?? row.h),
+    Number(row.low ?? row.l),
+    Number(row.close ?? row.c),
+    Number(row.volume ?? row.v ?? 0),
+  ];
+}
+
+function normalize(candles) {
+  const valid = candles.filter((c) => c.every((v) => Number.isFinite(v)));
+  valid.sort((a, b) => a[0] - b[0]);
+  return valid.filter((c, i) => i === 0 || c[0] !== valid[i - 1][0]);
+}
+
+/**
+ * Conteúdo CSV/JSONL → candles [ts, o, h, l, c, v] ordenados e sem duplicatas
+ */
+export function parseFixture(text, format) {
+  const candles = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (format === 'jsonl') {
+      candles.push(rowToCandle(JSON.parse(trimmed)));
+      continue;
+    }
+    const cols = trimmed.split(/[,;]/).map((c) => c.trim());
+    if (!/^\d/.test(cols[0])) continue; // cabeçalho
+    candles.push(rowToCandle(cols));
+  }
+  return normalize(candles);
+}
+
+function aggregate(candles, tfMs) {
+  const out = [];
+  for (const [ts, o, h, l, c, v] of candles) {
+    const bucket = Math.floor(ts / tfMs) * tfMs;
+    const last = out[out.length - 1];
+    if (last && last[0] === bucket) {
+      last[2] = Math.max(last[2], h);
+      last[3] = Math.min(last[3], l);
+      last[4] = c;
+      last[5] += v;
+    } else {
+      out.push([bucket, o, h, l, c, v]);
+    }
+  }
+  return out;
+}
+
+// Pontos do caminho intrabar em f = 0, 1/3, 2/3, 1
+function pathAnchors([, o, h, l, c]) {
+  return c >= o ? [o, l, h, c] : [o, h, l, c];
+}
+
+function pathPrice(candle, f) {
+  const anchors = pathAnchors(candle);
+  const x = Math.min(Math.max(f, 0), 1) * 3;
+  const i = Math.min(Math.floor(x), 2);
+  return anchors[i] + (anchors[i + 1] - anchors[i]) * (x - i);
+}
+
+/**
+ * Candle em formação até a fração `f` do período (máx./mín. só do caminho já percorrido)
+ */
+function partialCandle(candle, f) {
+  const anchors = pathAnchors(candle);
+  const price = pathPrice(candle, f);
+  const seen = [price, ...anchors.filter((_, i) => i / 3 <= f)];
+  return [candle[0], candle[1], Math.max(...seen), Math.min(...seen), price, candle[5] * f];
+}
+
+export default class ReplayProvider extends MarketDataProvider {
+  /**
+   * @param {Object} [options]
+   *  - dir: diretório dos arquivos (padrão REPLAY_DATA_DIR ou data/replay)
+   *  - clock: ReplayClock compartilhado com o resto do bot
+   *  - fixtures: { 'BTC/USDT': { '1m': [[ts,o,h,l,c,v], ...] } } (injeção direta, sem arquivos)
+   */
+  constructor(options = {}) {
+    super('replay', null);
+    this.dir = path.resolve(options.dir || process.env.REPLAY_DATA_DIR || 'data/replay');
+    this.clock = options.clock || new ReplayClock();
+    this.maxOhlcvLimit = 1500;
+
+    this.series = new Map(); // símbolo → { tf: candles[] } (gravados + agregados sob demanda)
+    this.recorded = new Map(); // símbolo → timeframes com arquivo
+    this.injected = options.fixtures || null;
+  }
+
+  // =================== CARGA ===================
+
+  async loadMarkets() {
+    if (this._marketsLoaded) return;
+    if (!this._marketsPromise) {
+      this._marketsPromise = this._loadFixtures()
+        .then(() => {
+          this._marketsLoaded = true;
+        })
+        .finally(() => {
+          this._marketsPromise = null;
+        });
+    }
+    await this._marketsPromise;
+  }
+
+  async _loadFixtures() {
+    if (this.injected) {
+      for (const [symbol, byTf] of Object.entries(this.injected)) {
+        for (const [tf, rows] of Object.entries(byTf)) this._addSeries(symbol, tf, normalize(rows.map(rowToCandle)));
+      }
+    } else {
+      let files = [];
+      try {
+        files = await fs.readdir(this.dir);
+      } catch (err) {
+        throw new Error(`Diretório de replay inacessível (${this.dir}): ${err.message}`);
+      }
+      for (const file of files) {
+        const m = FILE_RE.exec(file);
+        if (!m || !TIMEFRAME_MS[m[3]]) continue;
+        const symbol = `${m[1].toUpperCase()}/${m[2].toUpperCase()}`;
+        const text = await fs.readFile(path.join(this.dir, file), 'utf8');
+        this._addSeries(symbol, m[3], parseFixture(text, m[4].toLowerCase()));
+      }
+    }
+
+    const symbols = [...this.recorded.keys()];
+    if (symbols.length === 0) throw new Error(`Nenhum arquivo de replay em ${this.dir}`);
+    console.log(`📼 [Replay] ${symbols.length} símbolo(s) carregado(s): ${symbols.join(', ')}`);
+  }
+
+  _addSeries(symbol, tf, candles) {
+    if (candles.length === 0) return;
+    if (!this.series.has(symbol)) this.series.set(symbol, {});
+    if (!this.recorded.has(symbol)) this.recorded.set(symbol, []);
+    this.series.get(symbol)[tf] = candles;
+    this.recorded.get(symbol).push(tf);
+    this.recorded.get(symbol).sort((a, b) => TIMEFRAME_MS[a] - TIMEFRAME_MS[b]);
+  }
+
+  /**
+   * Candles do timeframe (agregando do menor timeframe gravado que o divide, se necessário)
+   */
+  _candles(symbol, timeframe) {
+    const bySymbol = this.series.get(symbol);
+    const tfMs = TIMEFRAME_MS[timeframe];
+    if (!bySymbol || !tfMs) return null;
+    if (bySymbol[timeframe]) return bySymbol[timeframe];
+
+    const source = this._source(symbol, timeframe);
+    if (!source) return null;
+    bySymbol[timeframe] = aggregate(bySymbol[source], tfMs);
+    return bySymbol[timeframe];
+  }
+
+  // Timeframe gravado de onde o timeframe é agregado (null se tem arquivo próprio)
+  _source(symbol, timeframe) {
+    const tfMs = TIMEFRAME_MS[timeframe];
+    const recorded = this.recorded.get(symbol) || [];
+    if (recorded.includes(timeframe)) return null;
+    return recorded.find((tf) => TIMEFRAME_MS[tf] < tfMs && tfMs % TIMEFRAME_MS[tf] === 0) || null;
+  }
+
+  /**
+   * Candle `bar` do timeframe como estava em `at`: fechado, parcial do caminho intrabar (arquivo próprio)
+   * ou agregado dos candles de origem já abertos em `at` (o último deles parcial)
+   */
+  _candleAt(symbol, timeframe, bar, at) {
+    const tfMs = TIMEFRAME_MS[timeframe];
+    const f = (at - bar[0]) / tfMs;
+    if (f >= 1) return bar;
+    const source = this._source(symbol, timeframe);
+    if (!source) return partialCandle(bar, f);
+
+    const srcMs = TIMEFRAME_MS[source];
+    const candles = this.series.get(symbol)[source];
+    const parts = candles
+      .slice(this._indexAtOrAfter(candles, bar[0]), this._indexAtOrAfter(candles, Math.min(at + 1, bar[0] + tfMs)))
+      .map((c) => (at - c[0] >= srcMs ? c : partialCandle(c, (at - c[0]) / srcMs)));
+    return parts.length ? aggregate(parts, tfMs)[0] : partialCandle(bar, f);
+  }
+
+  /**
+   * Intervalo coberto por todos os arquivos (do último início ao primeiro fim). `start` sugerido:
+   * `warmupCandles` candles do maior timeframe analisado após esse início (indicadores aquecidos), limitado ao fim.
+   */
+  getRange(timeframes = ['1m'], warmupCandles = DEFAULT_WARMUP_CANDLES) {
+    let first = 0;
+    let end = Infinity;
+    for (const [symbol, tfs] of this.recorded) {
+      for (const tf of tfs) {
+        const candles = this.series.get(symbol)[tf];
+        first = Math.max(first, candles[0][0]);
+        end = Math.min(end, candles[candles.length - 1][0] + TIMEFRAME_MS[tf]);
+      }
+    }
+    if (first >= end) throw new Error('Arquivos de replay sem intervalo em comum entre os símbolos');
+    const warmupMs = warmupCandles * Math.max(...timeframes.map((tf) => TIMEFRAME_MS[tf] || TIMEFRAME_MS['1m']));
+    return { start: Math.min(first + warmupMs, end), end };
+  }
+
+  // =================== SÍMBOLOS ===================
+
+  supports(symbol) {
+    if (!this._marketsLoaded) return null;
+    return this.recorded.has(symbol);
+  }
+
+  async getSymbolInfo(symbol) {
+    await this.loadMarkets();
+    if (!this.recorded.has(symbol)) return null;
+    const [base, quote] = symbol.split('/');
+    return {
+      symbol,
+      venue: this.name,
+      venueSymbol: symbol,
+      base,
+      quote,
+      active: true,
+      contractSize: 1,
+      tickSize: null,
+      amountPrecision: null,
+      minAmount: null,
+      minNotional: null,
+      maxLeverage: null,
+      timeframes: this.recorded.get(symbol),
+    };
+  }
+
+  async listSymbols(quote = 'USDT') {
+    await this.loadMarkets();
+    return [...this.recorded.keys()].filter((s) => s.endsWith(`/${quote}`));
+  }
+
+  // =================== REST ===================
+
+  /**
+   * Candles fechados até o relógio + candle em formação (como numa venue real)
+   */
+  async fetchOHLCV(symbol, timeframe, limit, since = undefined) {
+    await this.loadMarkets();
+    const candles = this._candles(symbol, timeframe);
+    if (!candles) throw new Error(`Sem dados gravados para ${symbol} ${timeframe}`);
+
+    const now = this.clock.now();
+    const lim = Math.min(Number(limit) || 200, this.maxOhlcvLimit);
+
+    // candles já abertos no relógio: [from, to)
+    const to = this._indexAtOrAfter(candles, now + 1);
+    const from = since !== undefined ? this._indexAtOrAfter(candles, Number(since)) : Math.max(0, to - lim);
+    const visible = candles.slice(from, Math.min(to, from + lim)).map((c) => this._candleAt(symbol, timeframe, c, now));
+    this.markSuccess();
+    return toSeries(visible);
+  }
+
+  _indexAtOrAfter(candles, ts) {
+    let lo = 0;
+    let hi = candles.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (candles[mid][0] < ts) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Tick simulado: preço no caminho intrabar do candle do menor timeframe gravado
+   */
+  async fetchTicker(symbol) {
+    await this.loadMarkets();
+    const tfs = this.recorded.get(symbol);
+    if (!tfs) throw new Error(`Sem dados gravados para ${symbol}`);
+
+    const tf = tfs[0];
+    const candles = this.series.get(symbol)[tf];
+    const now = this.clock.now();
+    const i = this._indexAtOrAfter(candles, now + 1) - 1;
+    if (i < 0) throw new Error(`${symbol}: relógio antes do início da gravação`);
+
+    const candle = candles[i];
+    const f = (now - candle[0]) / TIMEFRAME_MS[tf];
+    const bar = f >= 1 ? candle : partialCandle(candle, f);
+    const last = bar[4];
+    const dayAgo = candles[Math.max(0, this._indexAtOrAfter(candles, now - 86400e3))];
+    const change = last - dayAgo[1];
+
+    this.markSuccess();
+    return {
+      symbol,
+      last,
+      bid: last,
+      ask: last,
+      high: bar[2],
+      low: bar[3],
+      baseVolume: 0,
+      quoteVolume: 0,
+      change,
+      percentage: dayAgo[1] ? (change / dayAgo[1]) * 100 : 0,
+      ts: now,
+      info: { replay: true, timeframe: tf },
+      venue: this.name,
+    };
+  }
+
+  /**
+   * Sem histórico gravado de funding: o CostModel usa o arquivo local/taxa padrão
+   */
+  async fetchFundingRateHistory() {
+    return [];
+  }
+
+  // =================== STREAM ===================
+
+  /**
+   * Emite os candles FECHADOS no tempo simulado (um timer do relógio por fechamento de candle).
+   * Com options.onTick, emite antes os pontos do caminho intrabar (abertura, extremos, fechamento).
+   */
+  async subscribeKlines(symbol, interval, onCandle, onDisconnect = null, options = {}) {
+    await this.loadMarkets();
+    const candles = this._candles(symbol, interval);
+    if (!candles) return null;
+
+    const tfMs = TIMEFRAME_MS[interval];
+    const onTick = options.onTick;
+    const handle = { venue: this.name, lastSeen: Date.now(), timer: null, closed: false };
+    let cursor = this._indexAtOrAfter(candles, this.clock.now() - tfMs + 1);
+    let step = 0; // 0..2: âncoras intrabar já emitidas do candle atual
+
+    const schedule = () => {
+      if (handle.closed || cursor >= candles.length) return;
+      const bar = candles[cursor];
+      const [timestamp, open, high, low, , volume] = bar;
+
+      if (onTick && step < 3) {
+        const f = step / 3;
+        const at = timestamp + Math.round(tfMs * f);
+        handle.timer = this.clock.setTimeout(() => {
+          step++;
+          handle.lastSeen = Date.now();
+          const [, o, h, l, c, v] = this._candleAt(symbol, interval, bar, at);
+          const price = c;
+          const candle = { isClosed: false, timestamp, open: o, high: h, low: l, close: c, volume: v, symbol, interval, venue: this.name };
+          onTick({ symbol, price, time: this.clock.now(), isClosed: false, candle, venue: this.name });
+          schedule();
+        }, Math.max(0, at - this.clock.now()));
+        return;
+      }
+
+      handle.timer = this.clock.setTimeout(() => {
+        cursor++;
+        step = 0;
+        handle.lastSeen = Date.now();
+        const candle = { isClosed: true, timestamp, open, high, low, close: bar[4], volume, symbol, interval, venue: this.name };
+        if (onTick) onTick({ symbol, price: candle.close, time: this.clock.now(), isClosed: true, candle, venue: this.name });
+        if (onCandle) onCandle(candle);
+        schedule();
+      }, Math.max(0, timestamp + tfMs - this.clock.now()));
+    };
+    schedule();
+
+    console.log(`[MarketData][WS] replay assinado ${symbol} ${interval}`);
+    handle.close = () => {
+      handle.closed = true;
+      this.clock.clearTimeout(handle.timer);
+    };
+    return handle;
+  }
+
+  /**
+   * Ticker simulado: caminho intrabar dos candles de 1m
+   */
+  async subscribeTicker(symbol, onTick, onDisconnect = null) {
+    return this.subscribeKlines(symbol, '1m', null, onDisconnect, {
+      onTick: ({ price, time }) => onTick({ symbol, price, time, venue: this.name }),
+    });
+  }
+}
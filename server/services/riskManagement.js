@@ -14,35 +14,70 @@ class RiskManagementService {
       totalPnL: 0,
       date: new Date().toDateString()
     };
+    this.storage = null;
+  }
+
+  /**
+   * Liga ao StorageService e recarrega as estatísticas do dia (se ainda forem de hoje)
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+    const saved = storage?.get('risk', 'dailyStats');
+    if (saved && saved.date === new Date().toDateString()) {
+      this.dailyStats = { ...this.dailyStats, ...saved };
+      console.log(`💾 Risk: stats diárias recarregadas (${saved.wins}W/${saved.losses}L)`);
+    }
+  }
+
+  _persist() {
+    if (this.storage) this.storage.set('risk', 'dailyStats', this.dailyStats);
   }
 
   /**
    * Verifica se pode abrir nova operação
+   * @param {string} symbol
+   * @param {Map} activeMonitors - monitores do TelegramBotService (ID do sinal → monitor)
+   * @param {Object} [candidate] - { timeframe, trend } do sinal candidato
    */
-  canOpenTrade(symbol, activeMonitors) {
+  canOpenTrade(symbol, activeMonitors, candidate = {}) {
     // Reset stats se mudou o dia
     if (this.dailyStats.date !== new Date().toDateString()) {
       this.resetDailyStats();
     }
 
+    const open = Array.from(activeMonitors.values()).filter(m => m.status === 'ACTIVE');
+
     // Verifica limite de operações simultâneas
-    if (activeMonitors.size >= this.maxConcurrentTrades) {
-      console.log(`❌ Limite de operações simultâneas atingido: ${activeMonitors.size}/${this.maxConcurrentTrades}`);
+    if (open.length >= this.maxConcurrentTrades) {
+      console.log(`❌ Limite de operações simultâneas atingido: ${open.length}/${this.maxConcurrentTrades}`);
       return { allowed: false, reason: 'Limite de operações simultâneas' };
     }
 
     // Sem limite de perda diária - removido
 
-    // Verifica exposição por símbolo
-    const symbolCount = Array.from(activeMonitors.keys()).filter(s => s === symbol).length;
-    if (symbolCount >= this.maxSymbolExposure) {
-      console.log(`❌ Limite de exposição para ${symbol}: ${symbolCount}/${this.maxSymbolExposure}`);
+    // Verifica exposição por símbolo (posições abertas, não símbolos)
+    const onSymbol = open.filter(m => m.symbol === symbol);
+    if (onSymbol.length >= this.maxSymbolExposure) {
+      const sides = onSymbol.map(m => `${m.timeframe} ${m.trend === 'BULLISH' ? 'long' : 'short'}`).join(', ');
+      console.log(`❌ Limite de exposição para ${symbol}: ${onSymbol.length}/${this.maxSymbolExposure} (${sides})`);
       return { allowed: false, reason: `Limite de exposição para ${symbol}` };
     }
 
+    // Mesma posição duas vezes (símbolo + timeframe + direção) não soma exposição nova
+    if (candidate.timeframe && onSymbol.some(m => m.timeframe === candidate.timeframe && (!candidate.trend || m.trend === candidate.trend))) {
+      return { allowed: false, reason: `Posição já aberta em ${symbol} ${candidate.timeframe}` };
+    }
+
     return { allowed: true, reason: 'OK' };
   }
 
+  /**
+   * Estatísticas diárias alimentadas pelos encerramentos publicados no bus
+   */
+  attachEventBus(bus) {
+    bus.on('monitor.closed', (e) => this.recordTrade(e.symbol, e.pnlPercent, e.isWin));
+  }
+
   /**
    * Registra resultado de operação
    */
@@ -55,6 +90,7 @@ class RiskManagementService {
     } else {
       this.dailyStats.losses++;
     }
+    this._persist();
 
     console.log(`📊 Trade registrado: ${symbol} ${isWin ? '✅' : '❌'} ${pnlPercent.toFixed(2)}%`);
     console.log(`📈 Stats diárias: ${this.dailyStats.wins}W/${this.dailyStats.losses}L (${this.dailyStats.totalPnL.toFixed(2)}%)`);
@@ -85,6 +121,7 @@ class RiskManagementService {
       totalPnL: 0,
       date: new Date().toDateString()
     };
+    this._persist();
     console.log('📊 Estatísticas diárias resetadas');
   }
 
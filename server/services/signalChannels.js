@@ -0,0 +1,92 @@
+/**
+ * Canais de distribuição dos sinais (Telegram)
+ *
+ * TELEGRAM_CHANNELS (JSON), ex.:
+ *   [{ "id": "premium", "chatId": "-1001", "tier": "premium" },
+ *    { "id": "free", "chatId": "-1002", "tier": "free", "minScore": 85, "timeframes": ["5m"],
+ *      "delayMinutes": 30, "template": "compact", "chart": false, "footer": "Sinais em tempo real no VIP" }]
+ *
+ * Regras por canal (todas opcionais):
+ *  - minScore: score mínimo do sinal (probabilidade bruta, 0..100)
+ *  - symbols / timeframes: listas permitidas ("BTC" ou "BTC/USDT")
+ *  - delayMinutes: atraso de TODAS as mensagens do canal (sinal e atualizações mantêm a ordem)
+ *  - template: 'full' | 'compact'; header/footer: texto extra na mensagem do sinal
+ *  - chart: envia o gráfico antes do sinal (padrão true); updates: recebe alvos/stops (padrão true)
+ *  - rateLimitPerMinute: espaçamento mínimo entre envios no chat
+ *
+ * Sem TELEGRAM_CHANNELS: canal único "main" = TELEGRAM_CHAT_ID, sem regras (comportamento anterior).
+ */
+
+import { DISTRIBUTION_CONFIG } from '../config/constants.js';
+
+function toList(v) {
+  if (v == null || v === '') return [];
+  return (Array.isArray(v) ? v : String(v).split(',')).map((x) => String(x).trim()).filter(Boolean);
+}
+
+function symbolKey(s) {
+  const up = String(s).toUpperCase();
+  return up.includes('/') ? up : `${up}/USDT`;
+}
+
+export function normalizeChannel(raw, index = 0) {
+  const template = DISTRIBUTION_CONFIG.TEMPLATES.includes(raw.template) ? raw.template : DISTRIBUTION_CONFIG.DEFAULT_TEMPLATE;
+  if (raw.template && raw.template !== template) {
+    console.warn(`[Channels] Template desconhecido "${raw.template}" no canal ${raw.id || index} — usando ${template}`);
+  }
+  return {
+    id: String(raw.id || `channel${index + 1}`),
+    chatId: String(raw.chatId),
+    tier: raw.tier || 'premium',
+    minScore: Number(raw.minScore) || 0,
+    symbols: toList(raw.symbols).map(symbolKey),
+    timeframes: toList(raw.timeframes),
+    delayMs: Math.max(0, Number(raw.delayMinutes) || 0) * 60 * 1000,
+    template,
+    header: raw.header ? String(raw.header) : '',
+    footer: raw.footer ? String(raw.footer) : '',
+    chart: raw.chart !== false,
+    updates: raw.updates !== false,
+    rateLimitPerMinute: Number(raw.rateLimitPerMinute) || DISTRIBUTION_CONFIG.RATE_LIMIT_PER_MINUTE,
+  };
+}
+
+/**
+ * Lê os canais do env (JSON) ou cai no canal único do TELEGRAM_CHAT_ID
+ */
+export function loadChannels(raw = process.env.TELEGRAM_CHANNELS, fallbackChatId = process.env.TELEGRAM_CHAT_ID) {
+  if (raw && String(raw).trim()) {
+    try {
+      const parsed = JSON.parse(raw);
+      const list = (Array.isArray(parsed) ? parsed : [parsed]).filter((c) => c && c.chatId);
+      const channels = list.map(normalizeChannel);
+      const ids = new Set();
+      for (const c of channels) {
+        if (ids.has(c.id)) throw new Error(`id de canal duplicado: ${c.id}`);
+        ids.add(c.id);
+      }
+      if (channels.length) return channels;
+      console.warn('[Channels] TELEGRAM_CHANNELS sem canais válidos (chatId) — usando TELEGRAM_CHAT_ID');
+    } catch (err) {
+      console.error(`[Channels] TELEGRAM_CHANNELS inválido (${err.message}) — usando TELEGRAM_CHAT_ID`);
+    }
+  }
+  return fallbackChatId ? [normalizeChannel({ id: 'main', chatId: fallbackChatId })] : [];
+}
+
+/**
+ * O canal recebe este sinal? → { ok, reason }
+ */
+export function channelAccepts(channel, signal) {
+  const score = Number(signal.probability ?? signal.totalScore ?? 0);
+  if (channel.minScore && score < channel.minScore) {
+    return { ok: false, reason: `score ${score.toFixed(1)} < ${channel.minScore}` };
+  }
+  if (channel.symbols.length && !channel.symbols.includes(symbolKey(signal.symbol))) {
+    return { ok: false, reason: `${signal.symbol} fora da lista` };
+  }
+  if (channel.timeframes.length && !channel.timeframes.includes(signal.timeframe)) {
+    return { ok: false, reason: `timeframe ${signal.timeframe} fora da lista` };
+  }
+  return { ok: true };
+}
@@ -5,11 +5,13 @@
  * - Logs explicativos padronizados
  * - Integração opcional com correlação BTC e regime
  * - Menos aleatoriedade (jitter controlado por config)
+ * - Simétrico long/short: bônus de tendência e de regime só a favor da direção do sinal
  */
 
 import { SCORING_WEIGHTS, TRADING_CONFIG, CORRELATION_CONFIG } from '../config/constants.js';
 
-const DEFAULTS = {
+// Lido de constants.js; recalculado quando o ConfigService aplica uma versão nova (ver attachConfig)
+const buildDefaults = () => ({
   MIN_SCORE: (TRADING_CONFIG?.MIN_SIGNAL_PROBABILITY ?? 70),
   ML_WEIGHT: (SCORING_WEIGHTS?.ML_WEIGHT ?? 1.0),
   JITTER_PCT: (TRADING_CONFIG?.SCORING?.JITTER_PCT ?? 0), // 0 = determinístico
@@ -23,7 +25,8 @@ const DEFAULTS = {
     MAX_RSI_EXTREME: TRADING_CONFIG?.QUALITY_FILTERS?.MAX_RSI_EXTREME ?? 100
   },
   VOLUME_MA_PERIOD: 20, // se TA não prover volumeMA, calculamos com 20 candles
-};
+});
+let DEFAULTS = buildDefaults();
 
 // Bound simples para evitar números fora do range
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
@@ -35,10 +38,22 @@ class SignalScoringService {
     this._lastDecisions = new Map(); // key: symbol:timeframe -> { ts, score, valid }
   }
 
+  /**
+   * Recarrega limiares e filtros a cada versão da configuração runtime
+   */
+  attachConfig(config) {
+    config.subscribe(() => {
+      DEFAULTS = buildDefaults();
+      console.log(`⚙️ SignalScoring: score mínimo ${DEFAULTS.MIN_SCORE}, ML ${DEFAULTS.ML_WEIGHT}, confirmações ${DEFAULTS.QUALITY.MIN_CONFIRMATIONS}`);
+    });
+    DEFAULTS = buildDefaults();
+  }
+
   /**
    * Calcula pontuação total do sinal (compatível)
+   * @param {string} [signalTrend] - direção do sinal; sem ela, usa detectSignalTrend
    */
-  calculateSignalScore(data, indicators, patterns, mlProbability, marketTrend = null, bitcoinCorrelation = null) {
+  calculateSignalScore(data, indicators, patterns, mlProbability, marketTrend = null, bitcoinCorrelation = null, signalTrend = null) {
     const symbol = data?.symbol || 'UNKNOWN';
     const tf = this.currentTimeframe || '1h';
     const lastClose = Array.isArray(data?.close) ? data.close[data.close.length - 1] : data?.close;
@@ -172,11 +187,17 @@ class SignalScoringService {
         }
       }
 
-      // Ajustes por Regime
+      const direction = signalTrend || this.detectSignalTrend(safeIndicators, patterns || {});
+      details.signalTrend = direction;
+
+      // Ajustes por Regime (bônus só para o sinal a favor do regime)
       let regimeAdj = 0;
-      if (marketTrend === 'BEARISH') {
-        regimeAdj = score * 0.10; // bônus de resiliência para sinais com filtros passados em baixa
-        console.log(`  🐻 Ajuste para mercado em baixa: +${regimeAdj.toFixed(2)}`);
+      if (marketTrend === 'BEARISH' && direction === 'BEARISH') {
+        regimeAdj = score * 0.10;
+        console.log(`  🐻 Ajuste para short em mercado de baixa: +${regimeAdj.toFixed(2)}`);
+      } else if (marketTrend === 'BULLISH' && direction === 'BULLISH') {
+        regimeAdj = score * 0.10;
+        console.log(`  🐂 Ajuste para long em mercado de alta: +${regimeAdj.toFixed(2)}`);
       } else if (marketTrend === 'VOLATILE') {
         regimeAdj = -score * 0.05; // leve contenção
         console.log(`  ⚡ Ajuste para mercado volátil: ${regimeAdj.toFixed(2)}`);
@@ -237,13 +258,23 @@ class SignalScoringService {
         }
       }
 
-      // Detecção de downtrend (para sinais de venda) — mantém compatível e opcional
-      const downtrendAnalysis = this.detectDowntrend(safeIndicators);
-      if (downtrendAnalysis.isDowntrend) {
-        const downtrendBonus = 15;
-        score += downtrendBonus;
-        console.log(`   🎯 Bônus de tendência de baixa: +${downtrendBonus} pontos`);
-        details.downtrendAnalysis = { ...downtrendAnalysis, bonusApplied: downtrendBonus };
+      // Setup de tendência na direção do sinal: exaustão de alta para short, de baixa para long
+      if (direction === 'BEARISH') {
+        const downtrendAnalysis = this.detectDowntrend(safeIndicators);
+        if (downtrendAnalysis.isDowntrend) {
+          const downtrendBonus = 15;
+          score += downtrendBonus;
+          console.log(`   🎯 Bônus de tendência de baixa: +${downtrendBonus} pontos`);
+          details.downtrendAnalysis = { ...downtrendAnalysis, bonusApplied: downtrendBonus };
+        }
+      } else if (direction === 'BULLISH') {
+        const uptrendAnalysis = this.detectUptrend(safeIndicators);
+        if (uptrendAnalysis.isUptrend) {
+          const uptrendBonus = 15;
+          score += uptrendBonus;
+          console.log(`   🎯 Bônus de tendência de alta: +${uptrendBonus} pontos`);
+          details.uptrendAnalysis = { ...uptrendAnalysis, bonusApplied: uptrendBonus };
+        }
       }
 
       // Score bruto antes de variações
@@ -361,6 +392,47 @@ class SignalScoringService {
     return { isDowntrend, score: trendScore, details };
   }
 
+  /**
+   * Espelho de detectDowntrend para sinais de compra (RSI baixo, MACD cruzando para cima, banda inferior)
+   */
+  detectUptrend(indicators) {
+    const { rsi, macd, bollingerBands } = indicators || {};
+    let trendScore = 0;
+    const details = [];
+
+    if (Number.isFinite(rsi)) {
+      if (rsi < 30) { trendScore += 0.4; details.push(`RSI baixo (${rsi.toFixed(2)})`); }
+      else if (rsi < 40) { trendScore += 0.2; details.push(`RSI moderado (${rsi.toFixed(2)})`); }
+    }
+
+    if (macd && Number.isFinite(macd.histogram)) {
+      if (macd.histogram > 0 && Number.isFinite(macd.MACD) && Number.isFinite(macd.signal) && macd.MACD > macd.signal) {
+        trendScore += 0.3; details.push('MACD cruzamento para cima');
+      } else if (macd.histogram > 0) {
+        trendScore += 0.15; details.push('MACD positivo');
+      }
+    }
+
+    if (bollingerBands?.lower && bollingerBands?.middle && Number.isFinite(bollingerBands.close)) {
+      const price = bollingerBands.close;
+      const denom = (bollingerBands.middle - bollingerBands.lower);
+      if (denom > 0) {
+        const distanceToLower = (bollingerBands.middle - price) / denom;
+        if (distanceToLower > 0.7) {
+          trendScore += 0.3;
+          details.push(`Preço próximo à banda inferior (${(distanceToLower * 100).toFixed(1)}%)`);
+        }
+      }
+    }
+
+    const isUptrend = trendScore > 0.6;
+    if (isUptrend) {
+      console.log(`📈 TENDÊNCIA DE ALTA DETECTADA (Score: ${(trendScore * 100).toFixed(1)}/100)`);
+      console.log(`   Fatores: ${details.join(', ')}`);
+    }
+    return { isUptrend, score: trendScore, details };
+  }
+
   /**
    * Variação determinística por qualidade (sem aleatoriedade)
    */
@@ -790,6 +862,7 @@ class SignalScoringService {
   /**
    * Calcula níveis de trading (compatível)
    * - Usa ATR se disponível; caso contrário, percentuais do TRADING_CONFIG
+   * - BULLISH = long; qualquer outra tendência = short (alvos abaixo, stop acima), como no emissor
    */
   calculateTradingLevels(entryPrice, trend = 'BULLISH', indicators = null) {
     const entry = entryPrice;
@@ -802,8 +875,9 @@ class SignalScoringService {
 
     if (atr && atr > 0) {
       // R-multiples: 1R..6R
-      const r = 1.2 * atr;                 // 1R base levemente conservador
       const targetR = [1, 2, 3, 4, 5, 6];  // 6 alvos
+      // 1R base levemente conservador; no short, limitado para o último alvo ficar acima de zero
+      const r = isLong ? 1.2 * atr : Math.min(1.2 * atr, entry / (targetR.length + 1));
       if (isLong) {
         targets = targetR.map(m => entry + m * r);
         stopLoss = entry - 1.5 * r;        // ~1.5R
@@ -832,7 +906,7 @@ class SignalScoringService {
       riskRewardRatio = (tpPercents[0] ?? 1.2) / slPercent;
     }
 
-    return { entry, targets, stopLoss, riskRewardRatio };
+    return { entry, targets, stopLoss, riskRewardRatio, side: isLong ? 'LONG' : 'SHORT' };
   }
 }
 
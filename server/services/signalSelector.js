@@ -0,0 +1,211 @@
+/**
+ * Seleção dos sinais do ciclo de análise
+ *
+ * Em vez de emitir só o melhor candidato, ranqueia todos os válidos (score desc) e aprova em ordem enquanto:
+ * - Cotas: MAX_PER_CYCLE no ciclo, MAX_SIGNALS_PER_WINDOW na janela global e MAX_SIGNALS_PER_PAIR por símbolo
+ *   na janela do par (histórico = sinais efetivamente emitidos, via signal.emitted)
+ * - Diversificação: posições na mesma direção efetiva do BTC entre pares muito correlacionados (|ρ| alto)
+ *   não passam de MAX_CORRELATED_SAME_SIDE, contando as já abertas
+ * - Orçamento de risco: distância entrada→stop (%) somada das posições abertas + aprovadas ≤ MAX_OPEN_RISK_PCT
+ *
+ * O risco por símbolo (RiskManagement) e o pré-check do emissor continuam valendo para cada aprovado; o ciclo
+ * chama select() de novo com os que sobraram quando um aprovado cai ali (reposição pelo próximo do ranking)
+ *
+ * Variáveis de ambiente: ver RATE_LIMITING e SIGNAL_SELECTION_CONFIG em constants.js
+ */
+
+import { RATE_LIMITING, SIGNAL_SELECTION_CONFIG } from '../config/constants.js';
+
+function envNumber(env, name, fallback) {
+  const value = Number(env[name]);
+  return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Distância até o stop em % da entrada; stop já no lucro (após TP) = 0
+ */
+export function stopDistancePct(entry, stopLoss, trend) {
+  const e = Number(entry);
+  const s = Number(stopLoss);
+  if (!(e > 0) || !Number.isFinite(s)) return 0;
+  const distance = trend === 'BULLISH' ? e - s : s - e;
+  return Math.max(0, (distance / e) * 100);
+}
+
+class SignalSelector {
+  /**
+   * @param {Object} [options]
+   *  - env (padrão process.env), now (relógio; replay passa o ReplayClock)
+   *  - sobrescritas diretas: perCycle, perWindow, perPair, maxCorrelated, maxOpenRiskPct
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    const cfg = SIGNAL_SELECTION_CONFIG;
+    this.now = options.now || (() => Date.now());
+
+    this.perCycle = Math.floor(options.perCycle ?? envNumber(env, 'SIGNALS_PER_CYCLE', cfg.MAX_PER_CYCLE));
+    this.windowMs = RATE_LIMITING.GLOBAL_SIGNAL_COOLDOWN_MS;
+    this.perWindow = Math.floor(options.perWindow ?? envNumber(env, 'SIGNALS_PER_WINDOW', RATE_LIMITING.MAX_SIGNALS_PER_WINDOW));
+    this.pairWindowMs = RATE_LIMITING.PAIR_COOLDOWN_MS;
+    this.perPair = Math.floor(options.perPair ?? envNumber(env, 'SIGNALS_PER_PAIR', RATE_LIMITING.MAX_SIGNALS_PER_PAIR));
+    this.correlationThreshold = cfg.CORRELATION_THRESHOLD;
+    this.maxCorrelated = Math.floor(options.maxCorrelated ?? envNumber(env, 'SIGNAL_MAX_CORRELATED', cfg.MAX_CORRELATED_SAME_SIDE));
+    this.maxOpenRiskPct = options.maxOpenRiskPct ?? envNumber(env, 'SIGNAL_MAX_OPEN_RISK_PCT', cfg.MAX_OPEN_RISK_PCT);
+    this.historyLimit = cfg.HISTORY_LIMIT;
+
+    this.history = []; // sinais emitidos: { symbol, timeframe, at }
+    this.correlations = new Map(); // monitorId → ρ com o BTC no momento da emissão
+    this.lastSelection = null;
+    this.storage = null;
+  }
+
+  /**
+   * Recarrega histórico de emissões e ρ das posições abertas (cotas sobrevivem ao restart)
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+    const history = storage?.get('selection', 'history');
+    const correlations = storage?.get('selection', 'correlations');
+    if (Array.isArray(history)) this.history = history;
+    if (correlations && typeof correlations === 'object') this.correlations = new Map(Object.entries(correlations));
+    if (this.history.length) console.log(`💾 Seleção: ${this.history.length} emissão(ões) no histórico de cotas`);
+  }
+
+  _persist() {
+    if (!this.storage) return;
+    this.storage.set('selection', 'history', this.history);
+    this.storage.set('selection', 'correlations', Object.fromEntries(this.correlations));
+  }
+
+  /**
+   * Emissões contam nas cotas; encerramentos liberam a posição do cálculo de correlação
+   */
+  attachEventBus(bus) {
+    bus.on('signal.emitted', (e) => this.recordEmitted(e));
+    bus.on('monitor.closed', (e) => {
+      if (this.correlations.delete(e.monitorId)) this._persist();
+    });
+  }
+
+  recordEmitted({ symbol, timeframe, monitorId, btcRho }) {
+    this.history.push({ symbol, timeframe, at: this.now() });
+    if (this.history.length > this.historyLimit) this.history.splice(0, this.history.length - this.historyLimit);
+    if (monitorId && Number.isFinite(btcRho)) this.correlations.set(monitorId, btcRho);
+    this._persist();
+  }
+
+  // =================== SELEÇÃO ===================
+
+  /**
+   * +1 / -1: direção da exposição ao BTC (long em par com ρ alto = long BTC); 0 = pouco correlacionado
+   */
+  _btcSide(trend, rho) {
+    if (!Number.isFinite(rho) || Math.abs(rho) < this.correlationThreshold) return 0;
+    return (trend === 'BULLISH' ? 1 : -1) * Math.sign(rho);
+  }
+
+  /**
+   * Exposição atual: risco aberto e contagem por direção do BTC das posições ativas
+   * @param {Map|Array} openMonitors - monitores do TelegramBotService
+   */
+  exposure(openMonitors = []) {
+    const open = Array.from(openMonitors.values ? openMonitors.values() : openMonitors).filter((m) => m.status === 'ACTIVE');
+    const bySide = { 1: 0, [-1]: 0 };
+    let riskPct = 0;
+    for (const monitor of open) {
+      riskPct += stopDistancePct(monitor.entry, monitor.stopLoss, monitor.trend);
+      const side = this._btcSide(monitor.trend, this.correlations.get(monitor.id));
+      if (side) bySide[side]++;
+    }
+    return { positions: open.length, riskPct, correlatedLong: bySide[1], correlatedShort: bySide[-1] };
+  }
+
+  /**
+   * @param {Array<Object>} candidates - { symbol, timeframe, score, trend, entryPrice, stopLoss, btcRho, ... }
+   * @param {Object} [context] - openMonitors (Map do TelegramBotService); slots: vagas restantes no ciclo
+   *   (padrão MAX_PER_CYCLE; a reposição passa o que sobrou)
+   * @returns {{ selected: Object[], rejected: Array<{ candidate, stage, reason }> }}
+   */
+  select(candidates, { openMonitors = [], slots = this.perCycle } = {}) {
+    const now = this.now();
+    const ranked = [...candidates].sort((a, b) => b.score - a.score);
+    const inWindow = this.history.filter((h) => now - h.at < this.windowMs);
+    const byPair = new Map();
+    for (const h of this.history) {
+      if (now - h.at < this.pairWindowMs) byPair.set(h.symbol, (byPair.get(h.symbol) || 0) + 1);
+    }
+    const exposure = this.exposure(openMonitors);
+    const bySide = { 1: exposure.correlatedLong, [-1]: exposure.correlatedShort };
+    let riskPct = exposure.riskPct;
+    let windowUsed = inWindow.length;
+
+    const selected = [];
+    const rejected = [];
+    for (const candidate of ranked) {
+      const reject = (stage, reason) => rejected.push({ candidate, stage, reason });
+      const risk = stopDistancePct(candidate.entryPrice, candidate.stopLoss, candidate.trend);
+      const side = this._btcSide(candidate.trend, candidate.btcRho);
+
+      if (selected.length >= slots) {
+        reject('selection', `fora do top ${this.perCycle} do ciclo`);
+      } else if (windowUsed >= this.perWindow) {
+        const oldest = inWindow[0]?.at ?? now;
+        const remainingMin = Math.max(1, Math.ceil((this.windowMs - (now - oldest)) / 60000));
+        reject('rate_limit', `cota global ${this.perWindow}/${this.windowMs / 3600000}h atingida (próxima vaga em ${remainingMin} min)`);
+      } else if ((byPair.get(candidate.symbol) || 0) >= this.perPair) {
+        reject('rate_limit', `cota do par ${this.perPair}/${this.pairWindowMs / 3600000}h atingida`);
+      } else if (side && bySide[side] >= this.maxCorrelated) {
+        reject('selection', `${bySide[side]} posição(ões) ${side > 0 ? 'long' : 'short'} de BTC correlacionadas (ρ=${candidate.btcRho.toFixed(2)})`);
+      } else if (riskPct + risk > this.maxOpenRiskPct) {
+        reject('selection', `orçamento de risco: ${riskPct.toFixed(1)}% + ${risk.toFixed(1)}% > ${this.maxOpenRiskPct}%`);
+      } else {
+        selected.push({ ...candidate, rank: selected.length + 1 });
+        windowUsed++;
+        byPair.set(candidate.symbol, (byPair.get(candidate.symbol) || 0) + 1);
+        if (side) bySide[side]++;
+        riskPct += risk;
+      }
+    }
+
+    this.lastSelection = {
+      at: now,
+      candidates: ranked.length,
+      selected: selected.map(({ symbol, timeframe, score, trend, rank }) => ({ symbol, timeframe, score, trend, rank })),
+      rejected: rejected.map(({ candidate, stage, reason }) => ({
+        symbol: candidate.symbol,
+        timeframe: candidate.timeframe,
+        score: candidate.score,
+        stage,
+        reason,
+      })),
+      openRiskPct: Number(riskPct.toFixed(2)),
+    };
+    return { selected, rejected };
+  }
+
+  // =================== STATUS ===================
+
+  /**
+   * @param {Map|Array} [openMonitors] - monitores ativos para a exposição atual
+   */
+  getStatus(openMonitors) {
+    const now = this.now();
+    return {
+      limits: {
+        perCycle: this.perCycle,
+        perWindow: this.perWindow,
+        windowMs: this.windowMs,
+        perPair: this.perPair,
+        pairWindowMs: this.pairWindowMs,
+        correlationThreshold: this.correlationThreshold,
+        maxCorrelatedSameSide: this.maxCorrelated,
+        maxOpenRiskPct: this.maxOpenRiskPct,
+      },
+      windowUsed: this.history.filter((h) => now - h.at < this.windowMs).length,
+      ...(openMonitors ? { exposure: this.exposure(openMonitors) } : {}),
+      lastSelection: this.lastSelection,
+    };
+  }
+}
+
+export default SignalSelector;
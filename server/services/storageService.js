@@ -0,0 +1,267 @@
+/**
+ * Serviço de persistência (camada plugável)
+ * - Backends: 'json' (arquivo único, escrita atômica) e 'memory' (testes/efêmero)
+ * - Estado organizado em coleções chave→valor (signals, monitors, adaptive, risk, performance)
+ * - Write-through: set()/delete() atualizam a memória na hora e agendam flush (debounce)
+ * - Migrações de schema versionadas, aplicadas no init() antes de qualquer leitura
+ *
+ * Variáveis de ambiente:
+ *  - STORAGE_DRIVER: 'json' (padrão) | 'memory'
+ *  - STORAGE_PATH: caminho do arquivo JSON (padrão: data/bot-state.json)
+ *  - STORAGE_FLUSH_MS: atraso do flush em ms (padrão: 500)
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Storage');
+
+const DEFAULT_PATH = path.resolve(process.cwd(), 'data', 'bot-state.json');
+const DEFAULT_FLUSH_MS = 500;
+
+/**
+ * Migrações de schema. Cada item recebe o estado bruto e o devolve migrado.
+ * NUNCA altere uma migração já publicada — adicione uma nova versão.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Coleções iniciais (signals, monitors, adaptive, risk, performance)',
+    up(state) {
+      const collections = state.collections || {};
+      for (const name of ['signals', 'monitors', 'adaptive', 'risk', 'performance']) {
+        if (!collections[name] || typeof collections[name] !== 'object') collections[name] = {};
+      }
+      return { ...state, collections };
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// =================== BACKENDS ===================
+
+/**
+ * Backend em memória: não sobrevive a restart (útil para testes e modo efêmero)
+ */
+export class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.snapshot = null;
+  }
+
+  async load() {
+    return this.snapshot ? JSON.parse(this.snapshot) : null;
+  }
+
+  async save(state) {
+    this.snapshot = JSON.stringify(state);
+  }
+
+  saveSync(state) {
+    this.snapshot = JSON.stringify(state);
+  }
+}
+
+/**
+ * Backend em arquivo JSON: grava em arquivo temporário e renomeia (atômico)
+ */
+export class JsonFileBackend {
+  constructor(filePath = DEFAULT_PATH) {
+    this.name = 'json';
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      const raw = await fsp.readFile(this.filePath, 'utf8');
+      return raw.trim() ? JSON.parse(raw) : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // arquivo corrompido: preserva cópia para inspeção e começa do zero
+      const backup = `${this.filePath}.corrupt-${Date.now()}`;
+      try {
+        await fsp.rename(this.filePath, backup);
+      } catch (_) {}
+      logger.error(`Arquivo de estado ilegível (${error.message}) — cópia salva em ${backup}`);
+      return null;
+    }
+  }
+
+  async save(state) {
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(state), 'utf8');
+    await fsp.rename(tmp, this.filePath);
+  }
+
+  saveSync(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state), 'utf8');
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+function createBackend(driver, filePath) {
+  switch (String(driver || 'json').toLowerCase()) {
+    case 'memory':
+      return new MemoryBackend();
+    case 'json':
+    default:
+      return new JsonFileBackend(filePath);
+  }
+}
+
+// =================== SERVIÇO ===================
+
+class StorageService {
+  constructor(options = {}) {
+    this.backend =
+      options.backend ||
+      createBackend(options.driver || process.env.STORAGE_DRIVER, options.path || process.env.STORAGE_PATH || DEFAULT_PATH);
+    this.flushDelayMs = Number(options.flushDelayMs ?? process.env.STORAGE_FLUSH_MS ?? DEFAULT_FLUSH_MS);
+
+    this.state = { schemaVersion: 0, collections: {} };
+    this.isReady = false;
+
+    this._flushTimer = null;
+    this._flushing = null;
+    this._dirty = false;
+    this._changes = 0; // alterações desde o boot: flush só limpa _dirty se nada mudou durante o save
+  }
+
+  /**
+   * Carrega o estado do backend e aplica migrações pendentes
+   */
+  async init() {
+    if (this.isReady) return this;
+
+    const loaded = await this.backend.load();
+    const state = loaded && typeof loaded === 'object' ? loaded : { schemaVersion: 0, collections: {} };
+    const { state: migrated, applied } = this._migrate(state);
+    this.state = migrated;
+    this.isReady = true;
+
+    if (applied.length > 0) {
+      applied.forEach((m) => logger.info(`Migração v${m.version} aplicada: ${m.description}`));
+      await this.flush();
+    }
+
+    const counts = Object.entries(this.state.collections)
+      .map(([name, items]) => `${name}=${Object.keys(items).length}`)
+      .join(', ');
+    console.log(`💾 Storage pronto (${this.backend.name}, schema v${this.state.schemaVersion}) — ${counts}`);
+    return this;
+  }
+
+  _migrate(state) {
+    const applied = [];
+    let current = { schemaVersion: Number(state.schemaVersion) || 0, collections: state.collections || {} };
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= current.schemaVersion) continue;
+      current = migration.up(current);
+      current.schemaVersion = migration.version;
+      applied.push(migration);
+    }
+
+    if (current.schemaVersion > SCHEMA_VERSION) {
+      logger.warn(`Estado com schema v${current.schemaVersion} > suportado v${SCHEMA_VERSION} — mantendo como está`);
+    }
+    return { state: current, applied };
+  }
+
+  _collection(name) {
+    if (!this.state.collections[name]) this.state.collections[name] = {};
+    return this.state.collections[name];
+  }
+
+  // =================== API CHAVE→VALOR ===================
+
+  get(collection, key, fallback = null) {
+    const items = this._collection(collection);
+    return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : fallback;
+  }
+
+  /**
+   * Grava um valor serializável (cópia profunda via JSON — Map/Set devem ser convertidos antes)
+   */
+  set(collection, key, value) {
+    this._collection(collection)[key] = JSON.parse(JSON.stringify(value ?? null));
+    this._scheduleFlush();
+    return value;
+  }
+
+  delete(collection, key) {
+    const items = this._collection(collection);
+    if (!Object.prototype.hasOwnProperty.call(items, key)) return false;
+    delete items[key];
+    this._scheduleFlush();
+    return true;
+  }
+
+  /**
+   * Lista os valores de uma coleção (ordem de inserção)
+   */
+  list(collection) {
+    return Object.values(this._collection(collection));
+  }
+
+  entries(collection) {
+    return Object.entries(this._collection(collection));
+  }
+
+  // =================== FLUSH ===================
+
+  _scheduleFlush() {
+    this._dirty = true;
+    this._changes++;
+    if (!this.isReady || this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this.flush().catch((e) => logger.error(`Falha no flush: ${e.message}`));
+    }, Math.max(0, this.flushDelayMs));
+    if (typeof this._flushTimer.unref === 'function') this._flushTimer.unref();
+  }
+
+  /**
+   * Persiste o estado atual — flushes concorrentes entram numa fila única (um save por vez no backend);
+   * save que falha mantém o estado sujo para o próximo flush / shutdown
+   */
+  flush() {
+    const save = async () => {
+      const changes = this._changes;
+      await this.backend.save(this.state);
+      if (this._changes === changes) this._dirty = false;
+    };
+    const current = (this._flushing || Promise.resolve()).catch(() => {}).then(save);
+    this._flushing = current;
+    return current.finally(() => {
+      if (this._flushing === current) this._flushing = null;
+    });
+  }
+
+  /**
+   * Flush síncrono — usado no shutdown (SIGINT/SIGTERM)
+   */
+  flushSync() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    // antes do init() o estado em memória está vazio — gravar apagaria o arquivo
+    if (!this.isReady || !this._dirty) return;
+    try {
+      this.backend.saveSync(this.state);
+      this._dirty = false;
+      console.log('💾 Estado persistido no shutdown');
+    } catch (error) {
+      logger.error(`Falha ao persistir no shutdown: ${error.message}`);
+    }
+  }
+}
+
+export default StorageService;
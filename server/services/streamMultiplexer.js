@@ -0,0 +1,341 @@
+/**
+ * Multiplexador de streams WebSocket de uma venue
+ * - Uma conexão combinada por endpoint (estilo Binance /stream?streams=a/b/c), até
+ *   MAX_TOPICS_PER_CONNECTION tópicos; assinaturas novas entram via mensagem de subscribe
+ * - Refcount por tópico: vários assinantes do mesmo kline/ticker dividem a mesma stream;
+ *   o unsubscribe só sai quando o último handle é fechado
+ * - Callbacks por assinante: onCandle (só candles fechados) e onTick (todo update intrabar / ticker)
+ * - Heartbeat (ping) e detecção de conexão parada (STALE_MS sem mensagens → reabre)
+ * - Reconexão com backoff exponencial + jitter; após FAILOVER_AFTER_ATTEMPTS falhas seguidas
+ *   avisa os assinantes (onDisconnect) para o roteador trocar de venue
+ *
+ * O provedor define o dialeto da venue: _wsEndpoint, _wsTopic, _wsConnectUrl, _wsSubscribeMessage,
+ * _wsUnsubscribeMessage, _wsPingMessage e _parseStreamMessage (ver MarketDataProvider).
+ */
+
+import { STREAM_CONFIG } from '../config/constants.js';
+
+function asList(msg) {
+  if (!msg) return [];
+  return Array.isArray(msg) ? msg : [msg];
+}
+
+export default class StreamMultiplexer {
+  /**
+   * @param {MarketDataProvider} provider
+   * @param {Object} [options] - sobrescreve STREAM_CONFIG (PING_MS, STALE_MS, ...) e `WebSocket` (injeção)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.config = { ...STREAM_CONFIG, ...(options.config || {}) };
+    this.WS = options.WebSocket || null;
+
+    this.connections = new Set();
+    this.topics = new Map(); // tópico → { topic, channel, symbol, interval, endpoint, subs, conn }
+    this.nextConnId = 1;
+  }
+
+  async _loadWs() {
+    if (this.WS) return this.WS;
+    try {
+      const mod = await import('ws');
+      this.WS = mod.default || mod;
+    } catch (err) {
+      console.warn('[MarketData] Pacote "ws" não encontrado. Desative WS ou adicione "ws" nas dependências.');
+      return null;
+    }
+    return this.WS;
+  }
+
+  /**
+   * Assina um tópico. Retorna { venue, lastSeen, close() } ou null sem o pacote 'ws'.
+   * @param {Object} spec - { channel: 'kline'|'ticker', symbol, interval?, onCandle?, onTick?, onDisconnect? }
+   */
+  async subscribe(spec) {
+    if (!(await this._loadWs())) return null;
+
+    const { channel = 'kline', symbol, interval = null } = spec;
+    const topic = this.provider._wsTopic(channel, symbol, interval);
+    let entry = this.topics.get(topic);
+    if (!entry) {
+      entry = {
+        topic,
+        channel,
+        symbol,
+        interval,
+        endpoint: this.provider._wsEndpoint(channel),
+        subs: new Set(),
+        conn: null,
+        lastSeen: Date.now(),
+      };
+      this.topics.set(topic, entry);
+      this._attach(entry);
+    }
+
+    const sub = { onCandle: spec.onCandle, onTick: spec.onTick, onDisconnect: spec.onDisconnect };
+    entry.subs.add(sub);
+
+    const venue = this.provider.name;
+    let closed = false;
+    return {
+      venue,
+      topic,
+      get lastSeen() {
+        return entry.lastSeen;
+      },
+      close: () => {
+        if (closed) return;
+        closed = true;
+        entry.subs.delete(sub);
+        if (entry.subs.size === 0) this._detach(entry);
+      },
+    };
+  }
+
+  // =================== CONEXÕES ===================
+
+  _attach(entry) {
+    let conn = [...this.connections].find(
+      (c) => c.endpoint === entry.endpoint && c.topics.size < this.config.MAX_TOPICS_PER_CONNECTION
+    );
+    if (!conn) {
+      conn = {
+        id: this.nextConnId++,
+        endpoint: entry.endpoint,
+        topics: new Set(),
+        urlTopics: new Set(),
+        ws: null,
+        open: false,
+        closing: false,
+        attempts: 0,
+        failedOver: false,
+        lastSeen: 0,
+        timers: {},
+      };
+      this.connections.add(conn);
+    }
+    entry.conn = conn;
+    conn.topics.add(entry.topic);
+
+    if (conn.open) {
+      this._send(conn, this.provider._wsSubscribeMessage([entry.topic]));
+    } else if (!conn.ws && !conn.timers.connect && !conn.timers.reconnect) {
+      // adia a abertura: assinaturas feitas no mesmo ciclo entram na mesma URL combinada
+      conn.timers.connect = setTimeout(() => {
+        conn.timers.connect = null;
+        this._connect(conn);
+      }, 0);
+    }
+  }
+
+  _detach(entry) {
+    this.topics.delete(entry.topic);
+    const conn = entry.conn;
+    if (!conn) return;
+    conn.topics.delete(entry.topic);
+    if (conn.topics.size === 0) {
+      this._closeConnection(conn);
+      return;
+    }
+    if (conn.open) this._send(conn, this.provider._wsUnsubscribeMessage([entry.topic]));
+  }
+
+  _connect(conn) {
+    if (conn.closing || conn.topics.size === 0) return;
+    const topics = [...conn.topics];
+    const url = this.provider._wsConnectUrl(conn.endpoint, topics);
+    conn.urlTopics = new Set(this.provider.wsTopicsInUrl ? topics : []);
+
+    let ws;
+    try {
+      ws = new this.WS(url);
+    } catch (err) {
+      console.warn(`[MarketData][WS] ${this.provider.name} falha ao abrir ${conn.endpoint}: ${err.message}`);
+      this._scheduleReconnect(conn);
+      return;
+    }
+    conn.ws = ws;
+
+    ws.on('open', () => {
+      conn.open = true;
+      conn.lastSeen = Date.now();
+      const pending = [...conn.topics].filter((t) => !conn.urlTopics.has(t));
+      if (pending.length) this._send(conn, this.provider._wsSubscribeMessage(pending));
+      this._startHeartbeat(conn);
+      console.log(`[MarketData][WS] ${this.provider.name} conectado (${conn.topics.size} stream(s)) #${conn.id}`);
+    });
+
+    ws.on('message', (raw) => this._onMessage(conn, raw));
+
+    ws.on('error', (err) => {
+      console.warn(`[MarketData][WS] ${this.provider.name} erro #${conn.id}:`, err?.message || err);
+    });
+
+    ws.on('close', () => {
+      conn.open = false;
+      conn.ws = null;
+      this._stopHeartbeat(conn);
+      if (conn.closing) return;
+      console.log(`[MarketData][WS] ${this.provider.name} conexão #${conn.id} encerrada`);
+      this.provider.markFailure(new Error('WS desconectado'));
+      this._scheduleReconnect(conn);
+    });
+  }
+
+  _scheduleReconnect(conn) {
+    if (conn.closing || conn.topics.size === 0) return;
+    conn.attempts++;
+    const base = Math.min(this.config.RECONNECT_MAX_MS, this.config.RECONNECT_BASE_MS * 2 ** (conn.attempts - 1));
+    const delay = Math.round(base * (0.75 + Math.random() * 0.5));
+
+    if (conn.attempts >= this.config.FAILOVER_AFTER_ATTEMPTS && !conn.failedOver) {
+      conn.failedOver = true;
+      this._notifyDisconnect(conn);
+      if (conn.closing || conn.topics.size === 0) return;
+    }
+
+    console.warn(`[MarketData][WS] ${this.provider.name} reconectando #${conn.id} em ${delay}ms (tentativa ${conn.attempts})`);
+    conn.timers.reconnect = setTimeout(() => {
+      conn.timers.reconnect = null;
+      this._connect(conn);
+    }, delay);
+  }
+
+  // Assinantes com failover (roteador) migram para outra venue; o refcount fecha a conexão se ninguém ficar
+  _notifyDisconnect(conn) {
+    const subs = [];
+    for (const topic of conn.topics) {
+      for (const sub of this.topics.get(topic)?.subs || []) subs.push(sub);
+    }
+    for (const sub of subs) {
+      if (typeof sub.onDisconnect !== 'function') continue;
+      try {
+        sub.onDisconnect();
+      } catch (err) {
+        console.warn(`[MarketData][WS] onDisconnect falhou: ${err.message}`);
+      }
+    }
+  }
+
+  _closeConnection(conn) {
+    conn.closing = true;
+    for (const key of Object.keys(conn.timers)) clearTimeout(conn.timers[key]);
+    this._stopHeartbeat(conn);
+    this.connections.delete(conn);
+    if (conn.ws) {
+      try {
+        conn.ws.close();
+      } catch (_) {}
+    }
+  }
+
+  // =================== HEARTBEAT ===================
+
+  _startHeartbeat(conn) {
+    this._stopHeartbeat(conn);
+    const ping = this.provider._wsPingMessage();
+    conn.timers.ping = setInterval(() => {
+      try {
+        if (ping) conn.ws?.send(typeof ping === 'string' ? ping : JSON.stringify(ping));
+        else conn.ws?.ping?.();
+      } catch (_) {}
+    }, this.config.PING_MS);
+
+    conn.timers.stale = setInterval(() => {
+      const idle = Date.now() - conn.lastSeen;
+      if (!conn.open || idle <= this.config.STALE_MS) return;
+      console.warn(`[MarketData][WS] ${this.provider.name} #${conn.id} sem mensagens há ${Math.round(idle / 1000)}s — reabrindo`);
+      try {
+        if (conn.ws?.terminate) conn.ws.terminate();
+        else conn.ws?.close();
+      } catch (_) {}
+    }, Math.max(1000, Math.round(this.config.STALE_MS / 3)));
+  }
+
+  _stopHeartbeat(conn) {
+    clearInterval(conn.timers.ping);
+    clearInterval(conn.timers.stale);
+    conn.timers.ping = null;
+    conn.timers.stale = null;
+  }
+
+  _send(conn, msg) {
+    for (const m of asList(msg)) {
+      try {
+        conn.ws?.send(typeof m === 'string' ? m : JSON.stringify(m));
+      } catch (err) {
+        console.warn(`[MarketData][WS] ${this.provider.name} falha ao enviar: ${err.message}`);
+      }
+    }
+  }
+
+  // =================== MENSAGENS ===================
+
+  _onMessage(conn, raw) {
+    conn.lastSeen = Date.now();
+    const text = raw.toString();
+    if (text === 'pong') return;
+
+    let events;
+    try {
+      events = this.provider._parseStreamMessage(JSON.parse(text)) || [];
+    } catch (e) {
+      console.warn(`[MarketData][WS] ${this.provider.name} erro ao parsear mensagem:`, e.message);
+      return;
+    }
+    if (events.length === 0) return;
+
+    // dados chegando: a conexão está saudável de novo
+    conn.attempts = 0;
+    conn.failedOver = false;
+    this.provider.markSuccess();
+    for (const event of events) this._dispatch(event);
+  }
+
+  _dispatch(event) {
+    const entry = this.topics.get(event.topic);
+    if (!entry) return;
+    entry.lastSeen = Date.now();
+    const venue = this.provider.name;
+
+    for (const sub of [...entry.subs]) {
+      try {
+        if (event.type === 'kline') {
+          const candle = { ...event.candle, symbol: entry.symbol, interval: entry.interval, venue };
+          if (sub.onTick) {
+            sub.onTick({ symbol: entry.symbol, price: candle.close, time: Date.now(), isClosed: candle.isClosed, candle, venue });
+          }
+          if (candle.isClosed && sub.onCandle) sub.onCandle(candle);
+        } else if (event.type === 'ticker' && sub.onTick) {
+          sub.onTick({ symbol: entry.symbol, price: event.price, time: event.time || Date.now(), venue });
+        }
+      } catch (err) {
+        console.warn(`[MarketData][WS] callback ${entry.topic} falhou: ${err.message}`);
+      }
+    }
+  }
+
+  // =================== STATUS ===================
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      venue: this.provider.name,
+      topics: this.topics.size,
+      subscribers: [...this.topics.values()].reduce((n, e) => n + e.subs.size, 0),
+      connections: [...this.connections].map((c) => ({
+        id: c.id,
+        endpoint: c.endpoint,
+        open: c.open,
+        topics: c.topics.size,
+        reconnectAttempts: c.attempts,
+        idleMs: c.lastSeen ? now - c.lastSeen : null,
+      })),
+    };
+  }
+
+  closeAll() {
+    for (const conn of [...this.connections]) this._closeConnection(conn);
+    this.topics.clear();
+  }
+}
@@ -0,0 +1,439 @@
+/**
+ * Universo dinâmico de símbolos analisados pelo bot
+ *
+ * - Fonte: contratos lineares USDT da venue (UNIVERSE_CONFIG.VENUE); markets carregados via
+ *   binanceService._ensureMarkets e recarregados a cada refresh para pegar delist/suspensão
+ * - Filtros: volume 24h, open interest, idade de listagem e spread; teto MAX_SYMBOLS por volume
+ * - Listas manuais: include força a entrada (desde que o contrato negocie), exclude sempre tira;
+ *   começam no env e as edições da API ficam no storage (coleção 'universe')
+ * - Cada símbolo avaliado guarda o motivo de estar dentro ou fora (GET /api/universe)
+ * - Venue fora do ar: mantém o último universo; sem nenhum, lista fixa CRYPTO_SYMBOLS
+ *
+ * Variáveis de ambiente: ver UNIVERSE_CONFIG em constants.js
+ */
+
+import { CRYPTO_SYMBOLS, UNIVERSE_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Universe');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function parseSymbols(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((s) => normalizeSymbol(s))
+    .filter(Boolean);
+}
+
+/**
+ * "btc", "BTCUSDT" ou "btc/usdt" → "BTC/USDT"
+ */
+export function normalizeSymbol(raw, quote = UNIVERSE_CONFIG.QUOTE) {
+  const s = String(raw || '').trim().toUpperCase().split(':')[0];
+  if (!s) return null;
+  if (s.includes('/')) return s;
+  return s.endsWith(quote) && s.length > quote.length ? `${s.slice(0, -quote.length)}/${quote}` : `${s}/${quote}`;
+}
+
+function envNumber(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  if (Number.isFinite(value) && value >= 0) return value;
+  logger.warn(`${name} inválido (${env[name]}) — usando ${fallback}`);
+  return fallback;
+}
+
+function formatUsd(value) {
+  if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(0)}k`;
+  return String(Math.round(value));
+}
+
+class SymbolUniverseService {
+  /**
+   * @param {Object} options
+   *  - binanceService: listContracts / fetchTickers / fetchOpenInterest
+   *  - env (padrão process.env), now (relógio), enabled (força liga/desliga — replay usa a lista fixa)
+   *  - staticSymbols: base do modo fixo/fallback (padrão CRYPTO_SYMBOLS)
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.binanceService = options.binanceService || null;
+    this.now = options.now || (() => Date.now());
+    this.staticSymbols = options.staticSymbols || CRYPTO_SYMBOLS;
+
+    this.enabled = options.enabled ?? String(env.UNIVERSE_ENABLED ?? UNIVERSE_CONFIG.ENABLED).toLowerCase() !== 'false';
+    this.venue = String(env.UNIVERSE_VENUE || UNIVERSE_CONFIG.VENUE).toLowerCase();
+    this.quote = UNIVERSE_CONFIG.QUOTE;
+    this.criteria = {
+      minVolumeUsdt: envNumber(env, 'UNIVERSE_MIN_VOLUME_USDT', UNIVERSE_CONFIG.MIN_VOLUME_USDT),
+      minOpenInterestUsdt: envNumber(env, 'UNIVERSE_MIN_OPEN_INTEREST_USDT', UNIVERSE_CONFIG.MIN_OPEN_INTEREST_USDT),
+      minListingDays: envNumber(env, 'UNIVERSE_MIN_LISTING_DAYS', UNIVERSE_CONFIG.MIN_LISTING_DAYS),
+      maxSpreadPct: envNumber(env, 'UNIVERSE_MAX_SPREAD_PCT', UNIVERSE_CONFIG.MAX_SPREAD_PCT),
+      maxSymbols: Math.floor(envNumber(env, 'UNIVERSE_MAX_SYMBOLS', UNIVERSE_CONFIG.MAX_SYMBOLS)),
+    };
+    this.refreshMs = envNumber(env, 'UNIVERSE_REFRESH_MINUTES', UNIVERSE_CONFIG.REFRESH_MINUTES) * 60 * 1000;
+
+    this.manual = {
+      include: new Set(env.UNIVERSE_INCLUDE !== undefined ? parseSymbols(env.UNIVERSE_INCLUDE) : UNIVERSE_CONFIG.INCLUDE),
+      exclude: new Set(env.UNIVERSE_EXCLUDE !== undefined ? parseSymbols(env.UNIVERSE_EXCLUDE) : UNIVERSE_CONFIG.EXCLUDE),
+    };
+
+    this.storage = null;
+    this.events = null;
+    this.timer = null;
+    this._refreshing = null;
+
+    // último snapshot da venue: a reavaliação (ex.: edição manual) não precisa ir à exchange
+    this.snapshot = null; // { at, contracts: [...], tickers: {...}, openInterest: { sym: valueUsdt|null } }
+    this.savedSymbols = null; // último universo da exchange salvo no storage (vale até o primeiro refresh)
+    this.evaluations = new Map(); // symbol → { symbol, included, reason, manual, metrics }
+    this.symbols = [];
+    this.source = 'static';
+    this.refreshedAt = null;
+    this.lastError = null;
+    this.lastChange = null; // { at, added, removed }
+
+    this._select({ initial: true });
+  }
+
+  /**
+   * Listas manuais editadas pela API e o último universo (usado até o primeiro refresh do boot)
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+    if (!storage) return;
+    const manual = storage.get('universe', 'manual');
+    if (manual) {
+      this.manual.include = new Set(manual.include || []);
+      this.manual.exclude = new Set(manual.exclude || []);
+    }
+    const current = storage.get('universe', 'current');
+    if (this.enabled && current?.symbols?.length) {
+      this.savedSymbols = current.symbols;
+      this.refreshedAt = current.at || null;
+    }
+    this._select({ initial: true });
+    if (this.savedSymbols) logger.info(`Universo salvo recarregado: ${this.symbols.length} símbolo(s) (aguardando refresh)`);
+  }
+
+  attachEventBus(bus) {
+    this.events = bus;
+  }
+
+  /**
+   * Primeiro refresh (aguardado) + refresh periódico
+   */
+  async start() {
+    if (!this.enabled) {
+      console.log(`🌐 Universo fixo: ${this.symbols.length} símbolo(s) (UNIVERSE_ENABLED=false)`);
+      return;
+    }
+    await this.refresh();
+    if (this.timer || !this.refreshMs) return;
+    this.timer = setInterval(() => {
+      this.refresh().catch((e) => logger.error(`Refresh falhou: ${e.message}`));
+    }, this.refreshMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getSymbols() {
+    return [...this.symbols];
+  }
+
+  has(symbol) {
+    return this.symbols.includes(symbol);
+  }
+
+  // =================== REFRESH ===================
+
+  /**
+   * Recarrega markets + tickers (+ open interest dos candidatos) e recalcula o universo.
+   * Chamadas concorrentes compartilham o mesmo refresh.
+   */
+  async refresh() {
+    if (!this.enabled || !this.binanceService) return this.getStatus();
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => {
+        this._refreshing = null;
+      });
+    }
+    return this._refreshing;
+  }
+
+  async _refresh() {
+    let contracts;
+    let tickers;
+    try {
+      contracts = await this.binanceService.listContracts(this.venue, this.quote, { reload: this.snapshot !== null });
+      if (!contracts.length) throw new Error(`nenhum contrato ${this.quote} carregado de ${this.venue}`);
+      tickers = await this.binanceService.fetchTickers(
+        this.venue,
+        contracts.filter((c) => c.tradable).map((c) => c.symbol)
+      );
+    } catch (err) {
+      this.lastError = err.message;
+      logger.warn(`Refresh do universo falhou (${err.message}) — mantendo ${this.symbols.length} símbolo(s) (${this.source})`);
+      return this.getStatus();
+    }
+
+    const openInterest = await this._fetchOpenInterest(contracts, tickers);
+    this.snapshot = { at: this.now(), contracts, tickers, openInterest };
+    this.lastError = null;
+    this._select();
+    return this.getStatus();
+  }
+
+  /**
+   * Open interest só dos candidatos que passam nos demais filtros (uma chamada por símbolo);
+   * falha na consulta → null (não exclui: melhor analisar do que perder um par líquido)
+   */
+  async _fetchOpenInterest(contracts, tickers) {
+    const out = {};
+    if (!this.criteria.minOpenInterestUsdt) return out;
+    const candidates = contracts.filter((c) => {
+      if (!c.tradable || this.manual.exclude.has(c.symbol)) return false;
+      if (this.manual.include.has(c.symbol)) return true;
+      return this._liquidityReason(c, tickers[c.symbol], {}) === null;
+    });
+    for (const contract of candidates) {
+      try {
+        const oi = await this.binanceService.fetchOpenInterest(this.venue, contract.symbol);
+        const last = tickers[contract.symbol]?.last || 0;
+        out[contract.symbol] = oi.value ?? oi.amount * (contract.contractSize || 1) * last;
+      } catch (err) {
+        out[contract.symbol] = null;
+        logger.warn(`Open interest ${contract.symbol} indisponível: ${err.message}`);
+      }
+    }
+    return out;
+  }
+
+  // =================== SELEÇÃO ===================
+
+  _metrics(contract, ticker, openInterest) {
+    const bid = ticker?.bid || 0;
+    const ask = ticker?.ask || 0;
+    return {
+      status: contract.status,
+      listedAt: contract.listedAt,
+      ageDays: contract.listedAt ? Math.floor((this.now() - contract.listedAt) / DAY) : null,
+      volumeUsdt: ticker ? ticker.quoteVolume : null,
+      openInterestUsdt: openInterest[contract.symbol] ?? null,
+      spreadPct: bid > 0 && ask >= bid ? ((ask - bid) / ((ask + bid) / 2)) * 100 : null,
+    };
+  }
+
+  /**
+   * Primeiro filtro que o contrato não passa (null = passa em todos); métricas desconhecidas não excluem
+   */
+  _liquidityReason(contract, ticker, openInterest) {
+    const m = this._metrics(contract, ticker, openInterest);
+    const c = this.criteria;
+    if (!ticker) return 'sem ticker 24h na venue';
+    if (m.ageDays !== null && m.ageDays < c.minListingDays) return `listado há ${m.ageDays}d (mín. ${c.minListingDays}d)`;
+    if (m.volumeUsdt < c.minVolumeUsdt) return `volume 24h ${formatUsd(m.volumeUsdt)} < ${formatUsd(c.minVolumeUsdt)}`;
+    if (m.spreadPct !== null && m.spreadPct > c.maxSpreadPct) {
+      return `spread ${m.spreadPct.toFixed(3)}% > ${c.maxSpreadPct}%`;
+    }
+    if (m.openInterestUsdt !== null && m.openInterestUsdt < c.minOpenInterestUsdt) {
+      return `open interest ${formatUsd(m.openInterestUsdt)} < ${formatUsd(c.minOpenInterestUsdt)}`;
+    }
+    return null;
+  }
+
+  _manualTag(symbol) {
+    if (this.manual.exclude.has(symbol)) return 'exclude';
+    if (this.manual.include.has(symbol)) return 'include';
+    return null;
+  }
+
+  /**
+   * Recalcula universo e motivos a partir do snapshot (ou da lista fixa) e publica as mudanças
+   * (initial: montagem no boot — sem log, evento nem persistência)
+   */
+  _select({ initial = false } = {}) {
+    const evaluations = this.snapshot ? this._evaluateSnapshot() : this._evaluateStatic();
+    const symbols = evaluations.filter((e) => e.included).map((e) => e.symbol);
+    const previous = this.symbols;
+    const previousSource = this.source;
+
+    this.evaluations = new Map(evaluations.map((e) => [e.symbol, e]));
+    // pares que estavam no universo e sumiram dos markets (delist)
+    for (const symbol of previous) {
+      if (this.evaluations.has(symbol)) continue;
+      this.evaluations.set(symbol, {
+        symbol,
+        included: false,
+        reason: previousSource === 'static' ? `não listado em ${this.venue}` : `não listado em ${this.venue} (delist)`,
+        manual: this._manualTag(symbol),
+        metrics: null,
+      });
+    }
+
+    this.symbols = symbols;
+    this.source = this.snapshot ? 'exchange' : this.savedSymbols ? 'storage' : 'static';
+    if (this.snapshot) this.refreshedAt = this.snapshot.at;
+
+    const added = symbols.filter((s) => !previous.includes(s));
+    const removed = previous.filter((s) => !symbols.includes(s));
+    if (initial || (!added.length && !removed.length)) return;
+    this.lastChange = { at: this.now(), added, removed };
+    // troca de fonte (lista fixa → exchange) mexe em dezenas de pares: só a contagem
+    const describe = (list, fmt) => (list.length > 10 ? `${list.length} símbolo(s)` : list.map(fmt).join(', '));
+    console.log(
+      `🌐 Universo (${this.source}): ${symbols.length} símbolo(s)` +
+        (added.length ? ` | + ${describe(added, (s) => s)}` : '') +
+        (removed.length ? ` | − ${describe(removed, (s) => `${s} (${this.evaluations.get(s)?.reason})`)}` : '')
+    );
+    this._persist();
+    this.events?.emit('universe.updated', { count: symbols.length, added, removed, source: this.source });
+  }
+
+  _evaluateSnapshot() {
+    const { contracts, tickers, openInterest } = this.snapshot;
+    const bySymbol = new Map(contracts.map((c) => [c.symbol, c]));
+    const out = [];
+
+    for (const contract of contracts) {
+      const manual = this._manualTag(contract.symbol);
+      const entry = {
+        symbol: contract.symbol,
+        included: false,
+        reason: null,
+        manual,
+        metrics: this._metrics(contract, tickers[contract.symbol], openInterest),
+      };
+      if (manual === 'exclude') entry.reason = 'exclusão manual';
+      else if (!contract.tradable) entry.reason = `contrato fora de negociação (${contract.status})`;
+      else if (manual === 'include') {
+        entry.included = true;
+        entry.reason = 'inclusão manual';
+      } else {
+        const failed = this._liquidityReason(contract, tickers[contract.symbol], openInterest);
+        entry.included = failed === null;
+        entry.reason = failed || 'passou nos filtros';
+      }
+      out.push(entry);
+    }
+
+    // inclusões manuais que a venue não lista
+    for (const symbol of this.manual.include) {
+      if (bySymbol.has(symbol)) continue;
+      out.push({ symbol, included: false, reason: `inclusão manual, mas não listado em ${this.venue}`, manual: 'include', metrics: null });
+    }
+
+    // teto por volume 24h: inclusões manuais primeiro
+    const volume = (e) => e.metrics?.volumeUsdt || 0;
+    const ranked = out
+      .filter((e) => e.included)
+      .sort((a, b) => (b.manual === 'include') - (a.manual === 'include') || volume(b) - volume(a));
+    ranked.forEach((e, i) => {
+      if (i < this.criteria.maxSymbols || e.manual === 'include') return;
+      e.included = false;
+      e.reason = `fora do top ${this.criteria.maxSymbols} por volume 24h`;
+    });
+
+    const rank = new Map(ranked.map((e, i) => [e.symbol, i]));
+    return out.sort((a, b) => (rank.get(a.symbol) ?? Infinity) - (rank.get(b.symbol) ?? Infinity) || a.symbol.localeCompare(b.symbol));
+  }
+
+  _evaluateStatic() {
+    const reason = this.savedSymbols
+      ? 'último universo salvo (aguardando refresh)'
+      : this.enabled
+        ? 'lista fixa (venue ainda não consultada)'
+        : 'lista fixa (UNIVERSE_ENABLED=false)';
+    const symbols = [...new Set([...this.manual.include, ...(this.savedSymbols || this.staticSymbols)])];
+    return symbols.map((symbol) => {
+      const manual = this._manualTag(symbol);
+      return {
+        symbol,
+        included: manual !== 'exclude',
+        reason: manual === 'exclude' ? 'exclusão manual' : manual === 'include' ? 'inclusão manual' : reason,
+        manual,
+        metrics: null,
+      };
+    });
+  }
+
+  _persist() {
+    if (!this.storage) return;
+    this.storage.set('universe', 'manual', { include: [...this.manual.include], exclude: [...this.manual.exclude] });
+    if (this.source === 'exchange') this.storage.set('universe', 'current', { at: this.refreshedAt, symbols: this.symbols });
+  }
+
+  // =================== LISTAS MANUAIS ===================
+
+  /**
+   * Coloca o símbolo na lista 'include' ou 'exclude' (null = remove das duas) e reavalia na hora
+   * @returns {Object} avaliação atual do símbolo
+   */
+  setManual(rawSymbol, list) {
+    const symbol = normalizeSymbol(rawSymbol, this.quote);
+    if (!symbol) {
+      const err = new Error('Informe o símbolo (ex.: BTC/USDT)');
+      err.status = 400;
+      throw err;
+    }
+    if (list !== null && list !== 'include' && list !== 'exclude') {
+      const err = new Error(`Lista inválida: ${list} (include | exclude)`);
+      err.status = 400;
+      throw err;
+    }
+    this.manual.include.delete(symbol);
+    this.manual.exclude.delete(symbol);
+    if (list) this.manual[list].add(symbol);
+    logger.info(list ? `${symbol} → lista ${list}` : `${symbol} removido das listas manuais`);
+
+    this._select();
+    this._persist();
+    return this.explain(symbol);
+  }
+
+  // =================== CONSULTA ===================
+
+  /**
+   * Por que o símbolo está dentro/fora (null se nunca foi avaliado)
+   */
+  explain(rawSymbol) {
+    const symbol = normalizeSymbol(rawSymbol, this.quote);
+    const entry = this.evaluations.get(symbol);
+    if (entry) return { ...entry, included: this.symbols.includes(symbol) };
+    return symbol ? { symbol, included: false, reason: `não listado em ${this.venue}`, manual: this._manualTag(symbol), metrics: null } : null;
+  }
+
+  /**
+   * @param {Object} [options] - details: inclui a avaliação de cada símbolo; status: 'in' | 'out'
+   */
+  getStatus({ details = false, status = null } = {}) {
+    const out = {
+      enabled: this.enabled,
+      venue: this.venue,
+      source: this.source,
+      count: this.symbols.length,
+      symbols: this.getSymbols(),
+      criteria: { ...this.criteria },
+      manual: { include: [...this.manual.include], exclude: [...this.manual.exclude] },
+      refreshedAt: this.refreshedAt,
+      refreshMinutes: this.refreshMs / 60000,
+      lastChange: this.lastChange,
+      lastError: this.lastError,
+    };
+    if (details) {
+      out.evaluations = [...this.evaluations.values()]
+        .map((e) => ({ ...e, included: this.symbols.includes(e.symbol) }))
+        .filter((e) => !status || (status === 'in') === e.included);
+    }
+    return out;
+  }
+}
+
+export default SymbolUniverseService;
@@ -5,6 +5,7 @@
  * - Cache por símbolo/timeframe com TTL coerente
  * - Parâmetros otimizados (quando disponíveis) + defaults saneados
  * - Otimização assíncrona não-bloqueante com cooldown
+ * - Cálculo e otimização no pool de worker threads quando anexado (attachComputePool)
  * - Volatilidade: aceita número (compat) ou calcula ATR (auto) quando não vier definida
  * - Compatibilidade total com SignalScoring/AdaptiveScoring/BitcoinCorrelation:
  *   rsi, macd{MACD,signal,histogram}, ma21, ma200, volumeMA, atr, ichimoku, volatility, optimizedParams
@@ -13,6 +14,7 @@
 import technicalindicators from 'technicalindicators';
 import { INDICATORS_CONFIG } from '../config/constants.js';
 import indicatorOptimizer from './indicatorOptimizer.js';
+import { encodeSeries } from './computePool.js';
 
 const MAX_CACHE_ENTRIES       = 500;     // segurança contra crescimento infinito
 const OPTIMIZATION_COOLDOWN_MS = 15_000; // evita otimização repetida logo após timeout/erro
@@ -23,14 +25,20 @@ class TechnicalAnalysisService {
     this.indicatorCache = new Map();         // key = `${symbol}:${timeframe}`
     this.optimizationInProgress = new Set(); // chaves em execução
     this.lastOptimizationAttempt = new Map();
+    this.computePool = null;
   }
 
   /**
    * Calcula todos os indicadores para (data, symbol, timeframe).
    * Respeita cache (TTL + coerência com último candle).
+   * options (replay histórico/backtest):
+   *  - useCache=false: não lê nem grava o cache (janelas deslizantes não colidem)
+   *  - optimize=false: não dispara a otimização em segundo plano
+   *  - params: parâmetros explícitos (senão: otimizados em cache ou defaults)
    */
-  async calculateIndicators(data, symbol = 'UNKNOWN', timeframe = '1h') {
+  async calculateIndicators(data, symbol = 'UNKNOWN', timeframe = '1h', options = {}) {
     const logPrefix = `[${symbol} ${timeframe}]`;
+    const { useCache = true, optimize = true, params: explicitParams = null } = options;
 
     try {
       // 1) validação mínima
@@ -40,12 +48,11 @@ class TechnicalAnalysisService {
       }
 
       const cacheKey = `${symbol}:${timeframe}`;
-      const cached = this.indicatorCache.get(cacheKey);
+      const cached = useCache ? this.indicatorCache.get(cacheKey) : null;
 
-      // parâmetros: usa últimos otimizados se houver; senão defaults
+      // parâmetros: explícitos > últimos otimizados (cache) > defaults
       const paramsFromCache = cached?.indicators?.optimizedParams;
-      const params = paramsFromCache || this.getDefaultParams();
-      const { RSI, MACD, MA, VOLATILITY } = this.normalizeParams(params);
+      const params = explicitParams || paramsFromCache || this.getDefaultParams();
 
       // 2) cache fresco?
       if (cached && this.isCacheFresh(cached, timeframe, data)) {
@@ -53,56 +60,25 @@ class TechnicalAnalysisService {
         return cached.indicators;
       }
 
-      // 3) cálculo principal
-      // volatilidade: se VOLATILITY numérico > 0, respeita; senão tenta ATR(14) como “auto”
-      const atr = this.safeCalculate(() => this.calculateATR(data, 14), 'ATR(14)');
-      let volatilityValue = (typeof VOLATILITY === 'number' && isFinite(VOLATILITY) && VOLATILITY > 0)
-        ? VOLATILITY
-        : (atr != null ? atr : 1.3); // ATR como proxy de nível; fallback 1.3
-
-      const rsi = this.safeCalculate(() => this.calculateRSI(data, RSI.period), `RSI(${RSI.period})`);
-      const macd = this.safeCalculate(
-        () => this.calculateMACD(data, MACD.fastPeriod, MACD.slowPeriod, MACD.signalPeriod),
-        `MACD(${MACD.fastPeriod},${MACD.slowPeriod},${MACD.signalPeriod})`
-      );
-      const ma21  = this.safeCalculate(() => this.calculateMA(data.close, MA.shortPeriod), `MA${MA.shortPeriod}`);
-      const ma200 = this.safeCalculate(() => this.calculateMA(data.close, MA.longPeriod),  `MA${MA.longPeriod}`);
-
-      // volumeMA (exposto pra economizar fallback nos scorings)
-      const volumeMAPeriod = INDICATORS_CONFIG?.VOLUME_MA?.period ?? 14;
-      const volumeMA = this.safeCalculate(() => this.calculateVolumeMA(data.volume, volumeMAPeriod), `VOLUME_MA(${volumeMAPeriod})`);
-
-      // Ichimoku (básico: Tenkan/Kijun) — usado de forma opcional pelo AdaptiveScoring
-      const ichCfg = INDICATORS_CONFIG?.ICHIMOKU || { conversionPeriod: 9, basePeriod: 26, spanPeriod: 52 };
-      const ichimoku = this.safeCalculate(
-        () => this.calculateIchimoku(data, ichCfg.conversionPeriod ?? 9, ichCfg.basePeriod ?? 26, ichCfg.spanPeriod ?? 52),
-        `ICHIMOKU(${ichCfg.conversionPeriod ?? 9},${ichCfg.basePeriod ?? 26},${ichCfg.spanPeriod ?? 52})`
-      );
-
-      const indicators = {
-        rsi,
-        macd,                     // { MACD, signal, histogram }
-        ma21,
-        ma200,
-        volumeMA,
-        atr,                      // numérico (se calculado com sucesso)
-        ichimoku,                 // { conversionLine, baseLine, spanA?, spanB? }
-        volatility: volatilityValue,
-        optimizedParams: params,  // mantém o shape original
-      };
+      // 3) cálculo principal (no pool de workers quando anexado)
+      const indicators = await this._compute(data, params);
 
       // 4) atualiza cache
-      this._setCache(cacheKey, {
-        indicators,
-        timestamp: Date.now(),
-        lastClose: data.close[data.close.length - 1],
-        length: data.close.length,
-      });
+      if (useCache) {
+        this._setCache(cacheKey, {
+          indicators,
+          timestamp: Date.now(),
+          lastClose: data.close[data.close.length - 1],
+          length: data.close.length,
+        });
+      }
 
       // 5) dispara otimização off-thread (não bloqueia)
-      this.optimizeInBackground(data, symbol, timeframe).catch((error) => {
-        console.error(`${logPrefix} ❌ Falha na otimização em segundo plano:`, error?.message || error);
-      });
+      if (optimize) {
+        this.optimizeInBackground(data, symbol, timeframe).catch((error) => {
+          console.error(`${logPrefix} ❌ Falha na otimização em segundo plano:`, error?.message || error);
+        });
+      }
 
       return indicators;
     } catch (error) {
@@ -111,6 +87,62 @@ class TechnicalAnalysisService {
     }
   }
 
+  /**
+   * Cálculo puro dos indicadores (sem cache nem otimização) — roda inline ou no worker do ComputePool
+   */
+  computeIndicators(data, params) {
+    const { RSI, MACD, MA, VOLATILITY } = this.normalizeParams(params);
+
+    // volatilidade: se VOLATILITY numérico > 0, respeita; senão tenta ATR(14) como “auto”
+    const atr = this.safeCalculate(() => this.calculateATR(data, 14), 'ATR(14)');
+    let volatilityValue = (typeof VOLATILITY === 'number' && isFinite(VOLATILITY) && VOLATILITY > 0)
+      ? VOLATILITY
+      : (atr != null ? atr : 1.3); // ATR como proxy de nível; fallback 1.3
+
+    const rsi = this.safeCalculate(() => this.calculateRSI(data, RSI.period), `RSI(${RSI.period})`);
+    const macd = this.safeCalculate(
+      () => this.calculateMACD(data, MACD.fastPeriod, MACD.slowPeriod, MACD.signalPeriod),
+      `MACD(${MACD.fastPeriod},${MACD.slowPeriod},${MACD.signalPeriod})`
+    );
+    const ma21  = this.safeCalculate(() => this.calculateMA(data.close, MA.shortPeriod), `MA${MA.shortPeriod}`);
+    const ma200 = this.safeCalculate(() => this.calculateMA(data.close, MA.longPeriod),  `MA${MA.longPeriod}`);
+
+    // volumeMA (exposto pra economizar fallback nos scorings)
+    const volumeMAPeriod = INDICATORS_CONFIG?.VOLUME_MA?.period ?? 14;
+    const volumeMA = this.safeCalculate(() => this.calculateVolumeMA(data.volume, volumeMAPeriod), `VOLUME_MA(${volumeMAPeriod})`);
+
+    // Ichimoku (básico: Tenkan/Kijun) — usado de forma opcional pelo AdaptiveScoring
+    const ichCfg = INDICATORS_CONFIG?.ICHIMOKU || { conversionPeriod: 9, basePeriod: 26, spanPeriod: 52 };
+    const ichimoku = this.safeCalculate(
+      () => this.calculateIchimoku(data, ichCfg.conversionPeriod ?? 9, ichCfg.basePeriod ?? 26, ichCfg.spanPeriod ?? 52),
+      `ICHIMOKU(${ichCfg.conversionPeriod ?? 9},${ichCfg.basePeriod ?? 26},${ichCfg.spanPeriod ?? 52})`
+    );
+
+    return {
+      rsi,
+      macd,                     // { MACD, signal, histogram }
+      ma21,
+      ma200,
+      volumeMA,
+      atr,                      // numérico (se calculado com sucesso)
+      ichimoku,                 // { conversionLine, baseLine, spanA?, spanB? }
+      volatility: volatilityValue,
+      optimizedParams: params,  // mantém o shape original
+    };
+  }
+
+  _compute(data, params) {
+    if (!this.computePool) return this.computeIndicators(data, params);
+    return this.computePool.runOr('indicators', { data: encodeSeries(data), params }, () => this.computeIndicators(data, params));
+  }
+
+  /**
+   * Pool de worker threads (ComputePool): cálculo e otimização saem do event loop; sem pool, inline
+   */
+  attachComputePool(computePool) {
+    this.computePool = computePool;
+  }
+
   // ==================== NORMALIZAÇÃO & CACHE ====================
 
   normalizeParams(params) {
@@ -381,8 +413,8 @@ class TechnicalAnalysisService {
         signalPeriod: cfg?.MACD?.signalPeriod ?? base.MACD.signalPeriod,
       },
       MA: {
-        shortPeriod: cfg?.MA?.shortPeriod ?? base.MA.shortPeriod,
-        longPeriod:  cfg?.MA?.longPeriod  ?? base.MA.longPeriod,
+        shortPeriod: cfg?.MA?.shortPeriod ?? cfg?.MA_SHORT?.period ?? base.MA.shortPeriod,
+        longPeriod:  cfg?.MA?.longPeriod  ?? cfg?.MA_LONG?.period  ?? base.MA.longPeriod,
       },
       VOLATILITY: cfg?.VOLATILITY?.level ?? cfg?.VOLATILITY ?? base.VOLATILITY.level,
     };
@@ -406,48 +438,23 @@ class TechnicalAnalysisService {
     this.optimizationInProgress.add(key);
 
     try {
+      const optimize = () => indicatorOptimizer.optimizeIndicators(data, symbol, timeframe);
       const timeoutPromise = new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Tempo limite de otimização excedido')), OPTIMIZATION_TIMEOUT_MS)
       );
 
+      // no pool, o worker preso além do limite é encerrado (o race só libera a espera)
       const optimizedParams = await Promise.race([
-        indicatorOptimizer.optimizeIndicators(data, symbol, timeframe),
+        this.computePool
+          ? this.computePool.runOr('optimize', { data: encodeSeries(data), symbol, timeframe }, optimize, { timeoutMs: OPTIMIZATION_TIMEOUT_MS })
+          : optimize(),
         timeoutPromise,
       ]);
 
       if (!optimizedParams) return null;
 
-      // normaliza e recalcula indicadores com parâmetros otimizados
-      const norm = this.normalizeParams(optimizedParams);
-
-      const rsi = this.calculateRSI(data, norm.RSI.period);
-      const macd = this.calculateMACD(data, norm.MACD.fastPeriod, norm.MACD.slowPeriod, norm.MACD.signalPeriod);
-      const ma21 = this.calculateMA(data.close, norm.MA.shortPeriod);
-      const ma200 = this.calculateMA(data.close, norm.MA.longPeriod);
-
-      const volumeMAPeriod = INDICATORS_CONFIG?.VOLUME_MA?.period ?? 14;
-      const volumeMA = this.calculateVolumeMA(data.volume, volumeMAPeriod);
-
-      const ichCfg = INDICATORS_CONFIG?.ICHIMOKU || { conversionPeriod: 9, basePeriod: 26, spanPeriod: 52 };
-      const ichimoku = this.calculateIchimoku(data, ichCfg.conversionPeriod ?? 9, ichCfg.basePeriod ?? 26, ichCfg.spanPeriod ?? 52);
-
-      const atr = this.calculateATR(data, 14);
-      const volatility = (typeof norm.VOLATILITY === 'number' && isFinite(norm.VOLATILITY) && norm.VOLATILITY > 0)
-        ? norm.VOLATILITY
-        : (atr != null ? atr : 1.3);
-
-      const recalculated = {
-        rsi,
-        macd,
-        ma21,
-        ma200,
-        volumeMA,
-        atr,
-        ichimoku,
-        volatility,
-        optimizedParams,
-        lastOptimized: new Date(),
-      };
+      // recalcula indicadores com parâmetros otimizados
+      const recalculated = { ...(await this._compute(data, optimizedParams)), lastOptimized: new Date() };
 
       // atualiza cache
       this._setCache(key, {
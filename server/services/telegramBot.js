@@ -21,11 +21,15 @@
  *
  * Robustez de envio:
  *  - Timeout configurável, fila, fallback HTML→MarkdownV2→texto puro e circuit breaker
+ *  - Um destino por canal (TELEGRAM_CHANNELS): fila, circuito e limite de envio próprios;
+ *    regras de roteamento, atraso (tier free) e template por canal (ver signalChannels.js)
  */
 
 import TelegramBot from 'node-telegram-bot-api';
 import crypto from 'crypto';
 import { Logger } from './logger.js';
+import { loadChannels, channelAccepts, normalizeChannel } from './signalChannels.js';
+import { EMISSION_GUARDS } from '../config/constants.js';
 
 const logger = new Logger('TelegramBot');
 
@@ -48,56 +52,80 @@ const LEVELS = {
   EPS: 1e-10,
 };
 
-// ⚙️ Guarda de emissão (env)
-const EMIT_GUARD = {
-  ENABLED: envBool('COUNTERTREND_GUARD_ENABLED', 'true'),
-  MIN_DISPLAY_PROB: envNum('COUNTERTREND_MIN_DISPLAY_PROB', 75), // %
-  STRONG_STRENGTH: envNum('COUNTERTREND_STRONG_STRENGTH', 67), // 0..100
-  MIN_MACD_ABS_FOR_REVERSAL: envNum('COUNTERTREND_MIN_MACD_ABS', 0.0015),
-};
+// 💰 Realização parcial por alvo (% da posição) — soma 100%
+const REALIZATION_SPLIT = [50, 15, 10, 10, 10, 5];
 
-// ✅ Gate de confiança p/ falar de "tendência do BTC"
-const BTC_TREND_GUARD = {
-  MIN_STRENGTH: envNum('BTC_TREND_MIN_STRENGTH', 70),
-  ENFORCE_TF_MATCH: envBool('BTC_TREND_ENFORCE_TF', 'true'),
-  REQUIRE_EXPLICIT_ALIGNMENT: envBool('BTC_ALIGNMENT_REQUIRE_EXPLICIT', 'true'),
-  SHOW_UNCERTAIN_BTC_FACTOR: envBool('SHOW_UNCERTAIN_BTC_FACTOR', 'false'),
-};
-
-// 🔎 Pré-check (limiares)
-const PRECHECK = {
-  TP1_PROXIMITY_OK_REMAINING: 0.002, // 0.20% restante até o TP1
-  TP1_STEP: LEVELS.TARGET_STEP,      // 0.80%
-  ADV_SLIPPAGE_MAX: 0.003,           // 0.30% adverso máx.
-};
+// ⚙️ Guarda de emissão, ✅ gate de confiança p/ falar de "tendência do BTC" e 🔎 pré-check:
+// referências vivas a EMISSION_GUARDS — env e ajustes via API (ConfigService) valem sem reiniciar
+const EMIT_GUARD = EMISSION_GUARDS.COUNTER_TREND;
+const BTC_TREND_GUARD = EMISSION_GUARDS.BTC_TREND;
+const PRECHECK = EMISSION_GUARDS.PRECHECK;
 
 // ⚖️ Exibição da linha de risco
 const RISK = {
   SHOW_ALWAYS: envBool('RISK_SHOW_ALWAYS', 'false'), // se true, sempre mostra; se false, oculta quando BAIXO
 };
 
+// ♻️ Retomada de monitores após restart
+const RESUME = {
+  MAX_HOURS: envNum('MONITOR_RESUME_MAX_HOURS', 48), // janela máxima de candles reprocessados
+  CHECKPOINT_MS: envNum('MONITOR_CHECKPOINT_MS', 60000), // frequência de gravação do último preço verificado
+  BATCH: 1000, // candles 1m por requisição
+};
+
 class TelegramBotService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   *  - dryRun: percorre a emissão inteira (pré-check, guardas, níveis, formatação) e imprime as
+   *    mensagens completas no console em vez de enviar (modo replay)
+   */
+  constructor(options = {}) {
     this.token = process.env.TELEGRAM_TOKEN;
-    this.chatId = process.env.TELEGRAM_CHAT_ID;
-    this.isEnabled = !!(this.token && this.chatId);
+    // Canais de distribuição (premium/free...); o primeiro é o destino padrão (relatórios, avisos)
+    this.channels = options.channels || loadChannels();
+    this.chatId = process.env.TELEGRAM_CHAT_ID || this.channels[0]?.chatId;
+    this.dryRun = !!options.dryRun;
+    this.isEnabled = !this.dryRun && !!(this.token && this.channels.length);
+    // Monitores por ID do sinal (várias posições simultâneas no mesmo símbolo)
     this.activeMonitors = new Map();
+    // Assinatura de stream por monitor (o multiplexador divide a conexão por símbolo via refcount)
+    this.monitorStreams = new Map();
+    // Monitores com um tick em processamento (ticks intrabar chegam mais rápido que o await das notificações)
+    this._ticking = new Set();
+
+    // Persistência dos monitores, da pausa e das entregas atrasadas (opcional; ver attachStorage)
+    this.storage = null;
+    this.deliverySeq = 0;
+    // Instante do candle em replay (por monitor) — marca notificações de recuperação
+    this.replayContext = new Map();
+    // Custos de execução (opcional; ver attachCostModel)
+    this.costModel = null;
+    // Relógio/timers dos monitores (opcional; ver attachClock — modo replay)
+    this.clock = null;
+    // Emissões suspensas por comando (/pause): { reason, by, at } — monitores ativos seguem normalmente
+    this.emissionPause = null;
+    // Hub de notificações (só para saber se há Discord/webhooks; ver attachNotifier)
+    this.notifier = null;
+    // Barramento de eventos: alvos, stops, encerramentos, ticks e mensagens (tracker, risco, scoring
+    // adaptativo, paper trading, execução e notificações assinam)
+    this.events = null;
 
     // 🔒 Fonte-de-verdade dos níveis publicados
     this.lastSignalById = new Map();
     this.lastSignalBySymbol = new Map();
 
-    // Robustez de envio
-    this.failCount = 0;
-    this.circuitOpen = false;
-    this.queue = Promise.resolve();
+    // Robustez de envio: um destino (fila + circuito + espaçamento) por canal/chat
+    this.destinations = new Map();
+    for (const channel of this.channels) this._destination(channel.id);
 
     if (this.isEnabled) {
       this.bot = new TelegramBot(this.token, { polling: false, request: { timeout: SEND_TIMEOUT_MS } });
-      console.log('✅ Telegram Bot inicializado (com timeout/fila)');
+      console.log(`✅ Telegram Bot inicializado (com timeout/fila) — canais: ${this.channels.map((c) => c.id).join(', ')}`);
       console.log(
         `[BTC GUARD] MIN_STRENGTH=${BTC_TREND_GUARD.MIN_STRENGTH} TF_MATCH=${BTC_TREND_GUARD.ENFORCE_TF_MATCH} REQUIRE_EXPLICIT=${BTC_TREND_GUARD.REQUIRE_EXPLICIT_ALIGNMENT} SHOW_UNCERTAIN=${BTC_TREND_GUARD.SHOW_UNCERTAIN_BTC_FACTOR}`
       );
+    } else if (this.dryRun) {
+      console.log('🧪 Telegram Bot em dry-run (mensagens só no console)');
     } else {
       console.log('⚠️ Telegram Bot em modo simulado (variáveis não configuradas)');
     }
@@ -110,21 +138,59 @@ class TelegramBotService {
   _withTimeout(p, ms = SEND_TIMEOUT_MS) {
     return Promise.race([p, new Promise((_, rej) => setTimeout(() => rej(new Error('TELEGRAM_SEND_TIMEOUT')), ms))]);
   }
-  _enqueue(taskFn) {
-    this.queue = this.queue.then(() => taskFn()).catch((e) => console.error('❌ Fila Telegram:', e?.message || e));
-    return this.queue;
+  /**
+   * Destino de envio por canal (id) ou chat avulso (respostas a comandos). Sem chave → canal padrão.
+   */
+  _destination(key = null) {
+    const channel =
+      key == null
+        ? this.channels[0]
+        : this.channels.find((c) => c.id === key) || this.channels.find((c) => c.chatId === String(key));
+    const id = channel ? channel.id : `chat:${key}`;
+    let dest = this.destinations.get(id);
+    if (!dest) {
+      const cfg = channel || normalizeChannel({ id, chatId: key ?? this.chatId });
+      dest = {
+        id,
+        chatId: cfg.chatId,
+        channel: channel || null,
+        queue: Promise.resolve(),
+        failCount: 0,
+        circuitOpen: false,
+        minIntervalMs: Math.ceil(60000 / cfg.rateLimitPerMinute),
+        lastSentAt: 0,
+        sent: 0,
+      };
+      this.destinations.set(id, dest);
+    }
+    return dest;
+  }
+  _enqueue(taskFn, dest = this._destination()) {
+    dest.queue = dest.queue
+      .then(async () => {
+        // espaçamento mínimo entre mensagens do mesmo chat (limite do Telegram por grupo)
+        const wait = dest.lastSentAt + dest.minIntervalMs - Date.now();
+        if (wait > 0 && !this.dryRun) await this._delay(wait);
+        try {
+          return await taskFn();
+        } finally {
+          dest.lastSentAt = Date.now();
+        }
+      })
+      .catch((e) => console.error(`❌ Fila Telegram [${dest.id}]:`, e?.message || e));
+    return dest.queue;
   }
-  _resetCircuit() {
-    if (this.circuitOpen) console.log('🔁 Circuito Telegram reaberto.');
-    this.failCount = 0;
-    this.circuitOpen = false;
+  _resetCircuit(dest = this._destination()) {
+    if (dest.circuitOpen) console.log(`🔁 Circuito Telegram [${dest.id}] reaberto.`);
+    dest.failCount = 0;
+    dest.circuitOpen = false;
   }
-  _tripCircuit(err) {
-    this.failCount += 1;
-    console.error(`🚨 Falha Telegram (${this.failCount}/${MAX_CONSECUTIVE_SEND_FAILS}):`, err?.message || err);
-    if (this.failCount >= MAX_CONSECUTIVE_SEND_FAILS) {
-      this.circuitOpen = true;
-      console.error('⛔ Circuito aberto: envio pausado; mensagens apenas logadas até um sucesso futuro.');
+  _tripCircuit(err, dest = this._destination()) {
+    dest.failCount += 1;
+    console.error(`🚨 Falha Telegram [${dest.id}] (${dest.failCount}/${MAX_CONSECUTIVE_SEND_FAILS}):`, err?.message || err);
+    if (dest.failCount >= MAX_CONSECUTIVE_SEND_FAILS) {
+      dest.circuitOpen = true;
+      console.error(`⛔ Circuito [${dest.id}] aberto: envio pausado; mensagens apenas logadas até um sucesso futuro.`);
     }
   }
 
@@ -146,37 +212,68 @@ class TelegramBotService {
     return !t ? t : String(t).replace(/<[^>]*>/g, '');
   }
 
-  async _sendRawHtml(t) {
+  // Resposta à mensagem original do sinal (notificações da posição); sem ela, envia avulsa
+  _replyOpts(replyTo) {
+    return replyTo ? { reply_to_message_id: replyTo, allow_sending_without_reply: true } : {};
+  }
+  async _sendRawHtml(t, replyTo, chatId = this.chatId) {
     return this._withTimeout(
-      this.bot.sendMessage(this.chatId, t, { parse_mode: 'HTML', disable_web_page_preview: true })
+      this.bot.sendMessage(chatId, t, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        ...this._replyOpts(replyTo),
+      })
     );
   }
-  async _sendRawMarkdownV2(t) {
+  async _sendRawMarkdownV2(t, replyTo, chatId = this.chatId) {
     return this._withTimeout(
-      this.bot.sendMessage(this.chatId, this._escapeMarkdownV2(t), {
+      this.bot.sendMessage(chatId, this._escapeMarkdownV2(t), {
         parse_mode: 'MarkdownV2',
         disable_web_page_preview: true,
+        ...this._replyOpts(replyTo),
       })
     );
   }
-  async _sendRawPlain(t) {
+  async _sendRawPlain(t, replyTo, chatId = this.chatId) {
     return this._withTimeout(
-      this.bot.sendMessage(this.chatId, this._stripAllMarkdown(this._stripHtml(t)), { disable_web_page_preview: true })
+      this.bot.sendMessage(chatId, this._stripAllMarkdown(this._stripHtml(t)), {
+        disable_web_page_preview: true,
+        ...this._replyOpts(replyTo),
+      })
     );
   }
 
-  async _sendMessageSafe(text) {
-    if (!this.isEnabled || this.circuitOpen) {
-      console.log('📱 [SIMULADO] Sinal enviado (safe):', (text || '').slice(0, 160) + '...');
+  /**
+   * @param {string} text - mensagem em HTML
+   * @param {Object} [options]
+   *  - channel: id do canal (padrão: primeiro canal)
+   *  - chatId: chat avulso (respostas a comandos)
+   *  - replyTo: message_id a responder (ou função, resolvida na hora do envio — entregas atrasadas)
+   * @returns {Promise<Object|boolean>} mensagem enviada (com message_id) ou true/false
+   */
+  async _sendMessageSafe(text, options = {}) {
+    const dest = this._destination(options.channel ?? options.chatId ?? null);
+    const resolveReply = () => (typeof options.replyTo === 'function' ? options.replyTo() : options.replyTo) || null;
+    if (this.dryRun) {
+      const replyTo = resolveReply();
+      const label = dest.channel && dest === this._destination() ? '' : ` → ${dest.id}`;
+      console.log(`📱 [DRY-RUN]${label}${replyTo ? ` ↩️ resposta à mensagem ${replyTo}` : ''}\n${text}\n`);
+      return true;
+    }
+    if (!this.isEnabled || dest.circuitOpen) {
+      console.log(`📱 [SIMULADO] [${dest.id}] Sinal enviado (safe):`, (text || '').slice(0, 160) + '...');
       return true;
     }
     return this._enqueue(async () => {
+      const replyTo = resolveReply();
+      const chatId = dest.chatId;
       try {
         // 1) Tenta HTML (principal)
         try {
-          await this._sendRawHtml(text);
-          this._resetCircuit();
-          return true;
+          const sent = await this._sendRawHtml(text, replyTo, chatId);
+          this._resetCircuit(dest);
+          dest.sent++;
+          return sent || true;
         } catch (errHtml) {
           const m = String(errHtml?.message || '');
           if (m.includes('429')) await this._delay(350);
@@ -184,31 +281,120 @@ class TelegramBotService {
         }
         // 2) Fallback MarkdownV2
         try {
-          await this._sendRawMarkdownV2(text);
-          this._resetCircuit();
-          return true;
+          const sent = await this._sendRawMarkdownV2(text, replyTo, chatId);
+          this._resetCircuit(dest);
+          dest.sent++;
+          return sent || true;
         } catch (err2) {
           const m = String(err2?.message || '');
           if (m.includes('429')) await this._delay(450);
         }
         // 3) Fallback texto puro
-        await this._sendRawPlain(text);
-        this._resetCircuit();
-        return true;
+        const sent = await this._sendRawPlain(text, replyTo, chatId);
+        this._resetCircuit(dest);
+        dest.sent++;
+        return sent || true;
       } catch (err) {
-        this._tripCircuit(err);
+        this._tripCircuit(err, dest);
         console.log('📱 [SIMULADO] Fallback: considerado enviado.');
         return false;
       }
+    }, dest);
+  }
+
+  /**
+   * Foto (gráfico do sinal) na fila do canal; falha não abre o circuito (o texto ainda vai)
+   */
+  async _sendPhotoSafe(channelId, buffer, caption) {
+    const dest = this._destination(channelId);
+    if (this.dryRun || !this.isEnabled || dest.circuitOpen || !buffer) return false;
+    return this._enqueue(async () => {
+      try {
+        return await this._withTimeout(this.bot.sendPhoto(dest.chatId, buffer, { caption, parse_mode: 'Markdown' }));
+      } catch (err) {
+        console.warn(`⚠️ Gráfico não enviado [${dest.id}]: ${err?.message || err}`);
+        return false;
+      }
+    }, dest);
+  }
+
+  /**
+   * Executa `fn` agora ou após o atraso do canal (tier free). Atrasos usam o relógio do bot (replay).
+   * `job` ({ kind: 'signal' | 'position', text, signalId | monitorId }) vai para o storage até a entrega:
+   * restart dentro do atraso reagenda a mensagem no boot (ver _runDelivery)
+   */
+  _deliverLater(channel, fn, job = null) {
+    if (!channel?.delayMs) return fn();
+    const pending = job && {
+      ...job,
+      id: `${channel.id}:${this._now()}:${++this.deliverySeq}`,
+      channelId: channel.id,
+      dueAt: this._now() + channel.delayMs,
+    };
+    if (pending && this.storage) this.storage.set('deliveries', pending.id, pending);
+    this._armDelivery(channel.delayMs, fn, pending, channel.id);
+    return null;
+  }
+
+  _armDelivery(delayMs, fn, pending, channelId) {
+    const timers = this.clock || { setTimeout };
+    timers.setTimeout(() => {
+      Promise.resolve()
+        .then(fn)
+        .catch((e) => console.error(`❌ Entrega atrasada [${channelId}]:`, e?.message || e))
+        .finally(() => {
+          if (pending && this.storage) this.storage.delete('deliveries', pending.id);
+        });
+    }, delayMs);
+  }
+
+  /**
+   * Entrega atrasada recarregada do storage (sem o gráfico: só o texto; a mensagem do sinal volta para o monitor)
+   */
+  async _runDelivery(job) {
+    if (job.kind === 'signal') {
+      const sent = await this._sendMessageSafe(job.text, { channel: job.channelId });
+      const monitor = this.activeMonitors.get(job.signalId);
+      if (sent?.message_id && monitor) {
+        monitor.messageIds = { ...(monitor.messageIds || {}), [job.channelId]: sent.message_id };
+        this._persistMonitor(monitor);
+      }
+      return sent;
+    }
+    const replyTo = () => this.activeMonitors.get(job.monitorId)?.messageIds?.[job.channelId] ?? null;
+    return this._sendMessageSafe(job.text, { channel: job.channelId, replyTo });
+  }
+
+  /**
+   * Canais que recebem o sinal (regras de score/símbolo/timeframe)
+   */
+  _channelsFor(signal) {
+    return this.channels.filter((channel) => {
+      const verdict = channelAccepts(channel, signal);
+      if (!verdict.ok) console.log(`📣 [${channel.id}] ${signal.symbol} não roteado: ${verdict.reason}`);
+      return verdict.ok;
     });
   }
 
+  getDistributionStatus() {
+    return Array.from(this.destinations.values()).map((d) => ({
+      id: d.id,
+      tier: d.channel?.tier || null,
+      template: d.channel?.template || null,
+      delayMinutes: d.channel ? d.channel.delayMs / 60000 : 0,
+      circuitOpen: d.circuitOpen,
+      failCount: d.failCount,
+      sent: d.sent,
+      lastSentAt: d.lastSentAt ? new Date(d.lastSentAt).toISOString() : null,
+    }));
+  }
+
   // ====== HORÁRIO SÃO PAULO ======
   formatNowSP() {
     try {
-      return new Date().toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo', hour12: false });
+      return new Date(this._now()).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo', hour12: false });
     } catch {
-      return new Date().toLocaleString('pt-BR');
+      return new Date(this._now()).toLocaleString('pt-BR');
     }
   }
 
@@ -258,6 +444,37 @@ class TelegramBotService {
     return { targets: maybeTargets.map(Number), stopLoss: Number(maybeStop), normalized: false };
   }
 
+  /**
+   * Níveis exatamente como publicados/monitorados (usado também pelo backtest)
+   */
+  normalizeLevels(entry, trend, targets, stopLoss) {
+    const { targets: t, stopLoss: sl } = this._enforceFixedLevels(Number(entry), trend === 'BULLISH', targets, stopLoss);
+    return { entry: Number(entry), targets: t, stopLoss: sl };
+  }
+
+  /**
+   * Regra do stop móvel após o alvo N: TP2→entrada, TP3→alvo 1, TP4→alvo 2, TP5→alvo 3
+   * @returns {{price:number, description:string}|null}
+   */
+  trailingStopFor(targetNumber, entry, originalTargets) {
+    switch (targetNumber) {
+      case 2:
+        return { price: entry, description: 'ponto de entrada' };
+      case 3:
+        return { price: originalTargets[0], description: 'alvo 1' };
+      case 4:
+        return { price: originalTargets[1], description: 'alvo 2' };
+      case 5:
+        return { price: originalTargets[2], description: 'alvo 3' };
+      default:
+        return null;
+    }
+  }
+
+  getRealizationSplit() {
+    return [...REALIZATION_SPLIT];
+  }
+
   // =================== AUXILIARES BTC ===================
   _tfLabel(signal) {
     return signal?.timeframe || '1h';
@@ -364,15 +581,19 @@ class TelegramBotService {
   }
 
   // ---------- PRÉ-CHECK DE PREÇO ----------
-  async _preEmissionPriceCheck(symbol, isLong, entry, targets, providedPrice, priceProvider) {
+  /**
+   * Direções espelhadas: no short, "além do TP1" é abaixo dele e o desvio adverso é a alta
+   * Preço ≤ 0 é o fallback de falha do provider (no short pareceria TP1 já atingido) — tratado como sem preço
+   */
+  async _preEmissionPriceCheck(symbol, isLong, entry, targets, providedPrice, priceProvider, stopLoss = null) {
     try {
       let live = Number(providedPrice);
-      if (!isFinite(live) && typeof priceProvider === 'function') {
+      if (!(live > 0) && typeof priceProvider === 'function') {
         try {
           live = Number(await priceProvider());
         } catch (_) {}
       }
-      if (!isFinite(live)) {
+      if (!(live > 0)) {
         console.warn(`[PreCheck] Sem preço ao vivo para ${symbol}. Pré-check pulado.`);
         return { ok: true, reason: 'NO_LIVE_PRICE' };
       }
@@ -380,29 +601,35 @@ class TelegramBotService {
       const tp1 = Number(targets?.[0]);
       if (!isFinite(tp1)) return { ok: true, reason: 'NO_TP1' };
 
-      const step = PRECHECK.TP1_STEP; // 0.008
+      const step = LEVELS.TARGET_STEP; // 0.008
       const advMax = PRECHECK.ADV_SLIPPAGE_MAX; // 0.003
 
+      const side = isLong ? 'LONG' : 'SHORT';
       const alreadyBeyondTp1 = isLong ? live >= tp1 : live <= tp1;
       if (alreadyBeyondTp1) {
-        return { ok: false, reason: 'TP1_ALREADY_HIT', details: { live, tp1 } };
+        return { ok: false, reason: 'TP1_ALREADY_HIT', details: { side, live, tp1 } };
+      }
+
+      const stop = Number(stopLoss);
+      if (stopLoss !== null && isFinite(stop) && (isLong ? live <= stop : live >= stop)) {
+        return { ok: false, reason: 'STOP_ALREADY_HIT', details: { side, live, stopLoss: stop } };
       }
 
       // progresso (entry→TP1)
-      const totalStep = step * entry;
+      const totalStep = Math.abs(tp1 - entry) || step * entry;
       const progressed = isLong ? (live - entry) / totalStep : (entry - live) / totalStep;
 
-      if (progressed >= 0.8) {
-        return { ok: false, reason: 'TOO_CLOSE_TO_TP1', details: { live, tp1, progressed } };
+      if (progressed >= PRECHECK.TP1_MAX_PROGRESS) {
+        return { ok: false, reason: 'TOO_CLOSE_TO_TP1', details: { side, live, tp1, progressed } };
       }
 
       // Desvio adverso
       const adverse = isLong ? (entry - live) / entry : (live - entry) / entry;
       if (adverse >= advMax) {
-        return { ok: false, reason: 'ADVERSE_SLIPPAGE', details: { live, entry, adverse } };
+        return { ok: false, reason: 'ADVERSE_SLIPPAGE', details: { side, live, entry, adverse } };
       }
 
-      return { ok: true, reason: 'PASS', details: { live, tp1, progressed, adverse } };
+      return { ok: true, reason: 'PASS', details: { side, live, tp1, progressed, adverse } };
     } catch (e) {
       console.warn('[PreCheck] Erro inesperado:', e.message);
       return { ok: true, reason: 'ERROR_SKIP' };
@@ -412,14 +639,21 @@ class TelegramBotService {
   // =================== EMISSÃO DO SINAL ===================
   async sendTradingSignal(signalData) {
     try {
-      if (!this.isEnabled) {
+      if (this.emissionPause) {
+        console.log(`⏸️ Emissões pausadas (${this.emissionPause.reason}) — ${signalData.symbol} não enviado`);
+        return false;
+      }
+
+      // sem Telegram e sem Discord/webhooks: nada a validar nem a entregar
+      if (!this.isEnabled && !this.dryRun && !this.notifier?.hasExternalSinks()) {
         console.log('📱 [SIMULADO] Sinal enviado:', signalData.symbol);
         return true;
       }
 
-      // Gera gráfico para o sinal
+      // Gera gráfico para o sinal (só se algum canal envia gráfico)
+      const wantsChart = !this.dryRun && this.channels.some((c) => c.chart);
       let chartBuffer = null;
-      if (this.chartGenerator) {
+      if (this.chartGenerator && wantsChart) {
         try {
           // Obtém dados recentes para o gráfico
           const chartData = await this.binanceService.getOHLCVData(
@@ -442,7 +676,7 @@ class TelegramBotService {
       }
 
       const isLong = signalData.trend === 'BULLISH';
-      const chartBuffer2 = await this.generateSignalChart(signalData);
+      const chartBuffer2 = wantsChart ? await this.generateSignalChart(signalData) : null;
 
       const entry = Number(signalData.entry);
 
@@ -459,7 +693,8 @@ class TelegramBotService {
         entry,
         targets,
         signalData.livePrice,
-        signalData.priceProvider
+        signalData.priceProvider,
+        stopLoss
       );
       if (!pre.ok) {
         console.log(`🚫 Sinal NÃO emitido (${signalData.symbol}) — PreCheck: ${pre.reason}`, pre.details || '');
@@ -479,7 +714,7 @@ class TelegramBotService {
         targets: [...targets],
         stopLoss,
         timeframe: signalData.timeframe || '1h',
-        createdAt: new Date(),
+        createdAt: new Date(this._now()),
       };
       published.levelsHash = this._levelsHash(entry, targets, stopLoss);
 
@@ -487,42 +722,79 @@ class TelegramBotService {
       this.lastSignalById.set(signalId, published);
       this.lastSignalBySymbol.set(signalData.symbol, { ...published, signalId });
 
+      const channels = this._channelsFor(signalData);
+      if (this.channels.length && channels.length === 0) {
+        console.log(`🚫 Sinal NÃO emitido (${signalData.symbol}) — nenhum canal aceita o sinal`);
+        return false;
+      }
+      // mensagem do sinal por canal (notificações da posição respondem a ela) — preenchido na entrega
+      published.channels = channels.filter((c) => c.updates).map((c) => c.id);
+      published.messageIds = {};
+
       const message = this.formatTradingSignal(signalData);
+      const caption =
+        chartBuffer2 || chartBuffer
+          ? this.chartGenerator?.formatChartCaption?.(signalData.symbol, signalData, signalData.indicators)
+          : null;
+
+      const deliver = async (channel, text) => {
+        if (channel.chart && (chartBuffer2 || chartBuffer)) {
+          await this._sendPhotoSafe(channel.id, chartBuffer2 || chartBuffer, caption || undefined);
+        }
+        const sent = await this._sendMessageSafe(text, { channel: channel.id });
+        if (sent?.message_id) {
+          published.messageIds[channel.id] = sent.message_id;
+          // entrega atrasada: o monitor já existe e guarda o mesmo objeto — só persiste
+          const monitor = this.activeMonitors.get(signalId);
+          if (monitor) this._persistMonitor(monitor);
+        }
+        return sent;
+      };
 
-      if (chartBuffer) {
-        // Envia gráfico + mensagem
-        await this.bot.sendPhoto(this.chatId, chartBuffer, {
-          caption: message,
-          parse_mode: 'Markdown'
-        });
-      } else {
-        // Fallback: apenas mensagem
-        await this.bot.sendMessage(this.chatId, message, { 
-          parse_mode: 'Markdown',
-          disable_web_page_preview: true
-        });
-      }
-      // Envia com gráfico se disponível
-      if (chartBuffer2) {
-        const caption = this.chartGenerator.formatChartCaption(
-          signalData.symbol,
-          signalData,
-          signalData.indicators
-        );
-        
-        await this.bot.sendPhoto(this.chatId, chartBuffer2, {
-          caption: caption,
-          parse_mode: 'Markdown'
-        });
-      } else {
-        // Fallback: envia apenas texto
-        await this.bot.sendMessage(this.chatId, message, {
-          parse_mode: 'Markdown',
-          disable_web_page_preview: true
-        });
-      }
-      await this._sendMessageSafe(message);
-      console.log(`✅ Sinal enviado via Telegram: ${signalData.symbol}`);
+      // entregue = algum envio imediato confirmado ou alguma entrega atrasada agendada
+      const deliverTelegram = async () => {
+        // sem canais configurados: destino padrão (simulado)
+        if (!channels.length) return !!(await this._sendMessageSafe(message));
+        const immediate = [];
+        let scheduled = 0;
+        for (const channel of channels) {
+          const text = this._renderSignalFor(channel, signalData, message);
+          const pending = this._deliverLater(channel, () => deliver(channel, text), { kind: 'signal', text, signalId });
+          if (pending) {
+            immediate.push(pending);
+          } else {
+            scheduled++;
+            console.log(`⏳ [${channel.id}] ${signalData.symbol} agendado para daqui a ${channel.delayMs / 60000} min`);
+          }
+        }
+        const results = await Promise.all(immediate);
+        if (results.some(Boolean) || scheduled > 0) return true;
+        console.log(`🚫 Sinal NÃO emitido (${signalData.symbol}) — nenhum canal confirmou o envio`);
+        return false;
+      };
+
+      const delivered = await this._publish(
+        'signal',
+        {
+          text: message,
+          symbol: signalData.symbol,
+          signalId,
+          data: {
+            timeframe: published.timeframe,
+            trend: signalData.trend,
+            entry,
+            targets: [...targets],
+            stopLoss,
+            probability: Number(signalData.probability ?? signalData.totalScore ?? 0),
+            levelsHash: published.levelsHash,
+          },
+        },
+        deliverTelegram,
+        { onlyIfDelivered: true }
+      );
+      if (!delivered) return false;
+
+      console.log(`✅ Sinal ${this.dryRun ? 'emitido (dry-run)' : 'enviado via Telegram'}: ${signalData.symbol} → ${channels.map((c) => c.id).join(', ')}`);
       return true;
     } catch (error) {
       console.error('❌ Erro ao enviar sinal:', error.message);
@@ -627,6 +899,38 @@ class TelegramBotService {
 
   // (REMOVIDO) getRiskTag antigo — substituído por assessRisk + linha no cabeçalho
 
+  /**
+   * Mensagem do sinal no template do canal (+ cabeçalho/rodapé do canal)
+   */
+  _renderSignalFor(channel, signal, fullMessage = null) {
+    const body = channel.template === 'compact' ? this.formatCompactSignal(signal) : fullMessage || this.formatTradingSignal(signal);
+    const header = channel.header ? `${this._escapeHtml(channel.header)}\n\n` : '';
+    const footer = channel.footer ? `\n\n${this._escapeHtml(channel.footer)}` : '';
+    return `${header}${body}${footer}`;
+  }
+
+  /**
+   * Template curto: direção, entrada, alvos e stop (sem fatores/interpretação)
+   */
+  formatCompactSignal(signal) {
+    const isLong = signal.trend === 'BULLISH';
+    const base = this._escapeHtml(signal.symbol.split('/')[0]);
+    const targets = (signal.targets || []).map((t, i) => `${i + 1}) ${this._escapeHtml(this.formatPrice(t))}`).join('\n');
+
+    return `🚨 <b>LOBO SCALPING #${base} ${isLong ? '🟢 COMPRA' : '🔴 VENDA'}</b>
+
+📊 <b>Tempo gráfico:</b> ${this._escapeHtml(signal.timeframe || '1h')} | 15x
+⚡️ <b>Entrada:</b> ${this._escapeHtml(this.formatPrice(signal.entry))}
+
+🎯 <b>Alvos:</b>
+${targets}
+
+🛑 <b>Stop Loss:</b> ${this._escapeHtml(this.formatPrice(signal.stopLoss))}
+
+👑 <b>Sinais Lobo Scalping</b>
+⏰ ${this._escapeHtml(this.formatNowSP())}`;
+  }
+
   formatTradingSignal(signal) {
     const isLong = signal.trend === 'BULLISH';
     const direction = isLong ? 'COMPRA' : 'VENDA';
@@ -794,6 +1098,11 @@ ${header}
       else factors.push('Volume moderado sustentando o movimento');
     }
 
+    const confirmedOn = (signal.confluence?.timeframes || []).filter((t) => t.alignment === 'ALIGNED').map((t) => t.timeframe);
+    if (confirmedOn.length) {
+      factors.push(`Tendência ${isLong ? 'de alta' : 'de baixa'} confirmada no ${confirmedOn.join(', ')}`);
+    }
+
     if (btc.confident) {
       if (btc.alignment === 'ALIGNED') {
         const word = btc.btcTrend === 'BULLISH' ? 'bullish' : 'bearish';
@@ -851,14 +1160,208 @@ ${header}
     return 60 + p * 0.2;
   }
 
+  // =================== PERSISTÊNCIA DOS MONITORES ===================
+  /**
+   * Liga ao StorageService e recarrega os monitores abertos, a pausa das emissões e as entregas atrasadas
+   * pendentes antes do restart
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+    if (!storage) return;
+
+    this.emissionPause = storage.get('emission', 'pause');
+    if (this.emissionPause) {
+      console.log(`💾 Emissões seguem pausadas desde ${this.emissionPause.at} (${this.emissionPause.reason})`);
+    }
+
+    for (const [key, raw] of storage.entries('monitors')) {
+      if (!raw || raw.status !== 'ACTIVE') {
+        storage.delete('monitors', key);
+        continue;
+      }
+      // estado antigo era gravado por símbolo: passa a usar o ID do sinal
+      const id = raw.id || raw.signalId || key;
+      const monitor = { ...raw, id, startTime: new Date(raw.startTime), lastUpdate: new Date(raw.lastUpdate) };
+      this.activeMonitors.set(id, monitor);
+      if (id !== key) {
+        storage.delete('monitors', key);
+        this._persistMonitor(monitor);
+      }
+    }
+    if (this.activeMonitors.size) {
+      console.log(`💾 ${this.activeMonitors.size} monitor(es) recarregado(s) do storage: ${this.getActiveSymbols().join(', ')}`);
+    }
+
+    // entregas atrasadas (tier free) que o restart interrompeu: vencidas saem já, as demais no horário previsto
+    let rearmed = 0;
+    for (const job of storage.list('deliveries').sort((a, b) => a.dueAt - b.dueAt)) {
+      if (!this.channels.some((c) => c.id === job.channelId)) {
+        storage.delete('deliveries', job.id);
+        continue;
+      }
+      this._armDelivery(Math.max(0, job.dueAt - this._now()), () => this._runDelivery(job), job, job.channelId);
+      rearmed++;
+    }
+    if (rearmed) console.log(`💾 ${rearmed} entrega(s) atrasada(s) reagendada(s)`);
+  }
+
+  _persistMonitor(monitor) {
+    if (this.storage && monitor) this.storage.set('monitors', monitor.id, monitor);
+  }
+
+  // =================== CUSTOS DE EXECUÇÃO ===================
+  /**
+   * Liga ao CostModelService: resultados de encerramento passam a ter P&L líquido
+   */
+  attachCostModel(costModel) {
+    this.costModel = costModel;
+  }
+
+  /**
+   * Relógio simulado (ReplayClock): horários dos monitores e polling de preço passam a seguir o replay
+   */
+  attachClock(clock) {
+    this.clock = clock;
+  }
+
+  _now() {
+    return this.clock ? this.clock.now() : Date.now();
+  }
+
+  /**
+   * NotifierService: só para saber se há Discord/webhooks — as mensagens chegam a ele pelo bus
+   * (notification.published)
+   */
+  attachNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * Guardas da emissão (EMISSION_GUARDS) mudam em runtime pelo ConfigService; aqui só registra no log
+   */
+  attachConfig(config) {
+    config.subscribe((changes) => {
+      if (!changes.some((c) => c.key.startsWith('EMISSION_GUARDS.'))) return;
+      console.log(
+        `[BTC GUARD] MIN_STRENGTH=${BTC_TREND_GUARD.MIN_STRENGTH} TF_MATCH=${BTC_TREND_GUARD.ENFORCE_TF_MATCH} REQUIRE_EXPLICIT=${BTC_TREND_GUARD.REQUIRE_EXPLICIT_ALIGNMENT} SHOW_UNCERTAIN=${BTC_TREND_GUARD.SHOW_UNCERTAIN_BTC_FACTOR}`
+      );
+      console.log(
+        `[COUNTERTREND GUARD] ENABLED=${EMIT_GUARD.ENABLED} MIN_PROB=${EMIT_GUARD.MIN_DISPLAY_PROB} STRONG=${EMIT_GUARD.STRONG_STRENGTH} PRECHECK_TP1=${PRECHECK.TP1_MAX_PROGRESS} ADV_MAX=${PRECHECK.ADV_SLIPPAGE_MAX}`
+      );
+    });
+  }
+
+  attachEventBus(bus) {
+    this.events = bus;
+  }
+
+  _emit(type, payload) {
+    if (this.events) this.events.emit(type, payload);
+  }
+
+  // Campos comuns dos eventos monitor.*
+  _monitorEvent(monitor, extra = {}) {
+    return {
+      monitorId: monitor.id,
+      signalId: monitor.signalId,
+      symbol: monitor.symbol,
+      timeframe: monitor.timeframe,
+      trend: monitor.trend,
+      entry: monitor.entry,
+      targetsHit: monitor.targetsHit,
+      ...extra,
+    };
+  }
+
+  /**
+   * Entrega no Telegram (`deliver`) e publica a mensagem no bus (notification.published) para os demais
+   * sinks. Retorna o resultado do Telegram (decide se o monitor é criado).
+   * @param {Object} [options] - onlyIfDelivered: não publica se o Telegram não confirmou (sinal)
+   */
+  async _publish(type, payload, deliver, { onlyIfDelivered = false } = {}) {
+    let delivered = false;
+    try {
+      delivered = await deliver();
+    } catch (err) {
+      console.error(`❌ Entrega no Telegram (${type}):`, err?.message || err);
+    }
+    if (delivered || !onlyIfDelivered) this._emit('notification.published', { type, format: 'html', ...payload });
+    return delivered;
+  }
+
+  // =================== PAUSA DAS EMISSÕES ===================
+  pauseEmissions(reason = 'manual', by = null) {
+    this.emissionPause = { reason, by, at: new Date(this._now()).toISOString() };
+    if (this.storage) this.storage.set('emission', 'pause', this.emissionPause);
+    console.log(`⏸️ Emissões pausadas: ${reason}${by ? ` (por ${by})` : ''}`);
+    return this.emissionPause;
+  }
+
+  resumeEmissions() {
+    const wasPaused = !!this.emissionPause;
+    this.emissionPause = null;
+    if (this.storage) this.storage.delete('emission', 'pause');
+    if (wasPaused) console.log('▶️ Emissões retomadas');
+    return wasPaused;
+  }
+
+  isEmissionPaused() {
+    return !!this.emissionPause;
+  }
+
+  /**
+   * Custos do monitor encerrado: parciais nos alvos atingidos + restante em `exitPrice` (perna `exitKind`)
+   */
+  async _closingCosts(monitor, exitPrice, exitKind) {
+    if (!this.costModel) return null;
+    try {
+      const closedAt = (this.replayContext.get(monitor.id) || new Date(this._now())).getTime();
+      const openedAt = new Date(monitor.startTime).getTime();
+      const fillTimes = monitor.fillTimes || [];
+      const legs = [];
+      let filled = 0;
+      for (let i = 0; i < monitor.targetsHit; i++) {
+        legs.push({ price: monitor.originalTargets[i], pct: REALIZATION_SPLIT[i], kind: 'target', time: fillTimes[i] ?? closedAt });
+        filled += REALIZATION_SPLIT[i];
+      }
+      if (filled < 100) legs.push({ price: exitPrice, pct: 100 - filled, kind: exitKind, time: closedAt });
+
+      await this.costModel.prepareFunding(monitor.symbol, openedAt, closedAt);
+      return this.costModel.computeCosts({
+        symbol: monitor.symbol,
+        isLong: monitor.trend === 'BULLISH',
+        entry: monitor.entry,
+        openedAt,
+        closedAt,
+        legs,
+      });
+    } catch (error) {
+      console.error(`❌ Erro ao calcular custos ${monitor.symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  // Linha "líquido" das notificações de encerramento (vazia sem modelo de custos)
+  _netLine(grossPnL, costs) {
+    if (!costs) return '';
+    const net = (grossPnL - costs.total) * 15;
+    return `\n🧾 <b>Líquido (15x, após taxas/funding):</b> ${net >= 0 ? '+' : ''}${this._escapeHtml(net.toFixed(1))}%`;
+  }
+
   // =================== MONITORES ===================
+  /**
+   * Cria o monitor de uma posição. Chave = ID do sinal: o mesmo símbolo pode ter várias posições
+   * abertas (ex.: long no 1m e short no 5m); só o mesmo sinal é substituído.
+   */
   createMonitor(symbol, entry, targets, stopLoss, signalId, trend) {
     try {
-      if (this.activeMonitors.has(symbol)) {
-        console.log(`⚠️ Monitor já existe para ${symbol} - substituindo`);
-        this.removeMonitor(symbol, 'REPLACED');
-      }
       const published = (signalId && this.lastSignalById.get(signalId)) || this.lastSignalBySymbol.get(symbol);
+      const timeframe = published?.timeframe || '1h';
+      const id = signalId || `${symbol}:${timeframe}:${this._now()}`;
+      if (this.activeMonitors.has(id)) {
+        console.log(`⚠️ Monitor já existe para o sinal ${id} - substituindo`);
+        this.removeMonitor(id, 'REPLACED');
+      }
 
       const isLong = trend === 'BULLISH';
       let entryNum = Number(entry);
@@ -879,6 +1382,7 @@ ${header}
       );
 
       const monitor = {
+        id,
         symbol,
         entry: entryNum,
         targets: [...normTargets],
@@ -887,16 +1391,24 @@ ${header}
         stopLossOriginal: normStop,
         signalId,
         trend,
-        startTime: new Date(),
+        startTime: new Date(this._now()),
         targetsHit: 0,
         status: 'ACTIVE',
-        lastUpdate: new Date(),
+        lastUpdate: new Date(this._now()),
         levelsHash: this._levelsHash(entryNum, normTargets, normStop),
-        timeframe: published?.timeframe || '1h',
+        timeframe,
+        // canais que receberam o sinal e a mensagem dele em cada um: alvos/stops respondem a ela
+        channels: published?.channels || [this.channels[0]?.id].filter(Boolean),
+        messageIds: published?.messageIds || {},
       };
 
-      this.activeMonitors.set(symbol, monitor);
-      console.log(`✅ Monitor criado para ${symbol} (${normTargets.length} alvos) [hash=${monitor.levelsHash}]`);
+      this.activeMonitors.set(id, monitor);
+      this._persistMonitor(monitor);
+      const siblings = this.getMonitorsForSymbol(symbol).length;
+      console.log(
+        `✅ Monitor criado para ${symbol} ${timeframe} (${normTargets.length} alvos) [id=${id}, hash=${monitor.levelsHash}]` +
+          (siblings > 1 ? ` — ${siblings} posições abertas no símbolo` : '')
+      );
       return monitor;
     } catch (e) {
       console.error(`❌ Erro ao criar monitor para ${symbol}:`, e.message);
@@ -904,31 +1416,55 @@ ${header}
     }
   }
 
-  removeMonitor(symbol, reason = 'COMPLETED') {
-    if (this.activeMonitors.has(symbol)) {
-      const m = this.activeMonitors.get(symbol);
-      this.activeMonitors.delete(symbol);
-      console.log(`🗑️ Monitor removido: ${symbol} (${reason})`);
+  removeMonitor(id, reason = 'COMPLETED') {
+    if (this.activeMonitors.has(id)) {
+      const m = this.activeMonitors.get(id);
+      this.activeMonitors.delete(id);
+      if (this.storage) this.storage.delete('monitors', id);
+      this._releaseFeed(m);
+      console.log(`🗑️ Monitor removido: ${m.symbol} ${m.timeframe} [${id}] (${reason})`);
+      this._emit('monitor.removed', { monitorId: id, signalId: m.signalId, symbol: m.symbol, reason });
       return m;
     }
     return null;
   }
-  hasActiveMonitor(symbol) {
-    return this.activeMonitors.has(symbol);
+  getMonitor(id) {
+    return this.activeMonitors.get(id) || null;
+  }
+  getMonitorsForSymbol(symbol) {
+    return Array.from(this.activeMonitors.values()).filter((m) => m.symbol === symbol);
+  }
+  /**
+   * Há posição aberta no símbolo (opcionalmente no mesmo timeframe)?
+   */
+  hasActiveMonitor(symbol, timeframe = null) {
+    return this.getMonitorsForSymbol(symbol).some((m) => !timeframe || m.timeframe === timeframe);
   }
   getActiveSymbols() {
-    return Array.from(this.activeMonitors.keys());
+    return [...new Set(Array.from(this.activeMonitors.values(), (m) => m.symbol))];
   }
 
-  async startPriceMonitoring(symbol, entry, targets, stopLoss, binanceService, signalData, app, adaptiveScoring) {
+  _releaseFeed(monitor) {
+    const handle = this.monitorStreams.get(monitor.id);
+    if (!handle) return;
+    this.monitorStreams.delete(monitor.id);
     try {
-      const monitor = this.activeMonitors.get(symbol);
-      if (!monitor) {
-        console.error(`❌ Monitor não encontrado para ${symbol}`);
-        return;
-      }
+      handle.close();
+    } catch (_) {}
+  }
 
-      console.log(`📊 Iniciando monitoramento de ${symbol}...`);
+  /**
+   * Liga o acompanhamento de preço do monitor `monitorId` (ID do sinal); os níveis vêm do próprio monitor
+   */
+  async startPriceMonitoring(monitorId, entry, targets, stopLoss, binanceService, signalData) {
+    const monitor = this.activeMonitors.get(monitorId);
+    if (!monitor) {
+      console.error(`❌ Monitor não encontrado: ${monitorId}`);
+      return;
+    }
+    const { symbol } = monitor;
+    try {
+      console.log(`📊 Iniciando monitoramento de ${symbol} ${monitor.timeframe} [${monitorId}]...`);
       console.log(`   🧾 Hash níveis: ${monitor.levelsHash}`);
       console.log(`   💰 Entrada (fixa): $${this.formatPrice(monitor.entry)}`);
       console.log(`   🎯 Alvos (fixos): ${monitor.targets.map((t) => '$' + this.formatPrice(t)).join(', ')}`);
@@ -936,24 +1472,40 @@ ${header}
       console.log(`   📈 Trend: ${monitor.trend}`);
 
       const wsEnabled = envBool('BINANCE_WS_ENABLED', 'false');
-      const hasWS =
-        binanceService &&
-        typeof binanceService.connectWebSocket === 'function' &&
-        typeof binanceService.stopWebSocketForSymbol === 'function';
+      const hasWS = binanceService && typeof binanceService.subscribe === 'function';
+
+      // replay: o polling roda em tempo simulado (ReplayClock)
+      const timers = this.clock || { setInterval, clearInterval };
 
       const onTick = async (tick) => {
+        // um tick por vez por monitor: evita fechar duas vezes enquanto a notificação anterior está no ar
+        if (this._ticking.has(monitorId)) return;
+        this._ticking.add(monitorId);
         try {
           const currentPrice = Number(tick.close || tick.price || tick);
           if (!isFinite(currentPrice)) return;
 
-          const currentMonitor = this.activeMonitors.get(symbol);
+          this._emit('monitor.tick', { monitorId, symbol, price: currentPrice, time: this._now() });
+
+          const currentMonitor = this.activeMonitors.get(monitorId);
           if (!currentMonitor || currentMonitor.status !== 'ACTIVE') {
-            console.log(`⏭️ Monitor inativo para ${symbol} - parando monitoramento`);
-            if (hasWS && wsEnabled) binanceService.stopWebSocketForSymbol(symbol, '1m');
-            if (pollTimer) clearInterval(pollTimer);
+            console.log(`⏭️ Monitor inativo para ${symbol} [${monitorId}] - parando monitoramento`);
+            this._releaseFeed(monitor);
+            if (pollTimer) timers.clearInterval(pollTimer);
             return;
           }
 
+          // último preço visto: P&L ao vivo no dashboard/comandos (o checkpoint abaixo persiste)
+          const nowMs = this._now();
+          currentMonitor.lastPrice = currentPrice;
+          currentMonitor.lastPriceAt = nowMs;
+
+          // checkpoint: até onde o preço já foi verificado (base do replay após restart)
+          if (nowMs - (Number(currentMonitor.lastCheckedAt) || 0) >= RESUME.CHECKPOINT_MS) {
+            currentMonitor.lastCheckedAt = nowMs;
+            this._persistMonitor(currentMonitor);
+          }
+
           const hitStopLoss =
             currentMonitor.trend === 'BULLISH'
               ? currentPrice <= currentMonitor.stopLoss
@@ -964,29 +1516,37 @@ ${header}
               console.log(
                 `🛡️ [${symbol}] STOP MÓVEL ATINGIDO! Preço: $${currentPrice}, Stop: $${currentMonitor.stopLoss}`
               );
-              await this.handleStopMobile(symbol, currentPrice, currentMonitor, app);
+              await this.handleStopMobile(symbol, currentPrice, currentMonitor);
             } else {
               console.log(
                 `🛑 [${symbol}] STOP LOSS ATINGIDO! Preço: $${currentPrice}, Stop: $${currentMonitor.stopLoss}`
               );
-              await this.handleStopLoss(symbol, currentPrice, currentMonitor, app);
+              await this.handleStopLoss(symbol, currentPrice, currentMonitor);
             }
             return;
           }
 
-          await this.checkTargets(symbol, currentPrice, currentMonitor, app);
+          await this.checkTargets(symbol, currentPrice, currentMonitor);
         } catch (e) {
           console.error(`❌ Erro no monitoramento ${symbol}:`, e.message);
+        } finally {
+          this._ticking.delete(monitorId);
         }
       };
 
       let pollTimer = null;
       if (wsEnabled && hasWS) {
-        await binanceService.connectWebSocket(symbol, '1m', (candleData) => {
-          if (candleData?.isClosed) onTick(candleData);
-        });
-        console.log(`✅ WebSocket configurado para ${symbol} - monitoramento ativo`);
-        return;
+        // ticks intrabar do kline 1m: stop/alvos reagem no preço corrente, sem esperar o fechamento
+        const handle = await binanceService.subscribe(symbol, { interval: '1m', onTick });
+        if (handle) {
+          if (this.activeMonitors.has(monitorId)) {
+            this.monitorStreams.set(monitorId, handle);
+            console.log(`✅ WebSocket configurado para ${symbol} via ${handle.venue} - monitoramento ativo`);
+            return;
+          }
+          handle.close();
+          return;
+        }
       }
 
       console.log('⚠️ WebSocket indisponível — ativando polling leve (6–10s)');
@@ -1016,7 +1576,7 @@ ${header}
         if (isFinite(p)) await onTick({ price: p });
       }
 
-      pollTimer = setInterval(async () => {
+      pollTimer = timers.setInterval(async () => {
         try {
           const price = await safeGetLastPrice();
           if (isFinite(price)) await onTick({ price });
@@ -1026,11 +1586,207 @@ ${header}
       }, pollIntervalMs);
     } catch (error) {
       console.error(`❌ Erro ao iniciar monitoramento ${symbol}:`, error.message);
-      this.removeMonitor(symbol, 'ERROR');
+      this.removeMonitor(monitorId, 'ERROR');
+    }
+  }
+
+  // =================== RETOMADA APÓS RESTART ===================
+  /**
+   * Retoma os monitores recarregados do storage:
+   *  1) reprocessa os candles 1m perdidos enquanto o bot esteve fora (high/low)
+   *  2) dispara as notificações de recuperação (alvos, stop móvel, stop loss)
+   *  3) religa o startPriceMonitoring com os mesmos níveis (mesmo levelsHash)
+   */
+  async resumeMonitors(binanceService) {
+    const ids = Array.from(this.activeMonitors.keys());
+    const summary = { resumed: 0, closed: 0, failed: 0 };
+    if (ids.length === 0) return summary;
+
+    console.log(`♻️ Retomando ${ids.length} monitor(es) após reinício: ${this.getActiveSymbols().join(', ')}`);
+
+    for (const id of ids) {
+      const monitor = this.activeMonitors.get(id);
+      if (!monitor) continue;
+      const { symbol } = monitor;
+
+      const expectedHash = this._levelsHash(monitor.entry, monitor.originalTargets, monitor.stopLossOriginal);
+      if (monitor.levelsHash !== expectedHash) {
+        console.warn(
+          `⚠️ [${symbol}] Hash de níveis divergente (salvo=${monitor.levelsHash}, recalculado=${expectedHash}) — mantendo níveis salvos`
+        );
+      }
+
+      try {
+        const closed = await this._replayMissedCandles(symbol, monitor, binanceService);
+        if (closed) {
+          summary.closed++;
+          continue;
+        }
+      } catch (error) {
+        // sem histórico não dá para reconstruir: segue monitorando a partir de agora
+        summary.failed++;
+        console.error(`❌ [${symbol}] Falha no replay dos candles perdidos:`, error.message);
+      }
+
+      await this.startPriceMonitoring(id, monitor.entry, monitor.targets, monitor.stopLoss, binanceService, null);
+      summary.resumed++;
+    }
+
+    console.log(
+      `♻️ Retomada concluída: ${summary.resumed} ativo(s), ${summary.closed} encerrado(s) durante a indisponibilidade, ${summary.failed} sem replay`
+    );
+    return summary;
+  }
+
+  /**
+   * Reprocessa os candles 1m desde o último checkpoint. Retorna true se o monitor foi encerrado.
+   */
+  async _replayMissedCandles(symbol, monitor, binanceService) {
+    if (!binanceService?.getOHLCVData) return false;
+
+    const now = this._now();
+    const lastSeen =
+      Number(monitor.lastCheckedAt) || new Date(monitor.lastUpdate || monitor.startTime).getTime() || now;
+    let cursor = Math.max(lastSeen, now - RESUME.MAX_HOURS * 60 * 60 * 1000);
+    cursor = Math.floor(cursor / 60000) * 60000;
+
+    const downtimeMin = Math.max(0, Math.round((now - lastSeen) / 60000));
+    console.log(`⏪ [${symbol}] Replay de ~${downtimeMin} min (desde ${new Date(cursor).toISOString()})`);
+
+    let candles = 0;
+    while (cursor < now && this.activeMonitors.get(monitor.id) === monitor) {
+      const data = await binanceService.getOHLCVData(symbol, '1m', RESUME.BATCH, cursor);
+      const ts = data?.timestamp || [];
+
+      let advanced = false;
+      for (let i = 0; i < ts.length; i++) {
+        if (ts[i] < cursor) continue;
+        advanced = true;
+        cursor = ts[i] + 60000;
+        candles++;
+
+        const closed = await this._replayCandle(symbol, monitor, { time: ts[i], high: data.high[i], low: data.low[i] });
+        if (closed) {
+          console.log(`⏪ [${symbol}] Operação encerrada durante a indisponibilidade (${candles} candles reprocessados)`);
+          return true;
+        }
+      }
+      if (!advanced) break;
+    }
+
+    monitor.lastCheckedAt = Math.min(cursor, now);
+    this._persistMonitor(monitor);
+    console.log(`⏪ [${symbol}] Replay concluído: ${candles} candles, ${monitor.targetsHit} alvo(s) atingido(s)`);
+    return false;
+  }
+
+  /**
+   * Aplica um candle ao monitor. Stop é avaliado antes dos alvos (conservador: a ordem intra-candle é desconhecida).
+   */
+  async _replayCandle(symbol, monitor, candle) {
+    const isLong = monitor.trend === 'BULLISH';
+    this.replayContext.set(monitor.id, new Date(candle.time));
+    try {
+      // ticks (paper trading): extremo adverso antes do favorável (mesma ordem conservadora do monitor)
+      for (const price of isLong ? [candle.low, candle.high] : [candle.high, candle.low]) {
+        this._emit('monitor.tick', { monitorId: monitor.id, symbol, price, time: candle.time });
+      }
+
+      const hitStop = isLong ? candle.low <= monitor.stopLoss : candle.high >= monitor.stopLoss;
+      if (hitStop) {
+        if (monitor.isMobileStopActive && monitor.targetsHit > 0) {
+          await this.handleStopMobile(symbol, monitor.stopLoss, monitor);
+        } else {
+          await this.handleStopLoss(symbol, monitor.stopLoss, monitor);
+        }
+        return true;
+      }
+
+      while (monitor.targets.length > 0 && this.activeMonitors.get(monitor.id) === monitor) {
+        const next = monitor.targets[0];
+        const reached = isLong ? candle.high >= next : candle.low <= next;
+        if (!reached) break;
+        await this.checkTargets(symbol, next, monitor);
+      }
+      return this.activeMonitors.get(monitor.id) !== monitor;
+    } finally {
+      this.replayContext.delete(monitor.id);
+    }
+  }
+
+  /**
+   * Cabeçalho das notificações disparadas pelo replay (evento ocorrido com o bot fora do ar)
+   */
+  _catchUpHeader(monitor) {
+    const at = this.replayContext.get(monitor.id);
+    if (!at) return '';
+    let when;
+    try {
+      when = at.toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo', hour12: false });
+    } catch {
+      when = at.toLocaleString('pt-BR');
+    }
+    return `⏪ <b>ATUALIZAÇÃO RECUPERADA</b> — ocorrido em ${this._escapeHtml(when)} (bot reiniciado)\n\n`;
+  }
+
+  /**
+   * Linha que identifica a posição quando há mais de uma aberta no símbolo
+   */
+  _positionLine(monitor) {
+    if (this.getMonitorsForSymbol(monitor.symbol).length < 2) return '';
+    const direction = monitor.trend === 'BULLISH' ? 'COMPRA' : 'VENDA';
+    return `🔗 <b>Posição:</b> ${this._escapeHtml(monitor.timeframe)} ${direction} — entrada ${this._escapeHtml(
+      this.formatPrice(monitor.entry)
+    )}\n`;
+  }
+
+  /**
+   * Evento de uma posição (alvo, stop, encerramento) → NotifierService (Telegram, Discord, webhooks)
+   * @param {string} type - target_hit | stop_moved | stop_loss | stop_mobile | all_targets | manual_close
+   */
+  _sendPositionMessage(monitor, message, type = 'position', data = {}) {
+    return this._publish(
+      type,
+      {
+        text: message,
+        symbol: monitor.symbol,
+        signalId: monitor.signalId,
+        data: {
+          monitorId: monitor.id,
+          timeframe: monitor.timeframe,
+          trend: monitor.trend,
+          entry: monitor.entry,
+          stopLoss: monitor.stopLoss,
+          targetsHit: monitor.targetsHit,
+          ...data,
+        },
+      },
+      () => this._deliverPositionMessage(monitor, message)
+    );
+  }
+
+  // No Telegram: em cada canal do sinal, resposta à mensagem original (com o atraso do canal)
+  async _deliverPositionMessage(monitor, message) {
+    const defaultId = this.channels[0]?.id;
+    const ids = monitor.channels?.length ? monitor.channels : [defaultId];
+    const immediate = [];
+    for (const id of ids) {
+      const channel = this.channels.find((c) => c.id === id);
+      if (!channel) continue;
+      // monitores antigos guardavam só messageId (canal padrão)
+      const replyTo = () => monitor.messageIds?.[id] ?? (id === defaultId ? monitor.messageId : null);
+      const pending = this._deliverLater(channel, () => this._sendMessageSafe(message, { channel: id, replyTo }), {
+        kind: 'position',
+        text: message,
+        monitorId: monitor.id,
+      });
+      if (pending) immediate.push(pending);
     }
+    const results = await Promise.all(immediate);
+    return results[0] ?? null;
   }
 
-  async checkTargets(symbol, currentPrice, monitor, app) {
+  async checkTargets(symbol, currentPrice, monitor) {
     try {
       const isLong = monitor.trend === 'BULLISH';
       const targetHit =
@@ -1043,18 +1799,20 @@ ${header}
 
         monitor.targets.shift();
         monitor.targetsHit++;
-        monitor.lastUpdate = new Date();
+        monitor.fillTimes = [...(monitor.fillTimes || []), (this.replayContext.get(monitor.id) || new Date(this._now())).getTime()];
+        monitor.lastUpdate = new Date(this._now());
+        this._persistMonitor(monitor);
 
         const pnlPercent = isLong
           ? ((targetPrice - monitor.entry) / monitor.entry) * 100
           : ((monitor.entry - targetPrice) / monitor.entry) * 100;
 
-        await this.sendTargetHitNotification(symbol, targetNumber, targetPrice, pnlPercent);
+        await this.sendTargetHitNotification(monitor, targetNumber, targetPrice, pnlPercent);
 
-        if (app?.performanceTracker) app.performanceTracker.recordTrade(symbol, pnlPercent, true);
+        this._emit('monitor.target_hit', this._monitorEvent(monitor, { targetNumber, targetPrice, pnlPercent }));
 
         if (monitor.targets.length === 0) {
-          await this.handleAllTargetsHit(symbol, monitor, app);
+          await this.handleAllTargetsHit(symbol, monitor);
         } else {
           await this.handleStopMovement(symbol, targetNumber, monitor);
         }
@@ -1066,55 +1824,36 @@ ${header}
 
   async handleStopMovement(symbol, targetNumber, monitor) {
     try {
-      let newStopPrice = null,
-        stopDescription = '';
-      switch (targetNumber) {
-        case 1:
-          return;
-        case 2:
-          newStopPrice = monitor.entry;
-          stopDescription = 'ponto de entrada';
-          break;
-        case 3:
-          newStopPrice = monitor.originalTargets[0];
-          stopDescription = 'alvo 1';
-          break;
-        case 4:
-          newStopPrice = monitor.originalTargets[1];
-          stopDescription = 'alvo 2';
-          break;
-        case 5:
-          newStopPrice = monitor.originalTargets[2];
-          stopDescription = 'alvo 3';
-          break;
-        default:
-          return;
-      }
+      const trailing = this.trailingStopFor(targetNumber, monitor.entry, monitor.originalTargets);
+      if (!trailing) return;
+      const { price: newStopPrice, description: stopDescription } = trailing;
       if (newStopPrice) {
         monitor.stopLoss = newStopPrice;
         monitor.isMobileStopActive = true;
         monitor.mobileStopLevel = stopDescription;
-        await this.sendStopMovedNotification(symbol, newStopPrice, stopDescription);
+        this._persistMonitor(monitor);
+        this._emit('monitor.stop_moved', this._monitorEvent(monitor, { newStop: newStopPrice, description: stopDescription }));
+        await this.sendStopMovedNotification(monitor, newStopPrice, stopDescription);
       }
     } catch (error) {
       console.error(`❌ Erro ao mover stop ${symbol}:`, error.message);
     }
   }
 
-  async sendStopMovedNotification(symbol, newStopPrice, stopDescription) {
+  async sendStopMovedNotification(monitor, newStopPrice, stopDescription) {
     try {
-      const monitor = this.activeMonitors.get(symbol);
-      if (!monitor) return;
+      if (!this.activeMonitors.has(monitor.id)) return;
+      const { symbol } = monitor;
 
       const isLong = monitor.trend === 'BULLISH';
       const direction = isLong ? 'COMPRA' : 'VENDA';
-      const duration = this.calculateDuration(monitor.startTime);
+      const duration = this.calculateDuration(monitor.startTime, this.replayContext.get(monitor.id));
 
       const totalRealizedPnL = this.calculateTotalRealizedPnL(monitor, monitor.targetsHit);
       const leveragedTotalPnL = totalRealizedPnL * 15;
       const realizationBreakdown = this.getRealizationBreakdown(monitor.targetsHit);
 
-      const message = `🛡️ <b>STOP MÓVEL ATIVADO #${this._escapeHtml(symbol.split('/')[0])} ${direction}</b>
+      const message = `${this._catchUpHeader(monitor)}${this._positionLine(monitor)}🛡️ <b>STOP MÓVEL ATIVADO #${this._escapeHtml(symbol.split('/')[0])} ${direction}</b>
 
 ✅ <b>Stop loss movido para ${this._escapeHtml(stopDescription)}</b>
 💰 <b>Lucro parcial realizado:</b> +${this._escapeHtml(leveragedTotalPnL.toFixed(1))}% (${this._escapeHtml(realizationBreakdown)})
@@ -1131,38 +1870,91 @@ ${header}
 
 👑 <b>Sinais Lobo Scalping</b>`;
 
-      await this._sendMessageSafe(message);
+      await this._sendPositionMessage(monitor, message, 'stop_moved', { newStop: newStopPrice, description: stopDescription });
     } catch (error) {
       console.error(`❌ Erro ao enviar stop móvel:`, error.message);
     }
   }
 
-  async handleStopLoss(symbol, currentPrice, monitor, app) {
+  async handleStopLoss(symbol, currentPrice, monitor) {
     try {
       const isLong = monitor.trend === 'BULLISH';
       const pnlPercent = isLong
         ? ((currentPrice - monitor.entry) / monitor.entry) * 100
         : ((monitor.entry - currentPrice) / monitor.entry) * 100;
 
-      if (app?.performanceTracker) {
-        app.performanceTracker.recordTrade(symbol, pnlPercent, false);
-        const realized = this.calculateTotalRealizedPnL(monitor, monitor.targetsHit);
-        app.performanceTracker.updateSignalResult(symbol, monitor.targetsHit, pnlPercent, 'STOP_LOSS', realized);
-      }
-      if (app?.adaptiveScoring) {
-        app.adaptiveScoring.recordTradeResult(symbol, monitor.indicators || {}, false, pnlPercent);
-      }
+      const costs = await this._closingCosts(monitor, currentPrice, 'stop');
+
+      this._emit(
+        'monitor.closed',
+        this._monitorEvent(monitor, {
+          exitReason: 'STOP_LOSS',
+          exitPrice: currentPrice,
+          pnlPercent,
+          realizedPnL: this.calculateTotalRealizedPnL(monitor, monitor.targetsHit),
+          isWin: false,
+          costs,
+          indicators: monitor.indicators || {},
+        })
+      );
 
-      await this.sendStopLossNotification(symbol, currentPrice, monitor, pnlPercent);
+      await this.sendStopLossNotification(symbol, currentPrice, monitor, pnlPercent, costs);
 
-      this.removeMonitor(symbol, 'STOP_LOSS');
-      if (app?.binanceService?.stopWebSocketForSymbol) app.binanceService.stopWebSocketForSymbol(symbol, '1m');
+      this.removeMonitor(monitor.id, 'STOP_LOSS');
     } catch (error) {
       console.error(`❌ Erro ao tratar stop loss ${symbol}:`, error.message);
     }
   }
 
-  async handleAllTargetsHit(symbol, monitor, app) {
+  /**
+   * Encerramento manual (comando /close): publica o resultado ao preço atual com exitReason MANUAL,
+   * zera a posição simulada e avisa em resposta ao sinal
+   */
+  async handleManualClose(monitor, currentPrice, reason) {
+    const { symbol } = monitor;
+    const isLong = monitor.trend === 'BULLISH';
+    const pnlPercent = isLong
+      ? ((currentPrice - monitor.entry) / monitor.entry) * 100
+      : ((monitor.entry - currentPrice) / monitor.entry) * 100;
+
+    const costs = await this._closingCosts(monitor, currentPrice, 'stop');
+
+    this._emit(
+      'monitor.closed',
+      this._monitorEvent(monitor, {
+        exitReason: 'MANUAL',
+        exitPrice: currentPrice,
+        pnlPercent,
+        realizedPnL: this.calculateTotalRealizedPnL(monitor, monitor.targetsHit),
+        isWin: pnlPercent > 0,
+        costs,
+        indicators: monitor.indicators || {},
+        reason,
+      })
+    );
+
+    const leveragedPnL = pnlPercent * 15;
+    const icon = leveragedPnL >= 0 ? '🟢' : '🔴';
+    const message = `${this._catchUpHeader(monitor)}${this._positionLine(monitor)}✋ <b>#${this._escapeHtml(symbol.split('/')[0])} - OPERAÇÃO ENCERRADA MANUALMENTE</b>
+
+📊 <b>Resultado:</b> ${icon}
+⚡ <b>Alavancado (15x):</b> ${icon} ${this._escapeHtml(leveragedPnL.toFixed(1))}%${this._netLine(pnlPercent, costs)}
+
+📌 <b>Motivo:</b> ${this._escapeHtml(reason)}
+
+📈 <b>Alvos atingidos:</b> ${this._escapeHtml(String(monitor.targetsHit || 'Nenhum'))}
+💰 <b>Preço de saída:</b> ${this._escapeHtml(this.formatPrice(currentPrice))}
+📅 <b>Duração:</b> ${this._escapeHtml(this.calculateDuration(monitor.startTime))}
+
+👑 Sinais Lobo Scalping
+⏰ ${this._escapeHtml(this.formatNowSP())}`;
+    await this._sendPositionMessage(monitor, message, 'manual_close', { exitPrice: currentPrice, pnlPercent, reason, costs });
+
+    this.removeMonitor(monitor.id, 'MANUAL');
+    return { pnlPercent, costs };
+  }
+
+  async handleAllTargetsHit(symbol, monitor) {
     try {
       const finalTarget = monitor.originalTargets[monitor.originalTargets.length - 1];
       const isLong = monitor.trend === 'BULLISH';
@@ -1170,30 +1962,40 @@ ${header}
         ? ((finalTarget - monitor.entry) / monitor.entry) * 100
         : ((monitor.entry - finalTarget) / monitor.entry) * 100;
 
-      if (app?.performanceTracker)
-        app.performanceTracker.updateSignalResult(symbol, 6, totalPnlPercent, 'ALL_TARGETS', totalPnlPercent);
-      if (app?.adaptiveScoring)
-        app.adaptiveScoring.recordTradeResult(symbol, monitor.indicators || {}, true, totalPnlPercent);
+      const costs = await this._closingCosts(monitor, finalTarget, 'target');
+
+      this._emit(
+        'monitor.closed',
+        this._monitorEvent(monitor, {
+          exitReason: 'ALL_TARGETS',
+          exitPrice: finalTarget,
+          pnlPercent: totalPnlPercent,
+          realizedPnL: totalPnlPercent,
+          targetsHit: monitor.originalTargets.length,
+          isWin: true,
+          costs,
+          indicators: monitor.indicators || {},
+        })
+      );
 
-      await this.sendAllTargetsHitNotification(symbol, monitor, totalPnlPercent);
+      await this.sendAllTargetsHitNotification(symbol, monitor, totalPnlPercent, costs);
 
-      this.removeMonitor(symbol, 'ALL_TARGETS');
-      if (app?.binanceService?.stopWebSocketForSymbol) app.binanceService.stopWebSocketForSymbol(symbol, '1m');
+      this.removeMonitor(monitor.id, 'ALL_TARGETS');
     } catch (error) {
       console.error(`❌ Erro ao tratar todos alvos ${symbol}:`, error.message);
     }
   }
 
-  async sendTargetHitNotification(symbol, targetNumber, targetPrice, pnlPercent) {
+  async sendTargetHitNotification(monitor, targetNumber, targetPrice, pnlPercent) {
     try {
-      const monitor = this.activeMonitors.get(symbol);
-      if (!monitor) return;
+      if (!this.activeMonitors.has(monitor.id)) return;
+      const { symbol } = monitor;
       const isLong = monitor.trend === 'BULLISH';
       const direction = isLong ? 'COMPRA' : 'VENDA';
       const leveragedPnL = pnlPercent * 15;
-      const timeElapsed = this.calculateDuration(monitor.startTime);
+      const timeElapsed = this.calculateDuration(monitor.startTime, this.replayContext.get(monitor.id));
 
-      const message = `✅ <b>ALVO ${this._escapeHtml(String(targetNumber))} ATINGIDO #${this._escapeHtml(
+      const message = `${this._catchUpHeader(monitor)}${this._positionLine(monitor)}✅ <b>ALVO ${this._escapeHtml(String(targetNumber))} ATINGIDO #${this._escapeHtml(
         symbol.split('/')[0]
       )} ${direction}</b>
 
@@ -1209,25 +2011,25 @@ ${header}
 
 👑 <b>Sinais Lobo Scalping</b>`;
 
-      await this._sendMessageSafe(message);
+      await this._sendPositionMessage(monitor, message, 'target_hit', { targetNumber, targetPrice, pnlPercent });
     } catch (error) {
       console.error(`❌ Erro ao enviar notificação alvo:`, error.message);
     }
   }
 
-  async sendStopLossNotification(symbol, currentPrice, monitor, pnlPercent) {
+  async sendStopLossNotification(symbol, currentPrice, monitor, pnlPercent, costs = null) {
     try {
       const leveragedPnL = pnlPercent * 15;
-      const duration = this.calculateDuration(monitor.startTime);
+      const duration = this.calculateDuration(monitor.startTime, this.replayContext.get(monitor.id));
       const publishedStop = this.formatPrice(monitor.stopLossOriginal);
 
       let message;
 
       if (monitor.targetsHit === 0) {
-        message = `❌ <b>#${this._escapeHtml(symbol.split('/')[0])} - OPERAÇÃO FINALIZADA</b> ❌
+        message = `${this._catchUpHeader(monitor)}${this._positionLine(monitor)}❌ <b>#${this._escapeHtml(symbol.split('/')[0])} - OPERAÇÃO FINALIZADA</b> ❌
 
 📊 <b>Resultado:</b> 🔴
-⚡ <b>Alavancado (15x):</b> 🔴 ${this._escapeHtml(leveragedPnL.toFixed(1))}%
+⚡ <b>Alavancado (15x):</b> 🔴 ${this._escapeHtml(leveragedPnL.toFixed(1))}%${this._netLine(pnlPercent, costs)}
 
 📌 <b>Motivo:</b> STOP LOSS ATIVADO
 
@@ -1244,10 +2046,10 @@ ${header}
 👑 Sinais Lobo Scalping
 ⏰ ${this._escapeHtml(this.formatNowSP())}`;
       } else {
-        message = `❌ <b>#${this._escapeHtml(symbol.split('/')[0])} - OPERAÇÃO FINALIZADA</b> ❌
+        message = `${this._catchUpHeader(monitor)}${this._positionLine(monitor)}❌ <b>#${this._escapeHtml(symbol.split('/')[0])} - OPERAÇÃO FINALIZADA</b> ❌
 
 📊 <b>Resultado:</b> 🔴
-⚡ <b>Alavancado (15x):</b> 🔴 ${this._escapeHtml(leveragedPnL.toFixed(1))}%
+⚡ <b>Alavancado (15x):</b> 🔴 ${this._escapeHtml(leveragedPnL.toFixed(1))}%${this._netLine(pnlPercent, costs)}
 
 📌 <b>Motivo:</b> STOP LOSS ATIVADO APÓS ALVO ${this._escapeHtml(String(monitor.targetsHit))}
 
@@ -1264,21 +2066,21 @@ ${header}
 ⏰ ${this._escapeHtml(this.formatNowSP())}`;
       }
 
-      await this._sendMessageSafe(message);
+      await this._sendPositionMessage(monitor, message, 'stop_loss', { exitPrice: currentPrice, pnlPercent, costs });
     } catch (error) {
       console.error(`❌ Erro ao enviar notificação stop loss:`, error.message);
     }
   }
 
-  async sendAllTargetsHitNotification(symbol, monitor, totalPnlPercent) {
+  async sendAllTargetsHitNotification(symbol, monitor, totalPnlPercent, costs = null) {
     try {
       const leveragedPnL = totalPnlPercent * 15;
-      const duration = this.calculateDuration(monitor.startTime);
+      const duration = this.calculateDuration(monitor.startTime, this.replayContext.get(monitor.id));
 
-      const message = `🌕 <b>#${this._escapeHtml(symbol.split('/')[0])} - OPERAÇÃO FINALIZADA</b> 🌕
+      const message = `${this._catchUpHeader(monitor)}${this._positionLine(monitor)}🌕 <b>#${this._escapeHtml(symbol.split('/')[0])} - OPERAÇÃO FINALIZADA</b> 🌕
 
 📊 <b>Resultado:</b> 🟢 +${this._escapeHtml(totalPnlPercent.toFixed(1))}%
-⚡ <b>Alavancado (15x):</b> 🟢 +${this._escapeHtml(leveragedPnL.toFixed(1))}%
+⚡ <b>Alavancado (15x):</b> 🟢 +${this._escapeHtml(leveragedPnL.toFixed(1))}%${this._netLine(totalPnlPercent, costs)}
 
 📌 <b>Motivo:</b> TODOS OS ALVOS ATINGIDOS - LUA!
 
@@ -1289,27 +2091,28 @@ ${header}
 👑 <b>Sinais Lobo Scalping</b>
 ⏰ ${this._escapeHtml(this.formatNowSP())}`;
 
-      await this._sendMessageSafe(message);
+      await this._sendPositionMessage(monitor, message, 'all_targets', { pnlPercent: totalPnlPercent, costs });
     } catch (error) {
       console.error(`❌ Erro ao enviar lua:`, error.message);
     }
   }
 
-  async handleStopMobile(symbol, currentPrice, monitor, app) {
+  async handleStopMobile(symbol, currentPrice, monitor) {
     try {
       const isLong = monitor.trend === 'BULLISH';
       const direction = isLong ? 'COMPRA' : 'VENDA';
-      const duration = this.calculateDuration(monitor.startTime);
+      const duration = this.calculateDuration(monitor.startTime, this.replayContext.get(monitor.id));
 
       const totalRealizedPnL = this.calculateTotalRealizedPnL(monitor, monitor.targetsHit);
       const leveragedTotalPnL = totalRealizedPnL * 15;
+      const costs = await this._closingCosts(monitor, currentPrice, 'stop');
 
-      const message = `✅ <b>STOP DE LUCRO ATIVADO #${this._escapeHtml(symbol.split('/')[0])} ${direction}</b>
+      const message = `${this._catchUpHeader(monitor)}${this._positionLine(monitor)}✅ <b>STOP DE LUCRO ATIVADO #${this._escapeHtml(symbol.split('/')[0])} ${direction}</b>
 
 🔍 <b>Preço retornou ao ${this._escapeHtml(monitor.mobileStopLevel || 'ponto de proteção')}</b>
 💰 <b>Lucro realizado:</b> +${this._escapeHtml(leveragedTotalPnL.toFixed(1))}% (${this._escapeHtml(
         this.getRealizationBreakdown(monitor.targetsHit)
-      )})
+      )})${this._netLine(totalRealizedPnL, costs)}
 📈 <b>Alvos atingidos:</b> ${monitor.targetsHit}/6
 📊 <b>Entrada:</b> ${this._escapeHtml(this.formatPrice(monitor.entry))}
 💵 <b>Preço atual:</b> ${this._escapeHtml(this.formatPrice(currentPrice))}
@@ -1322,27 +2125,30 @@ ${header}
 
 👑 <b>Sinais Lobo Scalping</b>`;
 
-      await this._sendMessageSafe(message);
-
-      if (app?.performanceTracker) {
-        const realizedPnL = this.calculateTotalRealizedPnL(monitor, monitor.targetsHit);
-        app.performanceTracker.updateSignalResult(symbol, monitor.targetsHit, realizedPnL, 'STOP_MOBILE', realizedPnL);
-      }
-      if (app?.adaptiveScoring) {
-        app.adaptiveScoring.recordTradeResult(symbol, monitor.indicators || {}, true, totalRealizedPnL);
-      }
+      await this._sendPositionMessage(monitor, message, 'stop_mobile', { exitPrice: currentPrice, pnlPercent: totalRealizedPnL, costs });
+
+      this._emit(
+        'monitor.closed',
+        this._monitorEvent(monitor, {
+          exitReason: 'STOP_MOBILE',
+          exitPrice: currentPrice,
+          pnlPercent: totalRealizedPnL,
+          realizedPnL: totalRealizedPnL,
+          isWin: true,
+          costs,
+          indicators: monitor.indicators || {},
+        })
+      );
 
-      this.removeMonitor(symbol, 'STOP_MOBILE');
-      if (app?.binanceService?.stopWebSocketForSymbol) app.binanceService.stopWebSocketForSymbol(symbol, '1m');
+      this.removeMonitor(monitor.id, 'STOP_MOBILE');
     } catch (error) {
       console.error(`❌ Erro ao tratar stop móvel ${symbol}:`, error.message);
     }
   }
 
   // ============== Utilidades diversas ==============
-  calculateDuration(startTime) {
-    const now = new Date();
-    const diff = now - startTime;
+  calculateDuration(startTime, endTime = new Date(this._now())) {
+    const diff = endTime - startTime;
     const days = Math.floor(diff / (1000 * 60 * 60 * 24));
     const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
     const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
@@ -1391,7 +2197,7 @@ ${header}
   calculateTotalRealizedPnL(monitor, targetsHit) {
     if (targetsHit === 0) return 0;
     const isLong = monitor.trend === 'BULLISH';
-    const realizationPercentages = [50, 15, 10, 10, 10, 5];
+    const realizationPercentages = REALIZATION_SPLIT;
     let total = 0;
     for (let i = 0; i < targetsHit; i++) {
       const tp = monitor.originalTargets[i];
@@ -1403,7 +2209,7 @@ ${header}
   }
 
   getRealizationBreakdown(targetsHit) {
-    const realizationPercentages = [50, 15, 10, 10, 10, 5];
+    const realizationPercentages = REALIZATION_SPLIT;
     const arr = [];
     for (let i = 0; i < targetsHit; i++) {
       arr.push(`${realizationPercentages[i]}% no Alvo ${i + 1}`);
@@ -0,0 +1,297 @@
+/**
+ * Comandos do bot do Telegram (operadores)
+ * - /status: monitores ativos com P&L ao vivo
+ * - /signal BTC [tf]: análise sob demanda (score, tendência, RSI/MACD) sem emitir sinal
+ * - /performance [week|month]: relatório semanal ou do mês corrente
+ * - /close SYMBOL|ID [motivo]: encerra um monitor manualmente (resultado registrado como MANUAL)
+ * - /pause [motivo] e /resume: suspendem/retomam novas emissões (monitores seguem ativos)
+ *
+ * Todos os comandos exigem que o chat (ou o usuário) esteja em TELEGRAM_ADMIN_CHAT_IDS;
+ * mensagens de outros chats são ignoradas. Sem allowlist o polling nem é iniciado.
+ */
+
+import { TIMEFRAMES } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('TelegramCommands');
+
+const ANALYSIS_TIMEOUT_MS = 30_000;
+
+function parseIds(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * "btc" | "BTCUSDT" | "btc/usdt" → "BTC/USDT"
+ */
+export function normalizeSymbol(raw) {
+  const s = String(raw || '').trim().toUpperCase();
+  if (!s) return null;
+  if (s.includes('/')) return s;
+  const base = s.endsWith('USDT') && s.length > 4 ? s.slice(0, -4) : s;
+  return `${base}/USDT`;
+}
+
+class TelegramCommandService {
+  /**
+   * @param {Object} options
+   *  - telegramBot: TelegramBotService (monitores, envio, pausa das emissões)
+   *  - performanceTracker: relatórios (/performance)
+   *  - binanceService: preço atual (/status, /close)
+   *  - analyze: (symbol, timeframe, logPrefix, options) => resultado do pipeline (app.analyzeSymbolTimeframe)
+   *  - adminIds: allowlist (padrão TELEGRAM_ADMIN_CHAT_IDS)
+   */
+  constructor(options = {}) {
+    this.telegram = options.telegramBot;
+    this.performanceTracker = options.performanceTracker || null;
+    this.binanceService = options.binanceService || null;
+    this.analyze = options.analyze || null;
+
+    this.adminIds = new Set((options.adminIds || parseIds(process.env.TELEGRAM_ADMIN_CHAT_IDS)).map(String));
+    this.enabled = String(process.env.TELEGRAM_COMMANDS_ENABLED ?? 'true').toLowerCase() !== 'false';
+    this.polling = false;
+
+    this.commands = {
+      help: this.cmdHelp,
+      start: this.cmdHelp,
+      status: this.cmdStatus,
+      signal: this.cmdSignal,
+      performance: this.cmdPerformance,
+      close: this.cmdClose,
+      pause: this.cmdPause,
+      resume: this.cmdResume,
+    };
+  }
+
+  // =================== POLLING ===================
+
+  /**
+   * Inicia o long polling do bot (só com Telegram habilitado e allowlist configurada)
+   */
+  async start() {
+    const bot = this.telegram?.bot;
+    if (!this.enabled || !bot || !this.telegram.isEnabled) {
+      console.log('ℹ️ Comandos do Telegram desativados (bot em modo simulado ou TELEGRAM_COMMANDS_ENABLED=false)');
+      return false;
+    }
+    if (this.adminIds.size === 0) {
+      console.log('ℹ️ Comandos do Telegram desativados: defina TELEGRAM_ADMIN_CHAT_IDS');
+      return false;
+    }
+
+    bot.on('message', (msg) => {
+      this.handleMessage(msg).catch((e) => logger.error('Erro ao tratar comando:', e));
+    });
+    bot.on('polling_error', (err) => logger.warn(`Polling Telegram: ${err?.message || err}`));
+
+    await bot.startPolling();
+    this.polling = true;
+    console.log(`✅ Comandos do Telegram ativos (${this.adminIds.size} admin(s))`);
+    return true;
+  }
+
+  async stop() {
+    if (!this.polling) return;
+    this.polling = false;
+    try {
+      await this.telegram.bot.stopPolling();
+    } catch (_) {}
+  }
+
+  isAdmin(msg) {
+    const chatId = msg?.chat?.id;
+    const userId = msg?.from?.id;
+    return (chatId != null && this.adminIds.has(String(chatId))) || (userId != null && this.adminIds.has(String(userId)));
+  }
+
+  /**
+   * Mensagem recebida → comando → resposta no mesmo chat
+   */
+  async handleMessage(msg) {
+    const text = String(msg?.text || '').trim();
+    if (!text.startsWith('/')) return null;
+
+    // "/close@LoboBot ETH motivo" → ['close', 'ETH', 'motivo']
+    const [head, ...args] = text.split(/\s+/);
+    const name = head.slice(1).split('@')[0].toLowerCase();
+    const handler = this.commands[name];
+    if (!handler) return null;
+
+    if (!this.isAdmin(msg)) {
+      logger.warn(`Comando /${name} ignorado: chat ${msg?.chat?.id} / usuário ${msg?.from?.id} fora da allowlist`);
+      return null;
+    }
+
+    const who = msg.from?.username ? `@${msg.from.username}` : String(msg.from?.id ?? msg.chat.id);
+    console.log(`🤖 Comando /${name} ${args.join(' ')} (${who})`);
+
+    let reply;
+    try {
+      reply = await handler.call(this, args, { who, msg });
+    } catch (error) {
+      logger.error(`Erro no comando /${name}:`, error);
+      reply = `❌ Erro ao executar /${name}: ${this._esc(error.message)}`;
+    }
+    if (reply) await this.telegram._sendMessageSafe(reply, { chatId: msg.chat.id });
+    return reply;
+  }
+
+  // =================== COMANDOS ===================
+
+  cmdHelp() {
+    return `🤖 <b>Comandos disponíveis</b>
+
+/status — monitores ativos com P&amp;L ao vivo
+/signal BTC [1m|5m] — análise sob demanda
+/performance [week|month] — relatório de desempenho
+/close SYMBOL|ID [motivo] — encerra um monitor
+/pause [motivo] — suspende novas emissões
+/resume — retoma as emissões`;
+  }
+
+  async cmdStatus() {
+    const monitors = Array.from(this.telegram.activeMonitors.values());
+    const pause = this.telegram.emissionPause;
+    const header = pause
+      ? `⏸️ <b>Emissões pausadas</b> desde ${this._esc(pause.at)} (${this._esc(pause.reason)})`
+      : '▶️ <b>Emissões ativas</b>';
+
+    if (monitors.length === 0) return `${header}\n\n📭 Nenhum monitor ativo`;
+
+    const prices = await this._prices(this.telegram.getActiveSymbols());
+    const lines = monitors.map((m) => {
+      const price = prices.get(m.symbol);
+      const direction = m.trend === 'BEARISH' ? 'SHORT' : 'LONG';
+      const total = m.originalTargets?.length || m.targets.length + m.targetsHit;
+      let pnl = 'P&amp;L: —';
+      if (price > 0) {
+        const pct = ((price - m.entry) / m.entry) * 100 * (m.trend === 'BEARISH' ? -1 : 1);
+        const icon = pct >= 0 ? '🟢' : '🔴';
+        pnl = `${icon} ${pct >= 0 ? '+' : ''}${(pct * 15).toFixed(1)}% (15x) @ ${this.telegram.formatPrice(price)}`;
+      }
+      return (
+        `• <b>${this._esc(m.symbol)}</b> ${this._esc(m.timeframe || '')} ${direction} — alvos ${m.targetsHit}/${total}\n` +
+        `   Entrada ${this.telegram.formatPrice(m.entry)} | Stop ${this.telegram.formatPrice(m.stopLoss)}\n` +
+        `   ${pnl}\n` +
+        `   <code>${this._esc(m.id)}</code>`
+      );
+    });
+
+    return `${header}\n\n📊 <b>${monitors.length} monitor(es) ativo(s)</b>\n\n${lines.join('\n\n')}`;
+  }
+
+  async cmdSignal(args) {
+    const symbol = normalizeSymbol(args[0]);
+    if (!symbol) return 'Uso: /signal BTC [1m|5m]';
+    if (!this.analyze) return '❌ Análise indisponível';
+
+    const timeframes = args[1] ? [args[1]] : TIMEFRAMES;
+    const blocks = [];
+    for (const timeframe of timeframes) {
+      try {
+        const result = await Promise.race([
+          this.analyze(symbol, timeframe, `[CMD ${symbol} ${timeframe}]`, { commit: false }),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout na análise')), ANALYSIS_TIMEOUT_MS)),
+        ]);
+        blocks.push(this._formatAnalysis(symbol, timeframe, result));
+      } catch (error) {
+        blocks.push(`• <b>${this._esc(timeframe)}</b>: ❌ ${this._esc(error.message)}`);
+      }
+    }
+    return `🔍 <b>Análise ${this._esc(symbol)}</b> (sob demanda, sem emissão)\n\n${blocks.join('\n\n')}`;
+  }
+
+  cmdPerformance(args) {
+    if (!this.performanceTracker) return '❌ Performance indisponível';
+    const period = String(args[0] || 'month').toLowerCase();
+
+    if (['week', 'semana', 'weekly'].includes(period)) {
+      return this.performanceTracker.formatWeeklyReportMessage(this.performanceTracker.generateWeeklyReport());
+    }
+
+    const r = this.performanceTracker.generatePerformanceReport();
+    const sides = Object.entries(r.sides || {})
+      .filter(([, s]) => s.trades > 0)
+      .map(([side, s]) => `\n• ${side === 'LONG' ? 'Long' : 'Short'}: ${s.trades} sinais | acerto ${s.winRate}% | líquido ${s.totalNetPnL}%`)
+      .join('');
+    return `📊 <b>Desempenho ${this._esc(r.month)}</b>
+
+• Sinais: ${r.totalSignals}
+• Taxa de acerto: ${r.winRate}%
+• PnL total: bruto ${Number(r.totalPnL || 0).toFixed(2)}% | líquido ${Number(r.totalNetPnL || 0).toFixed(2)}%
+• Média de alvos: ${this._esc(r.avgTargetsHit)}
+• ML: ${r.mlPerformance.signals} sinais | acerto ${r.mlPerformance.winRate}%${sides}`;
+  }
+
+  async cmdClose(args, { who }) {
+    const [target, ...rest] = args;
+    if (!target) return 'Uso: /close SYMBOL|ID [motivo]';
+    const reason = rest.join(' ') || `Encerramento manual por ${who}`;
+
+    // ID exato do monitor, ou símbolo (precisa ser inequívoco quando há várias posições)
+    let monitor = this.telegram.getMonitor(target);
+    if (!monitor) {
+      const symbol = normalizeSymbol(target);
+      const candidates = this.telegram.getMonitorsForSymbol(symbol);
+      if (candidates.length === 0) return `📭 Nenhum monitor ativo para ${this._esc(symbol)}`;
+      if (candidates.length > 1) {
+        const ids = candidates.map((m) => `• <code>${this._esc(m.id)}</code> (${this._esc(m.timeframe || '')} ${this._esc(m.trend)})`);
+        return `⚠️ ${candidates.length} monitores em ${this._esc(symbol)} — use /close ID:\n${ids.join('\n')}`;
+      }
+      monitor = candidates[0];
+    }
+
+    const price = (await this._prices([monitor.symbol])).get(monitor.symbol);
+    if (!(price > 0)) return `❌ Sem preço atual para ${this._esc(monitor.symbol)} — monitor mantido`;
+
+    const { pnlPercent } = await this.telegram.handleManualClose(monitor, price, reason);
+    return `✅ ${this._esc(monitor.symbol)} ${this._esc(monitor.timeframe || '')} encerrado a ${this.telegram.formatPrice(price)} (${pnlPercent >= 0 ? '+' : ''}${(pnlPercent * 15).toFixed(1)}% 15x)`;
+  }
+
+  cmdPause(args, { who }) {
+    if (this.telegram.emissionPause) return `⏸️ Emissões já estavam pausadas (${this._esc(this.telegram.emissionPause.reason)})`;
+    const reason = args.join(' ') || 'manual';
+    this.telegram.pauseEmissions(reason, who);
+    return `⏸️ Emissões pausadas (${this._esc(reason)}). Monitores ativos seguem acompanhados. /resume para retomar.`;
+  }
+
+  cmdResume() {
+    return this.telegram.resumeEmissions() ? '▶️ Emissões retomadas' : 'ℹ️ Emissões já estavam ativas';
+  }
+
+  // =================== HELPERS ===================
+
+  async _prices(symbols) {
+    const prices = new Map();
+    await Promise.all(
+      symbols.map(async (symbol) => {
+        const price = await this.binanceService?.getCurrentPrice?.(symbol).catch(() => null);
+        if (Number(price) > 0) prices.set(symbol, Number(price));
+      })
+    );
+    return prices;
+  }
+
+  _formatAnalysis(symbol, timeframe, r) {
+    if (!r) return `• <b>${this._esc(timeframe)}</b>: sem resultado`;
+    const ind = r.indicators || {};
+    const rsi = isFinite(ind.rsi) ? Number(ind.rsi).toFixed(1) : '—';
+    const macd = ind.macd && isFinite(ind.macd.histogram) ? Number(ind.macd.histogram).toFixed(5) : '—';
+    const patterns = Object.keys(r.patterns || {}).filter((k) => r.patterns[k]);
+    return (
+      `• <b>${this._esc(timeframe)}</b>: ${r.isValid ? '✅' : '❌'} score ${Number(r.totalScore || 0).toFixed(1)}% | ${this._esc(r.trend || 'NEUTRAL')}\n` +
+      `   Preço ${this.telegram.formatPrice(r.entry)} | RSI ${rsi} | MACD hist ${macd}\n` +
+      `   ML ${Number(r.mlProbability || 0).toFixed(1)}% | BTC ${this._esc(r.btcCorrelation?.alignment || 'NEUTRAL')}` +
+      (patterns.length ? `\n   Padrões: ${this._esc(patterns.slice(0, 4).join(', '))}` : '')
+    );
+  }
+
+  _esc(t) {
+    return this.telegram._escapeHtml(t);
+  }
+}
+
+export default TelegramCommandService;
@@ -0,0 +1,205 @@
+/**
+ * Confluência multi-timeframe
+ *
+ * Para cada sinal válido com direção, lê a tendência dos timeframes maiores (padrão 15m, 1h e 4h) e mede o
+ * alinhamento com o sinal:
+ * - Tendência de cada timeframe: votos de MA21×MA200, preço×MA21, histograma do MACD e RSI (acima de 55 / abaixo de 45)
+ * - Alinhamento -1..+1: média ponderada (WEIGHTS) de ±força — a favor soma, contra subtrai, neutro não conta
+ * - ≥ 0 vira bônus, negativo vira penalidade e ≤ BLOCK_SCORE barra o sinal (stage 'confluence' no bus)
+ *
+ * Leituras em cache por símbolo/timeframe (CACHE_TTL_MS, inclusive as em andamento): os jobs de 1m e 5m do
+ * mesmo par no ciclo fazem uma busca só. Relógio injetável (replay)
+ *
+ * Variáveis de ambiente: ver CONFLUENCE_CONFIG em constants.js
+ */
+
+import { CONFLUENCE_CONFIG } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Confluence');
+
+const TIMEFRAME_ORDER = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d'];
+const RECENT_LIMIT = 20;
+
+function isNum(v) {
+  return Number.isFinite(v);
+}
+
+function envNumber(env, name, fallback, min, max) {
+  const value = Number(env[name]);
+  return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= min && value <= max
+    ? value
+    : fallback;
+}
+
+function round(v) {
+  return Math.round(v * 100) / 100;
+}
+
+/**
+ * Tendência de um timeframe a partir dos indicadores
+ * @returns {{ trend: string, strength: number }} strength 0..1 = saldo dos votos na direção
+ */
+export function timeframeBias(indicators, close) {
+  const { rsi, macd, ma21, ma200 } = indicators || {};
+  const votes = [];
+  if (isNum(ma21) && isNum(ma200)) votes.push(Math.sign(ma21 - ma200));
+  if (isNum(close) && isNum(ma21)) votes.push(Math.sign(close - ma21));
+  if (isNum(macd?.histogram)) votes.push(Math.sign(macd.histogram));
+  if (isNum(rsi)) votes.push(rsi > 55 ? 1 : rsi < 45 ? -1 : 0);
+  if (!votes.length) return { trend: 'NEUTRAL', strength: 0 };
+
+  const net = votes.reduce((a, b) => a + b, 0) / votes.length;
+  return { trend: net >= 0.5 ? 'BULLISH' : net <= -0.5 ? 'BEARISH' : 'NEUTRAL', strength: round(Math.abs(net)) };
+}
+
+class TimeframeConfluenceService {
+  /**
+   * @param {Object} deps
+   *  - binanceService (getOHLCVData) e technicalAnalysis (calculateIndicators)
+   *  - env (padrão process.env), now (relógio; replay passa o ReplayClock)
+   *  - sobrescritas diretas: enabled, timeframes, blockScore, maxBoost, maxPenalty
+   */
+  constructor(deps = {}) {
+    const env = deps.env || process.env;
+    const cfg = CONFLUENCE_CONFIG;
+    this.binanceService = deps.binanceService || null;
+    this.technicalAnalysis = deps.technicalAnalysis || null;
+    this.now = deps.now || (() => Date.now());
+
+    this.enabled = deps.enabled ?? String(env.CONFLUENCE_ENABLED ?? cfg.ENABLED).toLowerCase() !== 'false';
+    const fromEnv = env.CONFLUENCE_TIMEFRAMES ? String(env.CONFLUENCE_TIMEFRAMES).split(',').map((tf) => tf.trim()) : null;
+    this.timeframes = (deps.timeframes || fromEnv || cfg.TIMEFRAMES).filter((tf) => TIMEFRAME_ORDER.includes(tf));
+    this.weights = cfg.WEIGHTS;
+    this.blockScore = deps.blockScore ?? envNumber(env, 'CONFLUENCE_BLOCK_SCORE', cfg.BLOCK_SCORE, -1, 0);
+    this.maxBoost = deps.maxBoost ?? envNumber(env, 'CONFLUENCE_MAX_BOOST', cfg.MAX_BOOST, 0, 100);
+    this.maxPenalty = deps.maxPenalty ?? envNumber(env, 'CONFLUENCE_MAX_PENALTY', cfg.MAX_PENALTY, 0, 100);
+    this.candles = cfg.CANDLES;
+    this.cacheTtlMs = cfg.CACHE_TTL_MS;
+
+    this.cache = new Map(); // `${symbol}|${tf}` → { at, promise }
+    this.recent = [];
+    this.stats = { evaluated: 0, boosted: 0, penalized: 0, blocked: 0, fetches: 0, cacheHits: 0, errors: 0 };
+  }
+
+  /**
+   * Timeframes de confluência acima do timeframe do sinal
+   */
+  framesFor(timeframe) {
+    const base = TIMEFRAME_ORDER.indexOf(timeframe);
+    return this.timeframes.filter((tf) => TIMEFRAME_ORDER.indexOf(tf) > base);
+  }
+
+  /**
+   * @param {string} trend - BULLISH | BEARISH (NEUTRAL não tem com o que alinhar)
+   * @returns {Promise<Object|null>} { trend, score, adjustment, blocked, reason, timeframes[] } ou null se não se aplica
+   */
+  async evaluate(symbol, timeframe, trend) {
+    const side = trend === 'BULLISH' ? 1 : trend === 'BEARISH' ? -1 : 0;
+    const frames = this.framesFor(timeframe);
+    if (!this.enabled || !side || !frames.length) return null;
+
+    const readings = await Promise.all(frames.map((tf) => this._read(symbol, tf)));
+
+    let weighted = 0;
+    let totalWeight = 0;
+    const timeframes = frames.map((tf, i) => {
+      const reading = readings[i];
+      const weight = this.weights[tf] ?? 1;
+      if (!reading) return { timeframe: tf, weight, alignment: 'UNAVAILABLE' };
+
+      const direction = reading.trend === 'BULLISH' ? 1 : reading.trend === 'BEARISH' ? -1 : 0;
+      weighted += weight * direction * side * reading.strength;
+      totalWeight += weight;
+      return {
+        timeframe: tf,
+        weight,
+        ...reading,
+        alignment: direction === 0 ? 'NEUTRAL' : direction === side ? 'ALIGNED' : 'AGAINST',
+      };
+    });
+
+    const score = totalWeight > 0 ? round(weighted / totalWeight) : null;
+    let adjustment = 0;
+    let blocked = false;
+    let reason;
+    if (score === null) {
+      reason = 'sem dados dos timeframes maiores';
+    } else if (score <= this.blockScore) {
+      blocked = true;
+      const against = timeframes.filter((t) => t.alignment === 'AGAINST').map((t) => t.timeframe);
+      reason = `divergência com ${against.join(', ')} (alinhamento ${score} ≤ ${this.blockScore})`;
+    } else if (score < 0) {
+      adjustment = round(this.maxPenalty * score);
+      reason = `timeframes maiores divergentes (alinhamento ${score})`;
+    } else {
+      adjustment = round(this.maxBoost * score);
+      reason = `timeframes maiores alinhados (alinhamento ${score})`;
+    }
+
+    this.stats.evaluated++;
+    if (blocked) this.stats.blocked++;
+    else if (adjustment > 0) this.stats.boosted++;
+    else if (adjustment < 0) this.stats.penalized++;
+
+    const result = { trend, score, adjustment, blocked, reason, timeframes };
+    this.recent.push({ symbol, timeframe, at: this.now(), ...result });
+    if (this.recent.length > RECENT_LIMIT) this.recent.splice(0, this.recent.length - RECENT_LIMIT);
+    return result;
+  }
+
+  /**
+   * Leitura de um timeframe maior (cache com TTL; falha não fica em cache)
+   */
+  _read(symbol, tf) {
+    const now = this.now();
+    for (const [key, entry] of this.cache) {
+      if (now - entry.at >= this.cacheTtlMs) this.cache.delete(key);
+    }
+
+    const key = `${symbol}|${tf}`;
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.stats.cacheHits++;
+      return cached.promise;
+    }
+
+    this.stats.fetches++;
+    const promise = (async () => {
+      const data = await this.binanceService.getOHLCVData(symbol, tf, this.candles);
+      const indicators = await this.technicalAnalysis.calculateIndicators(data, symbol, tf, { optimize: false });
+      if (!indicators) throw new Error('indicadores indisponíveis');
+      const { rsi, macd } = indicators;
+      return {
+        ...timeframeBias(indicators, data.close[data.close.length - 1]),
+        rsi: isNum(rsi) ? round(rsi) : null,
+        macdHistogram: isNum(macd?.histogram) ? macd.histogram : null,
+      };
+    })().catch((err) => {
+      this.stats.errors++;
+      this.cache.delete(key);
+      logger.warn(`${symbol} ${tf}: leitura falhou (${err.message}) — timeframe fora da confluência`);
+      return null;
+    });
+    this.cache.set(key, { at: now, promise });
+    return promise;
+  }
+
+  // =================== STATUS ===================
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      timeframes: this.timeframes,
+      weights: this.weights,
+      blockScore: this.blockScore,
+      maxBoost: this.maxBoost,
+      maxPenalty: this.maxPenalty,
+      cacheTtlMs: this.cacheTtlMs,
+      stats: { ...this.stats },
+      recent: [...this.recent].reverse(),
+    };
+  }
+}
+
+export default TimeframeConfluenceService;
@@ -0,0 +1,465 @@
+/**
+ * Otimizador walk-forward da configuração de scoring (sobre o BacktestingService)
+ * - Espaço de busca descrito por caminhos de server/config/constants.js
+ *   (ex.: 'INDICATORS_CONFIG.RSI.period', 'SCORING_WEIGHTS.RSI_OVERSOLD')
+ * - Busca em grade (produto cartesiano) ou aleatória (amostras reprodutíveis por seed)
+ * - Janelas rolantes: escolhe o top-K no in-sample e valida no out-of-sample seguinte
+ * - Saídas: ranking (JSON + Markdown) e um constants.candidate.js com os melhores valores
+ *
+ * Nem todo parâmetro tem efeito no bot ao vivo — cada um é marcado com `live` no relatório.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import technicalAnalysis from './technicalAnalysis.js';
+import AdaptiveScoringService from './adaptiveScoring.js';
+import { TRADING_CONFIG } from '../config/constants.js';
+
+// Caminho em INDICATORS_CONFIG → chave nos params do technicalAnalysis (normalizeParams)
+const INDICATOR_PATHS = {
+  'INDICATORS_CONFIG.RSI.period': ['RSI', 'period'],
+  'INDICATORS_CONFIG.MACD.fastPeriod': ['MACD', 'fastPeriod'],
+  'INDICATORS_CONFIG.MACD.slowPeriod': ['MACD', 'slowPeriod'],
+  'INDICATORS_CONFIG.MACD.signalPeriod': ['MACD', 'signalPeriod'],
+  'INDICATORS_CONFIG.MA_SHORT.period': ['MA', 'shortPeriod'],
+  'INDICATORS_CONFIG.MA_LONG.period': ['MA', 'longPeriod'],
+};
+
+// Grade padrão (pequena o bastante para rodar localmente com busca aleatória)
+export const DEFAULT_GRID = {
+  'TRADING_CONFIG.MIN_SIGNAL_PROBABILITY': [65, 70, 75, 80],
+  'INDICATORS_CONFIG.RSI.period': [7, 10, 14],
+  'INDICATORS_CONFIG.MACD.fastPeriod': [8, 10, 12],
+  'SCORING_WEIGHTS.RSI_OVERSOLD': [20, 25, 35],
+  'SCORING_WEIGHTS.MACD_BULLISH': [25, 30, 40],
+};
+
+const OBJECTIVES = {
+  totalProfit: (r) => r.totalProfit,
+  profitFactor: (r) => r.metrics.profitFactor,
+  sharpe: (r) => r.metrics.sharpeRatio,
+  expectancy: (r) => (r.totalTrades > 0 ? r.totalProfit / r.totalTrades : 0),
+};
+
+/**
+ * Resolve um caminho de constants.js para a forma como o backtest o aplica
+ * @returns {{path:string, live:boolean, note:string, apply:Function}}
+ */
+export function resolveParameter(paramPath) {
+  if (paramPath === 'TRADING_CONFIG.MIN_SIGNAL_PROBABILITY') {
+    return {
+      path: paramPath,
+      live: true,
+      note: 'Score mínimo para emitir',
+      apply: (run, v) => {
+        run.minScore = Number(v);
+      },
+    };
+  }
+
+  if (INDICATOR_PATHS[paramPath]) {
+    const [group, key] = INDICATOR_PATHS[paramPath];
+    return {
+      path: paramPath,
+      live: true,
+      note: 'Ao vivo, parâmetros otimizados em background têm prioridade sobre o default',
+      apply: (run, v) => {
+        run.indicatorParams[group][key] = Number(v);
+      },
+    };
+  }
+
+  if (paramPath.startsWith('SCORING_WEIGHTS.')) {
+    const key = paramPath.slice('SCORING_WEIGHTS.'.length);
+    if (!(key in new AdaptiveScoringService().weights)) {
+      throw new Error(`${paramPath}: peso inexistente no AdaptiveScoring`);
+    }
+    return {
+      path: paramPath,
+      live: false,
+      note: 'Aplicado aos pesos do AdaptiveScoring no backtest; o bot ao vivo usa os pesos do construtor do AdaptiveScoring',
+      apply: (run, v) => {
+        run.weights[key] = Number(v);
+      },
+    };
+  }
+
+  if (paramPath.startsWith('TRADING_CONFIG.QUALITY_FILTERS.')) {
+    throw new Error(
+      `${paramPath}: QUALITY_FILTERS só é lido por SignalScoring.calculateSignalScore, fora do pipeline ao vivo — nada a otimizar`
+    );
+  }
+
+  throw new Error(`${paramPath}: parâmetro não suportado pelo otimizador`);
+}
+
+// PRNG determinístico (mulberry32) para amostragem reprodutível
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+function paramsKey(params) {
+  return JSON.stringify(Object.keys(params).sort().map((k) => [k, params[k]]));
+}
+
+class WalkForwardOptimizer {
+  /**
+   * @param {BacktestingService} backtesting - instância já com dependências injetadas
+   */
+  constructor(backtesting) {
+    this.backtesting = backtesting;
+  }
+
+  /**
+   * Gera candidatos a partir da grade. O baseline ({} = valores atuais) entra sempre.
+   * @param {Object} grid - { caminho: [valores] }
+   * @param {Object} opts - { method: 'grid'|'random', samples, seed }
+   */
+  buildCandidates(grid, { method = 'grid', samples = 30, seed = 42 } = {}) {
+    const paths = Object.keys(grid);
+    paths.forEach(resolveParameter); // valida cedo
+
+    let combos = [];
+    if (method === 'random') {
+      const random = createRandom(seed);
+      const seen = new Set();
+      const total = paths.reduce((acc, p) => acc * grid[p].length, 1);
+      const target = Math.min(samples, total);
+      while (combos.length < target) {
+        const params = {};
+        for (const p of paths) params[p] = grid[p][Math.floor(random() * grid[p].length)];
+        const key = paramsKey(params);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        combos.push(params);
+      }
+    } else if (method === 'grid') {
+      combos = paths.reduce(
+        (acc, p) => acc.flatMap((partial) => grid[p].map((v) => ({ ...partial, [p]: v }))),
+        [{}]
+      );
+    } else {
+      throw new Error(`Método de busca desconhecido: ${method}`);
+    }
+
+    const candidates = [{ id: 'baseline', params: {} }];
+    combos.forEach((params, i) => candidates.push({ id: `c${i + 1}`, params }));
+    return candidates;
+  }
+
+  /**
+   * Janelas walk-forward sobre os candles avaliáveis (após o aquecimento de `windowSize`)
+   * Padrão: in-sample = 2× out-of-sample
+   */
+  buildFolds(totalCandles, { folds = 4, windowSize = 200, inSample = null, outOfSample = null } = {}) {
+    const first = windowSize - 1;
+    const usable = totalCandles - first;
+    const oos = outOfSample || Math.floor(usable / (folds + 2));
+    const is = inSample || oos * 2;
+    if (oos < 50 || is + folds * oos > usable) {
+      throw new Error(`Dados insuficientes para ${folds} janelas (${usable} candles avaliáveis, IS=${is}, OOS=${oos})`);
+    }
+
+    const out = [];
+    for (let k = 0; k < folds; k++) {
+      const isStart = first + k * oos;
+      out.push({
+        fold: k + 1,
+        inSample: { start: isStart, end: isStart + is },
+        outOfSample: { start: isStart + is, end: isStart + is + oos },
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Opções de backtest para um conjunto de parâmetros
+   */
+  buildRunOptions(params, base = {}) {
+    const run = {
+      ...base,
+      store: false,
+      minScore: base.minScore ?? TRADING_CONFIG.MIN_SIGNAL_PROBABILITY,
+      indicatorParams: JSON.parse(JSON.stringify(technicalAnalysis.getDefaultParams())),
+      weights: {},
+    };
+    for (const [p, v] of Object.entries(params)) resolveParameter(p).apply(run, v);
+    return run;
+  }
+
+  /**
+   * Backtest em [start, end) com aquecimento antes de `start`
+   */
+  async evaluate(symbol, data, params, range, base = {}) {
+    const windowSize = base.windowSize || 200;
+    const from = Math.max(0, range.start - windowSize + 1);
+    const segment = {};
+    for (const key of ['timestamp', 'open', 'high', 'low', 'close', 'volume']) {
+      segment[key] = data[key].slice(from, range.end);
+    }
+    return this.backtesting.runBacktest(symbol, segment, this.buildRunOptions(params, { ...base, windowSize }));
+  }
+
+  score(result, { objective = 'totalProfit', minTrades = 5 } = {}) {
+    if (!result || result.totalTrades < minTrades) return null;
+    const fn = OBJECTIVES[objective];
+    if (!fn) throw new Error(`Objetivo desconhecido: ${objective}`);
+    const v = fn(result);
+    return Number.isFinite(v) ? v : null;
+  }
+
+  /**
+   * Executa o walk-forward completo e devolve o relatório ranqueado
+   * @param {Object} config - { grid, method, samples, seed, folds, inSample, outOfSample, topK,
+   *                            objective, minTrades, timeframe, windowSize, onProgress }
+   */
+  async run(symbol, data, config = {}) {
+    const grid = config.grid || DEFAULT_GRID;
+    const windowSize = config.windowSize || 200;
+    const topK = config.topK || 5;
+    const scoring = { objective: config.objective || 'totalProfit', minTrades: config.minTrades ?? 5 };
+    const base = { timeframe: config.timeframe || '5m', windowSize, maxBarsInTrade: config.maxBarsInTrade };
+    const progress = typeof config.onProgress === 'function' ? config.onProgress : () => {};
+
+    const candidates = this.buildCandidates(grid, config);
+    const folds = this.buildFolds(data.close.length, { ...config, windowSize });
+    const stats = new Map(candidates.map((c) => [c.id, { ...c, inSample: [], outOfSample: [], selected: 0 }]));
+
+    const summarize = (fold, r) => ({
+      fold,
+      score: this.score(r, scoring),
+      trades: r?.totalTrades ?? 0,
+      totalProfit: r?.totalProfit ?? 0,
+      winRate: r?.metrics?.winRate ?? 0,
+      profitFactor: r?.metrics?.profitFactor ?? 0,
+      maxDrawdown: r?.metrics?.maxDrawdown ?? 0,
+    });
+
+    for (const fold of folds) {
+      // 1) in-sample: todos os candidatos
+      const ranked = [];
+      for (const c of candidates) {
+        const r = await this.evaluate(symbol, data, c.params, fold.inSample, base);
+        const s = summarize(fold.fold, r);
+        stats.get(c.id).inSample.push(s);
+        if (s.score !== null) ranked.push({ id: c.id, score: s.score });
+        progress({ phase: 'IS', fold: fold.fold, folds: folds.length, candidate: c.id });
+      }
+      ranked.sort((a, b) => b.score - a.score);
+
+      // 2) out-of-sample: top-K do in-sample + baseline (referência)
+      const top = new Set(ranked.slice(0, topK).map((x) => x.id));
+      for (const id of new Set([...top, 'baseline'])) {
+        const c = stats.get(id);
+        if (top.has(id)) c.selected++;
+        const r = await this.evaluate(symbol, data, c.params, fold.outOfSample, base);
+        c.outOfSample.push(summarize(fold.fold, r));
+        progress({ phase: 'OOS', fold: fold.fold, folds: folds.length, candidate: id });
+      }
+    }
+
+    // Baseline por janela: comparação pareada (mesmas janelas OOS do candidato)
+    const baselineByFold = new Map(stats.get('baseline').outOfSample.map((x) => [x.fold, x.score]));
+
+    const rows = [...stats.values()].map((c) => {
+      const deltas = c.outOfSample
+        .filter((x) => x.score !== null && baselineByFold.get(x.fold) != null)
+        .map((x) => x.score - baselineByFold.get(x.fold));
+      const oosScores = c.outOfSample.map((x) => x.score).filter((v) => v !== null);
+      const isScores = c.inSample.map((x) => x.score).filter((v) => v !== null);
+      const oosMean = mean(oosScores);
+      const isMean = mean(isScores);
+      return {
+        id: c.id,
+        params: c.params,
+        selectedInFolds: c.selected,
+        oosFolds: c.outOfSample.length,
+        inSampleScore: isMean,
+        outOfSampleScore: oosMean,
+        // quanto do desempenho in-sample sobrevive fora da amostra (1 = nada perdido)
+        robustness: isMean && oosMean !== null && isMean > 0 ? oosMean / isMean : null,
+        // ganho médio sobre o baseline nas mesmas janelas OOS
+        vsBaseline: mean(deltas),
+        outOfSampleTrades: c.outOfSample.reduce((s, x) => s + x.trades, 0),
+        outOfSampleProfit: c.outOfSample.reduce((s, x) => s + x.totalProfit, 0),
+        folds: { inSample: c.inSample, outOfSample: c.outOfSample },
+      };
+    });
+
+    // Ranking: só quem foi validado fora da amostra, pelo ganho pareado sobre o baseline;
+    // empates (ou sem baseline pontuável) pela média OOS e pelo nº de janelas validadas
+    const ranking = rows
+      .filter((r) => r.outOfSampleScore !== null)
+      .sort(
+        (a, b) =>
+          (b.vsBaseline ?? -Infinity) - (a.vsBaseline ?? -Infinity) ||
+          b.outOfSampleScore - a.outOfSampleScore ||
+          b.oosFolds - a.oosFolds
+      );
+
+    const baseline = rows.find((r) => r.id === 'baseline');
+    const best = ranking.find((r) => r.id !== 'baseline') || null;
+
+    return {
+      symbol,
+      timeframe: base.timeframe,
+      generatedAt: new Date().toISOString(),
+      period: {
+        from: new Date(data.timestamp[0]).toISOString(),
+        to: new Date(data.timestamp[data.timestamp.length - 1]).toISOString(),
+        candles: data.close.length,
+      },
+      config: {
+        method: config.method || 'grid',
+        samples: config.samples ?? null,
+        seed: config.seed ?? null,
+        topK,
+        windowSize,
+        ...scoring,
+        grid,
+      },
+      parameters: Object.keys(grid).map((p) => {
+        const { live, note } = resolveParameter(p);
+        return { path: p, live, note };
+      }),
+      folds,
+      candidates: candidates.length,
+      baseline,
+      best,
+      beatsBaseline: !!(best && best.vsBaseline !== null && best.vsBaseline > 0),
+      ranking,
+    };
+  }
+
+  // =================== SAÍDAS ===================
+
+  renderMarkdown(report, limit = 15) {
+    const fmt = (v, d = 2) => (v === null || v === undefined ? '—' : Number(v).toFixed(d));
+    const lines = [];
+    lines.push(`# Walk-forward — ${report.symbol} ${report.timeframe}`);
+    lines.push('');
+    lines.push(`- Período: ${report.period.from} → ${report.period.to} (${report.period.candles} candles)`);
+    lines.push(`- Busca: ${report.config.method} (${report.candidates} candidatos), objetivo \`${report.config.objective}\`, mínimo ${report.config.minTrades} trades`);
+    lines.push(`- Janelas: ${report.folds.length} (top-${report.config.topK} do in-sample validados fora da amostra)`);
+    lines.push('');
+    lines.push('## Parâmetros');
+    lines.push('');
+    lines.push('| Caminho | Efeito ao vivo | Observação |');
+    lines.push('|---|---|---|');
+    report.parameters.forEach((p) => lines.push(`| \`${p.path}\` | ${p.live ? 'sim' : 'não'} | ${p.note} |`));
+    lines.push('');
+    lines.push('## Ranking (out-of-sample)');
+    lines.push('');
+    lines.push('| # | Candidato | OOS | vs baseline | IS | Robustez | Trades OOS | Lucro OOS % | Janelas | Parâmetros |');
+    lines.push('|---|---|---|---|---|---|---|---|---|---|');
+    report.ranking.slice(0, limit).forEach((r, i) => {
+      const params = Object.entries(r.params).map(([k, v]) => `${k.split('.').slice(1).join('.')}=${v}`).join(', ') || 'atual';
+      lines.push(
+        `| ${i + 1} | ${r.id} | ${fmt(r.outOfSampleScore)} | ${fmt(r.vsBaseline)} | ${fmt(r.inSampleScore)} | ${fmt(r.robustness)} | ${r.outOfSampleTrades} | ${fmt(r.outOfSampleProfit)} | ${r.oosFolds} | ${params} |`
+      );
+    });
+    lines.push('');
+    if (report.best) {
+      lines.push(
+        report.beatsBaseline
+          ? `✅ **${report.best.id}** supera o baseline fora da amostra em ${fmt(report.best.vsBaseline)} por janela (${report.best.oosFolds}/${report.folds.length} janelas validadas).`
+          : `⚠️ Nenhum candidato superou o baseline fora da amostra — mantenha a configuração atual.`
+      );
+    } else {
+      lines.push('⚠️ Nenhum candidato com trades suficientes fora da amostra.');
+    }
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  /**
+   * Reescreve os valores numéricos/booleanos dos caminhos informados no fonte de constants.js
+   */
+  buildCandidateConstants(source, params, header = '') {
+    let out = source;
+    for (const [paramPath, value] of Object.entries(params)) {
+      out = replaceConstant(out, paramPath, value);
+    }
+    return header ? `${header}\n${out}` : out;
+  }
+
+  /**
+   * Grava report.json, report.md e constants.candidate.js em `outDir`
+   */
+  async writeOutputs(report, outDir, constantsPath) {
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2), 'utf8');
+    await fs.writeFile(path.join(outDir, 'report.md'), this.renderMarkdown(report), 'utf8');
+
+    const files = { json: path.join(outDir, 'report.json'), markdown: path.join(outDir, 'report.md'), constants: null };
+    if (report.best && report.beatsBaseline && constantsPath) {
+      const source = await fs.readFile(constantsPath, 'utf8');
+      const offline = report.parameters.filter((p) => !p.live).map((p) => p.path);
+      const header = [
+        '// ⚠️ ARQUIVO CANDIDATO gerado pelo otimizador walk-forward — revise antes de substituir constants.js',
+        `// ${report.symbol} ${report.timeframe} | ${report.period.from} → ${report.period.to} | candidato ${report.best.id}`,
+        `// OOS ${report.config.objective}=${report.best.outOfSampleScore.toFixed(4)} | +${report.best.vsBaseline.toFixed(4)}/janela sobre o baseline (${report.best.oosFolds}/${report.folds.length} janelas)`,
+        ...(offline.length ? [`// Sem efeito no bot ao vivo: ${offline.join(', ')}`] : []),
+      ].join('\n');
+      files.constants = path.join(outDir, 'constants.candidate.js');
+      await fs.writeFile(files.constants, this.buildCandidateConstants(source, report.best.params, header), 'utf8');
+    }
+    return files;
+  }
+}
+
+// --------- helpers locais ----------
+
+// Intervalo [abre, fecha] do objeto literal que começa em `openIdx` ('{')
+function matchBraces(source, openIdx) {
+  let depth = 0;
+  for (let i = openIdx; i < source.length; i++) {
+    if (source[i] === '{') depth++;
+    else if (source[i] === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw new Error('Chaves desbalanceadas em constants.js');
+}
+
+function replaceConstant(source, paramPath, value) {
+  const [root, ...keys] = paramPath.split('.');
+  const rootMatch = new RegExp(`export const ${root}\\s*=\\s*\\{`).exec(source);
+  if (!rootMatch) throw new Error(`${root} não encontrado em constants.js`);
+
+  let start = rootMatch.index + rootMatch[0].length - 1;
+  let end = matchBraces(source, start);
+
+  for (let i = 0; i < keys.length; i++) {
+    const block = source.slice(start, end + 1);
+    const keyMatch = new RegExp(`(^|[\\s{,])${keys[i]}\\s*:\\s*`).exec(block);
+    if (!keyMatch) throw new Error(`${paramPath}: chave ${keys[i]} não encontrada`);
+    const valueStart = start + keyMatch.index + keyMatch[0].length;
+
+    if (i < keys.length - 1) {
+      if (source[valueStart] !== '{') throw new Error(`${paramPath}: ${keys[i]} não é um objeto`);
+      start = valueStart;
+      end = matchBraces(source, start);
+      continue;
+    }
+
+    const literal = /^(-?\d+(\.\d+)?|true|false)/.exec(source.slice(valueStart));
+    if (!literal) throw new Error(`${paramPath}: valor atual não é numérico/booleano`);
+    return source.slice(0, valueStart) + String(value) + source.slice(valueStart + literal[0].length);
+  }
+  return source;
+}
+
+export default WalkForwardOptimizer;
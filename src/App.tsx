@@ -1,4 +1,7 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import Login from './components/Login';
+import { refreshSession, useSession } from './services/api';
+import { liveFeed } from './services/liveFeed';
 
 const LoadingFallback = () => (
   <div style={{
@@ -80,11 +83,31 @@ const Dashboard = React.lazy(() => {
 
 function App() {
   console.log('🚀 App component renderizando...');
-  
+  const session = useSession();
+  const [showLogin, setShowLogin] = useState(false);
+
+  useEffect(() => {
+    refreshSession();
+  }, []);
+
+  // login/logout trocam o token: o feed refaz o upgrade com a credencial nova
+  useEffect(() => {
+    if (!session.checked) return;
+    liveFeed.reconnect(session.authenticated || !!session.anonymousRole);
+    if (session.authenticated) setShowLogin(false);
+  }, [session.checked, session.authenticated, session.user, session.anonymousRole]);
+
+  if (!session.checked) return <LoadingFallback />;
+
+  // sem acesso anônimo a API inteira exige login; com ele, o login é opcional (botão "Entrar")
+  if (!session.authenticated && (!session.anonymousRole || showLogin)) {
+    return <Login onCancel={session.anonymousRole ? () => setShowLogin(false) : undefined} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50" style={{ minHeight: '100vh' }}>
       <React.Suspense fallback={<LoadingFallback />}>
-        <Dashboard />
+        <Dashboard onRequestLogin={() => setShowLogin(true)} />
       </React.Suspense>
     </div>
   );
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { BarChart3, TrendingUp, Target, AlertCircle, Play } from 'lucide-react';
+import { apiFetch, hasRole } from '../services/api';
 
 interface BacktestResult {
   symbol: string;
@@ -30,7 +31,7 @@ const BacktestResults: React.FC = () => {
       }
       setLoading(true);
       console.log('📊 Buscando resultados de backtesting...');
-      const response = await fetch('/api/backtest/results');
+      const response = await apiFetch('/api/backtest/results');
       console.log('📊 Backtest response:', response.status);
       
       if (!response.ok) {
@@ -57,7 +58,7 @@ const BacktestResults: React.FC = () => {
 
     try {
       setRunningBacktest(true);
-      const response = await fetch(`/api/backtest/run/${selectedSymbol}`, {
+      const response = await apiFetch(`/api/backtest/run/${selectedSymbol}`, {
         method: 'POST'
       });
       const result = await response.json();
@@ -126,7 +127,8 @@ const BacktestResults: React.FC = () => {
           
           <button
             onClick={runBacktest}
-            disabled={!selectedSymbol || runningBacktest}
+            disabled={!selectedSymbol || runningBacktest || !hasRole('operator')}
+            title={hasRole('operator') ? undefined : 'Requer papel operator'}
             className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
           >
             <Play className="w-4 h-4" />
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { Settings, AlertCircle, CheckCircle, RotateCcw } from 'lucide-react';
+import { apiFetch, hasRole } from '../services/api';
+import { useFeedEvent } from '../services/liveFeed';
+
+type Value = number | boolean;
+
+interface SchemaProperty {
+  type: 'number' | 'integer' | 'boolean';
+  minimum?: number;
+  maximum?: number;
+  default: Value;
+  description: string;
+  'x-group': string;
+  'x-env'?: string;
+}
+
+interface ConfigState {
+  version: number;
+  updatedAt: number | null;
+  updatedBy: string | null;
+  values: Record<string, Value>;
+  defaults: Record<string, Value>;
+  overrides: string[];
+}
+
+interface HistoryEntry {
+  version: number;
+  at: number;
+  by: string | null;
+  reason: string | null;
+  changes: { key: string; from: Value; to: Value }[];
+}
+
+const GROUPS: Record<string, string> = {
+  scoring: 'Scoring e filtros de qualidade',
+  adaptive: 'Scoring adaptativo e contra-tendência',
+  emission: 'Guardas da emissão'
+};
+
+const shortKey = (key: string) => key.split('.').slice(-1)[0];
+
+const ConfigPanel: React.FC = () => {
+  const [schema, setSchema] = useState<Record<string, SchemaProperty>>({});
+  const [state, setState] = useState<ConfigState | null>(null);
+  const [history, setHistory] = useState<HistoryEntry[]>([]);
+  const [draft, setDraft] = useState<Record<string, Value>>({});
+  const [reason, setReason] = useState('');
+  const [errors, setErrors] = useState<string[]>([]);
+  const [message, setMessage] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const canEdit = hasRole('admin');
+
+  useEffect(() => {
+    fetchConfig();
+  }, []);
+
+  // outra sessão (ou rollback) publicou uma versão nova
+  useFeedEvent('config.updated', () => fetchConfig());
+
+  const fetchConfig = async () => {
+    try {
+      const [schemaRes, stateRes, historyRes] = await Promise.all([
+        apiFetch('/api/config/schema'),
+        apiFetch('/api/config'),
+        apiFetch('/api/config/history?limit=15')
+      ]);
+      if (schemaRes.ok) setSchema((await schemaRes.json()).properties || {});
+      if (stateRes.ok) setState(await stateRes.json());
+      if (historyRes.ok) setHistory((await historyRes.json()).entries || []);
+    } catch (error) {
+      console.error('Erro ao buscar configuração:', error);
+    }
+  };
+
+  const setField = (key: string, raw: string | boolean) => {
+    const spec = schema[key];
+    const value = spec.type === 'boolean' ? Boolean(raw) : Number(raw);
+    setDraft((prev) => {
+      const next = { ...prev };
+      if (state && value === state.values[key]) delete next[key];
+      else next[key] = value;
+      return next;
+    });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setErrors([]);
+    setMessage(null);
+    try {
+      const response = await apiFetch('/api/config', {
+        method: 'PATCH',
+        body: JSON.stringify({ values: draft, reason: reason || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setErrors(data.errors?.length ? data.errors : [data.error]);
+        return;
+      }
+      setDraft({});
+      setReason('');
+      setMessage(data.changes.length ? `Versão ${data.version} aplicada (${data.changes.length} alteração(ões))` : 'Nada mudou');
+      await fetchConfig();
+    } catch (error) {
+      setErrors([error instanceof Error ? error.message : 'Erro ao salvar']);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rollback = async (version: number) => {
+    if (!window.confirm(version === 0 ? 'Voltar aos valores padrão?' : `Voltar ao estado da versão ${version}?`)) return;
+    const response = await apiFetch(`/api/config/rollback/${version}`, { method: 'POST' });
+    const data = await response.json();
+    if (response.ok) setMessage(`Rollback aplicado como versão ${data.version}`);
+    else setErrors([data.error]);
+    setDraft({});
+    await fetchConfig();
+  };
+
+  if (!state) {
+    return (
+      <div className="text-center py-12">
+        <Settings className="w-12 h-12 text-gray-400 mx-auto mb-4 animate-pulse" />
+        <p className="text-gray-500">Carregando configuração...</p>
+      </div>
+    );
+  }
+
+  const dirty = Object.keys(draft).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Configuração em runtime</h3>
+          <p className="text-sm text-gray-500">
+            Versão {state.version}
+            {state.updatedAt && ` · ${new Date(state.updatedAt).toLocaleString('pt-BR')}`}
+            {state.updatedBy && ` por ${state.updatedBy}`} · aplicada sem reiniciar o bot
+          </p>
+        </div>
+        {canEdit && (
+          <div className="flex items-center space-x-2">
+            <input
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Motivo (opcional)"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <button
+              onClick={save}
+              disabled={!dirty || saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
+            >
+              {saving ? 'Aplicando...' : `Aplicar${dirty ? ` (${dirty})` : ''}`}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!canEdit && <p className="text-sm text-gray-500">Somente leitura — alterações exigem papel admin.</p>}
+
+      {errors.length > 0 && (
+        <div className="p-3 rounded-lg border border-red-200 bg-red-50 text-sm text-red-800 space-y-1">
+          {errors.map((error) => (
+            <div key={error} className="flex items-center space-x-2">
+              <AlertCircle className="w-4 h-4" />
+              <span>{error}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {message && (
+        <div className="p-3 rounded-lg border border-green-200 bg-green-50 text-sm text-green-800 flex items-center space-x-2">
+          <CheckCircle className="w-4 h-4" />
+          <span>{message}</span>
+        </div>
+      )}
+
+      {Object.entries(GROUPS).map(([group, label]) => {
+        const keys = Object.keys(schema).filter((key) => schema[key]['x-group'] === group);
+        if (!keys.length) return null;
+        return (
+          <div key={group} className="bg-white border border-gray-200 rounded-lg p-4">
+            <h4 className="font-medium text-gray-900 mb-3">{label}</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {keys.map((key) => {
+                const spec = schema[key];
+                const value = key in draft ? draft[key] : state.values[key];
+                const changed = state.overrides.includes(key);
+                return (
+                  <label key={key} className={`flex items-center justify-between p-2 rounded ${key in draft ? 'bg-yellow-50' : ''}`}>
+                    <span className="text-sm">
+                      <span className="font-mono text-gray-800">{shortKey(key)}</span>
+                      {changed && <span className="ml-2 text-xs text-blue-600">alterado</span>}
+                      <span className="block text-xs text-gray-500">
+                        {spec.description}
+                        {spec.type !== 'boolean' && ` (${spec.minimum ?? '-∞'}–${spec.maximum ?? '∞'}, padrão ${String(state.defaults[key])})`}
+                      </span>
+                    </span>
+                    {spec.type === 'boolean' ? (
+                      <input
+                        type="checkbox"
+                        checked={Boolean(value)}
+                        disabled={!canEdit}
+                        onChange={(e) => setField(key, e.target.checked)}
+                      />
+                    ) : (
+                      <input
+                        type="number"
+                        value={String(value)}
+                        min={spec.minimum}
+                        max={spec.maximum}
+                        step={spec.type === 'integer' ? 1 : 'any'}
+                        disabled={!canEdit}
+                        onChange={(e) => setField(key, e.target.value)}
+                        className="w-32 px-2 py-1 border border-gray-300 rounded text-sm text-right"
+                      />
+                    )}
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="bg-white border border-gray-200 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="font-medium text-gray-900">Histórico</h4>
+          {canEdit && state.overrides.length > 0 && (
+            <button onClick={() => rollback(0)} className="text-sm text-blue-600 hover:text-blue-800">
+              Restaurar padrão
+            </button>
+          )}
+        </div>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">Nenhum ajuste feito em runtime.</p>
+        ) : (
+          <div className="space-y-2">
+            {history.map((entry) => (
+              <div key={entry.version} className="flex items-start justify-between text-sm border-b border-gray-100 pb-2">
+                <div>
+                  <div className="text-gray-900">
+                    v{entry.version} · {new Date(entry.at).toLocaleString('pt-BR')}
+                    {entry.by && ` · ${entry.by}`}
+                    {entry.reason && <span className="text-gray-500"> — {entry.reason}</span>}
+                  </div>
+                  <div className="text-xs text-gray-500 font-mono">
+                    {entry.changes.map((c) => `${shortKey(c.key)}: ${String(c.from)} → ${String(c.to)}`).join(' · ')}
+                  </div>
+                </div>
+                {canEdit && entry.version !== state.version && (
+                  <button
+                    onClick={() => rollback(entry.version)}
+                    className="flex items-center space-x-1 text-blue-600 hover:text-blue-800"
+                    title={`Voltar ao estado da v${entry.version}`}
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    <span>Rollback</span>
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConfigPanel;
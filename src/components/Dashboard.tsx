@@ -10,7 +10,11 @@ import {
   Zap,
   Target,
   Shield,
-  Building2
+  Building2,
+  LogIn,
+  LogOut,
+  User,
+  Settings
 } from 'lucide-react';
 import SignalCard from './SignalCard';
 import MarketSentiment from './MarketSentiment';
@@ -19,6 +23,9 @@ import VolatilityAlerts from './VolatilityAlerts';
 import SystemHealth from './SystemHealth';
 import TradingPerformance from './TradingPerformance';
 import SystemStatus from './SystemStatus';
+import ConfigPanel from './ConfigPanel';
+import { useFeedEvent, useFeedConnected, FeedMessage, LiveMonitor } from '../services/liveFeed';
+import { apiFetch, hasRole, logout, useSession } from '../services/api';
 
 interface Signal {
   symbol: string;
@@ -41,25 +48,131 @@ interface BotStatus {
   };
 }
 
-const Dashboard: React.FC = () => {
+interface AnalysisProgress {
+  cycle: number;
+  done: number;
+  total: number;
+}
+
+interface FeedEventData {
+  symbol?: string;
+  timeframe?: string;
+  trend?: string;
+  score?: number;
+  stage?: string;
+  reason?: string;
+  targetNumber?: number;
+  pnlPercent?: number;
+  newStop?: number;
+  description?: string;
+  exitReason?: string;
+  isWin?: boolean;
+  message?: string;
+  priority?: string;
+  version?: number;
+  changes?: { key: string }[];
+  by?: string | null;
+  count?: number;
+  added?: string[];
+  removed?: string[];
+}
+
+interface LiveEvent {
+  key: string;
+  time: number;
+  text: string;
+  tone: 'green' | 'red' | 'blue' | 'yellow';
+}
+
+const base = (symbol?: string) => (symbol || '').replace('/USDT', '');
+const pct = (v?: number | null, mult = 1) => (v == null ? '—' : `${v * mult >= 0 ? '+' : ''}${(v * mult).toFixed(1)}%`);
+
+// Texto curto de cada evento do feed (null = não entra na lista)
+const describeEvent = (msg: FeedMessage): Omit<LiveEvent, 'key' | 'time'> | null => {
+  const d = (msg.data || {}) as FeedEventData;
+  switch (msg.type) {
+    case 'signal.emitted':
+      return { text: `📤 Sinal ${base(d.symbol)} ${d.timeframe} ${d.trend === 'BEARISH' ? 'SHORT' : 'LONG'} (${Number(d.score).toFixed(1)}%)`, tone: 'blue' };
+    case 'signal.blocked':
+      return d.stage === 'risk' && !d.timeframe ? null : { text: `🚫 ${base(d.symbol)} barrado (${d.stage}): ${d.reason}`, tone: 'yellow' };
+    case 'monitor.target_hit':
+      return { text: `🎯 ${base(d.symbol)} alvo ${d.targetNumber} (${pct(d.pnlPercent, 15)})`, tone: 'green' };
+    case 'monitor.stop_moved':
+      return { text: `🛡️ ${base(d.symbol)} stop movido (${d.description || d.newStop})`, tone: 'blue' };
+    case 'monitor.closed':
+      return { text: `🏁 ${base(d.symbol)} encerrado: ${d.exitReason} (${pct(d.pnlPercent, 15)})`, tone: d.isWin ? 'green' : 'red' };
+    case 'alert.raised':
+      return { text: `🚨 ${d.message}`, tone: d.priority === 'HIGH' ? 'red' : 'yellow' };
+    case 'config.updated':
+      return { text: `⚙️ Configuração v${d.version}${d.by ? ` (${d.by})` : ''}: ${d.changes?.length ?? 0} alteração(ões)`, tone: 'blue' };
+    case 'universe.updated':
+      return {
+        text: `🌐 Universo: ${d.count} símbolo(s)${d.added?.length ? ` | +${d.added.length}` : ''}${d.removed?.length ? ` | −${d.removed.length}` : ''}`,
+        tone: 'blue'
+      };
+    default:
+      return null;
+  }
+};
+
+const toneClass: Record<LiveEvent['tone'], string> = {
+  green: 'border-green-200 bg-green-50 text-green-800',
+  red: 'border-red-200 bg-red-50 text-red-800',
+  blue: 'border-blue-200 bg-blue-50 text-blue-800',
+  yellow: 'border-yellow-200 bg-yellow-50 text-yellow-800'
+};
+
+interface DashboardProps {
+  onRequestLogin?: () => void;
+}
+
+const Dashboard: React.FC<DashboardProps> = ({ onRequestLogin }) => {
   const [signals, setSignals] = useState<Signal[]>([]);
   const [botStatus, setBotStatus] = useState<BotStatus | null>(null);
   const [activeTab, setActiveTab] = useState('signals');
   const [loading, setLoading] = useState(true);
   const [sendingTest, setSendingTest] = useState(false);
+  const [liveMonitors, setLiveMonitors] = useState<LiveMonitor[] | null>(null);
+  const [analysis, setAnalysis] = useState<AnalysisProgress | null>(null);
+  const [liveEvents, setLiveEvents] = useState<LiveEvent[]>([]);
+  const feedConnected = useFeedConnected();
+  const session = useSession();
+  const canOperate = hasRole('operator');
 
+  // Com o feed conectado os dados chegam por push; sem ele, volta ao polling de 30s
   useEffect(() => {
     fetchData();
-    const interval = setInterval(fetchData, 30000); // Atualiza a cada 30 segundos
+    if (feedConnected) return;
+    const interval = setInterval(fetchData, 30000);
     return () => clearInterval(interval);
-  }, []);
+  }, [feedConnected]);
+
+  useFeedEvent<{ monitors: LiveMonitor[]; analysis: AnalysisProgress | null }>('hello', (data) => {
+    setLiveMonitors(data.monitors);
+    setAnalysis(data.analysis);
+  });
+  useFeedEvent<LiveMonitor[]>('monitors', setLiveMonitors);
+  useFeedEvent<AnalysisProgress>('analysis.started', (data) => setAnalysis({ cycle: data.cycle, done: 0, total: data.total }));
+  useFeedEvent<AnalysisProgress>('analysis.progress', (data) => setAnalysis({ cycle: data.cycle, done: data.done, total: data.total }));
+  useFeedEvent('analysis.completed', () => {
+    setAnalysis(null);
+    fetchData();
+  });
+  // novo sinal ou encerramento: recarrega a lista de sinais (resultado oficial do tracker)
+  useFeedEvent('signal.emitted', () => fetchData());
+  useFeedEvent('monitor.closed', () => fetchData());
+  useFeedEvent('*', (_data, msg) => {
+    const described = describeEvent(msg);
+    if (!described) return;
+    setLiveEvents((prev) => [{ key: `${msg.type}-${msg.time}-${prev.length}`, time: msg.time, ...described }, ...prev].slice(0, 20));
+  });
 
   const fetchData = async () => {
     try {
       console.log('🔄 Buscando dados do dashboard...');
       const [statusRes, signalsRes] = await Promise.all([
-        fetch('/api/status'),
-        fetch('/api/signals/latest')
+        apiFetch('/api/status'),
+        apiFetch('/api/signals/latest')
       ]);
 
       console.log('📊 Status response:', statusRes.status);
@@ -100,7 +213,7 @@ const Dashboard: React.FC = () => {
   const sendTestSignal = async () => {
     try {
       setSendingTest(true);
-      const response = await fetch('/api/telegram/test', {
+      const response = await apiFetch('/api/telegram/test', {
         method: 'POST'
       });
       
@@ -140,7 +253,8 @@ const Dashboard: React.FC = () => {
     { id: 'health', label: 'Sistema', icon: Shield },
     { id: 'macro', label: 'Macro', icon: Building2 },
     { id: 'backtest', label: 'Backtesting', icon: BarChart3 },
-    { id: 'volatility', label: 'Volatilidade', icon: AlertTriangle }
+    { id: 'volatility', label: 'Volatilidade', icon: AlertTriangle },
+    { id: 'config', label: 'Configuração', icon: Settings }
   ];
 
   if (loading) {
@@ -168,6 +282,11 @@ const Dashboard: React.FC = () => {
             </div>
             
             <div className="flex items-center space-x-4">
+              <div className="flex items-center space-x-2" title="Feed em tempo real do servidor">
+                <div className={`w-2 h-2 rounded-full ${feedConnected ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`} />
+                <span className="text-xs text-gray-500">{feedConnected ? 'Ao vivo' : 'Atualização a cada 30s'}</span>
+              </div>
+
               {botStatus && (
                 <div className="flex items-center space-x-2">
                   <div className={`w-3 h-3 rounded-full ${
@@ -188,12 +307,40 @@ const Dashboard: React.FC = () => {
               
               <button
                 onClick={sendTestSignal}
-                disabled={sendingTest}
+                disabled={sendingTest || !canOperate}
+                title={canOperate ? undefined : 'Requer papel operator'}
                 className="flex items-center space-x-2 px-3 py-1 bg-green-600 text-white rounded-full hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
               >
                 <Target className="w-4 h-4" />
                 <span>{sendingTest ? 'Enviando...' : 'Teste Telegram'}</span>
               </button>
+
+              {session.authenticated ? (
+                <div className="flex items-center space-x-2">
+                  <div className="flex items-center space-x-1 text-sm text-gray-600">
+                    <User className="w-4 h-4" />
+                    <span>{session.user}</span>
+                    <span className="text-xs px-2 py-0.5 bg-gray-100 rounded-full">{session.role}</span>
+                  </div>
+                  <button
+                    onClick={() => logout()}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm text-gray-600 hover:text-gray-900 border border-gray-300 rounded-full transition-colors"
+                  >
+                    <LogOut className="w-4 h-4" />
+                    <span>Sair</span>
+                  </button>
+                </div>
+              ) : (
+                onRequestLogin && (
+                  <button
+                    onClick={onRequestLogin}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm text-blue-600 hover:text-blue-800 border border-blue-300 rounded-full transition-colors"
+                  >
+                    <LogIn className="w-4 h-4" />
+                    <span>Entrar</span>
+                  </button>
+                )
+              )}
             </div>
           </div>
         </div>
@@ -216,7 +363,7 @@ const Dashboard: React.FC = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-gray-600">Monitoramentos</p>
-                <p className="text-2xl font-bold text-gray-900">{botStatus?.activeMonitors || 0}</p>
+                <p className="text-2xl font-bold text-gray-900">{liveMonitors ? liveMonitors.length : botStatus?.activeMonitors || 0}</p>
               </div>
               <Shield className="w-8 h-8 text-green-600" />
             </div>
@@ -263,8 +410,56 @@ const Dashboard: React.FC = () => {
           </div>
         </div>
 
-        {/* Active Symbols */}
-        {botStatus?.activeSymbols && botStatus.activeSymbols.length > 0 && (
+        {/* Analysis Progress */}
+        {analysis && analysis.total > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-8 p-4">
+            <div className="flex items-center justify-between text-sm mb-2">
+              <span className="font-medium text-gray-700">🔍 Análise #{analysis.cycle} em andamento</span>
+              <span className="text-gray-500">{analysis.done}/{analysis.total}</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="h-2 rounded-full bg-blue-500 transition-all"
+                style={{ width: `${Math.min(100, (analysis.done / analysis.total) * 100)}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Live Monitors */}
+        {liveMonitors && liveMonitors.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-8 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              🔥 Operações Ativas ({liveMonitors.length})
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+              {liveMonitors.map((m) => {
+                const positive = (m.leveragedPnl ?? 0) >= 0;
+                return (
+                  <div key={m.id} className="flex items-center justify-between border border-gray-100 rounded-lg px-3 py-2">
+                    <div>
+                      <p className="text-sm font-semibold text-gray-900">
+                        {base(m.symbol)} <span className="text-xs text-gray-500">{m.timeframe} {m.trend === 'BEARISH' ? 'SHORT' : 'LONG'}</span>
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Alvos {m.targetsHit}/{m.targets.length}{m.isMobileStopActive ? ' · stop móvel' : ''}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className={`text-sm font-bold ${m.leveragedPnl == null ? 'text-gray-400' : positive ? 'text-green-600' : 'text-red-600'}`}>
+                        {pct(m.leveragedPnl)}
+                      </p>
+                      <p className="text-xs text-gray-500">{m.price != null ? `$${m.price}` : 'sem preço'}</p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Active Symbols (sem feed) */}
+        {!liveMonitors && botStatus?.activeSymbols && botStatus.activeSymbols.length > 0 && (
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-8 p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">
               🔥 Operações Ativas ({botStatus.activeSymbols.length})
@@ -283,6 +478,21 @@ const Dashboard: React.FC = () => {
         {/* System Status Overview */}
         <SystemStatus botStatus={botStatus} />
 
+        {/* Live Events */}
+        {liveEvents.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-8 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">⚡ Eventos ao vivo</h3>
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {liveEvents.map((e) => (
+                <div key={e.key} className={`flex items-center justify-between text-sm border rounded-lg px-3 py-2 ${toneClass[e.tone]}`}>
+                  <span>{e.text}</span>
+                  <span className="text-xs opacity-70 ml-4 whitespace-nowrap">{new Date(e.time).toLocaleTimeString('pt-BR')}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Navigation Tabs */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-8">
           <div className="border-b border-gray-200">
@@ -336,6 +546,7 @@ const Dashboard: React.FC = () => {
             {activeTab === 'health' && <SystemHealth />}
             {activeTab === 'backtest' && <BacktestResults />}
             {activeTab === 'volatility' && <VolatilityAlerts />}
+            {activeTab === 'config' && <ConfigPanel />}
           </div>
         </div>
 
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { Bot, Key, Lock, LogIn, User } from 'lucide-react';
+import { login, loginWithKey } from '../services/api';
+
+interface LoginProps {
+  onCancel?: () => void;
+}
+
+const Login: React.FC<LoginProps> = ({ onCancel }) => {
+  const [mode, setMode] = useState<'password' | 'key'>('password');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setError(null);
+    setSubmitting(true);
+    try {
+      if (mode === 'password') await login(username, password);
+      else await loginWithKey(apiKey);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Falha no login');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-sm bg-white rounded-xl shadow-md p-8">
+        <div className="flex flex-col items-center mb-6">
+          <Bot className="w-12 h-12 text-blue-600 mb-2" />
+          <h1 className="text-xl font-bold text-gray-900">Bot Lobo Cripto</h1>
+          <p className="text-sm text-gray-500">Entre para acessar o painel</p>
+        </div>
+
+        <div className="flex mb-6 bg-gray-100 rounded-lg p-1 text-sm">
+          {(['password', 'key'] as const).map((m) => (
+            <button
+              key={m}
+              type="button"
+              onClick={() => setMode(m)}
+              className={`flex-1 py-1.5 rounded-md transition-colors ${
+                mode === m ? 'bg-white shadow-sm text-gray-900 font-medium' : 'text-gray-500'
+              }`}
+            >
+              {m === 'password' ? 'Usuário e senha' : 'Chave de API'}
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === 'password' ? (
+            <>
+              <div className="relative">
+                <User className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  className={inputClass}
+                  placeholder="Usuário"
+                  autoComplete="username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  required
+                />
+              </div>
+              <div className="relative">
+                <Lock className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  className={inputClass}
+                  type="password"
+                  placeholder="Senha"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+              </div>
+            </>
+          ) : (
+            <div className="relative">
+              <Key className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                className={inputClass}
+                type="password"
+                placeholder="Chave de API"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value)}
+                required
+              />
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full flex items-center justify-center space-x-2 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm font-medium"
+          >
+            <LogIn className="w-4 h-4" />
+            <span>{submitting ? 'Entrando...' : 'Entrar'}</span>
+          </button>
+
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="w-full text-sm text-gray-500 hover:text-gray-700">
+              Continuar sem login (somente leitura)
+            </button>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { TrendingUp, TrendingDown, Activity, Volume2, AlertCircle } from 'lucide-react';
+import { apiFetch } from '../services/api';
 
 interface MarketSentiment {
   overall: string;
@@ -48,7 +49,7 @@ const MarketSentiment: React.FC = () => {
     try {
       setLoading(true);
       console.log('🌍 Buscando sentimento do mercado...');
-      const response = await fetch('/api/market/sentiment');
+      const response = await apiFetch('/api/market/sentiment');
       console.log('📊 Market sentiment response:', response.status);
       
       if (!response.ok) {
@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
 import { TrendingUp, TrendingDown, Activity } from 'lucide-react';
+import { liveFeed, useFeedConnected, LivePrice } from '../services/liveFeed';
 
 interface PriceData {
   symbol: string;
@@ -14,26 +15,38 @@ interface ChartProps {
   height?: number;
 }
 
-interface BinanceTickerData {
-  s: string;
-  c: string;
-  P: string;
-  v: string;
-}
-
 const RealTimeChart: React.FC<ChartProps> = ({ symbol, height = 300 }) => {
   const [priceData, setPriceData] = useState<PriceData[]>([]);
   const [currentPrice, setCurrentPrice] = useState<PriceData | null>(null);
-  const [isConnected, setIsConnected] = useState<boolean>(false);
-  const wsRef = useRef<WebSocket | null>(null);
+  const isConnected = useFeedConnected();
   const chartRef = useRef<HTMLCanvasElement | null>(null);
 
+  // Preços vêm do feed do servidor (mesma venue/failover do bot), não direto da Binance
   useEffect(() => {
-    connectWebSocket();
+    setPriceData([]);
+    setCurrentPrice(null);
+    const stopWatching = liveFeed.watchSymbol(symbol);
+    const off = liveFeed.on('price', (msg) => {
+      const data = msg.data as LivePrice;
+      if (data.symbol !== symbol) return;
+
+      const newPrice: PriceData = {
+        symbol: data.symbol,
+        price: data.price,
+        change24h: data.change24h ?? 0,
+        volume: data.volume ?? 0,
+        timestamp: msg.time || Date.now()
+      };
+
+      setCurrentPrice(newPrice);
+      setPriceData((prev: PriceData[]) => {
+        const updated = [...prev, newPrice];
+        return updated.slice(-100);
+      });
+    });
     return () => {
-      if (wsRef.current) {
-        wsRef.current.close();
-      }
+      off();
+      stopWatching();
     };
   }, [symbol]);
 
@@ -43,56 +56,6 @@ const RealTimeChart: React.FC<ChartProps> = ({ symbol, height = 300 }) => {
     }
   }, [priceData]);
 
-  const connectWebSocket = (): void => {
-    try {
-      const binanceSymbol = symbol.replace('/', '').toLowerCase();
-      const wsUrl = `wss://fstream.binance.com/ws/${binanceSymbol}@ticker`;
-      
-      wsRef.current = new WebSocket(wsUrl);
-      
-      wsRef.current.onopen = (): void => {
-        console.log(`WebSocket conectado para ${symbol}`);
-        setIsConnected(true);
-      };
-      
-      wsRef.current.onmessage = (event: MessageEvent<string>): void => {
-        try {
-          const data: BinanceTickerData = JSON.parse(event.data);
-          
-          const newPrice: PriceData = {
-            symbol: data.s,
-            price: parseFloat(data.c),
-            change24h: parseFloat(data.P),
-            volume: parseFloat(data.v),
-            timestamp: Date.now()
-          };
-          
-          setCurrentPrice(newPrice);
-          
-          setPriceData((prev: PriceData[]) => {
-            const updated = [...prev, newPrice];
-            return updated.slice(-100);
-          });
-        } catch (error) {
-          console.error('Erro ao processar dados WebSocket:', error);
-        }
-      };
-      
-      wsRef.current.onclose = (): void => {
-        console.log(`WebSocket fechado para ${symbol}`);
-        setIsConnected(false);
-        setTimeout(connectWebSocket, 5000);
-      };
-      
-      wsRef.current.onerror = (): void => {
-        console.error(`Erro WebSocket ${symbol}`);
-        setIsConnected(false);
-      };
-    } catch (error) {
-      console.error('Erro ao conectar WebSocket:', error);
-    }
-  };
-
   const drawChart = (): void => {
     const canvas = chartRef.current;
     if (!canvas || priceData.length < 2) return;
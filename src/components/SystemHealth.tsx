@@ -10,6 +10,7 @@ import {
   TrendingUp,
   Zap
 } from 'lucide-react';
+import { apiFetch } from '../services/api';
 
 interface SystemMetrics {
   uptime: number;
@@ -43,8 +44,8 @@ const SystemHealth: React.FC = () => {
   const fetchSystemHealth = async () => {
     try {
       const [metricsRes, healthRes] = await Promise.all([
-        fetch('/api/system/metrics'),
-        fetch('/api/system/health')
+        apiFetch('/api/system/metrics'),
+        apiFetch('/api/system/health')
       ]);
 
       if (metricsRes.ok) {
@@ -9,6 +9,7 @@ import {
   BarChart3,
   PieChart
 } from 'lucide-react';
+import { apiFetch } from '../services/api';
 
 interface PerformanceData {
   month: string;
@@ -53,8 +54,8 @@ const TradingPerformance: React.FC = () => {
     try {
       setLoading(true);
       const [perfRes, topRes] = await Promise.all([
-        fetch('/api/performance/summary'),
-        fetch('/api/performance/top-performers')
+        apiFetch('/api/performance/summary'),
+        apiFetch('/api/performance/top-performers')
       ]);
 
       if (perfRes.ok) {
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { AlertTriangle, TrendingUp, TrendingDown, Clock, Zap } from 'lucide-react';
+import { apiFetch } from '../services/api';
 
 interface VolatilityAlert {
   symbol: string;
@@ -26,7 +27,7 @@ const VolatilityAlerts: React.FC = () => {
       }
       setLoading(true);
       console.log('🔥 Buscando alertas de volatilidade...');
-      const response = await fetch('/api/volatility/alerts');
+      const response = await apiFetch('/api/volatility/alerts');
       console.log('📊 Volatility alerts response:', response.status);
       
       if (!response.ok) {
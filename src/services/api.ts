@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Sessão do dashboard e chamadas autenticadas à API.
+ * O token (JWT do login ou chave de API) fica no localStorage e vai como `Authorization: Bearer`;
+ * um 401 derruba a sessão e o App volta para a tela de login.
+ */
+
+export type Role = 'viewer' | 'operator' | 'admin';
+
+export interface Session {
+  checked: boolean;
+  authenticated: boolean;
+  user: string | null;
+  role: Role | null;
+  anonymousRole: Role | null;
+}
+
+const TOKEN_KEY = 'lobo.authToken';
+const ROLES: Role[] = ['viewer', 'operator', 'admin'];
+
+let session: Session = { checked: false, authenticated: false, user: null, role: null, anonymousRole: null };
+const listeners = new Set<(session: Session) => void>();
+
+function setSession(next: Partial<Session>): void {
+  session = { ...session, ...next };
+  listeners.forEach((listener) => listener(session));
+}
+
+export function getToken(): string | null {
+  try {
+    return localStorage.getItem(TOKEN_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function storeToken(token: string | null): void {
+  try {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+  } catch {
+    // modo privado sem storage: a sessão vale só até recarregar
+  }
+}
+
+export function hasRole(role: Role): boolean {
+  return !!session.role && ROLES.indexOf(session.role) >= ROLES.indexOf(role);
+}
+
+/** fetch com o token da sessão; 401 limpa a sessão (o App mostra o login) */
+export async function apiFetch(input: string, init: RequestInit = {}): Promise<Response> {
+  const token = getToken();
+  const headers = new Headers(init.headers);
+  if (token) headers.set('Authorization', `Bearer ${token}`);
+  if (init.body && !headers.has('Content-Type')) headers.set('Content-Type', 'application/json');
+
+  const response = await fetch(input, { ...init, headers });
+  if (response.status === 401 && !input.startsWith('/api/auth/')) {
+    storeToken(null);
+    setSession({ authenticated: false, user: null, role: session.anonymousRole });
+  }
+  return response;
+}
+
+/** Consulta a sessão atual no servidor (token salvo, chave ou acesso anônimo) */
+export async function refreshSession(): Promise<Session> {
+  try {
+    const response = await apiFetch('/api/auth/me');
+    const me = await response.json();
+    if (!me.authenticated && getToken()) storeToken(null);
+    setSession({ checked: true, authenticated: !!me.authenticated, user: me.user, role: me.role, anonymousRole: me.anonymousRole });
+  } catch (error) {
+    console.error('Erro ao verificar sessão:', error);
+    setSession({ checked: true });
+  }
+  return session;
+}
+
+export async function login(username: string, password: string): Promise<void> {
+  const response = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Falha no login');
+  storeToken(data.token);
+  await refreshSession();
+}
+
+/** Entra com uma chave de API (API_KEYS) em vez de usuário/senha */
+export async function loginWithKey(key: string): Promise<void> {
+  storeToken(key.trim());
+  const current = await refreshSession();
+  if (!current.authenticated) throw new Error('Chave de API inválida');
+}
+
+export async function logout(): Promise<void> {
+  try {
+    await apiFetch('/api/auth/logout', { method: 'POST' });
+  } finally {
+    storeToken(null);
+    await refreshSession();
+  }
+}
+
+export function useSession(): Session {
+  const [current, setCurrent] = useState<Session>(session);
+  useEffect(() => {
+    listeners.add(setCurrent);
+    setCurrent(session);
+    return () => {
+      listeners.delete(setCurrent);
+    };
+  }, []);
+  return current;
+}
@@ -0,0 +1,183 @@
+import { useEffect, useRef, useState } from 'react';
+import { getToken } from './api';
+
+/**
+ * Conexão única com o feed do servidor (WebSocket /api/feed), compartilhada por todos os componentes.
+ * Reconecta com backoff e reenvia as assinaturas de preço ao voltar.
+ * O navegador não envia headers no upgrade: a sessão vai em ?token=.
+ */
+
+export interface FeedMessage<T = unknown> {
+  type: string;
+  time: number;
+  data: T;
+}
+
+export interface LiveMonitor {
+  id: string;
+  signalId: string;
+  symbol: string;
+  timeframe: string;
+  trend: string;
+  entry: number;
+  stopLoss: number;
+  targets: number[];
+  targetsHit: number;
+  isMobileStopActive: boolean;
+  startTime: string;
+  price: number | null;
+  priceAt: number | null;
+  pnlPercent: number | null;
+  leveragedPnl: number | null;
+}
+
+export interface LivePrice {
+  symbol: string;
+  price: number;
+  change24h: number | null;
+  volume: number | null;
+}
+
+type Handler = (msg: FeedMessage) => void;
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+class LiveFeed {
+  private ws: WebSocket | null = null;
+  private handlers = new Map<string, Set<Handler>>();
+  private statusHandlers = new Set<(connected: boolean) => void>();
+  private symbols = new Map<string, number>();
+  private attempts = 0;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  connected = false;
+
+  private url(): string {
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    const token = getToken();
+    return `${protocol}://${window.location.host}/api/feed${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+  }
+
+  private ensure(): void {
+    if (this.ws || this.reconnectTimer) return;
+    try {
+      this.ws = new WebSocket(this.url());
+    } catch (error) {
+      console.error('Erro ao conectar no feed:', error);
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.ws.onopen = () => {
+      this.attempts = 0;
+      this.setConnected(true);
+      if (this.symbols.size > 0) this.send({ action: 'subscribe', symbols: [...this.symbols.keys()] });
+    };
+
+    this.ws.onmessage = (event: MessageEvent<string>) => {
+      try {
+        const msg: FeedMessage = JSON.parse(event.data);
+        for (const key of [msg.type, '*']) {
+          this.handlers.get(key)?.forEach((handler) => handler(msg));
+        }
+      } catch (error) {
+        console.error('Erro ao processar mensagem do feed:', error);
+      }
+    };
+
+    this.ws.onclose = () => {
+      this.ws = null;
+      this.setConnected(false);
+      this.scheduleReconnect();
+    };
+
+    this.ws.onerror = () => {
+      console.error('Erro no feed do servidor');
+    };
+  }
+
+  private scheduleReconnect(): void {
+    if (this.reconnectTimer) return;
+    this.attempts++;
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (this.attempts - 1));
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.ensure();
+    }, delay);
+  }
+
+  private setConnected(connected: boolean): void {
+    this.connected = connected;
+    this.statusHandlers.forEach((handler) => handler(connected));
+  }
+
+  private send(payload: object): void {
+    if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(payload));
+  }
+
+  /** Reconecta já (login/logout trocam o token do upgrade); open=false só derruba a conexão */
+  reconnect(open = true): void {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.attempts = 0;
+    if (this.ws) {
+      this.ws.onclose = null;
+      this.ws.close();
+      this.ws = null;
+      this.setConnected(false);
+    }
+    if (open) this.ensure();
+  }
+
+  /** Assina um tipo de mensagem ('*' para todas); retorna a função de cancelamento */
+  on(type: string, handler: Handler): () => void {
+    this.ensure();
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type)!.add(handler);
+    return () => {
+      this.handlers.get(type)?.delete(handler);
+    };
+  }
+
+  onStatus(handler: (connected: boolean) => void): () => void {
+    this.ensure();
+    this.statusHandlers.add(handler);
+    return () => {
+      this.statusHandlers.delete(handler);
+    };
+  }
+
+  /** Preços de um símbolo (refcount entre componentes) */
+  watchSymbol(symbol: string): () => void {
+    this.ensure();
+    const refs = this.symbols.get(symbol) || 0;
+    this.symbols.set(symbol, refs + 1);
+    if (refs === 0) this.send({ action: 'subscribe', symbols: [symbol] });
+    return () => {
+      const left = (this.symbols.get(symbol) || 1) - 1;
+      if (left > 0) {
+        this.symbols.set(symbol, left);
+        return;
+      }
+      this.symbols.delete(symbol);
+      this.send({ action: 'unsubscribe', symbols: [symbol] });
+    };
+  }
+}
+
+export const liveFeed = new LiveFeed();
+
+/** Executa `handler` a cada mensagem do tipo (a referência mais recente do handler é usada) */
+export function useFeedEvent<T = unknown>(type: string, handler: (data: T, msg: FeedMessage<T>) => void): void {
+  const ref = useRef(handler);
+  ref.current = handler;
+  useEffect(() => liveFeed.on(type, (msg) => ref.current(msg.data as T, msg as FeedMessage<T>)), [type]);
+}
+
+export function useFeedConnected(): boolean {
+  const [connected, setConnected] = useState<boolean>(liveFeed.connected);
+  useEffect(() => liveFeed.onStatus(setConnected), []);
+  return connected;
+}
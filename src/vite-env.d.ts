@@ -32,4 +32,11 @@ declare module 'lucide-react' {
   export const Award: FC<IconProps>;
   export const Calendar: FC<IconProps>;
   export const PieChart: FC<IconProps>;
+  export const Key: FC<IconProps>;
+  export const Lock: FC<IconProps>;
+  export const LogIn: FC<IconProps>;
+  export const LogOut: FC<IconProps>;
+  export const User: FC<IconProps>;
+  export const Settings: FC<IconProps>;
+  export const RotateCcw: FC<IconProps>;
 }
\ No newline at end of file
@@ -9,6 +9,7 @@ export default defineConfig({
         target: 'http://localhost:3000',
         changeOrigin: true,
         secure: false,
+        ws: true,
       },
     },
   },